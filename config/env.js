@@ -12,6 +12,9 @@ dotenv.config({ path: envPath });
 console.log('API Key loaded:', process.env.RUNPOD_API_KEY ? 'Yes (starts with ' + process.env.RUNPOD_API_KEY.slice(0, 8) + '...)' : 'NO - NOT FOUND!');
 
 export const config = {
+  // Cloud provider: 'runpod' (real API) or 'mock' (offline simulation)
+  cloudProvider: process.env.CLOUD_PROVIDER || 'runpod',
+
   // RunPod API
   runpodApiKey: process.env.RUNPOD_API_KEY || '',
 
@@ -19,16 +22,115 @@ export const config = {
   budgetLimitDaily: parseFloat(process.env.BUDGET_LIMIT_DAILY) || 50,
   budgetLimitMonthly: parseFloat(process.env.BUDGET_LIMIT_MONTHLY) || 500,
 
+  // Billing reconciliation
+  billingPollSeconds: parseInt(process.env.BILLING_POLL_SECONDS) || 60,
+  billingCheckMinutes: parseInt(process.env.BILLING_CHECK_MINUTES) || 60,
+  billingDiscrepancyUsd: parseFloat(process.env.BILLING_DISCREPANCY_USD) || 0.05,
+  billingDiscrepancyPercent: parseFloat(process.env.BILLING_DISCREPANCY_PERCENT) || 10,
+
+  // Spot pods: how often they are checked for interruptions, what to do by
+  // default when one is reclaimed ('rebid', 'on-demand', 'rebid-then-on-demand'
+  // or 'none'), and how many re-bids (each this much higher) are tried
+  spotPollSeconds: parseInt(process.env.SPOT_POLL_SECONDS) || 15,
+  spotDefaultPolicy: process.env.SPOT_DEFAULT_POLICY || 'rebid-then-on-demand',
+  spotMaxRebids: parseInt(process.env.SPOT_MAX_REBIDS) || 3,
+  spotRebidIncreasePercent: parseFloat(process.env.SPOT_REBID_INCREASE_PERCENT) || 20,
+
+  // GPU placement: how many candidate GPUs are tried before giving up
+  placementMaxAttempts: parseInt(process.env.PLACEMENT_MAX_ATTEMPTS) || 5,
+
+  // Pod readiness: how often tracked pods are probed, and how long batches wait for one
+  readinessPollSeconds: parseInt(process.env.READINESS_POLL_SECONDS) || 10,
+  readinessWaitMinutes: parseInt(process.env.READINESS_WAIT_MINUTES) || 15,
+
+  // Model provisioning: ComfyUI's models folder on the pod, Jupyter token (if the pod sets one)
+  // and how long a manifest may take to download
+  comfyModelsDir: process.env.COMFYUI_MODELS_DIR || '/workspace/ComfyUI/models',
+  jupyterToken: process.env.JUPYTER_TOKEN || '',
+  provisionTimeoutMinutes: parseInt(process.env.PROVISION_TIMEOUT_MINUTES) || 60,
+
+  // Spend forecasting
+  forecastIntervalMinutes: parseInt(process.env.FORECAST_INTERVAL_MINUTES) || 5,
+  forecastTrendDays: parseInt(process.env.FORECAST_TREND_DAYS) || 7,
+
+  // Event bus: how long events are kept for replay, and max events per replay
+  eventRetentionHours: parseInt(process.env.EVENT_RETENTION_HOURS) || 24,
+  eventReplayLimit: parseInt(process.env.EVENT_REPLAY_LIMIT) || 1000,
+
+  // Outbound notifications
+  notifyMaxAttempts: parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 5,
+  notifyRetryBaseSeconds: parseInt(process.env.NOTIFY_RETRY_BASE_SECONDS) || 30,
+  notifyTimeoutSeconds: parseInt(process.env.NOTIFY_TIMEOUT_SECONDS) || 10,
+  notifyLogRetentionDays: parseInt(process.env.NOTIFY_LOG_RETENTION_DAYS) || 30,
+  // Public URL of the panel, used for links in notifications
+  publicUrl: process.env.PUBLIC_URL || '',
+
+  // SMTP server for email notifications
+  smtpHost: process.env.SMTP_HOST || '',
+  smtpPort: parseInt(process.env.SMTP_PORT) || 587,
+  // true = TLS from the start (port 465); otherwise STARTTLS when offered
+  smtpSecure: process.env.SMTP_SECURE === 'true',
+  smtpUser: process.env.SMTP_USER || '',
+  smtpPassword: process.env.SMTP_PASSWORD || '',
+  smtpFrom: process.env.SMTP_FROM || 'gpu-orchestrator@localhost',
+
   // Auto-shutdown
   autoShutdownMinutes: parseInt(process.env.AUTO_SHUTDOWN_MINUTES) || 30,
 
   // Server
   port: parseInt(process.env.PORT) || 3000,
+  // Extra origins allowed to call the API from a browser (comma separated)
+  corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+
+  // Authentication
+  authEnabled: process.env.AUTH_ENABLED !== 'false',
+  sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS) || 168,
+  // Initial admin account, created on first start when the users table is empty
+  adminUsername: process.env.ADMIN_USERNAME || 'admin',
+  adminPassword: process.env.ADMIN_PASSWORD || '',
 
   // Queue
   maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS) || 5,
   rateLimitPerSecond: parseInt(process.env.RATE_LIMIT_PER_SECOND) || 2,
   maxRetryAttempts: parseInt(process.env.MAX_RETRY_ATTEMPTS) || 5,
+  // Free slots are shared fairly between submitters ('user') or projects ('project')
+  fairShareBy: process.env.FAIR_SHARE_BY === 'project' ? 'project' : 'user',
+  // Serverless jobs report completion to /api/hooks/serverless/:jobId (needs
+  // PUBLIC_URL reachable by RunPod); polling is then only a slow fallback
+  serverlessWebhooks: process.env.SERVERLESS_WEBHOOKS !== 'false',
+  serverlessWebhookSecret: process.env.SERVERLESS_WEBHOOK_SECRET || '',
+  webhookFallbackPollSeconds: parseInt(process.env.WEBHOOK_FALLBACK_POLL_SECONDS) || 60,
+  // Input fields left out of the job hash (a name matches at any depth, a
+  // dotted path like "workflow.3.inputs.seed" only there), e.g. random seeds
+  hashIgnoreFields: (process.env.HASH_IGNORE_FIELDS || '').split(',').map(f => f.trim()).filter(Boolean),
+  // Completed outputs are reused for identical jobs this long (0 = no cache)
+  resultCacheTtlHours: parseFloat(process.env.RESULT_CACHE_TTL_HOURS ?? 24) || 0,
+
+  // Dead letter queue retention: resolved (retried / discarded) entries, and
+  // open ones (0 = keep until handled). Can be changed from the DLQ console.
+  dlqRetentionDays: parseInt(process.env.DLQ_RETENTION_DAYS) || 30,
+  dlqOpenRetentionDays: parseInt(process.env.DLQ_OPEN_RETENTION_DAYS) || 0,
+
+  // Scheduler: how often due schedules are checked, and how late a run may
+  // start (e.g. after downtime) before it is skipped instead
+  schedulerTickSeconds: parseInt(process.env.SCHEDULER_TICK_SECONDS) || 30,
+  scheduleMisfireMinutes: parseInt(process.env.SCHEDULE_MISFIRE_MINUTES) || 60,
+
+  // Pipelines: extra attempts for a failed step (a step can override it)
+  pipelineStepRetries: parseInt(process.env.PIPELINE_STEP_RETRIES ?? 1) || 0,
+
+  // Asset library (generated images/videos downloaded to local disk)
+  assetsDir: process.env.ASSETS_DIR || resolve(__dirname, '..', 'output', 'assets'),
+
+  // Mock provider simulation
+  mockBootSeconds: parseInt(process.env.MOCK_BOOT_SECONDS) || 15,
+  mockJobSeconds: parseFloat(process.env.MOCK_JOB_SECONDS) || 3,
+  mockJobFailureRate: parseFloat(process.env.MOCK_JOB_FAILURE_RATE) || 0,
+  // Submissions per second an endpoint accepts before answering 429 (0 = no limit)
+  mockEndpointRateLimit: parseFloat(process.env.MOCK_ENDPOINT_RATE_LIMIT) || 0,
+  mockStartingBalance: parseFloat(process.env.MOCK_STARTING_BALANCE) || 100,
+  // Spot pods are outbid after running this long (0 = never)
+  mockSpotInterruptSeconds: parseFloat(process.env.MOCK_SPOT_INTERRUPT_SECONDS) || 0,
 
   // RunPod URLs
   runpodGraphqlUrl: 'https://api.runpod.io/graphql',
@@ -36,5 +138,6 @@ export const config = {
 };
 
 export function isConfigured() {
+  if (config.cloudProvider === 'mock') return true;
   return config.runpodApiKey && config.runpodApiKey !== 'your_api_key_here';
 }
@@ -41,6 +41,40 @@ db.exec(`
     logged_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
+  -- Billable running periods of each pod (times in epoch ms)
+  CREATE TABLE IF NOT EXISTS pod_intervals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pod_id TEXT,
+    pod_name TEXT,
+    gpu_type TEXT,
+    cost_per_hour REAL,
+    project_id TEXT,
+    user_id TEXT,
+    started_at INTEGER,
+    ended_at INTEGER,
+    billed_until INTEGER,
+    last_seen_at INTEGER,
+    last_uptime INTEGER,
+    start_source TEXT,
+    end_reason TEXT
+  );
+
+  -- Comparisons of recorded spend against the provider balance
+  CREATE TABLE IF NOT EXISTS billing_checks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    window_start DATETIME,
+    window_end DATETIME,
+    balance_start REAL,
+    balance_end REAL,
+    provider_spend REAL,
+    recorded_spend REAL,
+    difference REAL,
+    discrepancy INTEGER DEFAULT 0,
+    acknowledged INTEGER DEFAULT 0,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
   -- Dead letter queue
   CREATE TABLE IF NOT EXISTS dead_letter_queue (
     id TEXT PRIMARY KEY,
@@ -73,6 +107,329 @@ db.exec(`
     total_usd REAL DEFAULT 0
   );
 
+  -- Batch generation runs (one prompt list against a pod)
+  CREATE TABLE IF NOT EXISTS batches (
+    id TEXT PRIMARY KEY,
+    mode TEXT DEFAULT 'pod',
+    pod_id TEXT,
+    pod_ids JSON,
+    engine TEXT,
+    workflow_id TEXT,
+    params JSON,
+    status TEXT DEFAULT 'RUNNING',
+    total INTEGER DEFAULT 0,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME
+  );
+
+  -- Individual prompts of a batch
+  CREATE TABLE IF NOT EXISTS batch_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    batch_id TEXT,
+    item_index INTEGER,
+    prompt TEXT,
+    pod_id TEXT,
+    status TEXT DEFAULT 'PENDING',
+    result JSON,
+    error TEXT,
+    attempts INTEGER DEFAULT 0,
+    started_at DATETIME,
+    completed_at DATETIME
+  );
+
+  -- Generated outputs stored on local disk
+  CREATE TABLE IF NOT EXISTS assets (
+    id TEXT PRIMARY KEY,
+    kind TEXT,
+    source TEXT,
+    filename TEXT,
+    storage_path TEXT,
+    mime_type TEXT,
+    size_bytes INTEGER,
+    original_url TEXT,
+    prompt TEXT,
+    negative_prompt TEXT,
+    seed INTEGER,
+    workflow_id TEXT,
+    pod_id TEXT,
+    endpoint_id TEXT,
+    job_id TEXT,
+    batch_id TEXT,
+    cost_usd REAL,
+    params JSON,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Projects / teams that resources and spend are attributed to
+  CREATE TABLE IF NOT EXISTS projects (
+    id TEXT PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    budget_daily REAL,
+    budget_monthly REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Project of each serverless endpoint (endpoints live only at the provider)
+  CREATE TABLE IF NOT EXISTS endpoint_projects (
+    endpoint_id TEXT PRIMARY KEY,
+    project_id TEXT,
+    user_id TEXT
+  );
+
+  -- Per-endpoint queue limits (NULL = default from the endpoint's workers / config)
+  CREATE TABLE IF NOT EXISTS endpoint_limits (
+    endpoint_id TEXT PRIMARY KEY,
+    max_concurrent INTEGER,
+    rate_per_second REAL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Spot (interruptable) pods: bid, what to do when outbid, and how to rebuild them on demand
+  CREATE TABLE IF NOT EXISTS spot_pods (
+    pod_id TEXT PRIMARY KEY,
+    name TEXT,
+    gpu_type_id TEXT,
+    gpu_count INTEGER DEFAULT 1,
+    bid_per_gpu REAL,
+    max_bid_per_gpu REAL,
+    policy TEXT,
+    on_demand_price REAL,
+    pod_options JSON,
+    status TEXT DEFAULT 'running',
+    interruptions INTEGER DEFAULT 0,
+    rebids INTEGER DEFAULT 0,
+    recovery_attempts INTEGER DEFAULT 0,
+    replaced_by TEXT,
+    last_seen_running_at INTEGER,
+    interrupted_at INTEGER,
+    resume_pending INTEGER DEFAULT 0,
+    resume_from INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- What happened to spot pods: interruptions, re-bids, on-demand replacements
+  CREATE TABLE IF NOT EXISTS spot_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pod_id TEXT,
+    event TEXT,
+    bid_per_gpu REAL,
+    new_pod_id TEXT,
+    detail TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Named pod launch settings: image or template, GPU preferences, disks, env, limits
+  CREATE TABLE IF NOT EXISTS launch_profiles (
+    id TEXT PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    settings JSON,
+    project_id TEXT,
+    user_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Readiness of tracked pods (timestamps in ms), kept by the readiness prober
+  CREATE TABLE IF NOT EXISTS pod_readiness (
+    pod_id TEXT PRIMARY KEY,
+    state TEXT NOT NULL,
+    engine TEXT,
+    models INTEGER,
+    message TEXT,
+    service_url TEXT,
+    changed_at INTEGER,
+    ready_at INTEGER,
+    checked_at INTEGER
+  );
+
+  -- Models (checkpoints, LoRAs, VAEs, ControlNets) a workflow or launch profile needs on its pods
+  CREATE TABLE IF NOT EXISTS model_manifests (
+    id TEXT PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    workflow_id TEXT,
+    models JSON,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Installation of a manifest on a pod, with the progress of each model
+  CREATE TABLE IF NOT EXISTS model_provisions (
+    id TEXT PRIMARY KEY,
+    pod_id TEXT NOT NULL,
+    manifest_id TEXT,
+    manifest_name TEXT,
+    status TEXT DEFAULT 'pending',
+    models JSON,
+    attempts INTEGER DEFAULT 0,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    completed_at DATETIME
+  );
+
+  -- Completed outputs by content hash of endpoint + input, reused until expires_at (ms)
+  CREATE TABLE IF NOT EXISTS result_cache (
+    input_hash TEXT PRIMARY KEY,
+    endpoint_id TEXT,
+    output JSON,
+    source_job_id TEXT,
+    cost_usd REAL,
+    duration_ms INTEGER,
+    hits INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_hit_at DATETIME,
+    expires_at INTEGER
+  );
+
+  -- Control panel users
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT DEFAULT 'viewer',
+    disabled INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_login_at DATETIME
+  );
+
+  -- Browser sessions (token stored hashed)
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME
+  );
+
+  -- Bearer tokens for scripts (token stored hashed)
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    name TEXT,
+    token_hash TEXT UNIQUE,
+    prefix TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    revoked_at DATETIME
+  );
+
+  -- Outbound notification channels (webhook, slack, discord, email)
+  CREATE TABLE IF NOT EXISTS notification_channels (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    config JSON,
+    enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Which events go to which channel ('*' and 'pod:*' style patterns)
+  CREATE TABLE IF NOT EXISTS notification_rules (
+    id TEXT PRIMARY KEY,
+    channel_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Delivery log; pending rows are retried with backoff (next_attempt_at in epoch ms)
+  CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id TEXT PRIMARY KEY,
+    channel_id TEXT,
+    event TEXT,
+    payload JSON,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at INTEGER,
+    last_error TEXT,
+    response_status INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME
+  );
+
+  -- Published events, kept for replay (id is the client cursor, created_at in epoch ms)
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event TEXT NOT NULL,
+    data JSON,
+    created_at INTEGER NOT NULL
+  );
+
+  -- One-off and cron schedules that submit jobs or start batches (times in epoch ms)
+  CREATE TABLE IF NOT EXISTS schedules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    payload JSON,
+    cron TEXT,
+    run_at INTEGER,
+    status TEXT DEFAULT 'active',
+    next_run_at INTEGER,
+    last_run_at INTEGER,
+    project_id TEXT,
+    user_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- History of schedule firings
+  CREATE TABLE IF NOT EXISTS schedule_runs (
+    id TEXT PRIMARY KEY,
+    schedule_id TEXT NOT NULL,
+    scheduled_for INTEGER,
+    started_at INTEGER,
+    status TEXT,
+    result JSON,
+    error TEXT
+  );
+
+  -- Pipeline definitions: steps (workflow or endpoint jobs) wired by references
+  CREATE TABLE IF NOT EXISTS pipelines (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    steps JSON,
+    user_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- One execution of a pipeline with its combined result
+  CREATE TABLE IF NOT EXISTS pipeline_runs (
+    id TEXT PRIMARY KEY,
+    pipeline_id TEXT,
+    name TEXT,
+    status TEXT DEFAULT 'RUNNING',
+    input JSON,
+    result JSON,
+    error TEXT,
+    project_id TEXT,
+    user_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME
+  );
+
+  -- Steps of a run; the definition is copied so editing a pipeline never affects running ones
+  CREATE TABLE IF NOT EXISTS pipeline_steps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id TEXT NOT NULL,
+    step_id TEXT NOT NULL,
+    step_index INTEGER,
+    definition JSON,
+    status TEXT DEFAULT 'PENDING',
+    attempts INTEGER DEFAULT 0,
+    job_id TEXT,
+    output JSON,
+    error TEXT,
+    retry_at INTEGER,
+    started_at DATETIME,
+    completed_at DATETIME
+  );
+
   -- Configuration
   CREATE TABLE IF NOT EXISTS config (
     key TEXT PRIMARY KEY,
@@ -84,8 +441,28 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_jobs_hash ON jobs(input_hash);
   CREATE INDEX IF NOT EXISTS idx_cost_log_date ON cost_log(logged_at);
   CREATE INDEX IF NOT EXISTS idx_pods_activity ON active_pods(last_activity);
+  CREATE INDEX IF NOT EXISTS idx_batches_status ON batches(status);
+  CREATE INDEX IF NOT EXISTS idx_batch_items_batch ON batch_items(batch_id, item_index);
+  CREATE INDEX IF NOT EXISTS idx_assets_created ON assets(created_at);
+  CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+  CREATE INDEX IF NOT EXISTS idx_pod_intervals_pod ON pod_intervals(pod_id, ended_at);
+  CREATE INDEX IF NOT EXISTS idx_cost_log_resource ON cost_log(resource_id);
+  CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+  CREATE INDEX IF NOT EXISTS idx_events_created ON events(created_at);
+  CREATE INDEX IF NOT EXISTS idx_notification_deliveries_status ON notification_deliveries(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_schedules_due ON schedules(status, next_run_at);
+  CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule ON schedule_runs(schedule_id, started_at);
+  CREATE INDEX IF NOT EXISTS idx_pipeline_runs_status ON pipeline_runs(status);
+  CREATE INDEX IF NOT EXISTS idx_pipeline_steps_run ON pipeline_steps(run_id, step_index);
+  CREATE INDEX IF NOT EXISTS idx_pipeline_steps_job ON pipeline_steps(job_id);
+  CREATE INDEX IF NOT EXISTS idx_result_cache_expires ON result_cache(expires_at);
+  CREATE INDEX IF NOT EXISTS idx_spot_events_pod ON spot_events(pod_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_model_provisions_pod ON model_provisions(pod_id, status);
 `);
 
+// Untagged resources and old cost entries belong to the default project
+db.exec(`INSERT OR IGNORE INTO projects (id, name, description) VALUES ('default', 'Default', 'Resources without a project')`);
+
 // Run migrations for new columns (if table exists but column doesn't)
 try {
   db.exec(`ALTER TABLE active_pods ADD COLUMN spending_limit REAL`);
@@ -103,15 +480,138 @@ try {
   db.exec(`ALTER TABLE active_pods ADD COLUMN port INTEGER`);
 } catch (e) { /* Column might already exist */ }
 
+// Minutes of inactivity before the pod is stopped (NULL = AUTO_SHUTDOWN_MINUTES, 0 = never)
+try {
+  db.exec(`ALTER TABLE active_pods ADD COLUMN idle_shutdown_minutes INTEGER`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE batches ADD COLUMN mode TEXT DEFAULT 'pod'`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE batches ADD COLUMN pod_ids JSON`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE batch_items ADD COLUMN pod_id TEXT`);
+} catch (e) { /* Column might already exist */ }
+
+// Project and user attribution
+for (const table of ['active_pods', 'jobs', 'cost_log']) {
+  try {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN project_id TEXT`);
+  } catch (e) { /* Column might already exist */ }
+
+  try {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN user_id TEXT`);
+  } catch (e) { /* Column might already exist */ }
+}
+
+// Scheduling lane of a job (0 = low, 1 = normal, 2 = high)
+try {
+  db.exec(`ALTER TABLE jobs ADD COLUMN priority INTEGER DEFAULT 1`);
+} catch (e) { /* Column might already exist */ }
+
+// Dead letter console: open / retried / discarded, error category, outcome
+try {
+  db.exec(`ALTER TABLE dead_letter_queue ADD COLUMN status TEXT DEFAULT 'open'`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE dead_letter_queue ADD COLUMN category TEXT`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE dead_letter_queue ADD COLUMN retried_job_id TEXT`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE dead_letter_queue ADD COLUMN resolved_at DATETIME`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE dead_letter_queue ADD COLUMN resolved_by TEXT`);
+} catch (e) { /* Column might already exist */ }
+
+db.exec(`UPDATE dead_letter_queue SET category = 'unknown' WHERE category IS NULL`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_dlq_status ON dead_letter_queue(status, created_at)`);
+
+// Streaming jobs: latest progress (0-100) and the partial outputs received so far
+try {
+  db.exec(`ALTER TABLE jobs ADD COLUMN stream INTEGER DEFAULT 0`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE jobs ADD COLUMN progress REAL`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE jobs ADD COLUMN partial_output JSON`);
+} catch (e) { /* Column might already exist */ }
+
+// Jobs answered from the result cache: the job whose output was reused and its cost
+try {
+  db.exec(`ALTER TABLE jobs ADD COLUMN cached_from TEXT`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE jobs ADD COLUMN cost_saved_usd REAL`);
+} catch (e) { /* Column might already exist */ }
+
+// Images in a completed job's output, for the cost per image
+try {
+  db.exec(`ALTER TABLE jobs ADD COLUMN image_count INTEGER`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE users ADD COLUMN budget_daily REAL`);
+} catch (e) { /* Column might already exist */ }
+
+try {
+  db.exec(`ALTER TABLE users ADD COLUMN budget_monthly REAL`);
+} catch (e) { /* Column might already exist */ }
+
+// Shared WHERE clause for spend queries filtered by project and/or user
+function spendFilter(filter = {}) {
+  const clauses = [];
+  const params = [];
+  if (filter.projectId) {
+    clauses.push(`COALESCE(project_id, 'default') = ?`);
+    params.push(filter.projectId);
+  }
+  if (filter.userId) {
+    clauses.push('user_id = ?');
+    params.push(filter.userId);
+  }
+  return { sql: clauses.map(c => ` AND ${c}`).join(''), params };
+}
+
+// Fair-share key of a job (jobs without a user share the '' key)
+const SHARE_KEY_COLUMNS = {
+  user: `COALESCE(user_id, '')`,
+  project: `COALESCE(project_id, 'default')`,
+  endpoint: 'endpoint_id'
+};
+
 // Database wrapper functions
 export const database = {
   // Jobs
   createJob(job) {
     const stmt = db.prepare(`
-      INSERT INTO jobs (id, endpoint_id, status, input_hash, input)
-      VALUES (?, ?, 'PENDING', ?, ?)
+      INSERT INTO jobs (id, endpoint_id, status, input_hash, input, project_id, user_id, priority, stream)
+      VALUES (?, ?, 'PENDING', ?, ?, ?, ?, ?, ?)
     `);
-    return stmt.run(job.id, job.endpointId, job.inputHash, JSON.stringify(job.input));
+    return stmt.run(
+      job.id,
+      job.endpointId,
+      job.inputHash,
+      JSON.stringify(job.input),
+      job.projectId || 'default',
+      job.userId || null,
+      job.priority ?? 1,
+      job.stream ? 1 : 0
+    );
   },
 
   updateJob(id, updates) {
@@ -131,6 +631,7 @@ export const database = {
     if (job) {
       job.input = JSON.parse(job.input || '{}');
       job.output = JSON.parse(job.output || 'null');
+      job.partial_output = JSON.parse(job.partial_output || 'null');
     }
     return job;
   },
@@ -138,7 +639,7 @@ export const database = {
   getJobByHash(inputHash) {
     const stmt = db.prepare(`
       SELECT * FROM jobs 
-      WHERE input_hash = ? AND status IN ('COMPLETED', 'RUNNING', 'PENDING', 'IN_QUEUE')
+      WHERE input_hash = ? AND status IN ('RUNNING', 'PENDING', 'IN_QUEUE')
       ORDER BY created_at DESC LIMIT 1
     `);
     return stmt.get(inputHash);
@@ -160,7 +661,8 @@ export const database = {
     return stmt.all(...params).map(job => ({
       ...job,
       input: JSON.parse(job.input || '{}'),
-      output: JSON.parse(job.output || 'null')
+      output: JSON.parse(job.output || 'null'),
+      partial_output: JSON.parse(job.partial_output || 'null')
     }));
   },
 
@@ -168,7 +670,7 @@ export const database = {
     const stmt = db.prepare(`
       SELECT * FROM jobs 
       WHERE status = 'PENDING' 
-      ORDER BY created_at ASC 
+      ORDER BY priority DESC, created_at ASC, rowid ASC
       LIMIT ?
     `);
     return stmt.all(limit).map(job => ({
@@ -177,110 +679,350 @@ export const database = {
     }));
   },
 
-  // Dead Letter Queue
-  addToDeadLetter(job, error) {
+  /**
+   * Pending jobs for a scheduling pass: the oldest `perKey` of every share key
+   * in each lane and endpoint, so no key is hidden behind another's backlog.
+   * Each job carries its `share_key`.
+   */
+  getPendingJobsByShare(groupBy = 'user', perKey = 10) {
+    const column = SHARE_KEY_COLUMNS[groupBy] || SHARE_KEY_COLUMNS.user;
     const stmt = db.prepare(`
-      INSERT INTO dead_letter_queue (id, original_job_id, endpoint_id, job_data, error, attempts)
-      VALUES (?, ?, ?, ?, ?, ?)
+      SELECT * FROM (
+        SELECT jobs.*, ${column} as share_key, rowid as row_order,
+          ROW_NUMBER() OVER (PARTITION BY ${column}, priority, endpoint_id ORDER BY created_at ASC, rowid ASC) as share_rank
+        FROM jobs
+        WHERE status = 'PENDING'
+      )
+      WHERE share_rank <= ?
+      ORDER BY priority DESC, created_at ASC, row_order ASC
     `);
-    return stmt.run(
-      `dlq_${Date.now()}`,
-      job.id,
-      job.endpointId,
-      JSON.stringify(job),
-      error,
-      job.attempts
-    );
+    return stmt.all(perKey).map(({ row_order, share_rank, ...job }) => ({
+      ...job,
+      input: JSON.parse(job.input || '{}')
+    }));
   },
 
-  getDeadLetterJobs() {
-    const stmt = db.prepare('SELECT * FROM dead_letter_queue ORDER BY created_at DESC');
+  /**
+   * Jobs that were handed to (or being sent to) the provider
+   */
+  getActiveJobs() {
+    const stmt = db.prepare(`
+      SELECT * FROM jobs
+      WHERE status IN ('RUNNING', 'IN_QUEUE')
+      ORDER BY created_at ASC, rowid ASC
+    `);
     return stmt.all().map(job => ({
       ...job,
-      job_data: JSON.parse(job.job_data || '{}')
+      input: JSON.parse(job.input || '{}')
     }));
   },
 
-  // Cost tracking
-  logCost(entry) {
+  /**
+   * Jobs currently holding a slot, counted per user, project or endpoint
+   */
+  getActiveJobCounts(groupBy = 'user') {
+    const column = SHARE_KEY_COLUMNS[groupBy] || SHARE_KEY_COLUMNS.user;
     const stmt = db.prepare(`
-      INSERT INTO cost_log (resource_id, resource_type, resource_name, cost_usd, duration_seconds, gpu_type)
-      VALUES (?, ?, ?, ?, ?, ?)
+      SELECT ${column} as share_key, COUNT(*) as count
+      FROM jobs
+      WHERE status IN ('RUNNING', 'IN_QUEUE')
+      GROUP BY share_key
     `);
-    return stmt.run(
-      entry.resourceId,
-      entry.resourceType,
-      entry.resourceName,
-      entry.costUsd,
-      entry.durationSeconds,
-      entry.gpuType
-    );
+    return Object.fromEntries(stmt.all().map(r => [r.share_key, r.count]));
   },
 
-  getTodaySpend() {
-    const today = new Date().toISOString().split('T')[0];
+  getPendingJobCounts(groupBy = 'user') {
+    const column = SHARE_KEY_COLUMNS[groupBy] || SHARE_KEY_COLUMNS.user;
     const stmt = db.prepare(`
-      SELECT COALESCE(SUM(cost_usd), 0) as total
-      FROM cost_log 
-      WHERE DATE(logged_at) = ?
+      SELECT ${column} as share_key, COUNT(*) as count
+      FROM jobs
+      WHERE status = 'PENDING'
+      GROUP BY share_key
     `);
-    return stmt.get(today)?.total || 0;
+    return Object.fromEntries(stmt.all().map(r => [r.share_key, r.count]));
   },
 
-  getMonthSpend() {
-    const firstOfMonth = new Date();
-    firstOfMonth.setDate(1);
+  getPendingCountsByEndpoint() {
     const stmt = db.prepare(`
-      SELECT COALESCE(SUM(cost_usd), 0) as total
-      FROM cost_log 
-      WHERE logged_at >= ?
+      SELECT endpoint_id, COUNT(*) as count FROM jobs
+      WHERE status = 'PENDING' GROUP BY endpoint_id
     `);
-    return stmt.get(firstOfMonth.toISOString())?.total || 0;
+    return Object.fromEntries(stmt.all().map(r => [r.endpoint_id, r.count]));
   },
 
-  getCostHistory(days = 30) {
+  getPendingCountsByPriority() {
     const stmt = db.prepare(`
-      SELECT DATE(logged_at) as date, SUM(cost_usd) as total
-      FROM cost_log
-      WHERE logged_at >= datetime('now', '-${days} days')
-      GROUP BY DATE(logged_at)
-      ORDER BY date DESC
+      SELECT priority, COUNT(*) as count FROM jobs
+      WHERE status = 'PENDING' GROUP BY priority
     `);
     return stmt.all();
   },
 
-  // Pods
-  trackPod(pod) {
+  setJobPriority(id, priority) {
+    const stmt = db.prepare(`UPDATE jobs SET priority = ? WHERE id = ? AND status = 'PENDING'`);
+    return stmt.run(priority, id);
+  },
+
+  // Dead Letter Queue
+  addToDeadLetter(entry) {
     const stmt = db.prepare(`
-      INSERT OR REPLACE INTO active_pods (id, name, gpu_type, cost_per_hour, status, task_type, port, spending_limit, total_spent, last_activity, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE((SELECT total_spent FROM active_pods WHERE id = ?), 0), CURRENT_TIMESTAMP, COALESCE((SELECT created_at FROM active_pods WHERE id = ?), CURRENT_TIMESTAMP))
+      INSERT INTO dead_letter_queue (id, original_job_id, endpoint_id, job_data, error, attempts, category)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
     return stmt.run(
-      pod.id,
-      pod.name,
-      pod.gpuType,
-      pod.costPerHour,
-      pod.status,
-      pod.taskType || null,
-      pod.port || null,
-      pod.spendingLimit || null,
-      pod.id,
-      pod.id
+      entry.id,
+      entry.jobId,
+      entry.endpointId,
+      JSON.stringify(entry.job),
+      entry.error,
+      entry.attempts,
+      entry.category
     );
   },
 
-  updatePodActivity(podId) {
-    const stmt = db.prepare(`
-      UPDATE active_pods SET last_activity = CURRENT_TIMESTAMP WHERE id = ?
-    `);
-    return stmt.run(podId);
-  },
+  getDeadLetterJobs(filter = {}) {
+    let query = 'SELECT * FROM dead_letter_queue WHERE 1=1';
+    const params = [];
 
-  updatePodSpending(podId, totalSpent) {
-    const stmt = db.prepare(`
-      UPDATE active_pods SET total_spent = ? WHERE id = ?
-    `);
-    return stmt.run(totalSpent, podId);
+    if (filter.ids) {
+      query += ` AND id IN (${filter.ids.map(() => '?').join(', ') || 'NULL'})`;
+      params.push(...filter.ids);
+    }
+    if (filter.status) {
+      query += ' AND status = ?';
+      params.push(filter.status);
+    }
+    if (filter.category) {
+      query += ' AND category = ?';
+      params.push(filter.category);
+    }
+    if (filter.endpointId) {
+      query += ' AND endpoint_id = ?';
+      params.push(filter.endpointId);
+    }
+    if (filter.q) {
+      query += ' AND (error LIKE ? OR original_job_id LIKE ?)';
+      params.push(`%${filter.q}%`, `%${filter.q}%`);
+    }
+
+    query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+    params.push(filter.limit || 100);
+
+    const stmt = db.prepare(query);
+    return stmt.all(...params).map(job => ({
+      ...job,
+      job_data: JSON.parse(job.job_data || '{}')
+    }));
+  },
+
+  getDeadLetterJob(id) {
+    const stmt = db.prepare('SELECT * FROM dead_letter_queue WHERE id = ?');
+    const entry = stmt.get(id);
+    if (entry) entry.job_data = JSON.parse(entry.job_data || '{}');
+    return entry;
+  },
+
+  /**
+   * Close an open entry; returns 0 changes if it was already resolved
+   */
+  resolveDeadLetter(id, status, userId = null, retriedJobId = null) {
+    const stmt = db.prepare(`
+      UPDATE dead_letter_queue
+      SET status = ?, resolved_by = ?, retried_job_id = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'open'
+    `);
+    return stmt.run(status, userId, retriedJobId, id);
+  },
+
+  setDeadLetterRetriedJob(id, retriedJobId) {
+    const stmt = db.prepare('UPDATE dead_letter_queue SET retried_job_id = ? WHERE id = ?');
+    return stmt.run(retriedJobId, id);
+  },
+
+  // Undo a claimed retry whose job could not be queued
+  reopenDeadLetter(id) {
+    const stmt = db.prepare(`
+      UPDATE dead_letter_queue
+      SET status = 'open', resolved_by = NULL, retried_job_id = NULL, resolved_at = NULL
+      WHERE id = ? AND status = 'retried'
+    `);
+    return stmt.run(id);
+  },
+
+  getDeadLetterStats() {
+    const stmt = db.prepare(`
+      SELECT status, COALESCE(category, 'unknown') as category, COUNT(*) as count
+      FROM dead_letter_queue GROUP BY status, category
+    `);
+    return stmt.all();
+  },
+
+  /**
+   * Retention: drop resolved entries older than `resolvedDays` and, when
+   * `openDays` is set, open ones older than that
+   */
+  purgeDeadLetters(resolvedDays, openDays = 0) {
+    let removed = db.prepare(`
+      DELETE FROM dead_letter_queue
+      WHERE status != 'open' AND COALESCE(resolved_at, created_at) < datetime('now', ?)
+    `).run(`-${resolvedDays} days`).changes;
+    if (openDays > 0) {
+      removed += db.prepare(`
+        DELETE FROM dead_letter_queue WHERE status = 'open' AND created_at < datetime('now', ?)
+      `).run(`-${openDays} days`).changes;
+    }
+    return removed;
+  },
+
+  // Cost tracking
+  logCost(entry) {
+    const stmt = db.prepare(`
+      INSERT INTO cost_log (resource_id, resource_type, resource_name, cost_usd, duration_seconds, gpu_type, project_id, user_id, logged_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `);
+    return stmt.run(
+      entry.resourceId,
+      entry.resourceType,
+      entry.resourceName,
+      entry.costUsd,
+      entry.durationSeconds,
+      entry.gpuType,
+      entry.projectId || 'default',
+      entry.userId || null,
+      entry.loggedAt || null
+    );
+  },
+
+  getResourceSpend(resourceId) {
+    const stmt = db.prepare('SELECT COALESCE(SUM(cost_usd), 0) as total FROM cost_log WHERE resource_id = ?');
+    return stmt.get(resourceId).total;
+  },
+
+  /**
+   * Spend logged in (from, to], both in SQLite datetime format
+   */
+  getSpendBetween(from, to) {
+    const stmt = db.prepare(`
+      SELECT COALESCE(SUM(cost_usd), 0) as total FROM cost_log
+      WHERE logged_at > ? AND logged_at <= ?
+    `);
+    return stmt.get(from, to).total;
+  },
+
+  getTodaySpend(filter = {}) {
+    const where = spendFilter(filter);
+    const stmt = db.prepare(`
+      SELECT COALESCE(SUM(cost_usd), 0) as total
+      FROM cost_log 
+      WHERE DATE(logged_at) = DATE('now')${where.sql}
+    `);
+    return stmt.get(...where.params)?.total || 0;
+  },
+
+  getMonthSpend(filter = {}) {
+    const where = spendFilter(filter);
+    const stmt = db.prepare(`
+      SELECT COALESCE(SUM(cost_usd), 0) as total
+      FROM cost_log 
+      WHERE logged_at >= DATE('now', 'start of month')${where.sql}
+    `);
+    return stmt.get(...where.params)?.total || 0;
+  },
+
+  /**
+   * Total spend of the last N days and when the oldest entry in that window was logged
+   */
+  getSpendTrend(days = 7, filter = {}) {
+    const where = spendFilter(filter);
+    const stmt = db.prepare(`
+      SELECT COALESCE(SUM(cost_usd), 0) as total, MIN(logged_at) as first_logged_at
+      FROM cost_log
+      WHERE logged_at >= datetime('now', ?)${where.sql}
+    `);
+    return stmt.get(`-${parseInt(days) || 7} days`, ...where.params);
+  },
+
+  /**
+   * Spend grouped by project or user: today, this month and the last N days
+   */
+  getCostBreakdown(groupBy = 'project', days = 30) {
+    const column = groupBy === 'user' ? 'user_id' : `COALESCE(project_id, 'default')`;
+    const stmt = db.prepare(`
+      SELECT ${column} as id,
+        COALESCE(SUM(CASE WHEN DATE(logged_at) = DATE('now') THEN cost_usd END), 0) as today,
+        COALESCE(SUM(CASE WHEN logged_at >= DATE('now', 'start of month') THEN cost_usd END), 0) as month,
+        COALESCE(SUM(cost_usd), 0) as total,
+        COALESCE(SUM(CASE WHEN resource_type = 'pod' THEN cost_usd END), 0) as pods,
+        COALESCE(SUM(CASE WHEN resource_type != 'pod' THEN cost_usd END), 0) as serverless
+      FROM cost_log
+      WHERE logged_at >= datetime('now', ?)
+      GROUP BY ${column}
+      ORDER BY total DESC
+    `);
+    return stmt.all(`-${parseInt(days) || 30} days`);
+  },
+
+  getCostHistory(days = 30) {
+    const stmt = db.prepare(`
+      SELECT DATE(logged_at) as date, SUM(cost_usd) as total
+      FROM cost_log
+      WHERE logged_at >= datetime('now', '-${days} days')
+      GROUP BY DATE(logged_at)
+      ORDER BY date DESC
+    `);
+    return stmt.all();
+  },
+
+  // Pods
+  trackPod(pod) {
+    const stmt = db.prepare(`
+      INSERT OR REPLACE INTO active_pods (id, name, gpu_type, cost_per_hour, status, task_type, port, spending_limit, total_spent, last_activity, created_at, project_id, user_id, idle_shutdown_minutes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE((SELECT total_spent FROM active_pods WHERE id = ?), 0), CURRENT_TIMESTAMP, COALESCE((SELECT created_at FROM active_pods WHERE id = ?), CURRENT_TIMESTAMP),
+        COALESCE(?, (SELECT project_id FROM active_pods WHERE id = ?), 'default'), COALESCE(?, (SELECT user_id FROM active_pods WHERE id = ?)),
+        COALESCE(?, (SELECT idle_shutdown_minutes FROM active_pods WHERE id = ?)))
+    `);
+    return stmt.run(
+      pod.id,
+      pod.name,
+      pod.gpuType,
+      pod.costPerHour,
+      pod.status,
+      pod.taskType || null,
+      pod.port || null,
+      pod.spendingLimit || null,
+      pod.id,
+      pod.id,
+      pod.projectId || null,
+      pod.id,
+      pod.userId || null,
+      pod.id,
+      pod.idleShutdownMinutes ?? null,
+      pod.id
+    );
+  },
+
+  setPodStatus(podId, status) {
+    const stmt = db.prepare('UPDATE active_pods SET status = ?, last_activity = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(status, podId);
+  },
+
+  setPodProject(podId, projectId) {
+    const stmt = db.prepare('UPDATE active_pods SET project_id = ? WHERE id = ?');
+    return stmt.run(projectId, podId);
+  },
+
+  updatePodActivity(podId) {
+    const stmt = db.prepare(`
+      UPDATE active_pods SET last_activity = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+    return stmt.run(podId);
+  },
+
+  updatePodSpending(podId, totalSpent) {
+    const stmt = db.prepare(`
+      UPDATE active_pods SET total_spent = ? WHERE id = ?
+    `);
+    return stmt.run(totalSpent, podId);
   },
 
   getTrackedPods() {
@@ -288,20 +1030,1260 @@ export const database = {
     return stmt.all();
   },
 
+  getTrackedPod(podId) {
+    const stmt = db.prepare('SELECT * FROM active_pods WHERE id = ?');
+    return stmt.get(podId);
+  },
+
   removePod(podId) {
     const stmt = db.prepare('DELETE FROM active_pods WHERE id = ?');
     return stmt.run(podId);
   },
 
+  /**
+   * Running pods idle longer than their own idle_shutdown_minutes, or `minutesThreshold`
+   */
   getInactivePods(minutesThreshold) {
     const stmt = db.prepare(`
       SELECT * FROM active_pods 
-      WHERE datetime(last_activity, '+${minutesThreshold} minutes') < datetime('now')
+      WHERE COALESCE(idle_shutdown_minutes, ?) > 0
+      AND datetime(last_activity, '+' || COALESCE(idle_shutdown_minutes, ?) || ' minutes') < datetime('now')
       AND status = 'RUNNING'
     `);
+    return stmt.all(minutesThreshold, minutesThreshold);
+  },
+
+  // Pod billing intervals
+  openPodInterval(interval) {
+    const stmt = db.prepare(`
+      INSERT INTO pod_intervals (pod_id, pod_name, gpu_type, cost_per_hour, project_id, user_id,
+        started_at, billed_until, last_seen_at, last_uptime, start_source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      interval.podId,
+      interval.podName || null,
+      interval.gpuType || null,
+      interval.costPerHour || 0,
+      interval.projectId || 'default',
+      interval.userId || null,
+      interval.startedAt,
+      interval.startedAt,
+      interval.lastSeenAt ?? interval.startedAt,
+      interval.lastUptime ?? null,
+      interval.source
+    );
+  },
+
+  updatePodInterval(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const stmt = db.prepare(`UPDATE pod_intervals SET ${fields} WHERE id = ?`);
+    return stmt.run(...Object.values(updates), id);
+  },
+
+  getOpenPodIntervals() {
+    const stmt = db.prepare('SELECT * FROM pod_intervals WHERE ended_at IS NULL ORDER BY started_at ASC');
     return stmt.all();
   },
 
+  getOpenPodInterval(podId) {
+    const stmt = db.prepare('SELECT * FROM pod_intervals WHERE pod_id = ? AND ended_at IS NULL');
+    return stmt.get(podId);
+  },
+
+  getPodIntervals(podId = null, limit = 100) {
+    const stmt = podId
+      ? db.prepare('SELECT * FROM pod_intervals WHERE pod_id = ? ORDER BY started_at DESC LIMIT ?')
+      : db.prepare('SELECT * FROM pod_intervals ORDER BY started_at DESC LIMIT ?');
+    return podId ? stmt.all(podId, limit) : stmt.all(limit);
+  },
+
+  // Billing checks
+  createBillingCheck(check) {
+    const stmt = db.prepare(`
+      INSERT INTO billing_checks (window_start, window_end, balance_start, balance_end,
+        provider_spend, recorded_spend, difference, discrepancy, note)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      check.windowStart,
+      check.windowEnd,
+      check.balanceStart,
+      check.balanceEnd,
+      check.providerSpend,
+      check.recordedSpend,
+      check.difference,
+      check.discrepancy ? 1 : 0,
+      check.note || null
+    );
+    return this.getBillingCheck(result.lastInsertRowid);
+  },
+
+  getBillingCheck(id) {
+    const stmt = db.prepare('SELECT * FROM billing_checks WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  getBillingChecks(limit = 50, discrepanciesOnly = false) {
+    const stmt = db.prepare(`
+      SELECT * FROM billing_checks
+      ${discrepanciesOnly ? 'WHERE discrepancy = 1' : ''}
+      ORDER BY id DESC LIMIT ?
+    `);
+    return stmt.all(limit);
+  },
+
+  acknowledgeBillingCheck(id) {
+    const stmt = db.prepare('UPDATE billing_checks SET acknowledged = 1 WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // Batches
+  createBatch(batch) {
+    const insertBatch = db.prepare(`
+      INSERT INTO batches (id, mode, pod_id, pod_ids, engine, workflow_id, params, status, total)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'RUNNING', ?)
+    `);
+    const insertItem = db.prepare(`
+      INSERT INTO batch_items (batch_id, item_index, prompt) VALUES (?, ?, ?)
+    `);
+
+    return db.transaction(() => {
+      insertBatch.run(
+        batch.id,
+        batch.mode || 'pod',
+        batch.podId || null,
+        batch.podIds ? JSON.stringify(batch.podIds) : null,
+        batch.engine,
+        batch.workflowId,
+        JSON.stringify(batch.params || {}),
+        batch.prompts.length
+      );
+      batch.prompts.forEach((prompt, index) => insertItem.run(batch.id, index, prompt));
+    })();
+  },
+
+  updateBatch(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v !== null && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE batches SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`);
+    return stmt.run(...values, id);
+  },
+
+  getBatch(id) {
+    const batch = db.prepare('SELECT * FROM batches WHERE id = ?').get(id);
+    if (batch) {
+      batch.params = JSON.parse(batch.params || '{}');
+      batch.pod_ids = JSON.parse(batch.pod_ids || 'null');
+      Object.assign(batch, this.getBatchCounts(id));
+    }
+    return batch;
+  },
+
+  getBatches(limit = 50, status = null) {
+    let query = 'SELECT * FROM batches';
+    const params = [];
+
+    if (status) {
+      query += ' WHERE status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(limit);
+
+    return db.prepare(query).all(...params).map(batch => ({
+      ...batch,
+      params: JSON.parse(batch.params || '{}'),
+      pod_ids: JSON.parse(batch.pod_ids || 'null'),
+      ...this.getBatchCounts(batch.id)
+    }));
+  },
+
+  getBatchCounts(batchId) {
+    const stmt = db.prepare(`
+      SELECT
+        SUM(CASE WHEN status = 'COMPLETED' THEN 1 ELSE 0 END) as completed,
+        SUM(CASE WHEN status = 'FAILED' THEN 1 ELSE 0 END) as failed,
+        SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END) as pending,
+        SUM(CASE WHEN status = 'RUNNING' THEN 1 ELSE 0 END) as running,
+        SUM(CASE WHEN status = 'CANCELLED' THEN 1 ELSE 0 END) as cancelled
+      FROM batch_items WHERE batch_id = ?
+    `);
+    const row = stmt.get(batchId);
+    return {
+      completed: row.completed || 0,
+      failed: row.failed || 0,
+      pending: row.pending || 0,
+      running: row.running || 0,
+      cancelled: row.cancelled || 0
+    };
+  },
+
+  getBatchPodStats(batchId) {
+    const stmt = db.prepare(`
+      SELECT
+        pod_id,
+        SUM(CASE WHEN status = 'COMPLETED' THEN 1 ELSE 0 END) as completed,
+        SUM(CASE WHEN status = 'FAILED' THEN 1 ELSE 0 END) as failed,
+        SUM(CASE WHEN status = 'RUNNING' THEN 1 ELSE 0 END) as running,
+        AVG(CASE WHEN status = 'COMPLETED'
+          THEN (julianday(completed_at) - julianday(started_at)) * 86400 END) as avg_seconds,
+        MIN(started_at) as first_started_at,
+        MAX(completed_at) as last_completed_at
+      FROM batch_items
+      WHERE batch_id = ? AND pod_id IS NOT NULL
+      GROUP BY pod_id
+    `);
+    return stmt.all(batchId);
+  },
+
+  getBatchItems(batchId) {
+    const stmt = db.prepare('SELECT * FROM batch_items WHERE batch_id = ? ORDER BY item_index ASC');
+    return stmt.all(batchId).map(item => ({
+      ...item,
+      result: JSON.parse(item.result || 'null')
+    }));
+  },
+
+  getBatchItem(batchId, index) {
+    const item = db.prepare('SELECT * FROM batch_items WHERE batch_id = ? AND item_index = ?').get(batchId, index);
+    if (item) item.result = JSON.parse(item.result || 'null');
+    return item;
+  },
+
+  getNextBatchItem(batchId) {
+    const stmt = db.prepare(`
+      SELECT * FROM batch_items
+      WHERE batch_id = ? AND status = 'PENDING'
+      ORDER BY item_index ASC LIMIT 1
+    `);
+    return stmt.get(batchId);
+  },
+
+  getRunningBatchItems(batchId) {
+    const stmt = db.prepare(`
+      SELECT * FROM batch_items
+      WHERE batch_id = ? AND status = 'RUNNING'
+      ORDER BY started_at ASC
+    `);
+    return stmt.all(batchId);
+  },
+
+  updateBatchItem(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v !== null && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE batch_items SET ${fields} WHERE id = ?`);
+    return stmt.run(...values, id);
+  },
+
+  setBatchItemsStatus(batchId, fromStatus, toStatus) {
+    const stmt = db.prepare('UPDATE batch_items SET status = ? WHERE batch_id = ? AND status = ?');
+    return stmt.run(toStatus, batchId, fromStatus);
+  },
+
+  /**
+   * Put back the items a pod was generating, and those that failed on it since `since` (ISO)
+   */
+  requeueBatchItemsOfPod(batchId, podId, since) {
+    const stmt = db.prepare(`
+      UPDATE batch_items SET status = 'PENDING', error = NULL, result = NULL
+      WHERE batch_id = ? AND pod_id = ? AND (status = 'RUNNING' OR (status = 'FAILED' AND completed_at >= ?))
+    `);
+    return stmt.run(batchId, podId, since).changes;
+  },
+
+  // Assets
+  createAsset(asset) {
+    const stmt = db.prepare(`
+      INSERT INTO assets (id, kind, source, filename, storage_path, mime_type, size_bytes, original_url,
+        prompt, negative_prompt, seed, workflow_id, pod_id, endpoint_id, job_id, batch_id, cost_usd, params)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      asset.id,
+      asset.kind,
+      asset.source,
+      asset.filename,
+      asset.storagePath,
+      asset.mimeType,
+      asset.sizeBytes,
+      asset.originalUrl || null,
+      asset.prompt || null,
+      asset.negativePrompt || null,
+      asset.seed ?? null,
+      asset.workflowId || null,
+      asset.podId || null,
+      asset.endpointId || null,
+      asset.jobId || null,
+      asset.batchId || null,
+      asset.costUsd ?? null,
+      JSON.stringify(asset.params || {})
+    );
+  },
+
+  getAsset(id) {
+    const asset = db.prepare('SELECT * FROM assets WHERE id = ?').get(id);
+    if (asset) asset.params = JSON.parse(asset.params || '{}');
+    return asset;
+  },
+
+  searchAssets(filters = {}) {
+    const { q, kind, source, podId, endpointId, workflowId, batchId, jobId, limit = 50, offset = 0 } = filters;
+    const where = [];
+    const params = [];
+
+    if (q) {
+      where.push('(prompt LIKE ? OR filename LIKE ?)');
+      params.push(`%${q}%`, `%${q}%`);
+    }
+    if (kind) { where.push('kind = ?'); params.push(kind); }
+    if (source) { where.push('source = ?'); params.push(source); }
+    if (podId) { where.push('pod_id = ?'); params.push(podId); }
+    if (endpointId) { where.push('endpoint_id = ?'); params.push(endpointId); }
+    if (workflowId) { where.push('workflow_id = ?'); params.push(workflowId); }
+    if (batchId) { where.push('batch_id = ?'); params.push(batchId); }
+    if (jobId) { where.push('job_id = ?'); params.push(jobId); }
+
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) as count FROM assets ${whereSql}`).get(...params).count;
+    const assets = db.prepare(`
+      SELECT * FROM assets ${whereSql}
+      ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(asset => ({
+      ...asset,
+      params: JSON.parse(asset.params || '{}')
+    }));
+
+    return { total, assets };
+  },
+
+  deleteAsset(id) {
+    const stmt = db.prepare('DELETE FROM assets WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // Projects
+  createProject(project) {
+    const stmt = db.prepare(`
+      INSERT INTO projects (id, name, description, budget_daily, budget_monthly)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(project.id, project.name, project.description || null,
+      project.budgetDaily ?? null, project.budgetMonthly ?? null);
+  },
+
+  updateProject(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const stmt = db.prepare(`UPDATE projects SET ${fields} WHERE id = ?`);
+    return stmt.run(...Object.values(updates), id);
+  },
+
+  getProject(id) {
+    const stmt = db.prepare('SELECT * FROM projects WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  getProjectByName(name) {
+    const stmt = db.prepare('SELECT * FROM projects WHERE name = ?');
+    return stmt.get(name);
+  },
+
+  getProjects() {
+    const stmt = db.prepare('SELECT * FROM projects ORDER BY created_at ASC');
+    return stmt.all();
+  },
+
+  /**
+   * Delete a project, moving its resources and history to the default project
+   */
+  deleteProject(id) {
+    return db.transaction(() => {
+      for (const table of ['active_pods', 'jobs', 'cost_log', 'endpoint_projects']) {
+        db.prepare(`UPDATE ${table} SET project_id = 'default' WHERE project_id = ?`).run(id);
+      }
+      db.prepare('DELETE FROM projects WHERE id = ?').run(id);
+    })();
+  },
+
+  setEndpointProject(endpointId, projectId, userId = null) {
+    const stmt = db.prepare(`
+      INSERT INTO endpoint_projects (endpoint_id, project_id, user_id) VALUES (?, ?, ?)
+      ON CONFLICT(endpoint_id) DO UPDATE SET project_id = excluded.project_id
+    `);
+    return stmt.run(endpointId, projectId, userId);
+  },
+
+  getEndpointProject(endpointId) {
+    const stmt = db.prepare('SELECT * FROM endpoint_projects WHERE endpoint_id = ?');
+    return stmt.get(endpointId);
+  },
+
+  getEndpointProjects() {
+    const stmt = db.prepare('SELECT * FROM endpoint_projects');
+    return stmt.all();
+  },
+
+  removeEndpointProject(endpointId) {
+    const stmt = db.prepare('DELETE FROM endpoint_projects WHERE endpoint_id = ?');
+    return stmt.run(endpointId);
+  },
+
+  // Endpoint limits
+  setEndpointLimit(endpointId, maxConcurrent, ratePerSecond) {
+    const stmt = db.prepare(`
+      INSERT INTO endpoint_limits (endpoint_id, max_concurrent, rate_per_second) VALUES (?, ?, ?)
+      ON CONFLICT(endpoint_id) DO UPDATE SET
+        max_concurrent = excluded.max_concurrent,
+        rate_per_second = excluded.rate_per_second,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    return stmt.run(endpointId, maxConcurrent, ratePerSecond);
+  },
+
+  getEndpointLimit(endpointId) {
+    const stmt = db.prepare('SELECT * FROM endpoint_limits WHERE endpoint_id = ?');
+    return stmt.get(endpointId);
+  },
+
+  getEndpointLimits() {
+    const stmt = db.prepare('SELECT * FROM endpoint_limits');
+    return stmt.all();
+  },
+
+  deleteEndpointLimit(endpointId) {
+    const stmt = db.prepare('DELETE FROM endpoint_limits WHERE endpoint_id = ?');
+    return stmt.run(endpointId);
+  },
+
+  // Spot pods
+  createSpotPod(spot) {
+    const stmt = db.prepare(`
+      INSERT OR REPLACE INTO spot_pods (pod_id, name, gpu_type_id, gpu_count, bid_per_gpu, max_bid_per_gpu, policy,
+        on_demand_price, pod_options, last_seen_running_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      spot.podId,
+      spot.name,
+      spot.gpuTypeId,
+      spot.gpuCount || 1,
+      spot.bidPerGpu,
+      spot.maxBidPerGpu ?? null,
+      spot.policy,
+      spot.onDemandPrice ?? null,
+      JSON.stringify(spot.podOptions || {}),
+      Date.now()
+    );
+  },
+
+  updateSpotPod(podId, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v !== null && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE spot_pods SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE pod_id = ?`);
+    return stmt.run(...values, podId);
+  },
+
+  getSpotPod(podId) {
+    const spot = db.prepare('SELECT * FROM spot_pods WHERE pod_id = ?').get(podId);
+    if (spot) spot.pod_options = JSON.parse(spot.pod_options || '{}');
+    return spot;
+  },
+
+  getSpotPods(statuses = null) {
+    const rows = statuses
+      ? db.prepare(`SELECT * FROM spot_pods WHERE status IN (${statuses.map(() => '?').join(', ')}) ORDER BY created_at DESC`).all(...statuses)
+      : db.prepare('SELECT * FROM spot_pods ORDER BY created_at DESC').all();
+    return rows.map(spot => ({ ...spot, pod_options: JSON.parse(spot.pod_options || '{}') }));
+  },
+
+  addSpotEvent(event) {
+    const stmt = db.prepare(`
+      INSERT INTO spot_events (pod_id, event, bid_per_gpu, new_pod_id, detail) VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(event.podId, event.event, event.bidPerGpu ?? null, event.newPodId || null, event.detail || null);
+  },
+
+  getSpotEvents(podId = null, limit = 50) {
+    if (podId) {
+      return db.prepare('SELECT * FROM spot_events WHERE pod_id = ? ORDER BY id DESC LIMIT ?').all(podId, limit);
+    }
+    return db.prepare('SELECT * FROM spot_events ORDER BY id DESC LIMIT ?').all(limit);
+  },
+
+  /**
+   * Billed spot time since `since` (ms) at the bid price and at the on-demand price
+   */
+  getSpotSpend(since, now = Date.now()) {
+    const stmt = db.prepare(`
+      SELECT
+        COALESCE(SUM(i.cost_per_hour * (MIN(COALESCE(i.ended_at, ?), ?) - MAX(i.started_at, ?)) / 3600000.0), 0) as spent,
+        COALESCE(SUM(s.on_demand_price * (MIN(COALESCE(i.ended_at, ?), ?) - MAX(i.started_at, ?)) / 3600000.0), 0) as on_demand,
+        COALESCE(SUM((MIN(COALESCE(i.ended_at, ?), ?) - MAX(i.started_at, ?)) / 3600000.0), 0) as hours
+      FROM pod_intervals i
+      JOIN spot_pods s ON s.pod_id = i.pod_id
+      WHERE COALESCE(i.ended_at, ?) > ? AND i.started_at < ? AND s.on_demand_price IS NOT NULL
+    `);
+    return stmt.get(now, now, since, now, now, since, now, now, since, now, since, now);
+  },
+
+  // Launch profiles
+  createLaunchProfile(profile) {
+    const stmt = db.prepare(`
+      INSERT INTO launch_profiles (id, name, description, settings, project_id, user_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      profile.id,
+      profile.name,
+      profile.description || null,
+      JSON.stringify(profile.settings),
+      profile.projectId || null,
+      profile.userId || null
+    );
+  },
+
+  updateLaunchProfile(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v !== null && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE launch_profiles SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`);
+    return stmt.run(...values, id);
+  },
+
+  getLaunchProfile(id) {
+    const profile = db.prepare('SELECT * FROM launch_profiles WHERE id = ?').get(id);
+    if (profile) profile.settings = JSON.parse(profile.settings || '{}');
+    return profile;
+  },
+
+  getLaunchProfileByName(name) {
+    return db.prepare('SELECT id FROM launch_profiles WHERE name = ?').get(name);
+  },
+
+  getLaunchProfiles() {
+    const stmt = db.prepare('SELECT * FROM launch_profiles ORDER BY name ASC');
+    return stmt.all().map(p => ({ ...p, settings: JSON.parse(p.settings || '{}') }));
+  },
+
+  deleteLaunchProfile(id) {
+    const stmt = db.prepare('DELETE FROM launch_profiles WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // Model manifests
+  createModelManifest(manifest) {
+    const stmt = db.prepare(`
+      INSERT INTO model_manifests (id, name, description, workflow_id, models)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      manifest.id,
+      manifest.name,
+      manifest.description || null,
+      manifest.workflowId || null,
+      JSON.stringify(manifest.models)
+    );
+  },
+
+  updateModelManifest(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v !== null && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE model_manifests SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`);
+    return stmt.run(...values, id);
+  },
+
+  getModelManifest(id) {
+    const manifest = db.prepare('SELECT * FROM model_manifests WHERE id = ?').get(id);
+    if (manifest) manifest.models = JSON.parse(manifest.models || '[]');
+    return manifest;
+  },
+
+  getModelManifestByName(name) {
+    return db.prepare('SELECT id FROM model_manifests WHERE name = ?').get(name);
+  },
+
+  getModelManifestByWorkflow(workflowId) {
+    const manifest = db.prepare('SELECT * FROM model_manifests WHERE workflow_id = ?').get(workflowId);
+    if (manifest) manifest.models = JSON.parse(manifest.models || '[]');
+    return manifest;
+  },
+
+  getModelManifests() {
+    const stmt = db.prepare('SELECT * FROM model_manifests ORDER BY name ASC');
+    return stmt.all().map(m => ({ ...m, models: JSON.parse(m.models || '[]') }));
+  },
+
+  deleteModelManifest(id) {
+    const stmt = db.prepare('DELETE FROM model_manifests WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // Model provisions
+  createModelProvision(provision) {
+    const stmt = db.prepare(`
+      INSERT INTO model_provisions (id, pod_id, manifest_id, manifest_name, models)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      provision.id,
+      provision.podId,
+      provision.manifestId,
+      provision.manifestName,
+      JSON.stringify(provision.models)
+    );
+  },
+
+  updateModelProvision(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v !== null && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE model_provisions SET ${fields} WHERE id = ?`);
+    return stmt.run(...values, id);
+  },
+
+  getModelProvision(id) {
+    const provision = db.prepare('SELECT * FROM model_provisions WHERE id = ?').get(id);
+    if (provision) provision.models = JSON.parse(provision.models || '[]');
+    return provision;
+  },
+
+  /**
+   * Provisions, newest first, optionally of one pod and/or in some statuses
+   */
+  getModelProvisions({ podId = null, statuses = null, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (podId) { where.push('pod_id = ?'); params.push(podId); }
+    if (statuses) { where.push(`status IN (${statuses.map(() => '?').join(', ')})`); params.push(...statuses); }
+
+    const stmt = db.prepare(`
+      SELECT * FROM model_provisions
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, rowid DESC LIMIT ?
+    `);
+    return stmt.all(...params, limit).map(p => ({ ...p, models: JSON.parse(p.models || '[]') }));
+  },
+
+  // Pod readiness
+  setPodReadiness(readiness) {
+    const stmt = db.prepare(`
+      INSERT OR REPLACE INTO pod_readiness (pod_id, state, engine, models, message, service_url, changed_at, ready_at, checked_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      readiness.podId,
+      readiness.state,
+      readiness.engine || null,
+      readiness.models ?? null,
+      readiness.message || null,
+      readiness.serviceUrl || null,
+      readiness.changedAt,
+      readiness.readyAt ?? null,
+      readiness.checkedAt
+    );
+  },
+
+  getPodReadiness(podId) {
+    return db.prepare('SELECT * FROM pod_readiness WHERE pod_id = ?').get(podId);
+  },
+
+  getAllPodReadiness() {
+    return db.prepare('SELECT * FROM pod_readiness ORDER BY changed_at DESC').all();
+  },
+
+  /**
+   * Forget pods that are no longer tracked
+   */
+  // Drop readiness of pods that are neither tracked nor listed by the provider
+  deleteStalePodReadiness(listedPodIds = []) {
+    const listed = listedPodIds.map(() => '?').join(', ') || 'NULL';
+    const stmt = db.prepare(`
+      DELETE FROM pod_readiness
+      WHERE pod_id NOT IN (SELECT id FROM active_pods) AND pod_id NOT IN (${listed})
+    `);
+    return stmt.run(...listedPodIds).changes;
+  },
+
+  // Result cache
+  setCachedResult(entry) {
+    const stmt = db.prepare(`
+      INSERT OR REPLACE INTO result_cache (input_hash, endpoint_id, output, source_job_id, cost_usd, duration_ms, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      entry.inputHash,
+      entry.endpointId,
+      JSON.stringify(entry.output ?? null),
+      entry.sourceJobId,
+      entry.costUsd ?? null,
+      entry.durationMs ?? null,
+      entry.expiresAt
+    );
+  },
+
+  getCachedResult(inputHash, now = Date.now()) {
+    const stmt = db.prepare('SELECT * FROM result_cache WHERE input_hash = ? AND expires_at > ?');
+    const entry = stmt.get(inputHash, now);
+    if (entry) entry.output = JSON.parse(entry.output || 'null');
+    return entry;
+  },
+
+  recordCacheHit(inputHash) {
+    const stmt = db.prepare(`
+      UPDATE result_cache SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP WHERE input_hash = ?
+    `);
+    return stmt.run(inputHash);
+  },
+
+  getResultCacheStats(now = Date.now()) {
+    const entries = db.prepare(`
+      SELECT COUNT(*) as entries, COALESCE(SUM(hits), 0) as hits FROM result_cache WHERE expires_at > ?
+    `).get(now);
+    // Savings come from the jobs so they outlive purged entries
+    const served = db.prepare(`
+      SELECT COUNT(*) as served, COALESCE(SUM(cost_saved_usd), 0) as saved_usd
+      FROM jobs WHERE cached_from IS NOT NULL
+    `).get();
+    return { ...entries, ...served };
+  },
+
+  deleteCachedResult(inputHash) {
+    const stmt = db.prepare('DELETE FROM result_cache WHERE input_hash = ?');
+    return stmt.run(inputHash).changes;
+  },
+
+  clearResultCache(endpointId = null) {
+    if (endpointId) {
+      return db.prepare('DELETE FROM result_cache WHERE endpoint_id = ?').run(endpointId).changes;
+    }
+    return db.prepare('DELETE FROM result_cache').run().changes;
+  },
+
+  purgeResultCache(now = Date.now()) {
+    const stmt = db.prepare('DELETE FROM result_cache WHERE expires_at <= ?');
+    return stmt.run(now).changes;
+  },
+
+  // Users
+  createUser(user) {
+    const stmt = db.prepare(`
+      INSERT INTO users (id, username, password_hash, role)
+      VALUES (?, ?, ?, ?)
+    `);
+    return stmt.run(user.id, user.username, user.passwordHash, user.role);
+  },
+
+  updateUser(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const stmt = db.prepare(`UPDATE users SET ${fields} WHERE id = ?`);
+    return stmt.run(...Object.values(updates), id);
+  },
+
+  touchUserLogin(id) {
+    const stmt = db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  getUser(id) {
+    const stmt = db.prepare('SELECT * FROM users WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  getUserByUsername(username) {
+    const stmt = db.prepare('SELECT * FROM users WHERE username = ?');
+    return stmt.get(username);
+  },
+
+  getUsers() {
+    const stmt = db.prepare(`
+      SELECT id, username, role, disabled, budget_daily, budget_monthly, created_at, last_login_at
+      FROM users ORDER BY created_at ASC
+    `);
+    return stmt.all();
+  },
+
+  countUsers(role = null) {
+    if (role) {
+      return db.prepare('SELECT COUNT(*) as count FROM users WHERE role = ? AND disabled = 0').get(role).count;
+    }
+    return db.prepare('SELECT COUNT(*) as count FROM users').get().count;
+  },
+
+  deleteUser(id) {
+    return db.transaction(() => {
+      db.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM api_tokens WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    })();
+  },
+
+  // Sessions
+  createSession(session) {
+    const stmt = db.prepare(`
+      INSERT INTO sessions (token_hash, user_id, expires_at)
+      VALUES (?, ?, ?)
+    `);
+    return stmt.run(session.tokenHash, session.userId, session.expiresAt);
+  },
+
+  getSession(tokenHash) {
+    const stmt = db.prepare(`
+      SELECT * FROM sessions WHERE token_hash = ? AND expires_at > datetime('now')
+    `);
+    return stmt.get(tokenHash);
+  },
+
+  deleteSession(tokenHash) {
+    const stmt = db.prepare('DELETE FROM sessions WHERE token_hash = ?');
+    return stmt.run(tokenHash);
+  },
+
+  deleteUserSessions(userId) {
+    const stmt = db.prepare('DELETE FROM sessions WHERE user_id = ?');
+    return stmt.run(userId);
+  },
+
+  deleteExpiredSessions() {
+    const stmt = db.prepare(`DELETE FROM sessions WHERE expires_at <= datetime('now')`);
+    return stmt.run();
+  },
+
+  // API tokens
+  createApiToken(token) {
+    const stmt = db.prepare(`
+      INSERT INTO api_tokens (id, user_id, name, token_hash, prefix)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(token.id, token.userId, token.name, token.tokenHash, token.prefix);
+  },
+
+  getApiTokenByHash(tokenHash) {
+    const stmt = db.prepare('SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL');
+    return stmt.get(tokenHash);
+  },
+
+  getApiTokens(userId) {
+    const stmt = db.prepare(`
+      SELECT id, name, prefix, created_at, last_used_at, revoked_at
+      FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC
+    `);
+    return stmt.all(userId);
+  },
+
+  touchApiToken(id) {
+    const stmt = db.prepare(`UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`);
+    return stmt.run(id);
+  },
+
+  revokeApiToken(id, userId) {
+    const stmt = db.prepare(`
+      UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `);
+    return stmt.run(id, userId);
+  },
+
+  // Notification channels
+  createNotificationChannel(channel) {
+    const stmt = db.prepare(`
+      INSERT INTO notification_channels (id, name, type, config, enabled)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(channel.id, channel.name, channel.type, JSON.stringify(channel.config || {}), channel.enabled === false ? 0 : 1);
+  },
+
+  updateNotificationChannel(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE notification_channels SET ${fields} WHERE id = ?`);
+    return stmt.run(...values, id);
+  },
+
+  getNotificationChannel(id) {
+    const stmt = db.prepare('SELECT * FROM notification_channels WHERE id = ?');
+    const channel = stmt.get(id);
+    if (channel) channel.config = JSON.parse(channel.config || '{}');
+    return channel;
+  },
+
+  getNotificationChannels() {
+    const stmt = db.prepare('SELECT * FROM notification_channels ORDER BY created_at ASC');
+    return stmt.all().map(c => ({ ...c, config: JSON.parse(c.config || '{}') }));
+  },
+
+  deleteNotificationChannel(id) {
+    db.prepare('DELETE FROM notification_rules WHERE channel_id = ?').run(id);
+    return db.prepare('DELETE FROM notification_channels WHERE id = ?').run(id);
+  },
+
+  // Notification rules
+  createNotificationRule(rule) {
+    const stmt = db.prepare(`
+      INSERT INTO notification_rules (id, channel_id, event, enabled)
+      VALUES (?, ?, ?, ?)
+    `);
+    return stmt.run(rule.id, rule.channelId, rule.event, rule.enabled === false ? 0 : 1);
+  },
+
+  getNotificationRules() {
+    const stmt = db.prepare(`
+      SELECT r.*, c.name as channel_name, c.type as channel_type
+      FROM notification_rules r
+      LEFT JOIN notification_channels c ON c.id = r.channel_id
+      ORDER BY r.created_at ASC
+    `);
+    return stmt.all();
+  },
+
+  setNotificationRuleEnabled(id, enabled) {
+    const stmt = db.prepare('UPDATE notification_rules SET enabled = ? WHERE id = ?');
+    return stmt.run(enabled ? 1 : 0, id);
+  },
+
+  deleteNotificationRule(id) {
+    const stmt = db.prepare('DELETE FROM notification_rules WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // Notification deliveries
+  createNotificationDelivery(delivery) {
+    const stmt = db.prepare(`
+      INSERT INTO notification_deliveries (id, channel_id, event, payload, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(delivery.id, delivery.channelId, delivery.event, JSON.stringify(delivery.payload), delivery.nextAttemptAt);
+  },
+
+  updateNotificationDelivery(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const stmt = db.prepare(`UPDATE notification_deliveries SET ${fields} WHERE id = ?`);
+    return stmt.run(...Object.values(updates), id);
+  },
+
+  markNotificationDelivered(id, responseStatus) {
+    const stmt = db.prepare(`
+      UPDATE notification_deliveries
+      SET status = 'delivered', response_status = ?, last_error = NULL,
+          next_attempt_at = NULL, delivered_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    return stmt.run(responseStatus ?? null, id);
+  },
+
+  getNotificationDelivery(id) {
+    const stmt = db.prepare('SELECT * FROM notification_deliveries WHERE id = ?');
+    const delivery = stmt.get(id);
+    if (delivery) delivery.payload = JSON.parse(delivery.payload || 'null');
+    return delivery;
+  },
+
+  getNotificationDeliveries(limit = 100, status = null) {
+    const stmt = db.prepare(`
+      SELECT d.*, c.name as channel_name, c.type as channel_type
+      FROM notification_deliveries d
+      LEFT JOIN notification_channels c ON c.id = d.channel_id
+      ${status ? 'WHERE d.status = ?' : ''}
+      ORDER BY d.created_at DESC, d.rowid DESC LIMIT ?
+    `);
+    const rows = status ? stmt.all(status, limit) : stmt.all(limit);
+    return rows.map(d => ({ ...d, payload: JSON.parse(d.payload || 'null') }));
+  },
+
+  getDueNotificationDeliveries(now, limit = 20) {
+    const stmt = db.prepare(`
+      SELECT id FROM notification_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC LIMIT ?
+    `);
+    return stmt.all(now, limit).map(r => r.id);
+  },
+
+  deleteOldNotificationDeliveries(days) {
+    const stmt = db.prepare(`
+      DELETE FROM notification_deliveries
+      WHERE status != 'pending' AND created_at < datetime('now', '-' || ? || ' days')
+    `);
+    return stmt.run(days);
+  },
+
+  // Events
+  insertEvent(event, data, createdAt) {
+    const stmt = db.prepare('INSERT INTO events (event, data, created_at) VALUES (?, ?, ?)');
+    return stmt.run(event, JSON.stringify(data ?? null), createdAt).lastInsertRowid;
+  },
+
+  getEventsSince(since, limit = 500) {
+    const stmt = db.prepare('SELECT * FROM events WHERE id > ? ORDER BY id ASC LIMIT ?');
+    return stmt.all(since, limit).map(e => ({
+      id: e.id,
+      event: e.event,
+      data: JSON.parse(e.data || 'null'),
+      timestamp: e.created_at
+    }));
+  },
+
+  getLatestEventId() {
+    const stmt = db.prepare('SELECT MAX(id) as id FROM events');
+    return stmt.get().id || 0;
+  },
+
+  deleteEventsBefore(timestampMs) {
+    const stmt = db.prepare('DELETE FROM events WHERE created_at < ?');
+    return stmt.run(timestampMs);
+  },
+
+  // Schedules
+  createSchedule(schedule) {
+    const stmt = db.prepare(`
+      INSERT INTO schedules (id, name, type, payload, cron, run_at, next_run_at, project_id, user_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      schedule.id,
+      schedule.name,
+      schedule.type,
+      JSON.stringify(schedule.payload || {}),
+      schedule.cron || null,
+      schedule.runAt ?? null,
+      schedule.nextRunAt ?? null,
+      schedule.projectId || null,
+      schedule.userId || null
+    );
+  },
+
+  updateSchedule(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v !== null && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE schedules SET ${fields} WHERE id = ?`);
+    return stmt.run(...values, id);
+  },
+
+  getSchedule(id) {
+    const schedule = db.prepare('SELECT * FROM schedules WHERE id = ?').get(id);
+    if (schedule) schedule.payload = JSON.parse(schedule.payload || '{}');
+    return schedule;
+  },
+
+  getSchedules(filter = {}) {
+    let query = 'SELECT * FROM schedules WHERE 1=1';
+    const params = [];
+
+    if (filter.status) {
+      query += ' AND status = ?';
+      params.push(filter.status);
+    }
+    if (filter.projectId) {
+      query += ' AND project_id = ?';
+      params.push(filter.projectId);
+    }
+
+    query += ' ORDER BY created_at DESC, rowid DESC';
+    return db.prepare(query).all(...params).map(s => ({ ...s, payload: JSON.parse(s.payload || '{}') }));
+  },
+
+  getDueSchedules(now) {
+    const stmt = db.prepare(`
+      SELECT id FROM schedules
+      WHERE status = 'active' AND next_run_at IS NOT NULL AND next_run_at <= ?
+      ORDER BY next_run_at ASC
+    `);
+    return stmt.all(now).map(r => r.id);
+  },
+
+  deleteSchedule(id) {
+    db.prepare('DELETE FROM schedule_runs WHERE schedule_id = ?').run(id);
+    return db.prepare('DELETE FROM schedules WHERE id = ?').run(id);
+  },
+
+  // Schedule runs
+  createScheduleRun(run) {
+    const stmt = db.prepare(`
+      INSERT INTO schedule_runs (id, schedule_id, scheduled_for, started_at, status, result, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      run.id,
+      run.scheduleId,
+      run.scheduledFor ?? null,
+      run.startedAt,
+      run.status,
+      run.result ? JSON.stringify(run.result) : null,
+      run.error || null
+    );
+  },
+
+  getScheduleRuns(scheduleId = null, limit = 50) {
+    const stmt = db.prepare(`
+      SELECT r.*, s.name as schedule_name
+      FROM schedule_runs r
+      LEFT JOIN schedules s ON s.id = r.schedule_id
+      ${scheduleId ? 'WHERE r.schedule_id = ?' : ''}
+      ORDER BY r.started_at DESC, r.rowid DESC LIMIT ?
+    `);
+    const rows = scheduleId ? stmt.all(scheduleId, limit) : stmt.all(limit);
+    return rows.map(r => ({ ...r, result: JSON.parse(r.result || 'null') }));
+  },
+
+  // Pipelines
+  createPipeline(pipeline) {
+    const stmt = db.prepare(`
+      INSERT INTO pipelines (id, name, description, steps, user_id)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(pipeline.id, pipeline.name, pipeline.description || null, JSON.stringify(pipeline.steps), pipeline.userId || null);
+  },
+
+  updatePipeline(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v !== null && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE pipelines SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`);
+    return stmt.run(...values, id);
+  },
+
+  getPipeline(id) {
+    const pipeline = db.prepare('SELECT * FROM pipelines WHERE id = ?').get(id);
+    if (pipeline) pipeline.steps = JSON.parse(pipeline.steps || '[]');
+    return pipeline;
+  },
+
+  getPipelines() {
+    const stmt = db.prepare('SELECT * FROM pipelines ORDER BY name ASC');
+    return stmt.all().map(p => ({ ...p, steps: JSON.parse(p.steps || '[]') }));
+  },
+
+  deletePipeline(id) {
+    const stmt = db.prepare('DELETE FROM pipelines WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // Pipeline runs
+  createPipelineRun(run) {
+    const insertRun = db.prepare(`
+      INSERT INTO pipeline_runs (id, pipeline_id, name, input, project_id, user_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const insertStep = db.prepare(`
+      INSERT INTO pipeline_steps (run_id, step_id, step_index, definition) VALUES (?, ?, ?, ?)
+    `);
+
+    return db.transaction(() => {
+      insertRun.run(run.id, run.pipelineId, run.name, JSON.stringify(run.input || {}), run.projectId || null, run.userId || null);
+      run.steps.forEach((step, index) => insertStep.run(run.id, step.id, index, JSON.stringify(step)));
+    })();
+  },
+
+  updatePipelineRun(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v !== null && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE pipeline_runs SET ${fields} WHERE id = ?`);
+    return stmt.run(...values, id);
+  },
+
+  getPipelineRun(id) {
+    const run = db.prepare('SELECT * FROM pipeline_runs WHERE id = ?').get(id);
+    if (run) {
+      run.input = JSON.parse(run.input || '{}');
+      run.result = JSON.parse(run.result || 'null');
+    }
+    return run;
+  },
+
+  getPipelineRuns(filter = {}) {
+    let query = 'SELECT * FROM pipeline_runs WHERE 1=1';
+    const params = [];
+
+    if (filter.pipelineId) {
+      query += ' AND pipeline_id = ?';
+      params.push(filter.pipelineId);
+    }
+    if (filter.status) {
+      query += ' AND status = ?';
+      params.push(filter.status);
+    }
+
+    query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+    params.push(filter.limit || 50);
+
+    return db.prepare(query).all(...params).map(run => ({
+      ...run,
+      input: JSON.parse(run.input || '{}'),
+      result: JSON.parse(run.result || 'null')
+    }));
+  },
+
+  // Pipeline steps
+  getPipelineSteps(runId) {
+    const stmt = db.prepare('SELECT * FROM pipeline_steps WHERE run_id = ? ORDER BY step_index ASC');
+    return stmt.all(runId).map(step => ({
+      ...step,
+      definition: JSON.parse(step.definition || '{}'),
+      output: JSON.parse(step.output || 'null')
+    }));
+  },
+
+  getPipelineStepByJob(jobId) {
+    const stmt = db.prepare('SELECT id, run_id, step_id FROM pipeline_steps WHERE job_id = ?');
+    return stmt.get(jobId);
+  },
+
+  updatePipelineStep(id, updates) {
+    const fields = Object.keys(updates)
+      .map(k => `${k} = ?`)
+      .join(', ');
+    const values = Object.values(updates).map(v =>
+      v !== null && typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    const stmt = db.prepare(`UPDATE pipeline_steps SET ${fields} WHERE id = ?`);
+    return stmt.run(...values, id);
+  },
+
   // Config
   setConfig(key, value) {
     const stmt = db.prepare(`
@@ -326,7 +2308,9 @@ export const database = {
         SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END) as pending,
         SUM(CASE WHEN status = 'RUNNING' THEN 1 ELSE 0 END) as running,
         AVG(duration_ms) as avg_duration,
-        SUM(cost_usd) as total_cost
+        SUM(cost_usd) as total_cost,
+        SUM(CASE WHEN cost_usd > 0 AND image_count > 0 THEN cost_usd END)
+          / SUM(CASE WHEN cost_usd > 0 AND image_count > 0 THEN image_count END) as cost_per_image
       FROM jobs
     `);
     return stmt.get();
@@ -6,6 +6,7 @@ class GPUOrchestrator {
   constructor() {
     this.ws = null;
     this.connected = false;
+    this.lastEventId = null; // Cursor of the last event received, used to replay after a reconnect
     this.pods = [];
     this.endpoints = [];
     this.jobs = [];
@@ -18,6 +19,12 @@ class GPUOrchestrator {
     this.selectedWorkflowId = 'image_sdxl_default';
     this.generatedVideos = [];
     this.uploadedRawWorkflow = null; // User-uploaded workflow_api.json
+    this.provider = 'runpod'; // Cloud provider reported by /api/status
+    this.currentBatchId = null;
+    this.selectedPodEngine = null; // Engine of the selected pod (from check-ready)
+    this.projects = []; // Projects that pods, endpoints and jobs are charged to
+    this.user = null; // Logged in user ({ username, role }) from /api/status
+    this.authEnabled = false;
 
     this.init();
   }
@@ -25,12 +32,20 @@ class GPUOrchestrator {
   // ==================== Initialization ====================
   async init() {
     this.applyUIMode(this.uiMode);
-    this.setupWebSocket();
     this.setupNavigation();
     this.setupEventListeners();
 
+    // Nothing else works until the user is logged in
+    await this.loadStatus();
+    if (this.authEnabled && !this.user) {
+      this.showLogin();
+      return;
+    }
+    this.setupWebSocket();
+
     // Initial data load
     await this.refreshAll();
+    this.loadAssetLibrary();
 
     // Periodic refresh
     setInterval(() => this.refreshAll(), 30000);
@@ -75,31 +90,7 @@ class GPUOrchestrator {
     btn.textContent = '⏳ Buscando GPU disponible...';
 
     try {
-      // Load GPUs if needed
-      if (this.gpus.length === 0) {
-        this.gpus = await this.api('GET', '/gpus');
-      }
-
       const template = this.builtInTemplates[this.easySelectedTool];
-      const minVram = template.minVram;
-
-      // Auto-select best GPU: cheapest available with enough VRAM, prefer 24GB+
-      const candidates = this.gpus
-        .filter(g => (g.communityCloud || g.secureCloud) && g.displayName)
-        .filter(g => (g.memoryInGb || 0) >= minVram)
-        .sort((a, b) => {
-          // Prefer 24GB+ GPUs, then sort by price
-          const aGood = (a.memoryInGb || 0) >= 24 ? 0 : 1;
-          const bGood = (b.memoryInGb || 0) >= 24 ? 0 : 1;
-          if (aGood !== bGood) return aGood - bGood;
-          return (a.communityPrice || a.securePrice || 999) - (b.communityPrice || b.securePrice || 999);
-        });
-
-      if (candidates.length === 0) {
-        throw new Error('No hay GPUs disponibles con suficiente VRAM. Intenta más tarde.');
-      }
-
-      const bestGpu = candidates[0];
       const toolNames = { imageGenA1111: 'Imágenes (A1111)', imageGen: 'Imágenes (ComfyUI)', musicGen: 'Música' };
       const toolName = toolNames[this.easySelectedTool] || 'IA';
       const podSuffix = { imageGenA1111: 'a1111', imageGen: 'comfy', musicGen: 'music' };
@@ -107,7 +98,8 @@ class GPUOrchestrator {
 
       const data = {
         name: podName,
-        gpuTypeId: bestGpu.id,
+        // The server picks the GPU: enough VRAM, 24GB+ first, then the cheapest with stock
+        placement: { minVram: template.minVram, preferMinVram: 24 },
         volumeInGb: template.defaultVolume,
         containerDiskInGb: template.defaultContainerDisk,
         cloudType: 'ALL',
@@ -122,10 +114,11 @@ class GPUOrchestrator {
         data.imageName = template.imageName;
       }
 
-      await this.api('POST', '/pods', data);
-      const price = (bestGpu.communityPrice || bestGpu.securePrice || 0).toFixed(3);
+      const { placement } = await this.api('POST', '/pods', data);
       this.showToast('🚀 ¡Máquina Lanzada!',
-        `${toolName} con ${bestGpu.displayName} ($${price}/hr). Límite: $2.00`,
+        `${toolName} con ${placement.displayName}` +
+        (placement.pricePerHour !== null ? ` ($${placement.pricePerHour.toFixed(3)}/hr)` : '') + '. Límite: $2.00' +
+        this.placementNote(placement),
         'success');
       await this.loadPods();
       this.switchTab('pods');
@@ -139,7 +132,9 @@ class GPUOrchestrator {
 
   setupWebSocket() {
     const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${wsProtocol}//${window.location.host}/ws`;
+    // After a reconnect, ask the server for the events we missed
+    const since = this.lastEventId ? `?since=${this.lastEventId}` : '';
+    const wsUrl = `${wsProtocol}//${window.location.host}/ws${since}`;
 
     this.ws = new WebSocket(wsUrl);
 
@@ -149,9 +144,14 @@ class GPUOrchestrator {
       this.addActivity('🔌', 'Connected to server');
     };
 
-    this.ws.onclose = () => {
+    this.ws.onclose = (event) => {
       this.connected = false;
       this.updateConnectionStatus('disconnected');
+      // Session expired or revoked: ask for a new login instead of reconnecting
+      if (event.code === 4401) {
+        this.showLogin();
+        return;
+      }
       // Reconnect after 3 seconds
       setTimeout(() => this.setupWebSocket(), 3000);
     };
@@ -163,6 +163,7 @@ class GPUOrchestrator {
     this.ws.onmessage = (event) => {
       try {
         const data = JSON.parse(event.data);
+        if (data.id) this.lastEventId = data.id;
         this.handleWebSocketMessage(data);
       } catch (e) {
         console.error('WebSocket message parse error:', e);
@@ -185,13 +186,34 @@ class GPUOrchestrator {
         this.addActivity('📝', `Job created: ${eventData.id.slice(0, 8)}...`);
         this.loadJobs();
         break;
+      case 'job:priority':
+        this.loadJobs();
+        break;
+      case 'job:progress': {
+        const job = this.jobs.find(j => j.id === eventData.id);
+        if (!job) break;
+        const partial = job.partial_output || { chunks: [] };
+        job.progress = eventData.progress;
+        job.partial_output = { ...partial, received: eventData.received, chunks: [...partial.chunks, ...eventData.chunks].slice(-50) };
+        this.renderJobs();
+        // Refresh the partial results modal if it is still showing this job
+        if (document.querySelector(`#modalOverlay.active [data-partial-job="${job.id}"]`)) {
+          this.viewJobPartial(job.id);
+        }
+        break;
+      }
       case 'job:running':
         this.addActivity('▶️', `Job started: ${eventData.id.slice(0, 8)}...`);
         this.loadJobs();
         break;
       case 'job:completed':
-        this.addActivity('✅', `Job completed: ${eventData.id.slice(0, 8)}...`);
-        this.showToast('Job Completado', 'Un trabajo ha terminado correctamente', 'success');
+        if (eventData.via === 'cache') {
+          // The submitter already got a toast from the response
+          this.addActivity('⚡', `Job servido desde caché: ${eventData.id.slice(0, 8)}...`);
+        } else {
+          this.addActivity('✅', `Job completed: ${eventData.id.slice(0, 8)}...`);
+          this.showToast('Job Completado', 'Un trabajo ha terminado correctamente', 'success');
+        }
         this.loadJobs();
         break;
       case 'job:failed':
@@ -199,16 +221,93 @@ class GPUOrchestrator {
         this.showToast('Job Fallido', eventData.error || 'Error desconocido', 'error');
         this.loadJobs();
         break;
+      case 'schedule:run':
+        this.addActivity('⏰', `Programación ejecutada: ${eventData.name}`);
+        break;
+      case 'schedule:failed':
+        this.addActivity('⏰', `Programación fallida: ${eventData.name}`);
+        this.showToast('⏰ Programación Fallida', `${eventData.name}: ${eventData.error}`, 'error');
+        break;
+      case 'dlq:added':
+        this.addActivity('💀', `A la Dead Letter Queue (${eventData.category}): ${eventData.jobId.slice(0, 8)}...`);
+        break;
+      case 'endpoint:throttled':
+        this.addActivity('🚦', `Endpoint limitado por RunPod: ${eventData.endpointId} (${eventData.rate.toFixed(2)} jobs/s)`);
+        break;
+      case 'pipeline:completed':
+        this.addActivity('🔗', `Pipeline completado: ${eventData.name}`);
+        this.showToast('🔗 Pipeline Completado', `${eventData.name}: ${eventData.images?.length || 0} imagen(es), ${eventData.gifs?.length || 0} vídeo(s)`, 'success');
+        break;
+      case 'pipeline:failed':
+        this.addActivity('🔗', `Pipeline fallido: ${eventData.name}`);
+        this.showToast('🔗 Pipeline Fallido', `${eventData.name}: ${eventData.error}`, 'error');
+        break;
       case 'pod:auto-stopped':
         this.addActivity('⏰', `Auto-stopped: ${eventData.podName}`);
         this.showToast('Pod Auto-Detenido', `${eventData.podName} parado por inactividad`, 'warning');
         this.loadPods();
         break;
+      case 'billing:discrepancy':
+        this.addActivity('💸', `Descuadre de facturación: $${(eventData.difference || 0).toFixed(4)}`);
+        this.showToast('💸 Descuadre de Facturación',
+          `Proveedor $${eventData.provider_spend.toFixed(4)} vs registrado $${eventData.recorded_spend.toFixed(4)}`, 'warning');
+        this.loadBillingStatus();
+        break;
+      case 'budget:forecast-warning': {
+        const period = eventData.period === 'daily' ? 'diario' : 'mensual';
+        const when = new Date(eventData.exhaustsAt).toLocaleString();
+        this.addActivity('📈', `Previsión: ${eventData.name} agotará el presupuesto ${period}`);
+        this.showToast('📈 Presupuesto en Riesgo',
+          `${eventData.name}: límite ${period} de $${eventData.limit} se agotará hacia ${when}`, 'warning');
+        this.loadForecast();
+        break;
+      }
       case 'pod:spending-limit-exceeded':
         this.addActivity('💰', `Límite excedido: ${eventData.podName} ($${eventData.totalSpent})`);
         this.showToast('⚠️ Límite de Gasto', `${eventData.podName} eliminado: gastó $${eventData.totalSpent}/$${eventData.spendingLimit}`, 'warning');
         this.loadPods();
         break;
+      case 'pod:interrupted':
+        this.addActivity('⚡', `Pod spot interrumpido: ${eventData.name}`);
+        this.showToast('Pod Spot Interrumpido', `${eventData.name} perdió su puja de $${eventData.bidPerGpu}/GPU/hr`, 'warning');
+        this.loadPods();
+        break;
+      case 'pod:rebid':
+        this.addActivity('⚡', `Pod spot recuperado: ${eventData.name} ($${eventData.bidPerGpu}/GPU/hr)`);
+        this.loadPods();
+        break;
+      case 'pod:replaced':
+        this.addActivity('🔁', `Pod spot ${eventData.name} sustituido por un pod on-demand`);
+        this.showToast('Pod Sustituido', `${eventData.name} continúa en un pod on-demand`, 'info');
+        this.loadPods();
+        break;
+      case 'pod:spot-lost':
+        this.addActivity('⚡', `Pod spot no recuperado: ${eventData.name}`);
+        this.showToast('Pod Spot Perdido', `${eventData.name} no se pudo recuperar (política: ${eventData.policy})`, 'error');
+        this.loadPods();
+        break;
+      case 'pod:readiness':
+        this.loadPods();
+        break;
+      case 'pod:ready':
+        this.addActivity('✅', `Pod listo: ${eventData.name}`);
+        this.showToast('✅ Pod Listo', `${eventData.name} ya puede generar${eventData.models ? ` (${eventData.models} modelo(s))` : ''}`, 'success');
+        // Reconnect the generate tab if it was waiting for this pod
+        if (this.selectedPod?.id === eventData.podId) this.selectPodForGeneration(eventData.podId);
+        break;
+      case 'provision:progress':
+        this.updatePodProvision(eventData);
+        break;
+      case 'provision:completed':
+        this.addActivity('📦', `Modelos de "${eventData.name}" instalados en ${eventData.podId}`);
+        this.showToast('📦 Modelos Instalados', `${eventData.name}: ${eventData.installed}/${eventData.total} modelo(s)`, 'success');
+        this.loadPods();
+        break;
+      case 'provision:failed':
+        this.addActivity('❌', `Instalación de "${eventData.name}" fallida en ${eventData.podId}`);
+        this.showToast('Error Instalando Modelos', eventData.error, 'error');
+        this.loadPods();
+        break;
       case 'pod:auto-stop-failed':
       case 'pod:terminate-failed':
         // Ignore errors about pods that no longer exist (stale tracking entries)
@@ -229,6 +328,20 @@ class GPUOrchestrator {
         this.showToast('Batch Error', eventData.error, 'error');
         this.hideBatchProgress();
         break;
+      case 'batch:paused':
+        this.addActivity('⏸️', `Batch pausado: ${eventData.batchId.slice(0, 8)}...`);
+        this.hideBatchProgress();
+        break;
+      case 'batch:cancelled':
+        this.addActivity('⏹️', `Batch cancelado: ${eventData.batchId.slice(0, 8)}...`);
+        this.hideBatchProgress();
+        break;
+      case 'batch:resumed':
+        this.addActivity('🔁', `Batch reanudado en ${eventData.podId}: ${eventData.batchId.slice(0, 8)}... (${eventData.requeued} items)`);
+        break;
+      case 'batch:waiting':
+        this.addActivity('⏳', `Batch ${eventData.batchId.slice(0, 8)}... esperando a que el pod esté listo`);
+        break;
     }
   }
 
@@ -292,8 +405,14 @@ class GPUOrchestrator {
     const response = await fetch(`/api${path}`, options);
     const data = await response.json();
 
+    if (response.status === 401 && path !== '/auth/login') {
+      this.showLogin();
+    }
+
     if (!response.ok) {
-      throw new Error(data.error || data.errors?.join(', ') || 'Request failed');
+      const error = new Error(data.error || data.errors?.join(', ') || 'Request failed');
+      error.data = data;
+      throw error;
     }
 
     return data;
@@ -308,6 +427,7 @@ class GPUOrchestrator {
         this.loadEndpoints(),
         this.loadJobs(),
         this.loadCosts(),
+        this.loadProjects(),
         this.loadBenchmarks(),
         this.loadAutoShutdownStatus()
       ]);
@@ -316,6 +436,387 @@ class GPUOrchestrator {
     }
   }
 
+  // ==================== Status ====================
+  async loadStatus() {
+    try {
+      const status = await this.api('GET', '/status');
+      this.provider = status.provider || 'runpod';
+      this.authEnabled = !!status.auth?.enabled;
+      this.user = status.auth?.user || null;
+      this.renderUserMenu();
+    } catch (error) {
+      console.error('Error loading status:', error);
+    }
+  }
+
+  // ==================== Authentication ====================
+  showLogin() {
+    this.closeModal();
+    document.getElementById('loginOverlay').classList.add('active');
+    document.getElementById('loginUsername').focus();
+  }
+
+  async login(event) {
+    event.preventDefault();
+    const errorEl = document.getElementById('loginError');
+    errorEl.textContent = '';
+
+    try {
+      await this.api('POST', '/auth/login', {
+        username: document.getElementById('loginUsername').value.trim(),
+        password: document.getElementById('loginPassword').value
+      });
+      // Start fresh so every panel loads with the new session
+      window.location.reload();
+    } catch (error) {
+      errorEl.textContent = error.message;
+    }
+  }
+
+  async logout() {
+    try {
+      await this.api('POST', '/auth/logout');
+    } finally {
+      window.location.reload();
+    }
+  }
+
+  renderUserMenu() {
+    document.getElementById('notificationsBtn').style.display = this.user?.role === 'admin' ? '' : 'none';
+    const menu = document.getElementById('userMenu');
+    if (!this.authEnabled || !this.user) {
+      menu.style.display = 'none';
+      return;
+    }
+    menu.style.display = 'flex';
+    document.getElementById('userMenuName').textContent = this.user.username;
+    document.getElementById('userMenuRole').textContent = this.user.role;
+  }
+
+  async showAccountModal() {
+    const isAdmin = this.user?.role === 'admin';
+    const [tokens, users] = await Promise.all([
+      this.api('GET', '/auth/tokens').catch(() => []),
+      isAdmin ? this.api('GET', '/users').catch(() => []) : Promise.resolve([])
+    ]);
+
+    const modalBody = document.getElementById('modalBody');
+    modalBody.innerHTML = `
+      <div class="account-section">
+        <h4>🔑 API tokens</h4>
+        <small style="color: var(--text-muted);">Para scripts: <code>Authorization: Bearer &lt;token&gt;</code></small>
+        ${tokens.map(t => `
+          <div class="account-row">
+            <span>${this.escapeHtml(t.name)} <code>${this.escapeHtml(t.prefix)}…</code></span>
+            <span style="color: var(--text-muted);">${t.last_used_at ? `usado ${this.formatTime(new Date(t.last_used_at.replace(' ', 'T') + 'Z'))}` : 'sin usar'}</span>
+            ${t.revoked_at ? '<span>revocado</span>' : `<button class="btn sm danger" onclick="app.revokeApiToken('${t.id}')">Revocar</button>`}
+          </div>
+        `).join('')}
+        <form class="account-inline-form" onsubmit="app.createApiToken(event)">
+          <input type="text" id="newTokenName" placeholder="Nombre del token (ej. script-batch)">
+          <button type="submit" class="btn primary">Crear</button>
+        </form>
+        <div id="newTokenSecret"></div>
+      </div>
+
+      <div class="account-section">
+        <h4>🔒 Cambiar contraseña</h4>
+        <form class="account-inline-form" onsubmit="app.changePassword(event)">
+          <input type="password" id="currentPassword" placeholder="Actual" autocomplete="current-password" required>
+          <input type="password" id="newPassword" placeholder="Nueva (mín. 8)" autocomplete="new-password" required>
+          <button type="submit" class="btn">Guardar</button>
+        </form>
+      </div>
+
+      ${isAdmin ? `
+        <div class="account-section">
+          <h4>👥 Usuarios</h4>
+          ${users.map(u => `
+            <div class="account-row">
+              <span>${this.escapeHtml(u.username)}${u.disabled ? ' (desactivado)' : ''}</span>
+              <select onchange="app.updateUserRole('${u.id}', this.value)" ${u.id === this.user.id ? 'disabled' : ''}>
+                ${['viewer', 'operator', 'admin'].map(r => `<option value="${r}" ${u.role === r ? 'selected' : ''}>${r}</option>`).join('')}
+              </select>
+              ${u.id === this.user.id ? '<span></span>' : `<button class="btn sm danger" onclick="app.deleteUser('${u.id}')">Eliminar</button>`}
+            </div>
+          `).join('')}
+          <form class="account-inline-form" onsubmit="app.createUser(event)">
+            <input type="text" id="newUserName" placeholder="Usuario" required>
+            <input type="password" id="newUserPassword" placeholder="Contraseña" autocomplete="new-password" required>
+            <select id="newUserRole">
+              <option value="viewer">viewer</option>
+              <option value="operator">operator</option>
+              <option value="admin">admin</option>
+            </select>
+            <button type="submit" class="btn primary">Añadir</button>
+          </form>
+        </div>
+      ` : ''}
+    `;
+
+    document.getElementById('modalTitle').textContent = `Mi cuenta (${this.user.username})`;
+    document.getElementById('modalOverlay').classList.add('active');
+  }
+
+  async createApiToken(event) {
+    event.preventDefault();
+    try {
+      const name = document.getElementById('newTokenName').value.trim();
+      const created = await this.api('POST', '/auth/tokens', { name: name || undefined });
+      await this.showAccountModal();
+      document.getElementById('newTokenSecret').innerHTML = `
+        <code class="token-secret">${this.escapeHtml(created.token)}</code>
+        <small style="color: var(--warning);">Cópialo ahora: no se volverá a mostrar.</small>
+      `;
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async revokeApiToken(tokenId) {
+    try {
+      await this.api('DELETE', `/auth/tokens/${tokenId}`);
+      this.showToast('Token revocado', 'El token ya no puede usarse', 'success');
+      await this.showAccountModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async changePassword(event) {
+    event.preventDefault();
+    try {
+      await this.api('POST', '/auth/password', {
+        currentPassword: document.getElementById('currentPassword').value,
+        newPassword: document.getElementById('newPassword').value
+      });
+      this.showToast('Contraseña cambiada', 'Inicia sesión de nuevo', 'success');
+      this.showLogin();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async createUser(event) {
+    event.preventDefault();
+    try {
+      await this.api('POST', '/users', {
+        username: document.getElementById('newUserName').value.trim(),
+        password: document.getElementById('newUserPassword').value,
+        role: document.getElementById('newUserRole').value
+      });
+      await this.showAccountModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async updateUserRole(userId, role) {
+    try {
+      await this.api('PUT', `/users/${userId}`, { role });
+      this.showToast('Rol actualizado', role, 'success');
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+      await this.showAccountModal();
+    }
+  }
+
+  async deleteUser(userId) {
+    if (!confirm('¿Eliminar este usuario y sus tokens?')) return;
+    try {
+      await this.api('DELETE', `/users/${userId}`);
+      await this.showAccountModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  // ==================== Notifications ====================
+  async showNotificationsModal() {
+    const [catalog, channels, rules, deliveries] = await Promise.all([
+      this.api('GET', '/notifications/events'),
+      this.api('GET', '/notifications/channels'),
+      this.api('GET', '/notifications/rules'),
+      this.api('GET', '/notifications/deliveries?limit=20')
+    ]);
+    const groups = [...new Set(catalog.events.map(e => `${e.split(':')[0]}:*`))];
+    const deliveryStatus = { pending: 'pending', delivered: 'completed', failed: 'failed' };
+    const target = (c) => c.type === 'email' ? c.config.to.join(', ') : c.config.url;
+
+    const modalBody = document.getElementById('modalBody');
+    modalBody.innerHTML = `
+      <div class="account-section">
+        <h4>📡 Canales</h4>
+        ${channels.map(c => `
+          <div class="account-row">
+            <span>${this.escapeHtml(c.name)} <code>${c.type}</code>${c.config.hasSecret ? ' 🔏' : ''}</span>
+            <span style="color: var(--text-muted);">${this.escapeHtml(target(c))}</span>
+            <span>
+              <button class="btn sm" onclick="app.toggleNotificationChannel('${c.id}', ${!c.enabled})">${c.enabled ? 'Desactivar' : 'Activar'}</button>
+              <button class="btn sm" onclick="app.testNotificationChannel('${c.id}')">Probar</button>
+              <button class="btn sm danger" onclick="app.deleteNotificationChannel('${c.id}')">Eliminar</button>
+            </span>
+          </div>
+        `).join('')}
+        <form class="account-inline-form" onsubmit="app.createNotificationChannel(event)">
+          <input type="text" id="channelName" placeholder="Nombre" required>
+          <select id="channelType">
+            ${catalog.channelTypes.map(t => `<option value="${t}">${t}</option>`).join('')}
+          </select>
+          <input type="text" id="channelTarget" placeholder="URL del webhook o emails (separados por comas)" required>
+          <input type="password" id="channelSecret" placeholder="Secreto HMAC (opcional)" autocomplete="off">
+          <button type="submit" class="btn primary">Añadir</button>
+        </form>
+      </div>
+
+      <div class="account-section">
+        <h4>🔀 Reglas</h4>
+        ${rules.map(r => `
+          <div class="account-row">
+            <span><code>${this.escapeHtml(r.event)}</code> → ${this.escapeHtml(r.channel_name || '?')}</span>
+            <span>
+              <button class="btn sm" onclick="app.toggleNotificationRule('${r.id}', ${!r.enabled})">${r.enabled ? 'Desactivar' : 'Activar'}</button>
+              <button class="btn sm danger" onclick="app.deleteNotificationRule('${r.id}')">Eliminar</button>
+            </span>
+          </div>
+        `).join('')}
+        ${channels.length === 0 ? '<small style="color: var(--text-muted);">Crea un canal primero.</small>' : `
+          <form class="account-inline-form" onsubmit="app.createNotificationRule(event)">
+            <select id="ruleEvent">
+              <option value="*">* (todos)</option>
+              ${groups.map(g => `<option value="${g}">${g}</option>`).join('')}
+              ${catalog.events.map(e => `<option value="${e}">${e}</option>`).join('')}
+            </select>
+            <select id="ruleChannel">
+              ${channels.map(c => `<option value="${c.id}">${this.escapeHtml(c.name)}</option>`).join('')}
+            </select>
+            <button type="submit" class="btn primary">Añadir</button>
+          </form>
+        `}
+      </div>
+
+      <div class="account-section">
+        <h4>📬 Últimos envíos</h4>
+        ${deliveries.length === 0 ? '<small style="color: var(--text-muted);">Sin envíos todavía.</small>' : ''}
+        ${deliveries.map(d => `
+          <div class="account-row">
+            <span><span class="job-status ${deliveryStatus[d.status]}">${d.status}</span> ${this.escapeHtml(d.event)} → ${this.escapeHtml(d.channel_name || '?')}</span>
+            <span style="color: var(--text-muted);" title="${this.escapeHtml(d.last_error || '')}">
+              ${d.attempts} intento(s)${d.last_error ? ` · ${this.escapeHtml(d.last_error.slice(0, 60))}` : ''}
+            </span>
+            ${d.status === 'failed' ? `<button class="btn sm" onclick="app.retryNotificationDelivery('${d.id}')">Reintentar</button>` : '<span></span>'}
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    document.getElementById('modalTitle').textContent = 'Notificaciones';
+    document.getElementById('modalOverlay').classList.add('active');
+  }
+
+  async createNotificationChannel(event) {
+    event.preventDefault();
+    const type = document.getElementById('channelType').value;
+    const targetValue = document.getElementById('channelTarget').value.trim();
+    const channelConfig = type === 'email'
+      ? { to: targetValue }
+      : { url: targetValue, secret: document.getElementById('channelSecret').value || undefined };
+
+    try {
+      await this.api('POST', '/notifications/channels', {
+        name: document.getElementById('channelName').value.trim(),
+        type,
+        config: channelConfig
+      });
+      await this.showNotificationsModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async toggleNotificationChannel(channelId, enabled) {
+    try {
+      await this.api('PUT', `/notifications/channels/${channelId}`, { enabled });
+      await this.showNotificationsModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async testNotificationChannel(channelId) {
+    try {
+      const delivery = await this.api('POST', `/notifications/channels/${channelId}/test`);
+      if (delivery.status === 'delivered') {
+        this.showToast('Notificación enviada', 'El canal ha recibido la prueba', 'success');
+      } else {
+        this.showToast('Fallo en la prueba', delivery.last_error || delivery.status, 'error');
+      }
+      await this.showNotificationsModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async deleteNotificationChannel(channelId) {
+    if (!confirm('¿Eliminar este canal y sus reglas?')) return;
+    try {
+      await this.api('DELETE', `/notifications/channels/${channelId}`);
+      await this.showNotificationsModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async createNotificationRule(event) {
+    event.preventDefault();
+    try {
+      await this.api('POST', '/notifications/rules', {
+        event: document.getElementById('ruleEvent').value,
+        channelId: document.getElementById('ruleChannel').value
+      });
+      await this.showNotificationsModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async toggleNotificationRule(ruleId, enabled) {
+    try {
+      await this.api('PUT', `/notifications/rules/${ruleId}`, { enabled });
+      await this.showNotificationsModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async deleteNotificationRule(ruleId) {
+    try {
+      await this.api('DELETE', `/notifications/rules/${ruleId}`);
+      await this.showNotificationsModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async retryNotificationDelivery(deliveryId) {
+    try {
+      const delivery = await this.api('POST', `/notifications/deliveries/${deliveryId}/retry`);
+      this.showToast('Reintento', delivery.status === 'delivered' ? 'Entregada' : (delivery.last_error || delivery.status),
+        delivery.status === 'delivered' ? 'success' : 'warning');
+      await this.showNotificationsModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  // Public URL of a pod service port (mock pods are emulated by the server itself)
+  podServiceUrl(podId, port) {
+    if (this.provider === 'mock') {
+      return `${window.location.origin}/mock-pods/${podId}/${port}`;
+    }
+    return `https://${podId}-${port}.proxy.runpod.net`;
+  }
+
   // ==================== Account ====================
   async loadAccount() {
     try {
@@ -333,6 +834,8 @@ class GPUOrchestrator {
       this.pods = await this.api('GET', '/pods');
       this.renderPods();
       this.updateStats();
+      this.loadLaunchProfiles();
+      this.loadModelManifests();
     } catch (error) {
       console.error('Error loading pods:', error);
       document.getElementById('podsGrid').innerHTML =
@@ -340,6 +843,46 @@ class GPUOrchestrator {
     }
   }
 
+  readinessLabel(state) {
+    const labels = {
+      provisioning: '⏳ Asignando GPU',
+      starting: '📦 Arrancando contenedor',
+      'service-up': '🔌 Servicio activo, sin modelos',
+      ready: '✅ Listo',
+      stopped: '⏹️ Parado'
+    };
+    return labels[state] || state;
+  }
+
+  provisionLabel(provision) {
+    const mb = (bytes) => `${Math.round((bytes || 0) / 1048576)} MB`;
+    const name = this.escapeHtml(provision.name);
+    switch (provision.status) {
+      case 'pending':
+        return `⏳ ${name}: esperando a ComfyUI`;
+      case 'installing': {
+        const current = provision.current
+          ? ` · ${this.escapeHtml(provision.current.name)} (${mb(provision.current.bytes)}${provision.current.sizeBytes ? ` de ${mb(provision.current.sizeBytes)}` : ''})`
+          : '';
+        return `📥 ${name}: ${provision.installed}/${provision.total}${current}`;
+      }
+      case 'verifying':
+        return `🔍 ${name}: comprobando en ComfyUI`;
+      case 'completed':
+        return `✅ ${name}: ${provision.installed}/${provision.total}`;
+      default:
+        return `❌ ${name}: ${provision.failed || provision.total - provision.installed} fallido(s)`;
+    }
+  }
+
+  // Provision progress comes often: patch the pod in place instead of reloading
+  updatePodProvision(progress) {
+    const pod = this.pods.find(p => p.id === progress.podId);
+    if (!pod) return;
+    pod.provision = { ...pod.provision, ...progress, status: 'installing' };
+    this.renderPods();
+  }
+
   renderPods() {
     const grid = document.getElementById('podsGrid');
 
@@ -364,6 +907,7 @@ class GPUOrchestrator {
         <div class="resource-header">
           <div class="resource-name-row">
             <div class="resource-name">${this.escapeHtml(pod.name)}</div>
+            ${pod.podType === 'INTERRUPTABLE' ? '<small title="Pod spot: puede ser interrumpido si otra puja lo supera">⚡ spot</small>' : ''}
           </div>
           <span class="resource-status ${statusClass}">
             <span class="status-indicator"></span>
@@ -387,6 +931,17 @@ class GPUOrchestrator {
             <span class="resource-detail-label">Uptime</span>
             <span class="resource-detail-value">${this.formatDuration(pod.uptimeSeconds)}</span>
           </div>
+          ${isRunning && pod.readiness ? `
+          <div class="resource-detail" title="${this.escapeHtml(pod.readiness.message || '')}">
+            <span class="resource-detail-label">Servicio</span>
+            <span class="resource-detail-value">${this.readinessLabel(pod.readiness.state)}</span>
+          </div>` : ''}
+          ${pod.provision ? `
+          <div class="resource-detail" title="${this.escapeHtml(pod.provision.error || '')}">
+            <span class="resource-detail-label">Modelos</span>
+            <span class="resource-detail-value">${this.provisionLabel(pod.provision)}
+              ${pod.provision.status === 'failed' ? `<button class="btn sm" onclick="app.retryProvision('${pod.provision.id}')">🔁 Reintentar</button>` : ''}</span>
+          </div>` : ''}
         </div>
 
         ${isRunning ? `
@@ -420,6 +975,7 @@ class GPUOrchestrator {
         <div class="resource-actions">
           ${isRunning ?
           `<button class="btn sm btn-backup" onclick="event.stopPropagation(); app.backupPodWorkspace('${pod.id}')" title="Descargar archivos generados">💾 Backup</button>
+           ${pod.readiness?.engine === 'comfyui' ? `<button class="btn sm" onclick="app.showProvisionModal('${pod.id}')" title="Instalar un manifiesto de modelos">📦 Modelos</button>` : ''}
            <button class="btn sm warning" onclick="app.stopPod('${pod.id}')">⏹️ Stop</button>` :
           `<button class="btn sm primary" onclick="app.startPod('${pod.id}')">▶️ Start</button>`
         }
@@ -436,25 +992,25 @@ class GPUOrchestrator {
         icon: '🖼️',
         label: 'Automatic1111 (Imágenes)',
         port: 3000,
-        url: `https://${podId}-3000.proxy.runpod.net`
+        url: this.podServiceUrl(podId, 3000)
       },
       {
         icon: '🎨',
         label: 'ComfyUI (Workflows)',
         port: 8188,
-        url: `https://${podId}-8188.proxy.runpod.net`
+        url: this.podServiceUrl(podId, 8188)
       },
       {
         icon: '🎵',
         label: 'Gradio / HeartMuLa (Música)',
         port: 7860,
-        url: `https://${podId}-7860.proxy.runpod.net`
+        url: this.podServiceUrl(podId, 7860)
       },
       {
         icon: '📓',
         label: 'Jupyter Lab (Archivos)',
         port: 8888,
-        url: `https://${podId}-8888.proxy.runpod.net`
+        url: this.podServiceUrl(podId, 8888)
       }
     ];
   }
@@ -623,6 +1179,8 @@ class GPUOrchestrator {
           <label for="podName">Nombre del Pod *</label>
           <input type="text" id="podName" required placeholder="mi-pod-ia" pattern="[a-zA-Z0-9-_]+" minlength="3" maxlength="50">
         </div>
+
+        ${this.projectSelectHtml('podProject')}
         
         <div class="form-group">
           <label for="cloudType">Tipo de Cloud *</label>
@@ -641,6 +1199,34 @@ class GPUOrchestrator {
           <div id="gpuWarning" class="warning-text" style="display: none;">
             ⚠️ Music Gen requiere mínimo 16GB VRAM
           </div>
+          <label>
+            <input type="checkbox" id="podGpuFallback" checked> 🎯 Si no hay stock, probar otras GPUs con suficiente VRAM
+          </label>
+        </div>
+
+        <div class="form-group">
+          <label for="podManifest">📦 Modelos a instalar (solo ComfyUI)</label>
+          <select id="podManifest">${this.manifestOptionsHtml()}</select>
+        </div>
+
+        <div class="form-group">
+          <label>
+            <input type="checkbox" id="podSpot" onchange="app.toggleSpotOptions()"> ⚡ Spot (interrumpible, más barato)
+          </label>
+          <div id="spotOptions" style="display: none;">
+            <label for="spotBid">Puja ($/GPU/hr) * <small id="spotBidHint"></small></label>
+            <input type="number" id="spotBid" min="0.001" step="0.001">
+            <label for="spotMaxBid">Puja máxima al re-pujar ($/GPU/hr)</label>
+            <input type="number" id="spotMaxBid" min="0.001" step="0.001" placeholder="Precio on-demand">
+            <label for="spotPolicy">Si se interrumpe</label>
+            <select id="spotPolicy">
+              <option value="rebid-then-on-demand">Re-pujar y, si no, pod on-demand</option>
+              <option value="rebid">Solo re-pujar</option>
+              <option value="on-demand">Sustituir por un pod on-demand</option>
+              <option value="none">Dejarlo parado</option>
+            </select>
+            <small style="color: var(--text-muted);">Los batches en curso continúan en el pod recuperado o en su sustituto.</small>
+          </div>
         </div>
         
         <div class="form-group">
@@ -673,6 +1259,7 @@ class GPUOrchestrator {
         
         <div class="modal-actions">
           <button type="button" class="btn" onclick="app.closeModal()">Cancelar</button>
+          <button type="button" class="btn" onclick="app.savePodFormAsProfile()">💾 Guardar como perfil</button>
           <button type="submit" class="btn primary" id="createPodBtn">Crear Pod</button>
         </div>
       </form>
@@ -682,6 +1269,7 @@ class GPUOrchestrator {
     this.selectedTaskType = 'imageGenA1111';
     this.updateGpuOptionsForTaskType();
     this.updateDiskDefaultsForTaskType();
+    document.getElementById('gpuType').addEventListener('change', () => this.updateSpotBidHint());
 
     document.getElementById('modalTitle').textContent = 'Crear Nuevo Pod';
     document.getElementById('modalOverlay').classList.add('active');
@@ -818,13 +1406,55 @@ class GPUOrchestrator {
     }
   }
 
+  toggleSpotOptions() {
+    const enabled = document.getElementById('podSpot').checked;
+    document.getElementById('spotOptions').style.display = enabled ? 'block' : 'none';
+    document.getElementById('spotBid').required = enabled;
+    if (enabled) this.updateSpotBidHint();
+  }
+
+  updateSpotBidHint() {
+    const hint = document.getElementById('spotBidHint');
+    if (!hint || !document.getElementById('podSpot').checked) return;
+
+    const gpu = this.gpus.find(g => g.id === document.getElementById('gpuType').value);
+    const bidInput = document.getElementById('spotBid');
+    if (gpu?.minimumBidPrice) {
+      hint.textContent = `(mínima $${gpu.minimumBidPrice.toFixed(3)}, on-demand $${(gpu.communityPrice || gpu.securePrice || 0).toFixed(3)})`;
+      bidInput.value = gpu.minimumBidPrice.toFixed(3);
+    } else {
+      hint.textContent = '';
+    }
+  }
+
   onTemplateSelect(imageName) {
     // No longer used - task type selector handles templates
   }
 
   async createPod(event) {
     event.preventDefault();
+    const data = this.readPodForm();
+    const template = this.builtInTemplates[this.selectedTaskType];
+
+    try {
+      const { placement } = await this.api('POST', '/pods', data);
+      const limitMsg = data.spendingLimit ? ` (límite: $${data.spendingLimit})` : '';
+      this.showToast('Pod Creado', `Tu pod de ${template.name} se está desplegando en ${placement.displayName}${limitMsg}` +
+        this.placementNote(placement), 'success');
+      this.closeModal();
+      await this.loadPods();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  // GPUs that were tried before the one the pod got
+  placementNote(placement) {
+    if (!placement?.attempts.length) return '';
+    return `. Sin éxito antes: ${placement.attempts.map(a => `${a.gpuTypeId} (${a.reason === 'out-of-stock' ? 'sin stock' : 'error'})`).join(', ')}`;
+  }
 
+  readPodForm() {
     const containerDisk = parseInt(document.getElementById('containerDisk').value);
     const spendingLimit = parseFloat(document.getElementById('spendingLimit').value) || 0;
     const template = this.builtInTemplates[this.selectedTaskType];
@@ -837,7 +1467,8 @@ class GPUOrchestrator {
       cloudType: document.getElementById('cloudType').value,
       taskType: this.selectedTaskType,
       port: template.port,
-      spendingLimit: spendingLimit > 0 ? spendingLimit : null
+      spendingLimit: spendingLimit > 0 ? spendingLimit : null,
+      projectId: document.getElementById('podProject').value || undefined
     };
 
     // Use template ID or docker image based on task type
@@ -847,19 +1478,377 @@ class GPUOrchestrator {
       data.imageName = template.imageName;
     }
 
-    try {
-      await this.api('POST', '/pods', data);
-      const limitMsg = spendingLimit > 0 ? ` (límite: $${spendingLimit})` : '';
-      this.showToast('Pod Creado', `Tu pod de ${template.name} se está desplegando${limitMsg}`, 'success');
-      this.closeModal();
-      await this.loadPods();
-    } catch (error) {
-      this.showToast('Error', error.message, 'error');
+    if (document.getElementById('podGpuFallback').checked) {
+      data.placement = { preferredGpuIds: [data.gpuTypeId], minVram: template.minVram };
     }
-  }
 
-  // ==================== Endpoints ====================
-  async loadEndpoints() {
+    const manifestId = document.getElementById('podManifest').value;
+    if (manifestId && this.selectedTaskType === 'imageGen') {
+      data.manifestId = manifestId;
+    }
+
+    if (document.getElementById('podSpot').checked) {
+      const maxBid = parseFloat(document.getElementById('spotMaxBid').value);
+      data.spot = {
+        bidPerGpu: parseFloat(document.getElementById('spotBid').value),
+        maxBidPerGpu: maxBid > 0 ? maxBid : null,
+        policy: document.getElementById('spotPolicy').value
+      };
+    }
+
+    return data;
+  }
+
+  // ==================== Launch Profiles ====================
+  async loadLaunchProfiles() {
+    const container = document.getElementById('launchProfiles');
+    if (!container) return;
+
+    try {
+      this.launchProfiles = await this.api('GET', '/profiles');
+      container.innerHTML = `
+        ${this.launchProfiles.length === 0
+          ? '<div class="chart-placeholder">Guarda la configuración de un pod como perfil desde "Create Pod" o crea uno nuevo</div>'
+          : this.launchProfiles.map(p => `
+            <div class="account-row">
+              <span>
+                <strong>${this.escapeHtml(p.name)}</strong>
+                <small>${this.escapeHtml(p.settings.taskType)} · ${p.settings.gpuTypeIds.map(g => this.escapeHtml(g)).join(' → ')}
+                  ${p.settings.spot ? ' · ⚡ spot' : ''}${p.settings.spendingLimit ? ` · límite $${p.settings.spendingLimit}` : ''}${p.settings.manifestId ? ' · 📦 modelos' : ''}</small>
+                ${p.description ? `<br><small>${this.escapeHtml(p.description)}</small>` : ''}
+              </span>
+              <span>
+                <button class="btn sm primary" onclick="app.launchProfile('${p.id}')">🚀 Lanzar</button>
+                <button class="btn sm" onclick="app.showLaunchProfileModal('${p.id}')">✏️</button>
+                <button class="btn sm danger" onclick="app.deleteLaunchProfile('${p.id}')">🗑️</button>
+              </span>
+            </div>
+          `).join('')}
+        <button class="btn sm" onclick="app.showLaunchProfileModal()">➕ Nuevo perfil</button>
+      `;
+    } catch (error) {
+      console.error('Error loading launch profiles:', error);
+    }
+  }
+
+  async launchProfile(profileId) {
+    const profile = this.launchProfiles.find(p => p.id === profileId);
+    try {
+      const pod = await this.api('POST', `/pods/from-profile/${profileId}`);
+      this.showToast('🚀 Pod Lanzado', `${pod.name} desde el perfil ${profile?.name || ''}`, 'success');
+      await this.loadPods();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async savePodFormAsProfile() {
+    const name = prompt('Nombre del perfil:');
+    if (!name) return;
+
+    const { name: podName, gpuTypeId, projectId, ...settings } = this.readPodForm();
+    try {
+      await this.api('POST', '/profiles', { ...settings, name, gpuTypeIds: [gpuTypeId], projectId });
+      this.showToast('Perfil guardado', name, 'success');
+      await this.loadLaunchProfiles();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  showLaunchProfileModal(profileId = null) {
+    const profile = this.launchProfiles?.find(p => p.id === profileId) || { settings: {} };
+    const settings = profile.settings;
+    const taskTypes = { imageGenA1111: '🖼️ Image Gen (A1111)', imageGen: '🎨 Image Gen (ComfyUI)', musicGen: '🎵 Music Gen' };
+    const value = (v) => this.escapeHtml(v ?? '');
+
+    const modalBody = document.getElementById('modalBody');
+    modalBody.innerHTML = `
+      <form class="modal-form" onsubmit="app.saveLaunchProfile(event, ${profileId ? `'${profileId}'` : 'null'})">
+        <div class="form-group">
+          <label for="profileName">Nombre *</label>
+          <input type="text" id="profileName" required minlength="2" maxlength="50" value="${value(profile.name)}">
+        </div>
+        <div class="form-group">
+          <label for="profileDescription">Descripción</label>
+          <input type="text" id="profileDescription" value="${value(profile.description)}">
+        </div>
+        <div class="form-group">
+          <label for="profileTaskType">Tipo de tarea</label>
+          <select id="profileTaskType">
+            ${Object.entries(taskTypes).map(([type, label]) =>
+      `<option value="${type}" ${(settings.taskType || 'imageGen') === type ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="profileImage">Imagen Docker</label>
+          <input type="text" id="profileImage" value="${value(settings.imageName)}" placeholder="runpod/stable-diffusion:web-ui-13.0.0-auto">
+          <label for="profileTemplate">o Template ID</label>
+          <input type="text" id="profileTemplate" value="${value(settings.templateId)}">
+        </div>
+        <div class="form-group">
+          <label for="profileGpus">GPUs, por orden de preferencia (una por línea) *</label>
+          <textarea id="profileGpus" rows="3" required>${value((settings.gpuTypeIds || []).join('\n'))}</textarea>
+        </div>
+        <div class="form-group">
+          <label for="profileCloudType">Tipo de Cloud</label>
+          <select id="profileCloudType">
+            ${['ALL', 'COMMUNITY', 'SECURE'].map(c => `<option value="${c}" ${(settings.cloudType || 'ALL') === c ? 'selected' : ''}>${c}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="profileVolume">Volumen (GB)</label>
+          <input type="number" id="profileVolume" min="0" max="1000" value="${settings.volumeInGb ?? 20}">
+          <label for="profileContainerDisk">Container Disk (GB)</label>
+          <input type="number" id="profileContainerDisk" min="0" max="500" value="${settings.containerDiskInGb ?? ''}">
+        </div>
+        <div class="form-group">
+          <label for="profilePorts">Puertos</label>
+          <input type="text" id="profilePorts" value="${value(settings.ports)}" placeholder="Los del tipo de tarea">
+        </div>
+        <div class="form-group">
+          <label for="profileEnv">Variables de entorno (CLAVE=valor, una por línea)</label>
+          <textarea id="profileEnv" rows="3">${value((settings.env || []).map(e => `${e.key}=${e.value}`).join('\n'))}</textarea>
+        </div>
+        <div class="form-group">
+          <label for="profileSpendingLimit">💰 Límite de gasto ($)</label>
+          <input type="number" id="profileSpendingLimit" min="0" step="0.1" value="${settings.spendingLimit ?? ''}" placeholder="Sin límite">
+          <label for="profileAutoShutdown">⏰ Apagar tras inactividad (minutos, 0 = nunca)</label>
+          <input type="number" id="profileAutoShutdown" min="0" max="10080" value="${settings.autoShutdownMinutes ?? ''}" placeholder="El valor global">
+        </div>
+        <div class="form-group">
+          <label for="profileManifest">📦 Modelos a instalar (solo ComfyUI)</label>
+          <select id="profileManifest">${this.manifestOptionsHtml(settings.manifestId)}</select>
+        </div>
+        <div class="modal-actions">
+          <button type="button" class="btn" onclick="app.closeModal()">Cancelar</button>
+          <button type="submit" class="btn primary">Guardar</button>
+        </div>
+      </form>
+    `;
+
+    document.getElementById('modalTitle').textContent = profileId ? 'Editar Perfil' : 'Nuevo Perfil';
+    document.getElementById('modalOverlay').classList.add('active');
+  }
+
+  async saveLaunchProfile(event, profileId) {
+    event.preventDefault();
+    const number = (id) => {
+      const value = document.getElementById(id).value;
+      return value === '' ? null : Number(value);
+    };
+    const lines = (id) => document.getElementById(id).value.split('\n').map(l => l.trim()).filter(Boolean);
+
+    const data = {
+      name: document.getElementById('profileName').value.trim(),
+      description: document.getElementById('profileDescription').value.trim(),
+      taskType: document.getElementById('profileTaskType').value,
+      imageName: document.getElementById('profileImage').value.trim() || null,
+      templateId: document.getElementById('profileTemplate').value.trim() || null,
+      gpuTypeIds: lines('profileGpus'),
+      cloudType: document.getElementById('profileCloudType').value,
+      volumeInGb: number('profileVolume') ?? 0,
+      containerDiskInGb: number('profileContainerDisk'),
+      ports: document.getElementById('profilePorts').value.trim() || null,
+      env: lines('profileEnv').map(line => {
+        const [key, ...rest] = line.split('=');
+        return { key: key.trim(), value: rest.join('=') };
+      }),
+      spendingLimit: number('profileSpendingLimit'),
+      autoShutdownMinutes: number('profileAutoShutdown'),
+      manifestId: document.getElementById('profileManifest').value || null
+    };
+
+    try {
+      if (profileId) {
+        await this.api('PUT', `/profiles/${profileId}`, data);
+      } else {
+        await this.api('POST', '/profiles', data);
+      }
+      this.showToast('Perfil guardado', data.name, 'success');
+      this.closeModal();
+      await this.loadLaunchProfiles();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async deleteLaunchProfile(profileId) {
+    if (!confirm('¿Eliminar este perfil de lanzamiento?')) return;
+    try {
+      await this.api('DELETE', `/profiles/${profileId}`);
+      await this.loadLaunchProfiles();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  // ==================== Model Manifests ====================
+  async loadModelManifests() {
+    const container = document.getElementById('modelManifests');
+    if (!container) return;
+
+    try {
+      this.modelManifests = await this.api('GET', '/manifests');
+      container.innerHTML = `
+        ${this.modelManifests.length === 0
+          ? '<div class="chart-placeholder">Crea un manifiesto con los modelos de un workflow para instalarlos solos en los pods de ComfyUI</div>'
+          : this.modelManifests.map(m => `
+            <div class="account-row">
+              <span>
+                <strong>${this.escapeHtml(m.name)}</strong>
+                <small>${m.models.length} modelo(s)${m.workflow_id ? ` · workflow ${this.escapeHtml(m.workflow_id)}` : ''}</small>
+                ${m.description ? `<br><small>${this.escapeHtml(m.description)}</small>` : ''}
+              </span>
+              <span>
+                <button class="btn sm" onclick="app.showManifestModal('${m.id}')">✏️</button>
+                <button class="btn sm danger" onclick="app.deleteManifest('${m.id}')">🗑️</button>
+              </span>
+            </div>
+          `).join('')}
+        <button class="btn sm" onclick="app.showManifestModal()">➕ Nuevo manifiesto</button>
+      `;
+    } catch (error) {
+      console.error('Error loading model manifests:', error);
+    }
+  }
+
+  manifestOptionsHtml(selectedId = null) {
+    return `<option value="">Ninguno</option>` + (this.modelManifests || []).map(m =>
+      `<option value="${m.id}" ${m.id === selectedId ? 'selected' : ''}>${this.escapeHtml(m.name)} (${m.models.length} modelo(s))</option>`).join('');
+  }
+
+  async showManifestModal(manifestId = null) {
+    const manifest = this.modelManifests?.find(m => m.id === manifestId) || { models: [] };
+    const value = (v) => this.escapeHtml(v ?? '');
+    if (this.workflows.length === 0) {
+      this.workflows = await this.api('GET', '/workflows').catch(() => []);
+    }
+    const example = [{ type: 'checkpoint', name: 'sd_xl_base_1.0.safetensors', url: 'https://huggingface.co/...', sha256: null, sizeBytes: null }];
+
+    const modalBody = document.getElementById('modalBody');
+    modalBody.innerHTML = `
+      <form class="modal-form" onsubmit="app.saveManifest(event, ${manifestId ? `'${manifestId}'` : 'null'})">
+        <div class="form-group">
+          <label for="manifestName">Nombre *</label>
+          <input type="text" id="manifestName" required minlength="2" maxlength="50" value="${value(manifest.name)}">
+        </div>
+        <div class="form-group">
+          <label for="manifestDescription">Descripción</label>
+          <input type="text" id="manifestDescription" value="${value(manifest.description)}">
+        </div>
+        <div class="form-group">
+          <label for="manifestWorkflow">Workflow (se instala si un pod no tiene checkpoints al generar)</label>
+          <select id="manifestWorkflow">
+            <option value="">Ninguno</option>
+            ${this.workflows.map(wf => `<option value="${wf.id}" ${wf.id === manifest.workflow_id ? 'selected' : ''}>${this.escapeHtml(wf.name || wf.id)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="manifestModels">Modelos (JSON) *</label>
+          <textarea id="manifestModels" rows="10" required>${value(JSON.stringify(manifest.models.length ? manifest.models : example, null, 2))}</textarea>
+          <small style="color: var(--text-muted);">type: checkpoint, lora, vae o controlnet · folder opcional (por defecto la del tipo) · sha256 y sizeBytes opcionales</small>
+        </div>
+        <div class="modal-actions">
+          <button type="button" class="btn" onclick="app.closeModal()">Cancelar</button>
+          <button type="submit" class="btn primary">Guardar</button>
+        </div>
+      </form>
+    `;
+
+    document.getElementById('modalTitle').textContent = manifestId ? 'Editar Manifiesto' : 'Nuevo Manifiesto';
+    document.getElementById('modalOverlay').classList.add('active');
+  }
+
+  async saveManifest(event, manifestId) {
+    event.preventDefault();
+    let models;
+    try {
+      models = JSON.parse(document.getElementById('manifestModels').value);
+    } catch (error) {
+      this.showToast('Error', `Los modelos no son JSON válido: ${error.message}`, 'error');
+      return;
+    }
+
+    const data = {
+      name: document.getElementById('manifestName').value.trim(),
+      description: document.getElementById('manifestDescription').value.trim(),
+      workflowId: document.getElementById('manifestWorkflow').value || null,
+      models
+    };
+
+    try {
+      if (manifestId) {
+        await this.api('PUT', `/manifests/${manifestId}`, data);
+      } else {
+        await this.api('POST', '/manifests', data);
+      }
+      this.showToast('Manifiesto guardado', data.name, 'success');
+      this.closeModal();
+      await this.loadModelManifests();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async deleteManifest(manifestId) {
+    if (!confirm('¿Eliminar este manifiesto de modelos?')) return;
+    try {
+      await this.api('DELETE', `/manifests/${manifestId}`);
+      await this.loadModelManifests();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  showProvisionModal(podId) {
+    const pod = this.pods.find(p => p.id === podId);
+    const modalBody = document.getElementById('modalBody');
+    modalBody.innerHTML = `
+      <form class="modal-form" onsubmit="app.provisionPod(event, '${podId}')">
+        <div class="form-group">
+          <label for="provisionManifest">Manifiesto *</label>
+          <select id="provisionManifest" required>
+            ${(this.modelManifests || []).map(m => `<option value="${m.id}">${this.escapeHtml(m.name)} (${m.models.length} modelo(s))</option>`).join('')}
+          </select>
+          <small style="color: var(--text-muted);">Los modelos que ComfyUI ya tiene no se vuelven a descargar.</small>
+        </div>
+        <div class="modal-actions">
+          <button type="button" class="btn" onclick="app.closeModal()">Cancelar</button>
+          <button type="submit" class="btn primary">📦 Instalar</button>
+        </div>
+      </form>
+    `;
+
+    document.getElementById('modalTitle').textContent = `Instalar modelos en ${pod?.name || podId}`;
+    document.getElementById('modalOverlay').classList.add('active');
+  }
+
+  async provisionPod(event, podId) {
+    event.preventDefault();
+    try {
+      const provision = await this.api('POST', `/pods/${podId}/provision`, {
+        manifestId: document.getElementById('provisionManifest').value
+      });
+      this.showToast('📦 Instalando Modelos', `${provision.manifest_name}: ${provision.models.length} modelo(s)`, 'info');
+      this.closeModal();
+      await this.loadPods();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async retryProvision(provisionId) {
+    try {
+      await this.api('POST', `/provisions/${provisionId}/retry`);
+      await this.loadPods();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  // ==================== Endpoints ====================
+  async loadEndpoints() {
     try {
       this.endpoints = await this.api('GET', '/endpoints');
       this.renderEndpoints();
@@ -898,15 +1887,48 @@ class GPUOrchestrator {
             <span class="resource-detail-label">Idle Timeout</span>
             <span class="resource-detail-value">${ep.idleTimeout}s</span>
           </div>
+          ${ep.limits ? `
+          <div class="resource-detail">
+            <span class="resource-detail-label">En curso</span>
+            <span class="resource-detail-value">${ep.limits.inFlight} / ${ep.limits.maxConcurrent}${ep.limits.pending ? ` (+${ep.limits.pending} en cola)` : ''}</span>
+          </div>
+          <div class="resource-detail">
+            <span class="resource-detail-label">Ritmo</span>
+            <span class="resource-detail-value">${ep.limits.throttledUntil ? '🚦 ' : ''}${ep.limits.effectiveRate} / ${ep.limits.ratePerSecond} jobs/s</span>
+          </div>` : ''}
         </div>
         <div class="resource-actions">
           <button class="btn sm primary" onclick="app.showSubmitJobModal('${ep.id}')">📤 Submit Job</button>
+          <button class="btn sm" onclick="app.editEndpointLimits('${ep.id}')">🚦 Límites</button>
           <button class="btn sm danger" onclick="app.deleteEndpoint('${ep.id}')">🗑️ Delete</button>
         </div>
       </div>
     `).join('');
   }
 
+  async editEndpointLimits(endpointId) {
+    const limits = this.endpoints.find(ep => ep.id === endpointId)?.limits || {};
+    const parse = (text) => text.trim() === '' ? null : Number(text);
+
+    const maxConcurrent = prompt('Trabajos simultáneos (vacío = workersMax del endpoint)',
+      limits.source?.concurrency === 'custom' ? limits.maxConcurrent : '');
+    if (maxConcurrent === null) return;
+    const ratePerSecond = prompt('Envíos por segundo (vacío = RATE_LIMIT_PER_SECOND)',
+      limits.source?.rate === 'custom' ? limits.ratePerSecond : '');
+    if (ratePerSecond === null) return;
+
+    try {
+      await this.api('PUT', `/endpoints/${endpointId}/limits`, {
+        maxConcurrent: parse(maxConcurrent),
+        ratePerSecond: parse(ratePerSecond)
+      });
+      this.showToast('Límites guardados', 'Se aplican desde el próximo reparto de la cola', 'success');
+      await this.loadEndpoints();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
   async deleteEndpoint(endpointId) {
     if (!confirm('Delete this endpoint?')) return;
 
@@ -931,6 +1953,8 @@ class GPUOrchestrator {
           <label for="endpointName">Endpoint Name *</label>
           <input type="text" id="endpointName" required placeholder="my-sd-endpoint">
         </div>
+
+        ${this.projectSelectHtml('endpointProject')}
         
         <div class="form-group">
           <label for="templateId">Template ID *</label>
@@ -974,7 +1998,8 @@ class GPUOrchestrator {
       templateId: document.getElementById('templateId').value,
       gpuIds,
       workersMin: parseInt(document.getElementById('workersMin').value) || 0,
-      workersMax: parseInt(document.getElementById('workersMax').value) || 3
+      workersMax: parseInt(document.getElementById('workersMax').value) || 3,
+      projectId: document.getElementById('endpointProject').value || undefined
     };
 
     try {
@@ -1008,17 +2033,30 @@ class GPUOrchestrator {
     const tbody = document.getElementById('jobsTableBody');
 
     if (this.jobs.length === 0) {
-      tbody.innerHTML = `<tr><td colspan="7" class="loading-cell">No jobs found</td></tr>`;
+      tbody.innerHTML = `<tr><td colspan="8" class="loading-cell">No jobs found</td></tr>`;
       return;
     }
 
     tbody.innerHTML = this.jobs.map(job => `
       <tr>
         <td title="${job.id}">${job.id.slice(0, 8)}...</td>
-        <td><span class="job-status ${job.status.toLowerCase()}">${job.status}</span></td>
+        <td>
+          <span class="job-status ${job.status.toLowerCase()}">${job.status}</span>
+          ${job.progress !== null && job.progress !== undefined && ['RUNNING', 'IN_QUEUE'].includes(job.status) ? `<small>${Math.round(job.progress)}%</small>` : ''}
+          ${job.cached_from ? `<small title="Resultado reutilizado del job ${job.cached_from}">⚡ caché</small>` : ''}
+        </td>
+        <td>
+          ${['⬇️ baja', 'normal', '⬆️ alta'][job.priority ?? 1]}
+          ${job.status === 'PENDING' ? `
+            ${(job.priority ?? 1) < 2 ? `<button class="btn sm" title="Subir prioridad" onclick="app.shiftJobPriority('${job.id}', 'bump')">▲</button>` : ''}
+            ${(job.priority ?? 1) > 0 ? `<button class="btn sm" title="Bajar prioridad" onclick="app.shiftJobPriority('${job.id}', 'demote')">▼</button>` : ''}
+          ` : ''}
+        </td>
         <td>${job.endpoint_id ? job.endpoint_id.slice(0, 8) + '...' : 'N/A'}</td>
         <td>${job.duration_ms ? this.formatDuration(job.duration_ms / 1000) : '-'}</td>
-        <td>${job.cost_usd ? '$' + job.cost_usd.toFixed(4) : '-'}</td>
+        <td>${job.cached_from
+          ? `<span title="Servido desde caché">$0${job.cost_saved_usd ? ` <small>(ahorro $${job.cost_saved_usd.toFixed(4)})</small>` : ''}</span>`
+          : job.cost_usd ? `$${job.cost_usd.toFixed(4)}${job.image_count > 1 ? ` <small>($${(job.cost_usd / job.image_count).toFixed(4)}/img)</small>` : ''}` : '-'}</td>
         <td>${this.formatDate(job.created_at)}</td>
         <td>
           ${job.status === 'PENDING' || job.status === 'RUNNING' ?
@@ -1027,6 +2065,8 @@ class GPUOrchestrator {
           `<button class="btn sm" onclick="app.viewJobResult('${job.id}')">View</button>` :
           ''
       }
+          ${job.partial_output && ['RUNNING', 'IN_QUEUE'].includes(job.status) ?
+        `<button class="btn sm" onclick="app.viewJobPartial('${job.id}')">Parcial</button>` : ''}
         </td>
       </tr>
     `).join('');
@@ -1047,6 +2087,15 @@ class GPUOrchestrator {
     document.getElementById('queuedJobs').textContent = stats.pending + stats.running;
   }
 
+  async shiftJobPriority(jobId, direction) {
+    try {
+      await this.api('POST', `/jobs/${jobId}/${direction}`);
+      await this.loadJobs();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
   async cancelJob(jobId) {
     try {
       await this.api('POST', `/jobs/${jobId}/cancel`);
@@ -1095,6 +2144,46 @@ ${JSON.stringify(job.output, null, 2)}
     document.getElementById('modalOverlay').classList.add('active');
   }
 
+  viewJobPartial(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job) return;
+
+    const chunks = job.partial_output?.chunks || [];
+    const previews = chunks.flatMap(c => [c.preview, ...(Array.isArray(c.images) ? c.images : [])])
+      .filter(img => typeof img === 'string')
+      .map(img => img.startsWith('data:') || img.startsWith('http') ? img : `data:image/png;base64,${img}`);
+    const last = chunks.length > 0 ? { ...chunks[chunks.length - 1] } : null;
+    if (last) {
+      delete last.preview;
+      delete last.images;
+    }
+
+    const modalBody = document.getElementById('modalBody');
+    modalBody.innerHTML = `
+      <div class="job-details" data-partial-job="${job.id}">
+        <div class="form-group">
+          <label>Progreso</label>
+          <div class="progress-bar"><div class="progress-fill" style="width: ${Math.round(job.progress || 0)}%"></div></div>
+          <small>${Math.round(job.progress || 0)}% · ${job.partial_output?.received || 0} resultado(s) parcial(es)</small>
+        </div>
+        ${previews.length > 0 ? `
+        <div class="form-group">
+          <label>Vista previa</label>
+          <div>${previews.slice(-4).map(src => `<img src="${this.escapeHtml(src)}" style="max-width: 48%; border-radius: 8px;">`).join(' ')}</div>
+        </div>` : ''}
+        <div class="form-group">
+          <label>Último resultado parcial</label>
+          <pre style="background: var(--bg-glass); padding: 1rem; border-radius: 8px; overflow: auto; max-height: 200px;">
+${this.escapeHtml(JSON.stringify(last, null, 2))}
+          </pre>
+        </div>
+      </div>
+    `;
+
+    document.getElementById('modalTitle').textContent = `Job ${job.id.slice(0, 8)}... en curso`;
+    document.getElementById('modalOverlay').classList.add('active');
+  }
+
   showCreateJobModal(endpointId = '') {
     const modalBody = document.getElementById('modalBody');
 
@@ -1111,6 +2200,17 @@ ${JSON.stringify(job.output, null, 2)}
             ${endpointOptions}
           </select>
         </div>
+
+        ${this.projectSelectHtml('jobProject', 'Proyecto del endpoint')}
+
+        <div class="form-group">
+          <label for="jobPriority">Prioridad</label>
+          <select id="jobPriority">
+            <option value="low">Baja</option>
+            <option value="normal" selected>Normal</option>
+            <option value="high">Alta</option>
+          </select>
+        </div>
         
         <div class="form-group">
           <label for="jobInput">Input JSON *</label>
@@ -1123,106 +2223,531 @@ ${JSON.stringify(job.output, null, 2)}
           <label>
             <input type="checkbox" id="skipDedup"> Skip deduplication
           </label>
+          <label>
+            <input type="checkbox" id="skipCache"> No usar resultados en caché
+          </label>
+          <label>
+            <input type="checkbox" id="jobStream"> Streaming (resultados parciales, si el worker los emite)
+          </label>
+        </div>
+        
+        <div class="modal-actions">
+          <button type="button" class="btn" onclick="app.closeModal()">Cancel</button>
+          <button type="submit" class="btn primary">Submit Job</button>
+        </div>
+      </form>
+    `;
+
+    document.getElementById('modalTitle').textContent = 'Submit New Job';
+    document.getElementById('modalOverlay').classList.add('active');
+  }
+
+  showSubmitJobModal(endpointId) {
+    this.showCreateJobModal(endpointId);
+  }
+
+  async submitJob(event) {
+    event.preventDefault();
+
+    let input;
+    try {
+      input = JSON.parse(document.getElementById('jobInput').value);
+    } catch (e) {
+      this.showToast('Invalid JSON', 'Please enter valid JSON input', 'error');
+      return;
+    }
+
+    const data = {
+      endpointId: document.getElementById('jobEndpoint').value,
+      input,
+      projectId: document.getElementById('jobProject').value || undefined,
+      priority: document.getElementById('jobPriority').value,
+      options: {
+        skipDeduplication: document.getElementById('skipDedup').checked,
+        cache: !document.getElementById('skipCache').checked,
+        stream: document.getElementById('jobStream').checked
+      }
+    };
+
+    try {
+      const result = await this.api('POST', '/jobs', data);
+      if (result.deduplicated) {
+        this.showToast('Duplicate Job', 'Job with identical input already exists', 'warning');
+      } else if (result.cached) {
+        this.showToast('⚡ Servido desde caché',
+          `Resultado del ${this.formatDate(result.cachedAt)}${result.costSavedUsd ? ` · ahorro $${result.costSavedUsd.toFixed(4)}` : ''}`, 'success');
+      } else {
+        this.showToast('Job Submitted', 'Job has been added to the queue', 'success');
+      }
+      this.closeModal();
+      await this.loadJobs();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async showDeadLetterQueue(filter = this.dlqFilter || { status: 'open', category: '' }) {
+    this.dlqFilter = filter;
+    try {
+      const query = new URLSearchParams(Object.entries(filter).filter(([, v]) => v)).toString();
+      const [dlq, stats] = await Promise.all([
+        this.api('GET', `/dlq?${query}`),
+        this.api('GET', '/dlq/stats')
+      ]);
+      const categoryLabels = {
+        budget: '💸 Presupuesto',
+        validation: '📝 Validación',
+        provider: '🌩️ Caída del proveedor',
+        worker: '💥 Fallo del worker',
+        unknown: '❔ Otro'
+      };
+      const statusClass = { open: 'failed', retried: 'completed', discarded: '' };
+
+      const modalBody = document.getElementById('modalBody');
+      modalBody.innerHTML = `
+        <div class="account-section">
+          <h4>💀 Resumen</h4>
+          <div class="account-row">
+            <span>${stats.byStatus.open} abiertos · ${stats.byStatus.retried} reintentados · ${stats.byStatus.discarded} descartados</span>
+            <span style="color: var(--text-muted);">
+              ${Object.entries(stats.openByCategory).filter(([, n]) => n > 0).map(([c, n]) => `${categoryLabels[c]}: ${n}`).join(' · ')}
+            </span>
+          </div>
+        </div>
+
+        <div class="account-section">
+          <div class="account-inline-form">
+            <select id="dlqStatus" onchange="app.filterDeadLetters()">
+              ${['open', 'retried', 'discarded', ''].map(s => `<option value="${s}" ${filter.status === s ? 'selected' : ''}>${s || 'todos'}</option>`).join('')}
+            </select>
+            <select id="dlqCategory" onchange="app.filterDeadLetters()">
+              <option value="">Todas las categorías</option>
+              ${Object.entries(categoryLabels).map(([c, label]) => `<option value="${c}" ${filter.category === c ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+            ${filter.status === 'open' && dlq.length > 0 ? `
+              <button class="btn sm primary" onclick="app.bulkDeadLetters('retry')">🔄 Reintentar ${dlq.length}</button>
+              <button class="btn sm danger" onclick="app.bulkDeadLetters('discard')">Descartar ${dlq.length}</button>
+            ` : ''}
+          </div>
+        </div>
+
+        ${dlq.length === 0 ? `
+          <div class="empty-state">
+            <div class="empty-state-icon">✅</div>
+            <p>No hay trabajos con este filtro</p>
+          </div>
+        ` : `
+          <div class="dlq-list">
+            ${dlq.map(entry => `
+              <div class="card" style="margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;">
+                  <strong title="${entry.original_job_id}">${(entry.original_job_id || entry.id).slice(0, 8)}... · ${categoryLabels[entry.category] || entry.category}</strong>
+                  <span>
+                    <span class="job-status ${statusClass[entry.status]}">${entry.status}</span>
+                    <span style="color: var(--error);">${entry.attempts} attempts</span>
+                  </span>
+                </div>
+                <p style="font-size: 0.85rem; color: var(--text-muted); margin-bottom: 0.75rem;">
+                  ${this.escapeHtml(entry.error)} · ${this.formatDate(entry.created_at)}
+                  ${entry.retried_job_id ? ` · nuevo job ${entry.retried_job_id.slice(0, 8)}...` : ''}
+                </p>
+                ${entry.status === 'open' ? `
+                  <button class="btn sm primary" onclick="app.retryDeadLetter('${entry.id}')">🔄 Retry</button>
+                  <button class="btn sm" onclick="app.editDeadLetter('${entry.id}')">✏️ Editar y reintentar</button>
+                  <button class="btn sm danger" onclick="app.discardDeadLetter('${entry.id}')">Descartar</button>
+                ` : ''}
+              </div>
+            `).join('')}
+          </div>
+        `}
+
+        <div class="account-section">
+          <h4>🗓️ Retención</h4>
+          <form class="account-inline-form" onsubmit="app.saveDeadLetterRetention(event)">
+            <label>Resueltos (días) <input type="number" id="dlqResolvedDays" min="1" max="3650" value="${stats.retention.resolvedDays}"></label>
+            <label>Abiertos (días, 0 = conservar) <input type="number" id="dlqOpenDays" min="0" max="3650" value="${stats.retention.openDays}"></label>
+            <button type="submit" class="btn sm">Guardar</button>
+          </form>
+        </div>
+      `;
+
+      document.getElementById('modalTitle').textContent = 'Dead Letter Queue';
+      document.getElementById('modalOverlay').classList.add('active');
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  filterDeadLetters() {
+    this.showDeadLetterQueue({
+      status: document.getElementById('dlqStatus').value,
+      category: document.getElementById('dlqCategory').value
+    });
+  }
+
+  async retryDeadLetter(dlqId, input) {
+    try {
+      await this.api('POST', `/dlq/${dlqId}/retry`, input !== undefined ? { input } : {});
+      this.showToast('Job Requeued', 'The job has been added back to the queue', 'success');
+      await Promise.all([this.showDeadLetterQueue(), this.loadJobs()]);
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async editDeadLetter(dlqId) {
+    try {
+      const entry = await this.api('GET', `/dlq/${dlqId}`);
+      const modalBody = document.getElementById('modalBody');
+      modalBody.innerHTML = `
+        <form class="modal-form" onsubmit="app.submitEditedDeadLetter(event, '${entry.id}')">
+          <p style="margin-bottom: 1rem; color: var(--text-secondary);">${this.escapeHtml(entry.error)}</p>
+          <div class="form-group">
+            <label for="dlqInput">Input JSON</label>
+            <textarea id="dlqInput" rows="10" required>${this.escapeHtml(JSON.stringify(entry.job_data.input, null, 2))}</textarea>
+          </div>
+          <div class="modal-actions">
+            <button type="button" class="btn" onclick="app.showDeadLetterQueue()">Volver</button>
+            <button type="submit" class="btn primary">🔄 Reintentar con este input</button>
+          </div>
+        </form>
+      `;
+      document.getElementById('modalTitle').textContent = 'Editar y reintentar';
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async submitEditedDeadLetter(event, dlqId) {
+    event.preventDefault();
+    let input;
+    try {
+      input = JSON.parse(document.getElementById('dlqInput').value);
+    } catch (e) {
+      this.showToast('Invalid JSON', 'Please enter valid JSON input', 'error');
+      return;
+    }
+    await this.retryDeadLetter(dlqId, input);
+  }
+
+  async discardDeadLetter(dlqId) {
+    try {
+      await this.api('POST', `/dlq/${dlqId}/discard`);
+      await this.showDeadLetterQueue();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async bulkDeadLetters(action) {
+    const { category } = this.dlqFilter;
+    const scope = category ? `de la categoría ${category}` : 'abiertos';
+    if (!confirm(action === 'retry' ? `¿Reintentar todos los trabajos ${scope}?` : `¿Descartar todos los trabajos ${scope}?`)) return;
+    try {
+      const result = await this.api('POST', `/dlq/${action}`, { category: category || undefined });
+      this.showToast(action === 'retry' ? 'Reintentados' : 'Descartados',
+        action === 'retry' ? `${result.retried} en cola${result.failed ? `, ${result.failed} con error` : ''}` : `${result.discarded} trabajos`,
+        result.failed ? 'warning' : 'success');
+      await Promise.all([this.showDeadLetterQueue(), this.loadJobs()]);
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async saveDeadLetterRetention(event) {
+    event.preventDefault();
+    try {
+      await this.api('PUT', '/dlq/settings', {
+        resolvedDays: parseInt(document.getElementById('dlqResolvedDays').value),
+        openDays: parseInt(document.getElementById('dlqOpenDays').value)
+      });
+      this.showToast('Retención guardada', 'Se aplica en la próxima limpieza (cada hora)', 'success');
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  // ==================== Schedules ====================
+  async showSchedulesModal() {
+    try {
+      const [schedules, runs] = await Promise.all([
+        this.api('GET', '/schedules'),
+        this.api('GET', '/schedules/runs?limit=15')
+      ]);
+      const scheduleStatus = { active: 'completed', paused: 'pending', completed: '' };
+      const runStatus = { success: 'completed', failed: 'failed', skipped: 'pending' };
+      const formatTime = (ms) => ms ? new Date(ms).toLocaleString() : '-';
+      const describeRun = (r) => r.error
+        ? this.escapeHtml(r.error.slice(0, 80))
+        : r.result?.batchId ? `batch ${r.result.batchId.slice(0, 8)}… (${r.result.total})` : `${r.result?.jobIds?.length || 0} job(s)`;
+
+      const modalBody = document.getElementById('modalBody');
+      modalBody.innerHTML = `
+        <div class="account-section">
+          <h4>⏰ Programaciones</h4>
+          ${schedules.length === 0 ? '<small style="color: var(--text-muted);">No hay programaciones.</small>' : ''}
+          ${schedules.map(s => `
+            <div class="account-row">
+              <span><span class="job-status ${scheduleStatus[s.status]}">${s.status}</span> ${this.escapeHtml(s.name)} <code>${s.type}</code></span>
+              <span style="color: var(--text-muted);">
+                ${s.cron ? `<code>${this.escapeHtml(s.cron)}</code> · ` : ''}próxima: ${formatTime(s.next_run_at)}
+              </span>
+              <span>
+                ${s.status === 'active' ? `<button class="btn sm" onclick="app.scheduleAction('${s.id}', 'pause')">Pausar</button>` : ''}
+                ${s.status === 'paused' ? `<button class="btn sm" onclick="app.scheduleAction('${s.id}', 'resume')">Reanudar</button>` : ''}
+                <button class="btn sm" onclick="app.scheduleAction('${s.id}', 'run')">Ejecutar ya</button>
+                <button class="btn sm danger" onclick="app.deleteSchedule('${s.id}')">Eliminar</button>
+              </span>
+            </div>
+          `).join('')}
+        </div>
+
+        <div class="account-section">
+          <h4>➕ Nueva programación</h4>
+          <form class="modal-form" onsubmit="app.createSchedule(event)">
+            <div class="form-group">
+              <input type="text" id="scheduleName" placeholder="Nombre (ej: Miniaturas del lunes)" required maxlength="100">
+            </div>
+            <div class="form-group">
+              <select id="scheduleType" onchange="app.updateSchedulePayloadHint()">
+                <option value="job">Jobs serverless</option>
+                <option value="pod-batch">Batch en un pod</option>
+                <option value="pool-batch">Batch en pool de pods</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="scheduleCron">Cron (minuto hora día mes día-semana, hora del servidor) o fecha única</label>
+              <input type="text" id="scheduleCron" placeholder="0 2 * * *  ·  0 9 * * mon  ·  @daily">
+              <input type="datetime-local" id="scheduleRunAt">
+            </div>
+            <div class="form-group">
+              <label for="schedulePayload">Payload JSON</label>
+              <textarea id="schedulePayload" rows="6" required></textarea>
+            </div>
+            <div class="modal-actions">
+              <button type="submit" class="btn primary">Programar</button>
+            </div>
+          </form>
         </div>
-        
-        <div class="modal-actions">
-          <button type="button" class="btn" onclick="app.closeModal()">Cancel</button>
-          <button type="submit" class="btn primary">Submit Job</button>
+
+        <div class="account-section">
+          <h4>📜 Últimas ejecuciones</h4>
+          ${runs.length === 0 ? '<small style="color: var(--text-muted);">Sin ejecuciones todavía.</small>' : ''}
+          ${runs.map(r => `
+            <div class="account-row">
+              <span><span class="job-status ${runStatus[r.status]}">${r.status}</span> ${this.escapeHtml(r.schedule_name || '?')}</span>
+              <span style="color: var(--text-muted);">${formatTime(r.started_at)}</span>
+              <span style="color: var(--text-muted);">${describeRun(r)}</span>
+            </div>
+          `).join('')}
         </div>
-      </form>
-    `;
+      `;
 
-    document.getElementById('modalTitle').textContent = 'Submit New Job';
-    document.getElementById('modalOverlay').classList.add('active');
+      this.updateSchedulePayloadHint();
+      document.getElementById('modalTitle').textContent = 'Programaciones';
+      document.getElementById('modalOverlay').classList.add('active');
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
   }
 
-  showSubmitJobModal(endpointId) {
-    this.showCreateJobModal(endpointId);
+  updateSchedulePayloadHint() {
+    const examples = {
+      'job': { endpointId: this.endpoints[0]?.id || 'ENDPOINT_ID', inputs: [{ prompt: 'A beautiful sunset' }], priority: 'low' },
+      'pod-batch': { podId: 'POD_ID', prompts: ['A red fox', 'A snowy forest'], workflowId: 'image_sdxl_default' },
+      'pool-batch': { engine: 'comfyui', prompts: ['A red fox', 'A snowy forest'], workflowId: 'image_sdxl_default' }
+    };
+    const type = document.getElementById('scheduleType').value;
+    document.getElementById('schedulePayload').value = JSON.stringify(examples[type], null, 2);
   }
 
-  async submitJob(event) {
+  async createSchedule(event) {
     event.preventDefault();
 
-    let input;
+    let payload;
     try {
-      input = JSON.parse(document.getElementById('jobInput').value);
+      payload = JSON.parse(document.getElementById('schedulePayload').value);
     } catch (e) {
-      this.showToast('Invalid JSON', 'Please enter valid JSON input', 'error');
+      this.showToast('Invalid JSON', 'Please enter a valid JSON payload', 'error');
       return;
     }
 
-    const data = {
-      endpointId: document.getElementById('jobEndpoint').value,
-      input,
-      options: {
-        skipDeduplication: document.getElementById('skipDedup').checked
-      }
-    };
+    const cron = document.getElementById('scheduleCron').value.trim();
+    const runAt = document.getElementById('scheduleRunAt').value;
+    try {
+      await this.api('POST', '/schedules', {
+        name: document.getElementById('scheduleName').value.trim(),
+        type: document.getElementById('scheduleType').value,
+        cron: cron || undefined,
+        runAt: !cron && runAt ? new Date(runAt).toISOString() : undefined,
+        payload
+      });
+      this.showToast('Programado', 'La programación se ha guardado', 'success');
+      await this.showSchedulesModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
 
+  async scheduleAction(scheduleId, action) {
     try {
-      const result = await this.api('POST', '/jobs', data);
-      if (result.deduplicated) {
-        this.showToast('Duplicate Job', 'Job with identical input already exists', 'warning');
-      } else {
-        this.showToast('Job Submitted', 'Job has been added to the queue', 'success');
+      const result = await this.api('POST', `/schedules/${scheduleId}/${action}`);
+      if (action === 'run') {
+        this.showToast(result.status === 'success' ? 'Ejecutada' : 'Fallo al ejecutar',
+          result.error || 'La programación se ha lanzado', result.status === 'success' ? 'success' : 'error');
       }
-      this.closeModal();
-      await this.loadJobs();
+      await this.showSchedulesModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async deleteSchedule(scheduleId) {
+    if (!confirm('¿Eliminar esta programación y su historial?')) return;
+    try {
+      await this.api('DELETE', `/schedules/${scheduleId}`);
+      await this.showSchedulesModal();
     } catch (error) {
       this.showToast('Error', error.message, 'error');
     }
   }
 
-  async showDeadLetterQueue() {
+  // ==================== Pipelines ====================
+  async showPipelinesModal() {
     try {
-      const dlq = await this.api('GET', '/dlq');
+      const [pipelines, runs] = await Promise.all([
+        this.api('GET', '/pipelines'),
+        this.api('GET', '/pipelines/runs?limit=15')
+      ]);
+      const runStatus = { RUNNING: 'pending', COMPLETED: 'completed', FAILED: 'failed', CANCELLED: 'failed' };
+      const formatTime = (ms) => ms ? new Date(ms).toLocaleString() : '-';
+      const describeRun = (r) => r.error
+        ? this.escapeHtml(r.error.slice(0, 80))
+        : r.result ? `${r.result.images.length} imagen(es), ${r.result.gifs.length} vídeo(s)` : '';
 
       const modalBody = document.getElementById('modalBody');
+      modalBody.innerHTML = `
+        <div class="account-section">
+          <h4>🔗 Pipelines</h4>
+          ${pipelines.length === 0 ? '<small style="color: var(--text-muted);">No hay pipelines.</small>' : ''}
+          ${pipelines.map(p => `
+            <div class="account-row">
+              <span>${this.escapeHtml(p.name)}</span>
+              <span style="color: var(--text-muted);">${p.steps.map(s => this.escapeHtml(s.id)).join(' → ')}</span>
+              <span>
+                <button class="btn sm" onclick="app.runPipeline('${p.id}')">Ejecutar</button>
+                <button class="btn sm danger" onclick="app.deletePipeline('${p.id}')">Eliminar</button>
+              </span>
+            </div>
+          `).join('')}
+        </div>
 
-      if (dlq.length === 0) {
-        modalBody.innerHTML = `
-          <div class="empty-state">
-            <div class="empty-state-icon">✅</div>
-            <p>No failed jobs in the dead letter queue</p>
-          </div>
-        `;
-      } else {
-        modalBody.innerHTML = `
-          <p style="margin-bottom: 1rem; color: var(--text-secondary);">
-            These jobs failed after multiple retry attempts.
-          </p>
-          <div class="dlq-list">
-            ${dlq.map(job => `
-              <div class="card" style="margin-bottom: 1rem;">
-                <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;">
-                  <strong>${job.id.slice(0, 16)}...</strong>
-                  <span style="color: var(--error);">${job.attempts} attempts</span>
-                </div>
-                <p style="font-size: 0.85rem; color: var(--text-muted); margin-bottom: 0.75rem;">
-                  ${this.escapeHtml(job.error)}
-                </p>
-                <button class="btn sm primary" onclick="app.retryDeadLetter('${job.id}')">
-                  🔄 Retry
-                </button>
-              </div>
-            `).join('')}
-          </div>
-        `;
-      }
+        <div class="account-section">
+          <h4>➕ Nuevo pipeline</h4>
+          <form class="modal-form" onsubmit="app.createPipeline(event)">
+            <div class="form-group">
+              <input type="text" id="pipelineName" placeholder="Nombre (ej: Imagen → vídeo)" required maxlength="100">
+            </div>
+            <div class="form-group">
+              <label for="pipelineSteps">Pasos (JSON). Usa {{input.campo}} y {{steps.id.image}} / {{steps.id.seed}} para encadenar</label>
+              <textarea id="pipelineSteps" rows="10" required>${this.escapeHtml(JSON.stringify(this.pipelineExample(), null, 2))}</textarea>
+            </div>
+            <div class="modal-actions">
+              <button type="submit" class="btn primary">Guardar</button>
+            </div>
+          </form>
+        </div>
 
-      document.getElementById('modalTitle').textContent = 'Dead Letter Queue';
+        <div class="account-section">
+          <h4>📜 Últimas ejecuciones</h4>
+          ${runs.length === 0 ? '<small style="color: var(--text-muted);">Sin ejecuciones todavía.</small>' : ''}
+          ${runs.map(r => `
+            <div class="account-row">
+              <span><span class="job-status ${runStatus[r.status]}">${r.status}</span> ${this.escapeHtml(r.name)}</span>
+              <span style="color: var(--text-muted);">${formatTime(r.created_at)}</span>
+              <span style="color: var(--text-muted);">${describeRun(r)}</span>
+              <span>
+                ${r.status === 'RUNNING' ? `<button class="btn sm danger" onclick="app.pipelineRunAction('${r.id}', 'cancel')">Cancelar</button>` : ''}
+                ${['FAILED', 'CANCELLED'].includes(r.status) ? `<button class="btn sm" onclick="app.pipelineRunAction('${r.id}', 'retry')">Reintentar</button>` : ''}
+              </span>
+            </div>
+          `).join('')}
+        </div>
+      `;
+
+      document.getElementById('modalTitle').textContent = 'Pipelines';
       document.getElementById('modalOverlay').classList.add('active');
     } catch (error) {
       this.showToast('Error', error.message, 'error');
     }
   }
 
-  async retryDeadLetter(dlqId) {
+  pipelineExample() {
+    const podId = this.pods.find(p => p.desiredStatus === 'RUNNING')?.id || 'POD_ID';
+    return [
+      { id: 'base', type: 'workflow', workflowId: 'image_sdxl_default', podId, params: { prompt: '{{input.prompt}}' } },
+      { id: 'video', type: 'workflow', workflowId: 'video_pose_controlnet', podId, params: { prompt: '{{input.prompt}}', image: '{{steps.base.image}}', seed: '{{steps.base.seed}}' } }
+    ];
+  }
+
+  async createPipeline(event) {
+    event.preventDefault();
+
+    let steps;
     try {
-      await this.api('POST', `/dlq/${dlqId}/retry`);
-      this.showToast('Job Requeued', 'The job has been added back to the queue', 'success');
-      this.closeModal();
-      await this.loadJobs();
+      steps = JSON.parse(document.getElementById('pipelineSteps').value);
+    } catch (e) {
+      this.showToast('Invalid JSON', 'Please enter a valid JSON array of steps', 'error');
+      return;
+    }
+
+    try {
+      await this.api('POST', '/pipelines', {
+        name: document.getElementById('pipelineName').value.trim(),
+        steps
+      });
+      this.showToast('Pipeline guardado', 'Ya puedes ejecutarlo', 'success');
+      await this.showPipelinesModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async runPipeline(pipelineId) {
+    const text = prompt('Input JSON del pipeline', '{"prompt": "A beautiful sunset"}');
+    if (text === null) return;
+
+    let input;
+    try {
+      input = JSON.parse(text || '{}');
+    } catch (e) {
+      this.showToast('Invalid JSON', 'Please enter a valid JSON input', 'error');
+      return;
+    }
+
+    try {
+      await this.api('POST', `/pipelines/${pipelineId}/run`, { input });
+      this.showToast('Pipeline lanzado', 'Los pasos se ejecutarán en orden', 'success');
+      await this.showPipelinesModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async pipelineRunAction(runId, action) {
+    try {
+      await this.api('POST', `/pipelines/runs/${runId}/${action}`);
+      await this.showPipelinesModal();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async deletePipeline(pipelineId) {
+    if (!confirm('¿Eliminar este pipeline? Sus ejecuciones se conservan.')) return;
+    try {
+      await this.api('DELETE', `/pipelines/${pipelineId}`);
+      await this.showPipelinesModal();
     } catch (error) {
       this.showToast('Error', error.message, 'error');
     }
@@ -1262,6 +2787,10 @@ ${JSON.stringify(job.output, null, 2)}
 
       // Load history for chart
       await this.loadCostHistory();
+      await this.loadCostBreakdown();
+      await this.loadBillingStatus();
+      await this.loadForecast();
+      await this.loadSpotSavings();
 
     } catch (error) {
       console.error('Error loading costs:', error);
@@ -1307,6 +2836,77 @@ ${JSON.stringify(job.output, null, 2)}
     }
   }
 
+  async loadForecast() {
+    const container = document.getElementById('budgetForecast');
+    if (!container) return;
+
+    try {
+      const forecast = await this.api('GET', '/costs/forecast');
+      const global = forecast.budgets.find(b => b.scope === 'global');
+      const projection = (label, p) => !p ? '' : `
+        <span>${label}: <strong>$${p.projected.toFixed(2)}</strong> / $${p.limit}
+          ${p.exhaustsAt ? ` ⚠️ se agota ${this.formatForecastTime(p.exhaustsAt)}` : ''}</span>`;
+
+      // Other budgets only when they are at risk
+      const atRisk = forecast.budgets.filter(b => b.scope !== 'global' &&
+        (b.daily?.status === 'at-risk' || b.monthly?.status === 'at-risk'));
+
+      container.innerHTML = `
+        <span>Ritmo actual: <strong>$${(forecast.burn.pods + forecast.burn.serverless).toFixed(3)}/hr</strong>
+          (pods $${forecast.burn.pods.toFixed(3)}, serverless $${forecast.burn.serverless.toFixed(3)})</span>
+        ${projection('Previsión fin de día', global?.daily)}
+        ${projection('Previsión fin de mes', global?.monthly)}
+        ${atRisk.map(b => {
+          const p = b.daily?.status === 'at-risk' ? b.daily : b.monthly;
+          return `<div class="alert warning">${b.scope === 'user' ? '👤' : '📁'} ${this.escapeHtml(b.name)}: ` +
+            `${p === b.daily ? 'límite diario' : 'límite mensual'} de $${p.limit} se agota ${this.formatForecastTime(p.exhaustsAt)}</div>`;
+        }).join('')}
+      `;
+    } catch (error) {
+      console.error('Error loading forecast:', error);
+    }
+  }
+
+  async loadSpotSavings() {
+    const container = document.getElementById('spotSavings');
+    if (!container) return;
+
+    try {
+      const savings = await this.api('GET', '/spot/savings');
+      if (savings.pods === 0) {
+        container.innerHTML = '<div class="chart-placeholder">Aún no hay pods spot</div>';
+        return;
+      }
+      const period = (label, p) => `
+        <span>${label}: <strong>$${p.saved.toFixed(2)}</strong> ahorrados
+          ($${p.spent.toFixed(2)} frente a $${p.onDemand.toFixed(2)} on-demand, ${p.hours.toFixed(1)} h)</span>`;
+
+      container.innerHTML = `
+        <div class="billing-summary">
+          ${period('Hoy', savings.today)}
+          ${period('Mes', savings.month)}
+          ${period('Total', savings.total)}
+        </div>
+        <div class="billing-summary">
+          <span>Pods spot: <strong>${savings.pods}</strong> (${savings.running} en marcha)</span>
+          <span>Interrupciones: <strong>${savings.interruptions}</strong></span>
+          <span>Re-pujas: <strong>${savings.rebids}</strong></span>
+          <span>Sustituidos por on-demand: <strong>${savings.replaced}</strong></span>
+        </div>
+      `;
+    } catch (error) {
+      console.error('Error loading spot savings:', error);
+    }
+  }
+
+  formatForecastTime(iso) {
+    const date = new Date(iso);
+    const sameDay = date.toDateString() === new Date().toDateString();
+    return sameDay
+      ? `hoy a las ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      : `el ${date.toLocaleDateString()}`;
+  }
+
   async saveBudgetSettings() {
     const dailyLimit = parseFloat(document.getElementById('dailyLimit').value);
     const monthlyLimit = parseFloat(document.getElementById('monthlyLimit').value);
@@ -1321,6 +2921,198 @@ ${JSON.stringify(job.output, null, 2)}
     }
   }
 
+  async loadCostBreakdown() {
+    const container = document.getElementById('costBreakdown');
+    if (!container) return;
+    const by = document.getElementById('breakdownBy')?.value || 'project';
+
+    try {
+      const { entries } = await this.api('GET', `/costs/breakdown?by=${by}&days=30`);
+      const isAdmin = this.user?.role === 'admin';
+      const usage = (u) => `$${u.spent.toFixed(2)}${u.limit != null ? ` / $${u.limit}` : ''}` +
+        (u.percentUsed >= 100 ? ' ⛔' : u.percentUsed >= 80 ? ' ⚠️' : '');
+
+      container.innerHTML = entries.length === 0 ? '<div class="chart-placeholder">Aún no hay datos de coste</div>' : `
+        <table>
+          <thead>
+            <tr>
+              <th>${by === 'user' ? 'Usuario' : 'Proyecto'}</th>
+              <th>Hoy</th>
+              <th>Mes</th>
+              <th>Pods (30d)</th>
+              <th>Serverless (30d)</th>
+              ${by === 'project' && isAdmin ? '<th></th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${entries.map(e => `
+              <tr>
+                <td>${this.escapeHtml(e.name)}</td>
+                <td>${usage(e.today)}</td>
+                <td>${usage(e.month)}</td>
+                <td>$${e.pods.toFixed(2)}</td>
+                <td>$${e.serverless.toFixed(2)}</td>
+                ${by === 'project' && isAdmin ? `<td><button class="btn sm" onclick="app.showProjectModal('${e.id}')">✏️</button></td>` : ''}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    } catch (error) {
+      console.error('Error loading cost breakdown:', error);
+    }
+  }
+
+  async loadBillingStatus() {
+    const container = document.getElementById('billingStatus');
+    if (!container) return;
+
+    try {
+      const [status, discrepancies] = await Promise.all([
+        this.api('GET', '/billing'),
+        this.api('GET', '/billing/checks?discrepancies=true&limit=10')
+      ]);
+      const isAdmin = this.user?.role === 'admin';
+      const last = status.lastCheck;
+
+      container.innerHTML = `
+        <div class="billing-summary">
+          <span>Gasto actual: <strong>$${status.recordedSpendPerHr.toFixed(3)}/hr</strong></span>
+          ${status.providerSpendPerHr != null ? `<span>Proveedor: <strong>$${status.providerSpendPerHr.toFixed(3)}/hr</strong></span>` : ''}
+          <span>Última comprobación: ${last ? this.formatTime(new Date(last.created_at.replace(' ', 'T') + 'Z')) : 'nunca'}</span>
+          ${isAdmin ? '<button class="btn sm" onclick="app.reconcileBilling()">🔄 Conciliar ahora</button>' : ''}
+        </div>
+        ${discrepancies.filter(d => !d.acknowledged).map(d => `
+          <div class="alert warning">
+            ${d.window_start} → ${d.window_end}: proveedor $${d.provider_spend.toFixed(4)}, registrado $${d.recorded_spend.toFixed(4)}
+            ${isAdmin ? `<button class="btn sm" onclick="app.acknowledgeBillingCheck(${d.id})">OK</button>` : ''}
+          </div>
+        `).join('')}
+      `;
+    } catch (error) {
+      console.error('Error loading billing status:', error);
+    }
+  }
+
+  async reconcileBilling() {
+    try {
+      const { check } = await this.api('POST', '/billing/reconcile');
+      const message = !check ? 'Primera referencia de saldo guardada'
+        : check.discrepancy ? 'Se ha detectado un descuadre' : 'El gasto registrado cuadra con el proveedor';
+      this.showToast('Conciliación', message, check?.discrepancy ? 'warning' : 'success');
+      await this.loadCosts();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async acknowledgeBillingCheck(checkId) {
+    try {
+      await this.api('POST', `/billing/checks/${checkId}/acknowledge`);
+      await this.loadBillingStatus();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  // ==================== Projects ====================
+  async loadProjects() {
+    try {
+      this.projects = await this.api('GET', '/projects');
+      const newProjectBtn = document.getElementById('newProjectBtn');
+      if (newProjectBtn) newProjectBtn.style.display = this.user?.role === 'admin' ? '' : 'none';
+    } catch (error) {
+      console.error('Error loading projects:', error);
+    }
+  }
+
+  // Project <select> for the create forms (empty value = server default)
+  projectSelectHtml(id, emptyLabel = 'Default') {
+    return `
+      <div class="form-group">
+        <label for="${id}">Proyecto</label>
+        <select id="${id}">
+          <option value="">${emptyLabel}</option>
+          ${this.projects.filter(p => p.id !== 'default').map(p =>
+      `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`).join('')}
+        </select>
+      </div>
+    `;
+  }
+
+  showProjectModal(projectId = null) {
+    const project = this.projects.find(p => p.id === projectId) || {};
+    const modalBody = document.getElementById('modalBody');
+    modalBody.innerHTML = `
+      <form class="modal-form" onsubmit="app.saveProject(event, ${projectId ? `'${projectId}'` : 'null'})">
+        <div class="form-group">
+          <label for="projectName">Nombre *</label>
+          <input type="text" id="projectName" required minlength="2" maxlength="50" value="${this.escapeHtml(project.name || '')}">
+        </div>
+        <div class="form-group">
+          <label for="projectDescription">Descripción</label>
+          <input type="text" id="projectDescription" value="${this.escapeHtml(project.description || '')}">
+        </div>
+        <div class="form-group">
+          <label for="projectBudgetDaily">Límite diario ($)</label>
+          <input type="number" id="projectBudgetDaily" min="0" step="0.01" value="${project.budget_daily ?? ''}" placeholder="Sin límite">
+        </div>
+        <div class="form-group">
+          <label for="projectBudgetMonthly">Límite mensual ($)</label>
+          <input type="number" id="projectBudgetMonthly" min="0" step="0.01" value="${project.budget_monthly ?? ''}" placeholder="Sin límite">
+        </div>
+        <div class="modal-actions">
+          ${projectId && projectId !== 'default' ? `<button type="button" class="btn danger" onclick="app.deleteProject('${projectId}')">Eliminar</button>` : ''}
+          <button type="button" class="btn" onclick="app.closeModal()">Cancelar</button>
+          <button type="submit" class="btn primary">Guardar</button>
+        </div>
+      </form>
+    `;
+
+    document.getElementById('modalTitle').textContent = projectId ? 'Editar Proyecto' : 'Nuevo Proyecto';
+    document.getElementById('modalOverlay').classList.add('active');
+  }
+
+  async saveProject(event, projectId) {
+    event.preventDefault();
+    const budget = (id) => {
+      const value = document.getElementById(id).value;
+      return value === '' ? null : parseFloat(value);
+    };
+    const data = {
+      name: document.getElementById('projectName').value.trim(),
+      description: document.getElementById('projectDescription').value.trim(),
+      budgetDaily: budget('projectBudgetDaily'),
+      budgetMonthly: budget('projectBudgetMonthly')
+    };
+
+    try {
+      if (projectId) {
+        await this.api('PUT', `/projects/${projectId}`, data);
+      } else {
+        await this.api('POST', '/projects', data);
+      }
+      this.showToast('Proyecto guardado', data.name, 'success');
+      this.closeModal();
+      await this.loadProjects();
+      await this.loadCostBreakdown();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
+  async deleteProject(projectId) {
+    if (!confirm('¿Eliminar el proyecto? Sus recursos y costes pasarán al proyecto Default.')) return;
+    try {
+      await this.api('DELETE', `/projects/${projectId}`);
+      this.closeModal();
+      await this.loadProjects();
+      await this.loadCostBreakdown();
+    } catch (error) {
+      this.showToast('Error', error.message, 'error');
+    }
+  }
+
   exportCosts() {
     this.showToast('Export', 'Cost export feature coming soon', 'info');
   }
@@ -1705,16 +3497,28 @@ ${JSON.stringify(job.output, null, 2)}
       let readyInfo = null;
       try {
         readyInfo = await this.api('GET', `/pods/${podId}/check-ready`);
+        this.selectedPodEngine = readyInfo.engine;
       } catch (e) {
         // check-ready failed, proceed anyway
       }
 
       if (readyInfo && !readyInfo.ready) {
-        // Pod is not ready — show setup guide
         const engine = readyInfo.engine || 'comfyui';
 
-        if (engine === 'comfyui') {
-          const comfyUrl = readyInfo.comfyUiUrl || `https://${podId}-8188.proxy.runpod.net`;
+        if (readyInfo.state === 'provisioning' || readyInfo.state === 'starting') {
+          // Still coming up: the pod:ready event reconnects
+          statusEl.className = 'pod-connection-status connecting';
+          statusEl.innerHTML = `
+            <div class="pod-setup-guide">
+              <h4>${this.readinessLabel(readyInfo.state)}...</h4>
+              <p>El pod todavía no está listo. Esta pantalla se conectará sola en cuanto el servicio responda (normalmente 2-5 minutos).</p>
+            </div>
+          `;
+          interfaceEl.style.display = 'none';
+          noSourceEl.style.display = 'none';
+        } else if (engine === 'comfyui') {
+          // Pod is up but has no models — show setup guide
+          const comfyUrl = readyInfo.comfyUiUrl || this.podServiceUrl(podId, 8188);
           statusEl.className = 'pod-connection-status warning';
           statusEl.innerHTML = `
             <div class="pod-setup-guide">
@@ -1789,7 +3593,7 @@ ${JSON.stringify(job.output, null, 2)}
       // Update the ComfyUI link based on selected pod
       if (this.selectedPod) {
         const link = document.getElementById('comfyuiLinkInGuide');
-        link.href = `https://${this.selectedPod.id}-8188.proxy.runpod.net`;
+        link.href = this.podServiceUrl(this.selectedPod.id, 8188);
       }
     } else {
       guide.style.display = 'none';
@@ -1935,7 +3739,12 @@ ${JSON.stringify(job.output, null, 2)}
         this.showToast('Generation Complete', 'Check the output for results', 'info');
       }
     } catch (error) {
-      this.showToast('Generation Failed', error.message, 'error');
+      if (error.data?.error === 'MODELS_PROVISIONING') {
+        this.showToast('📦 Instalando Modelos', error.data.message, 'info');
+        this.loadPods();
+      } else {
+        this.showToast('Generation Failed', error.message, 'error');
+      }
     } finally {
       btn.disabled = false;
       btn.classList.remove('loading');
@@ -1943,6 +3752,20 @@ ${JSON.stringify(job.output, null, 2)}
     }
   }
 
+  // Fill the gallery with previously stored outputs from the asset library
+  async loadAssetLibrary() {
+    try {
+      const { assets } = await this.api('GET', '/assets?limit=60');
+      const toItem = a => ({ url: a.url, filename: a.filename, assetId: a.id });
+      this.generatedImages = [...this.generatedImages, ...assets.filter(a => a.kind === 'image').map(toItem)];
+      this.generatedVideos = [...this.generatedVideos, ...assets.filter(a => a.kind === 'video').map(toItem)];
+      this.renderGeneratedImages();
+      this.renderGeneratedVideos();
+    } catch (error) {
+      console.error('Error loading asset library:', error);
+    }
+  }
+
   renderGeneratedImages() {
     const container = document.getElementById('generatedImages');
 
@@ -1998,7 +3821,9 @@ ${JSON.stringify(job.output, null, 2)}
       return;
     }
 
-    if (this.generationSource === 'pod' && !this.selectedPod) {
+    const poolMode = document.getElementById('batchPoolMode')?.checked;
+
+    if (this.generationSource === 'pod' && !this.selectedPod && !poolMode) {
       this.showToast('No Pod Selected', 'Selecciona un pod primero', 'error');
       return;
     }
@@ -2028,13 +3853,27 @@ ${JSON.stringify(job.output, null, 2)}
         negative_prompt: document.getElementById('negativePrompt')?.value || ''
       };
 
-      await this.api('POST', `/pods/${this.selectedPod.id}/batch`, {
-        prompts,
-        workflowId: this.selectedWorkflowId,
-        params
-      });
+      let batch;
+      if (poolMode) {
+        // Spread the prompts over every ready pod of the workflow's engine
+        const engine = this.selectedPodEngine === 'a1111' ? 'a1111' : 'comfyui';
+        batch = await this.api('POST', '/pool/batch', {
+          prompts,
+          engine,
+          workflowId: this.selectedWorkflowId,
+          params
+        });
+      } else {
+        batch = await this.api('POST', `/pods/${this.selectedPod.id}/batch`, {
+          prompts,
+          workflowId: this.selectedWorkflowId,
+          params
+        });
+      }
+      this.currentBatchId = batch.batchId;
 
-      this.showToast('Batch Iniciado', `${prompts.length} prompts en cola. Progreso via WebSocket.`, 'info');
+      const podsText = batch.pods ? ` en ${batch.pods.length} pods` : '';
+      this.showToast('Batch Iniciado', `${prompts.length} prompts en cola${podsText}. Progreso via WebSocket.`, 'info');
     } catch (error) {
       this.showToast('Batch Error', error.message, 'error');
       this.hideBatchProgress();
@@ -2063,6 +3902,19 @@ ${JSON.stringify(job.output, null, 2)}
 
   handleBatchProgress(data) {
     this.showBatchProgress(data.current, data.total, data.prompt);
+    this.renderBatchPodStats(data.pods);
+  }
+
+  renderBatchPodStats(pods) {
+    const el = document.getElementById('batchPodStats');
+    if (!el) return;
+    if (!pods || pods.length < 2) {
+      el.innerHTML = '';
+      return;
+    }
+    el.innerHTML = pods.map(p => `
+      <span>🖥️ ${p.podId.slice(0, 8)}: ${p.completed} ✅ · ${p.itemsPerMinute ?? '–'}/min</span>
+    `).join('');
   }
 
   handleBatchComplete(data) {
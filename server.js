@@ -4,14 +4,32 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 import { config, isConfigured } from './config/env.js';
-import { runpodClient } from './services/runpod-client.js';
-import { serverlessClient } from './services/serverless-client.js';
+import { cloudProvider } from './services/cloud-provider.js';
 import { queueManager } from './services/queue-manager.js';
+import { endpointLimiter } from './services/endpoint-limiter.js';
+import { deadLetterQueue } from './services/dead-letter.js';
+import { resultCache } from './services/result-cache.js';
 import { costTracker } from './services/cost-tracker.js';
 import { autoShutdown } from './services/auto-shutdown.js';
 import { database } from './db/database.js';
 import { sanitizer } from './utils/sanitizer.js';
 import { workflowEngine } from './services/workflow-engine.js';
+import { podGenerator } from './services/pod-generator.js';
+import { batchRunner } from './services/batch-runner.js';
+import { scheduler } from './services/scheduler.js';
+import { pipelineRunner } from './services/pipeline-runner.js';
+import { assetStore } from './services/asset-store.js';
+import { auth } from './services/auth.js';
+import { projectManager } from './services/project-manager.js';
+import { billing } from './services/billing.js';
+import { spendForecast } from './services/spend-forecast.js';
+import { spotManager } from './services/spot-manager.js';
+import { podLauncher } from './services/pod-launcher.js';
+import { gpuPlacement } from './services/gpu-placement.js';
+import { podReadiness } from './services/pod-readiness.js';
+import { modelProvisioner } from './services/model-provisioner.js';
+import { notifier, CHANNEL_TYPES, NOTIFIABLE_EVENTS } from './services/notifier.js';
+import { eventBus } from './services/event-bus.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -20,17 +38,30 @@ const app = express();
 expressWs(app);
 
 // Middleware
+// Provider callbacks carry the job output (base64 images), so they get a larger limit
+app.use('/api/hooks', express.json({ limit: '50mb' }));
 app.use(express.json());
 app.use(express.static(join(__dirname, 'public')));
 
-// CORS for development
+// CORS: only for origins listed in CORS_ORIGINS (same-origin needs no headers)
 app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+    const origin = req.headers.origin;
+    if (origin && config.corsOrigins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Credentials', 'true');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+        res.header('Vary', 'Origin');
+        if (req.method === 'OPTIONS') return res.sendStatus(204);
+    }
     next();
 });
 
+// Emulated pod services for the offline mock provider
+if (cloudProvider.createServiceRouter) {
+    app.use('/mock-pods', cloudProvider.createServiceRouter());
+}
+
 // Error handler middleware
 const asyncHandler = (fn) => (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(next);
@@ -38,39 +69,147 @@ const asyncHandler = (fn) => (req, res, next) => {
 
 // ==================== WebSocket ====================
 app.ws('/ws', (ws, req) => {
-    console.log('WebSocket client connected');
-    queueManager.registerClient(ws);
-    autoShutdown.registerClient(ws);
+    // Browsers send the session cookie; scripts can use a bearer token or ?token=
+    const user = auth.isAllowedOrigin(req.headers.origin, req) ? auth.authenticate(req, { allowQueryToken: true }) : null;
+    if (!auth.hasRole(user, 'viewer')) {
+        ws.close(4401, 'Authentication required');
+        return;
+    }
+    ws.user = user;
+
+    // ?topics=pod:*,job:completed to filter, ?since=<event id> to replay missed events
+    let subscription;
+    try {
+        const topics = eventBus.parseTopics(req.query.topics);
+        if (req.query.since !== undefined) {
+            eventBus.replay(req.query.since, topics).forEach(message => ws.send(JSON.stringify(message)));
+        }
+        subscription = eventBus.subscribe((message) => {
+            if (ws.readyState === 1) ws.send(JSON.stringify(message));
+        }, topics);
+    } catch (error) {
+        ws.close(4400, error.message);
+        return;
+    }
+    ws.on('close', () => subscription.close());
+
+    console.log(`WebSocket client connected (${user.username})`);
 
     ws.on('message', (msg) => {
+        let data;
+        try {
+            data = JSON.parse(msg);
+        } catch (e) {
+            return; // Ignore invalid messages
+        }
+
         try {
-            const data = JSON.parse(msg);
             if (data.type === 'ping') {
                 ws.send(JSON.stringify({ type: 'pong' }));
+            } else if (data.type === 'subscribe') {
+                ws.send(JSON.stringify({ type: 'subscribed', topics: subscription.setTopics(data.topics) }));
+            } else if (data.type === 'replay') {
+                const events = eventBus.replay(data.since, data.topics || subscription.topics);
+                events.forEach(message => ws.send(JSON.stringify(message)));
+                ws.send(JSON.stringify({ type: 'replayed', count: events.length }));
             }
-        } catch (e) {
-            // Ignore invalid messages
+        } catch (error) {
+            ws.send(JSON.stringify({ type: 'error', error: error.message }));
         }
     });
 });
 
-// ==================== Status ====================
+// ==================== Provider callbacks ====================
+// Called by the cloud provider, not by users: authenticated by the signature in the URL
+app.post('/api/hooks/serverless/:jobId', asyncHandler(async (req, res) => {
+    res.json(await queueManager.handleWebhook(req.params.jobId, req.query.sig, req.body));
+}));
+
+// ==================== Authentication ====================
+// Everything under /api needs a user, except the status probe and login
+// The event stream is read with EventSource, which cannot send headers: it may use ?token=
+app.use('/api', auth.middleware(['/status', '/auth/login'], ['/events/stream']));
+
 app.get('/api/status', asyncHandler(async (req, res) => {
     res.json({
         configured: isConfigured(),
+        provider: cloudProvider.name,
+        auth: { enabled: config.authEnabled, user: req.user },
         timestamp: new Date().toISOString()
     });
 }));
 
+app.post('/api/auth/login', asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+    const session = await auth.login(username, password, req.ip);
+    res.setHeader('Set-Cookie', auth.sessionCookie(session.token, req));
+    res.json({ user: session.user, expiresAt: session.expiresAt });
+}));
+
+app.post('/api/auth/logout', asyncHandler(async (req, res) => {
+    auth.logout(auth.getSessionToken(req));
+    res.setHeader('Set-Cookie', auth.sessionCookie(null, req));
+    res.json({ success: true });
+}));
+
+app.get('/api/auth/me', asyncHandler(async (req, res) => {
+    res.json(req.user);
+}));
+
+app.post('/api/auth/password', asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const user = await auth.changePassword(req.user.id, currentPassword, newPassword);
+    // The password change ended every session, including this one
+    res.setHeader('Set-Cookie', auth.sessionCookie(null, req));
+    res.json(user);
+}));
+
+app.get('/api/auth/tokens', asyncHandler(async (req, res) => {
+    res.json(auth.listApiTokens(req.user.id));
+}));
+
+app.post('/api/auth/tokens', asyncHandler(async (req, res) => {
+    res.json(auth.createApiToken(req.user.id, req.body.name));
+}));
+
+app.delete('/api/auth/tokens/:id', asyncHandler(async (req, res) => {
+    res.json(auth.revokeApiToken(req.user.id, req.params.id));
+}));
+
+// Routes below: viewers can read, operators can act, admin routes say so explicitly
+app.use('/api', auth.requireRoleByMethod());
+
+// ==================== Users ====================
+app.get('/api/users', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json(auth.listUsers());
+}));
+
+app.post('/api/users', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    const { username, password, role } = req.body;
+    res.json(await auth.createUser({ username, password, role }));
+}));
+
+app.put('/api/users/:id', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    const { role, password, disabled, budgetDaily, budgetMonthly } = req.body;
+    res.json(await auth.updateUser(req.params.id, { role, password, disabled, budgetDaily, budgetMonthly }));
+}));
+
+app.delete('/api/users/:id', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    res.json(auth.deleteUser(req.params.id));
+}));
+
 // ==================== Account ====================
 app.get('/api/account', asyncHandler(async (req, res) => {
-    const account = await runpodClient.getMyself();
+    const account = await cloudProvider.getMyself();
     res.json(account);
 }));
 
 // ==================== GPUs ====================
 app.get('/api/gpus', asyncHandler(async (req, res) => {
-    const gpus = await runpodClient.getGpuTypes();
+    const gpus = await cloudProvider.getGpuTypes();
 
     // Sort by community price
     gpus.sort((a, b) => (a.communityPrice || 999) - (b.communityPrice || 999));
@@ -80,12 +219,17 @@ app.get('/api/gpus', asyncHandler(async (req, res) => {
 
 // ==================== Pods ====================
 app.get('/api/pods', asyncHandler(async (req, res) => {
-    const pods = await runpodClient.getPods();
-    res.json(pods);
+    const pods = await cloudProvider.getPods();
+    res.json(pods.map(pod => ({
+        ...pod,
+        projectId: projectManager.getPodProject(pod.id),
+        readiness: podReadiness.get(pod.id),
+        provision: modelProvisioner.latestFor(pod.id)
+    })));
 }));
 
 app.get('/api/pods/:id', asyncHandler(async (req, res) => {
-    const pod = await runpodClient.getPod(req.params.id);
+    const pod = await cloudProvider.getPod(req.params.id);
     if (!pod) {
         return res.status(404).json({ error: 'Pod not found' });
     }
@@ -100,313 +244,147 @@ app.post('/api/pods', asyncHandler(async (req, res) => {
         return res.status(400).json({ errors: validation.errors });
     }
 
-    // Check budget
-    if (!costTracker.canSpend()) {
-        return res.status(403).json({ error: 'Budget limit exceeded' });
-    }
-
-    // Build pod options based on task type
-    const podOptions = {
-        name: input.name,
-        gpuTypeId: input.gpuTypeId,
-        volumeInGb: input.volumeInGb || 0,
-        containerDiskInGb: input.containerDiskInGb || null,
-        cloudType: input.cloudType || 'ALL',
-        env: []
-    };
-
-    // Use templateId if provided (for Music Gen), otherwise use imageName
-    if (input.templateId) {
-        podOptions.templateId = input.templateId;
-    } else if (input.imageName) {
-        podOptions.imageName = input.imageName;
-    }
+    res.status(201).json(await podLauncher.launch(input, req.user.id));
+}));
 
-    // Set ports and env based on task type
-    if (input.taskType === 'musicGen') {
-        podOptions.ports = '7860/http,22/tcp';
-    } else if (input.taskType === 'imageGenA1111') {
-        // Automatic1111 WebUI — uses port 3000, proven approach from companion project
-        podOptions.ports = '3000/http,8888/http,22/tcp';
-        podOptions.env.push({ key: 'COMMANDLINE_ARGS', value: '--api --listen 0.0.0.0 --port 3000 --xformers --no-half-vae' });
-    } else {
-        // ComfyUI (default imageGen)
-        podOptions.ports = '8188/http,8888/http,3000/http,22/tcp';
-        podOptions.env.push({ key: 'CLI_ARGS', value: '--listen 0.0.0.0 --port 8188' });
-    }
+// Candidate GPUs for placement requirements, in the order they would be tried
+app.get('/api/placement/candidates', asyncHandler(async (req, res) => {
+    const requirements = gpuPlacement.parseRequirements(req.query, parseInt(req.query.gpuCount) || 1);
+    res.json({ requirements, ...await gpuPlacement.getCandidates(requirements) });
+}));
 
-    const pod = await runpodClient.createPod(podOptions);
-
-    // Track pod with task type info and spending limit
-    database.trackPod({
-        id: pod.id,
-        name: pod.name,
-        gpuType: pod.machine?.gpuDisplayName,
-        costPerHour: pod.costPerHr,
-        status: 'RUNNING',
-        taskType: input.taskType || 'imageGen',
-        port: input.port || 8188,
-        spendingLimit: input.spendingLimit || null,
-        totalSpent: 0,
-        createdAt: new Date().toISOString()
-    });
+app.post('/api/pods/from-profile/:id', asyncHandler(async (req, res) => {
+    const overrides = sanitizer.sanitizeObject(req.body || {});
+    res.status(201).json(await podLauncher.launchProfile(req.params.id, overrides, req.user.id));
+}));
 
-    res.status(201).json(pod);
+app.put('/api/pods/:id/project', asyncHandler(async (req, res) => {
+    res.json(projectManager.tagPod(req.params.id, req.body.projectId));
 }));
 
 app.post('/api/pods/:id/stop', asyncHandler(async (req, res) => {
-    const result = await runpodClient.stopPod(req.params.id);
-    database.trackPod({
-        id: req.params.id,
-        status: 'STOPPED'
-    });
+    const result = await cloudProvider.stopPod(req.params.id);
+    billing.recordStop(req.params.id, 'stop');
+    database.setPodStatus(req.params.id, 'STOPPED');
+    spotManager.stopped(req.params.id);
     res.json(result);
 }));
 
 app.post('/api/pods/:id/start', asyncHandler(async (req, res) => {
     const gpuCount = req.body.gpuCount || 1;
-    const result = await runpodClient.resumePod(req.params.id, gpuCount);
-    database.updatePodActivity(req.params.id);
+    // Spot pods come back with a bid (theirs, or a new one)
+    const result = spotManager.isSpot(req.params.id)
+        ? await spotManager.resume(req.params.id, { bidPerGpu: req.body.bidPerGpu })
+        : await cloudProvider.resumePod(req.params.id, gpuCount);
+    billing.recordStart({ ...result, id: req.params.id });
+    database.setPodStatus(req.params.id, 'RUNNING');
     res.json(result);
 }));
 
 app.delete('/api/pods/:id', asyncHandler(async (req, res) => {
-    await runpodClient.terminatePod(req.params.id);
+    await cloudProvider.terminatePod(req.params.id);
+    billing.recordStop(req.params.id, 'terminate');
     database.removePod(req.params.id);
+    spotManager.forget(req.params.id);
     res.json({ success: true });
 }));
 
-// ==================== Workflows API ====================
-app.get('/api/workflows', asyncHandler(async (req, res) => {
-    const workflows = workflowEngine.listWorkflows();
-    res.json(workflows);
+// ==================== Launch profiles ====================
+app.get('/api/profiles', asyncHandler(async (req, res) => {
+    res.json(podLauncher.listProfiles());
 }));
 
-app.post('/api/workflows/upload', asyncHandler(async (req, res) => {
-    const { name, workflow } = req.body;
-    if (!name || !workflow) {
-        return res.status(400).json({ error: 'Name and workflow JSON are required' });
-    }
-    const result = workflowEngine.saveCustomWorkflow(name, workflow);
-    res.status(201).json(result);
+app.post('/api/profiles', asyncHandler(async (req, res) => {
+    res.status(201).json(podLauncher.createProfile(sanitizer.sanitizeObject(req.body), req.user.id));
 }));
 
-// ==================== Image/Video Generation (via Pod) ====================
+app.get('/api/profiles/:id', asyncHandler(async (req, res) => {
+    res.json(podLauncher.getProfile(req.params.id));
+}));
 
-// Helper: determine which engine a pod is running (a1111 or comfyui)
-function getPodEngine(podId) {
-    const trackedPods = database.getTrackedPods();
-    const trackedPod = trackedPods.find(p => p.id === podId);
-    if (trackedPod?.taskType === 'imageGenA1111') return 'a1111';
-    if (trackedPod?.taskType === 'musicGen') return 'musicGen';
-    return 'comfyui';
-}
+app.put('/api/profiles/:id', asyncHandler(async (req, res) => {
+    res.json(podLauncher.updateProfile(req.params.id, sanitizer.sanitizeObject(req.body)));
+}));
 
-// Helper: resolve the base URL for a pod's generation service (FAST — no health check)
-async function resolvePodUrl(podId) {
-    const pod = await runpodClient.getPod(podId);
-    if (!pod) throw { status: 404, message: 'Pod not found' };
-    if (pod.desiredStatus !== 'RUNNING') throw { status: 400, message: 'Pod is not running' };
-
-    if (!pod.runtime || (!pod.runtime.ports && pod.runtime.uptimeInSeconds === 0)) {
-        throw {
-            status: 400,
-            message: 'Pod is still initializing. The GPU is being assigned and the container is starting. This typically takes 2-5 minutes. Please wait and try again.'
-        };
-    }
+app.delete('/api/profiles/:id', asyncHandler(async (req, res) => {
+    res.json(podLauncher.deleteProfile(req.params.id));
+}));
 
-    const engine = getPodEngine(podId);
-    const portMap = { a1111: 3000, comfyui: 8188, musicGen: 7860 };
-    const targetPort = portMap[engine] || 8188;
+// ==================== Model manifests ====================
+app.get('/api/manifests', asyncHandler(async (req, res) => {
+    res.json(modelProvisioner.listManifests());
+}));
 
-    // Always use RunPod proxy URL (direct IPs are internal and unreachable from local)
-    const serviceUrl = `https://${podId}-${targetPort}.proxy.runpod.net`;
+app.post('/api/manifests', asyncHandler(async (req, res) => {
+    res.status(201).json(modelProvisioner.createManifest(sanitizer.sanitizeObject(req.body)));
+}));
 
-    console.log(`[${engine}] URL for pod ${podId}: ${serviceUrl}`);
-    return { pod, serviceUrl, engine };
-}
+app.get('/api/manifests/:id', asyncHandler(async (req, res) => {
+    res.json(modelProvisioner.getManifest(req.params.id));
+}));
 
-// Helper: query available checkpoints from ComfyUI
-async function getAvailableCheckpoints(comfyUrl) {
-    try {
-        const response = await fetch(`${comfyUrl}/object_info/CheckpointLoaderSimple`, {
-            signal: AbortSignal.timeout(10000)
-        });
-        if (response.ok) {
-            const data = await response.json();
-            const ckpts = data?.CheckpointLoaderSimple?.input?.required?.ckpt_name?.[0] || [];
-            console.log(`Available checkpoints on pod: ${JSON.stringify(ckpts)}`);
-            return ckpts;
-        }
-    } catch (e) {
-        console.warn('Could not query checkpoints:', e.message);
-    }
-    return [];
-}
+app.put('/api/manifests/:id', asyncHandler(async (req, res) => {
+    res.json(modelProvisioner.updateManifest(req.params.id, sanitizer.sanitizeObject(req.body)));
+}));
 
-// Helper: fix checkpoint name in a workflow to match what's installed
-function fixCheckpointInWorkflow(workflow, availableCheckpoints) {
-    if (!availableCheckpoints || availableCheckpoints.length === 0) return workflow;
-
-    for (const [nodeId, node] of Object.entries(workflow)) {
-        if (node.class_type === 'CheckpointLoaderSimple') {
-            const requestedCkpt = node.inputs?.ckpt_name;
-            if (requestedCkpt && !availableCheckpoints.includes(requestedCkpt)) {
-                // Try exact substring match first (e.g. 'turbo', 'sdxl', etc.)
-                const keywords = requestedCkpt.toLowerCase().replace(/[._-]/g, ' ').split(' ').filter(w => w.length > 3);
-                let bestMatch = availableCheckpoints.find(c => keywords.some(k => c.toLowerCase().includes(k)));
-
-                // Fallback: try common model type keywords
-                if (!bestMatch) {
-                    bestMatch = availableCheckpoints.find(c =>
-                        c.toLowerCase().includes('turbo') ||
-                        c.toLowerCase().includes('sdxl') ||
-                        c.toLowerCase().includes('sd_xl') ||
-                        c.toLowerCase().includes('stable')
-                    );
-                }
+app.delete('/api/manifests/:id', asyncHandler(async (req, res) => {
+    res.json(modelProvisioner.deleteManifest(req.params.id));
+}));
 
-                const fallback = bestMatch || availableCheckpoints[0];
-                console.log(`Checkpoint fix: "${requestedCkpt}" → "${fallback}" (available: ${availableCheckpoints.join(', ')})`);
-                node.inputs.ckpt_name = fallback;
-            }
-        }
-    }
-    return workflow;
-}
+app.get('/api/provisions', asyncHandler(async (req, res) => {
+    res.json(modelProvisioner.list(req.query.podId || null));
+}));
 
-// Helper: send a workflow to ComfyUI and poll for results
-async function executeWorkflowOnPod(comfyUrl, workflow, timeoutMs = 180000) {
-    console.log(`Sending workflow to ComfyUI at: ${comfyUrl}/prompt`);
-    console.log(`Workflow nodes: ${Object.keys(workflow).length}, classes: ${[...new Set(Object.values(workflow).map(n => n.class_type))].join(', ')}`);
+app.get('/api/provisions/:id', asyncHandler(async (req, res) => {
+    res.json(modelProvisioner.get(req.params.id));
+}));
 
-    let queueResponse;
-    try {
-        queueResponse = await fetch(`${comfyUrl}/prompt`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ prompt: workflow }),
-            signal: AbortSignal.timeout(30000)
-        });
-    } catch (fetchErr) {
-        console.error(`[ComfyUI] Connection failed to ${comfyUrl}:`, fetchErr.message);
-        throw new Error(
-            `No se pudo conectar a ComfyUI en ${comfyUrl}. ` +
-            `Esto puede pasar porque: (1) ComfyUI aún no ha terminado de cargar — espera 2-3 minutos, ` +
-            `(2) El servicio no está corriendo en el pod — revisa los logs en RunPod. ` +
-            `Error: ${fetchErr.message}`
-        );
-    }
+app.post('/api/provisions/:id/retry', asyncHandler(async (req, res) => {
+    res.json(modelProvisioner.retry(req.params.id));
+}));
 
-    if (!queueResponse.ok) {
-        let errDetail = '';
-        try {
-            const errJson = await queueResponse.json();
-            console.error('ComfyUI error response:', JSON.stringify(errJson, null, 2));
-            // ComfyUI returns structured errors with node_errors
-            if (errJson.error) {
-                errDetail = errJson.error.message || JSON.stringify(errJson.error);
-            }
-            if (errJson.node_errors) {
-                const nodeErrs = Object.values(errJson.node_errors)
-                    .map(ne => ne.errors?.map(e => e.message).join(', ') || JSON.stringify(ne))
-                    .join('; ');
-                errDetail += (errDetail ? ' | ' : '') + 'Node errors: ' + nodeErrs;
-            }
-        } catch {
-            errDetail = await queueResponse.text().catch(() => `HTTP ${queueResponse.status}`);
-        }
-        throw new Error(`ComfyUI rejected the workflow: ${errDetail || 'Unknown error (HTTP ' + queueResponse.status + ')'}`);
+// Install a manifest on a pod, by its ID or by the workflow it belongs to
+app.post('/api/pods/:id/provision', asyncHandler(async (req, res) => {
+    const { manifestId, workflowId } = req.body || {};
+    if (!manifestId && !workflowId) {
+        return res.status(400).json({ error: 'manifestId or workflowId is required' });
     }
-
-    const queueResult = await queueResponse.json();
-    const promptId = queueResult.prompt_id;
-
-    // Poll for completion
-    let completed = false;
-    let results = { images: [], gifs: [] };
-    const startTime = Date.now();
-
-    while (!completed && (Date.now() - startTime) < timeoutMs) {
-        await new Promise(r => setTimeout(r, 2000));
-
-        const historyResponse = await fetch(`${comfyUrl}/history/${promptId}`);
-        if (historyResponse.ok) {
-            const history = await historyResponse.json();
-            if (history[promptId] && history[promptId].outputs) {
-                completed = true;
-                for (const nodeId in history[promptId].outputs) {
-                    const output = history[promptId].outputs[nodeId];
-                    if (output.images) {
-                        for (const img of output.images) {
-                            results.images.push({
-                                url: `${comfyUrl}/view?filename=${img.filename}&subfolder=${img.subfolder || ''}&type=${img.type || 'output'}`,
-                                filename: img.filename
-                            });
-                        }
-                    }
-                    if (output.gifs) {
-                        for (const gif of output.gifs) {
-                            results.gifs.push({
-                                url: `${comfyUrl}/view?filename=${gif.filename}&subfolder=${gif.subfolder || ''}&type=${gif.type || 'output'}`,
-                                filename: gif.filename
-                            });
-                        }
-                    }
-                }
-            }
-        }
+    const id = manifestId || database.getModelManifestByWorkflow(workflowId)?.id;
+    if (!id) {
+        return res.status(404).json({ error: `Workflow "${workflowId}" has no model manifest` });
     }
+    res.status(202).json(modelProvisioner.schedule(req.params.id, id));
+}));
 
-    return { completed, promptId, results };
-}
-
-// ---- Automatic1111 generation helper ----
-async function generateViaA1111(serviceUrl, params) {
-    const payload = {
-        prompt: params.prompt || '',
-        negative_prompt: params.negative_prompt || '',
-        width: params.width || 512,
-        height: params.height || 512,
-        steps: params.steps || 20,
-        cfg_scale: params.cfg_scale || 7,
-        sampler_name: params.sampler || 'DPM++ 2M',
-        seed: params.seed || -1,
-        batch_size: params.batch_size || 1,
-        save_images: true
-    };
-
-    console.log(`[A1111] Sending txt2img to ${serviceUrl}/sdapi/v1/txt2img`);
-    console.log(`[A1111] Payload: prompt="${payload.prompt.substring(0, 80)}" ${payload.width}x${payload.height} steps=${payload.steps}`);
+// ==================== Spot pods ====================
+app.get('/api/spot', asyncHandler(async (req, res) => {
+    res.json(spotManager.list(req.query.status));
+}));
 
-    const response = await fetch(`${serviceUrl}/sdapi/v1/txt2img`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-        signal: AbortSignal.timeout(180000) // 3 min timeout
-    });
+app.get('/api/spot/savings', asyncHandler(async (req, res) => {
+    res.json(spotManager.getSavings());
+}));
 
-    if (!response.ok) {
-        let errDetail = `HTTP ${response.status}`;
-        try { errDetail = (await response.json()).detail || errDetail; } catch { }
-        throw new Error(`Automatic1111 rejected the request: ${errDetail}`);
-    }
+app.put('/api/spot/:podId', asyncHandler(async (req, res) => {
+    res.json(spotManager.update(req.params.podId, req.body));
+}));
 
-    const result = await response.json();
+// ==================== Workflows API ====================
+app.get('/api/workflows', asyncHandler(async (req, res) => {
+    const workflows = workflowEngine.listWorkflows();
+    res.json(workflows);
+}));
 
-    if (!result.images || result.images.length === 0) {
-        throw new Error('Automatic1111 returned no images');
+app.post('/api/workflows/upload', asyncHandler(async (req, res) => {
+    const { name, workflow } = req.body;
+    if (!name || !workflow) {
+        return res.status(400).json({ error: 'Name and workflow JSON are required' });
     }
+    const result = workflowEngine.saveCustomWorkflow(name, workflow);
+    res.status(201).json(result);
+}));
 
-    // Convert base64 images to data URIs the frontend can display directly
-    const images = result.images.map((b64, i) => ({
-        url: `data:image/png;base64,${b64}`,
-        filename: `a1111_${Date.now()}_${i}.png`
-    }));
-
-    console.log(`[A1111] Generated ${images.length} image(s) successfully`);
-    return { status: 'completed', images, gifs: [] };
-}
+// ==================== Image/Video Generation (via Pod) ====================
 
 // Smart generate endpoint — auto-detects engine (A1111 or ComfyUI)
 app.post('/api/pods/:id/generate', asyncHandler(async (req, res) => {
@@ -414,13 +392,23 @@ app.post('/api/pods/:id/generate', asyncHandler(async (req, res) => {
     const params = req.body;
 
     try {
-        const { serviceUrl, engine } = await resolvePodUrl(podId);
+        const { serviceUrl, engine } = await podGenerator.resolvePodUrl(podId);
 
         // ---- Automatic1111 path (proven approach from companion project) ----
         if (engine === 'a1111') {
-            const result = await generateViaA1111(serviceUrl, params);
+            const startTime = Date.now();
+            const result = await podGenerator.generateViaA1111(serviceUrl, params);
             database.updatePodActivity(podId);
-            return res.json(result);
+            const stored = await assetStore.storeResults(result, {
+                source: 'a1111',
+                podId,
+                prompt: params.prompt,
+                negativePrompt: params.negative_prompt,
+                seed: result.seed,
+                durationMs: Date.now() - startTime,
+                params
+            });
+            return res.json(stored);
         }
 
         // ---- ComfyUI path (original workflow-based approach) ----
@@ -462,13 +450,23 @@ app.post('/api/pods/:id/generate', asyncHandler(async (req, res) => {
         }
 
         // Always try to get checkpoints and auto-fix names (handles 'Value not in list' errors)
-        const checkpoints = await getAvailableCheckpoints(serviceUrl);
+        const checkpoints = await podGenerator.getAvailableCheckpoints(serviceUrl);
         console.log(`[ComfyUI] Available checkpoints: ${checkpoints.length > 0 ? checkpoints.join(', ') : 'none detected'}`);
 
         if (!params.rawWorkflow) {
             // Built-in template: block if no models at all
             if (checkpoints.length === 0) {
-                const comfyUiUrl = `https://${podId}-8188.proxy.runpod.net`;
+                // The workflow's manifest brings the models: install it rather than send the user off
+                const provision = modelProvisioner.provisionForWorkflow(podId, params.workflowId || 'image_sdxl_default');
+                if (provision) {
+                    return res.status(409).json({
+                        error: 'MODELS_PROVISIONING',
+                        message: `📦 Instalando los modelos de "${provision.manifest_name}" en el pod. Vuelve a generar cuando termine la instalación.`,
+                        provision: modelProvisioner.summarize(provision)
+                    });
+                }
+
+                const comfyUiUrl = cloudProvider.getServiceUrl(podId, 8188);
                 return res.status(400).json({
                     error: 'NO_CHECKPOINTS',
                     message: `⚠️ ComfyUI no tiene ningún modelo descargado todavía. Para generar imágenes necesitas:\n\n` +
@@ -476,7 +474,8 @@ app.post('/api/pods/:id/generate', asyncHandler(async (req, res) => {
                         `2️⃣ Usa el Manager para descargar un modelo (ej: SDXL, Stable Diffusion 1.5)\n` +
                         `3️⃣ Configura un workflow en ComfyUI y verifica que funciona\n` +
                         `4️⃣ Vuelve aquí y genera desde la app\n\n` +
-                        `💡 TIP: Si prefieres generar sin configuración, crea un pod tipo "Image Gen (A1111)" que viene con modelos preinstalados.`,
+                        `💡 TIP: Si prefieres generar sin configuración, crea un pod tipo "Image Gen (A1111)" que viene con modelos preinstalados, ` +
+                        `o crea un manifiesto de modelos para este workflow y se instalarán solos.`,
                     comfyUiUrl
                 });
             }
@@ -484,10 +483,11 @@ app.post('/api/pods/:id/generate', asyncHandler(async (req, res) => {
 
         // Fix checkpoint names in workflow regardless of source (avoids 'Value not in list')
         if (checkpoints.length > 0) {
-            workflow = fixCheckpointInWorkflow(workflow, checkpoints);
+            workflow = podGenerator.fixCheckpointInWorkflow(workflow, checkpoints);
         }
 
-        const { completed, promptId, results } = await executeWorkflowOnPod(
+        const startTime = Date.now();
+        const { completed, promptId, results } = await podGenerator.executeWorkflowOnPod(
             serviceUrl, workflow, isVideo ? 300000 : 120000
         );
 
@@ -501,10 +501,22 @@ app.post('/api/pods/:id/generate', asyncHandler(async (req, res) => {
 
         database.updatePodActivity(podId);
 
+        const { rawWorkflow, ...assetParams } = params;
+        const stored = await assetStore.storeResults(results, {
+            source: 'comfyui',
+            podId,
+            prompt: params.prompt,
+            negativePrompt: params.negative_prompt,
+            seed: workflowEngine.getSeed(workflow),
+            workflowId: rawWorkflow ? 'custom' : (params.workflowId || 'image_sdxl_default'),
+            durationMs: Date.now() - startTime,
+            params: assetParams
+        });
+
         res.json({
             status: 'completed',
-            images: results.images,
-            gifs: results.gifs,
+            images: stored.images,
+            gifs: stored.gifs,
             promptId
         });
     } catch (error) {
@@ -516,45 +528,47 @@ app.post('/api/pods/:id/generate', asyncHandler(async (req, res) => {
     }
 }));
 
-// Check if a pod's generation service is ready and has models
+// Check if a pod's generation service is ready and has models (probes it now)
 app.get('/api/pods/:id/check-ready', asyncHandler(async (req, res) => {
     const podId = req.params.id;
     try {
-        const { serviceUrl, engine } = await resolvePodUrl(podId);
-        const comfyUiUrl = `https://${podId}-8188.proxy.runpod.net`;
-
-        // For ComfyUI, just return ready with the URL — the user tests via workflow upload
-        // Don't try to query checkpoints here (it's slow and unreliable via proxy)
-        if (engine === 'comfyui') {
-            return res.json({ ready: true, engine, comfyUiUrl, serviceUrl });
-        }
-
-        if (engine === 'a1111') {
-            try {
-                const resp = await fetch(`${serviceUrl}/sdapi/v1/sd-models`, {
-                    signal: AbortSignal.timeout(8000)
-                });
-                if (resp.ok) {
-                    const models = await resp.json();
-                    return res.json({ ready: true, engine, models: models.length, serviceUrl });
-                }
-            } catch (e) { /* fall through */ }
-            return res.json({
-                ready: false, engine, models: 0, serviceUrl,
-                message: 'Automatic1111 todavía está cargando. Espera unos minutos.'
-            });
-        }
-
-        // Default: assume ready
-        return res.json({ ready: true, engine, serviceUrl });
+        const readiness = await podReadiness.probe(podId);
+        res.json({
+            ready: readiness.state === 'ready',
+            state: readiness.state,
+            engine: readiness.engine,
+            models: readiness.models ?? 0,
+            serviceUrl: readiness.service_url,
+            comfyUiUrl: cloudProvider.getServiceUrl(podId, 8188),
+            message: readiness.message
+        });
     } catch (error) {
         res.json({
-            ready: false, engine: 'unknown', models: 0,
+            ready: false, state: 'unknown', engine: 'unknown', models: 0,
             message: error.message || 'No se pudo conectar al pod.'
         });
     }
 }));
 
+// ==================== Pod Readiness ====================
+app.get('/api/readiness', asyncHandler(async (req, res) => {
+    res.json(podReadiness.list());
+}));
+
+// Last known readiness of a pod; with ?wait=<seconds>, waits (up to 120s) until it is ready
+app.get('/api/pods/:id/readiness', asyncHandler(async (req, res) => {
+    const wait = Math.min(parseInt(req.query.wait) || 0, 120);
+    if (wait > 0) {
+        try {
+            return res.json(await podReadiness.waitUntilReady(req.params.id, wait * 1000));
+        } catch (error) {
+            if (error.status !== 504) throw error;
+        }
+    }
+    const readiness = podReadiness.get(req.params.id) || await podReadiness.probe(req.params.id);
+    res.json(readiness);
+}));
+
 // ==================== Batch Generation (via Pod) ====================
 app.post('/api/pods/:id/batch', asyncHandler(async (req, res) => {
     const podId = req.params.id;
@@ -564,135 +578,149 @@ app.post('/api/pods/:id/batch', asyncHandler(async (req, res) => {
         return res.status(400).json({ error: 'An array of prompts is required' });
     }
 
+    if (!prompts.every(p => typeof p === 'string') || !prompts.some(p => p.trim())) {
+        return res.status(400).json({ error: 'Prompts must be text, and at least one must not be empty' });
+    }
+
     if (prompts.length > 100) {
         return res.status(400).json({ error: 'Maximum 100 prompts per batch' });
     }
 
-    try {
-        const { serviceUrl, engine } = await resolvePodUrl(podId);
+    const batch = await batchRunner.createBatch(podId, prompts, { workflowId, params });
 
-        // A1111 batch: just loop generateViaA1111
-        if (engine === 'a1111') {
-            res.json({
-                status: 'batch_started',
-                total: prompts.length,
-                workflowId,
-                message: `Batch of ${prompts.length} prompts queued (A1111). Progress via WebSocket.`
-            });
+    res.json({
+        status: 'batch_started',
+        batchId: batch.id,
+        total: batch.total,
+        workflowId,
+        message: `Batch of ${batch.total} prompts queued (${batch.engine}). Progress via WebSocket.`
+    });
+}));
 
-            const allResults = [];
-            for (let i = 0; i < prompts.length; i++) {
-                const promptText = prompts[i].trim();
-                if (!promptText) continue;
-                queueManager.broadcast('batch:progress', {
-                    podId, current: i + 1, total: prompts.length,
-                    prompt: promptText.substring(0, 80), status: 'generating'
-                });
-                try {
-                    const r = await generateViaA1111(serviceUrl, { ...params, prompt: promptText });
-                    allResults.push({ index: i, prompt: promptText.substring(0, 80), status: 'completed', images: r.images, gifs: [] });
-                } catch (err) {
-                    allResults.push({ index: i, prompt: promptText.substring(0, 80), status: 'error', error: err.message });
-                }
-                database.updatePodActivity(podId);
-            }
-            queueManager.broadcast('batch:complete', {
-                podId, total: prompts.length,
-                completed: allResults.filter(r => r.status === 'completed').length,
-                failed: allResults.filter(r => r.status === 'error').length,
-                results: allResults
-            });
-            return;
-        }
+// Pool batch: fan prompts out across every ready pod of an engine
+app.get('/api/pool', asyncHandler(async (req, res) => {
+    const engine = req.query.engine || 'comfyui';
+    const pods = await batchRunner.discoverPods(engine);
+    res.json({ engine, pods });
+}));
 
-        const comfyUrl = serviceUrl;
-        const wf = workflowEngine.getWorkflow(workflowId);
-        const isVideo = wf?.category === 'video' || wf?.hasVideo;
+app.post('/api/pool/batch', asyncHandler(async (req, res) => {
+    const { prompts, workflowId = 'image_sdxl_default', params = {}, podIds = null } = req.body;
+    const engine = req.body.engine || 'comfyui';
 
-        // Auto-detect checkpoints once for the whole batch
-        const checkpoints = await getAvailableCheckpoints(comfyUrl);
+    if (!prompts || !Array.isArray(prompts) || prompts.length === 0) {
+        return res.status(400).json({ error: 'An array of prompts is required' });
+    }
 
-        // Start batch in the background — send a start response immediately
-        res.json({
-            status: 'batch_started',
-            total: prompts.length,
-            workflowId,
-            message: `Batch of ${prompts.length} prompts queued. Progress via WebSocket.`
-        });
+    if (!prompts.every(p => typeof p === 'string') || !prompts.some(p => p.trim())) {
+        return res.status(400).json({ error: 'Prompts must be text, and at least one must not be empty' });
+    }
 
-        // Process sequentially in background and broadcast progress via WebSocket
-        const allResults = [];
-        for (let i = 0; i < prompts.length; i++) {
-            const promptText = prompts[i].trim();
-            if (!promptText) continue;
+    if (prompts.length > 500) {
+        return res.status(400).json({ error: 'Maximum 500 prompts per pool batch' });
+    }
 
-            // Broadcast progress
-            queueManager.broadcast('batch:progress', {
-                podId,
-                current: i + 1,
-                total: prompts.length,
-                prompt: promptText.substring(0, 80),
-                status: 'generating'
-            });
+    if (!['comfyui', 'a1111'].includes(engine)) {
+        return res.status(400).json({ error: 'Engine must be comfyui or a1111' });
+    }
 
-            try {
-                let workflow = workflowEngine.buildPrompt(workflowId, {
-                    ...params,
-                    prompt: promptText
-                });
-                if (checkpoints.length > 0) {
-                    workflow = fixCheckpointInWorkflow(workflow, checkpoints);
-                }
-                const { completed, results } = await executeWorkflowOnPod(
-                    comfyUrl, workflow, isVideo ? 300000 : 120000
-                );
-                allResults.push({
-                    index: i,
-                    prompt: promptText.substring(0, 80),
-                    status: completed ? 'completed' : 'timeout',
-                    images: results.images,
-                    gifs: results.gifs
-                });
-            } catch (err) {
-                allResults.push({
-                    index: i,
-                    prompt: promptText.substring(0, 80),
-                    status: 'error',
-                    error: err.message
-                });
-            }
+    if (podIds !== null && !Array.isArray(podIds)) {
+        return res.status(400).json({ error: 'podIds must be an array of pod IDs' });
+    }
 
-            database.updatePodActivity(podId);
-        }
+    const batch = await batchRunner.createPoolBatch(prompts, { engine, workflowId, params, podIds });
 
-        // Broadcast batch complete
-        queueManager.broadcast('batch:complete', {
-            podId,
-            total: prompts.length,
-            completed: allResults.filter(r => r.status === 'completed').length,
-            failed: allResults.filter(r => r.status === 'error').length,
-            results: allResults
-        });
+    res.json({
+        status: 'batch_started',
+        batchId: batch.id,
+        total: batch.total,
+        workflowId,
+        pods: batch.pods,
+        message: `Batch of ${batch.total} prompts spread across ${batch.pods.length} ${engine} pod(s). Progress via WebSocket.`
+    });
+}));
 
-    } catch (error) {
-        if (error.status) {
-            // Already sent response, broadcast error via WebSocket
-            queueManager.broadcast('batch:error', {
-                podId,
-                error: error.message
-            });
-            return;
-        }
-        console.error('Batch error:', error);
+app.get('/api/batches', asyncHandler(async (req, res) => {
+    const limit = parseInt(req.query.limit) || 50;
+    const status = req.query.status || null;
+    res.json(database.getBatches(limit, status));
+}));
+
+app.get('/api/batches/:id', asyncHandler(async (req, res) => {
+    const batch = batchRunner.getBatch(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(batch);
+}));
+
+app.post('/api/batches/:id/pause', asyncHandler(async (req, res) => {
+    res.json(batchRunner.pause(req.params.id));
+}));
+
+app.post('/api/batches/:id/resume', asyncHandler(async (req, res) => {
+    res.json(batchRunner.resume(req.params.id));
+}));
+
+app.post('/api/batches/:id/cancel', asyncHandler(async (req, res) => {
+    res.json(batchRunner.cancel(req.params.id));
+}));
+
+app.post('/api/batches/:id/items/:index/retry', asyncHandler(async (req, res) => {
+    res.json(batchRunner.retryItem(req.params.id, parseInt(req.params.index)));
+}));
+
+// ==================== Asset Library ====================
+app.get('/api/assets', asyncHandler(async (req, res) => {
+    const result = assetStore.search({
+        q: req.query.q || null,
+        kind: req.query.kind || null,
+        source: req.query.source || null,
+        podId: req.query.podId || null,
+        endpointId: req.query.endpointId || null,
+        workflowId: req.query.workflowId || null,
+        batchId: req.query.batchId || null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 500),
+        offset: parseInt(req.query.offset) || 0
+    });
+    res.json(result);
+}));
+
+app.get('/api/assets/:id', asyncHandler(async (req, res) => {
+    const asset = assetStore.get(req.params.id);
+    if (!asset) {
+        return res.status(404).json({ error: 'Asset not found' });
     }
-}))
+    res.json(asset);
+}));
+
+app.get('/api/assets/:id/file', asyncHandler(async (req, res) => {
+    const asset = assetStore.get(req.params.id);
+    if (!asset) {
+        return res.status(404).json({ error: 'Asset not found' });
+    }
+    // Only plain images and videos are shown inline; the rest is a download
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (assetStore.isMediaType(asset.mime_type)) {
+        res.type(asset.mime_type);
+    } else {
+        // attachment() sets a type from the filename, so it goes first
+        res.attachment(asset.filename);
+        res.type('application/octet-stream');
+    }
+    res.sendFile(assetStore.filePath(asset));
+}));
+
+app.delete('/api/assets/:id', asyncHandler(async (req, res) => {
+    res.json(assetStore.delete(req.params.id));
+}));
 
 // ==================== Pod Workspace Backup ====================
 app.post('/api/pods/:id/backup', asyncHandler(async (req, res) => {
     const podId = req.params.id;
 
     // Get pod details
-    const pods = await runpodClient.getPods();
+    const pods = await cloudProvider.getPods();
     const pod = pods.find(p => p.id === podId);
 
     if (!pod) {
@@ -722,7 +750,7 @@ app.post('/api/pods/:id/backup', asyncHandler(async (req, res) => {
     }
 
     // Use the proxy URL to access Jupyter file API (port 8888)
-    const jupyterUrl = `https://${podId}-8888.proxy.runpod.net`;
+    const jupyterUrl = cloudProvider.getServiceUrl(podId, 8888);
 
     try {
         // List files via Jupyter contents API
@@ -877,23 +905,48 @@ function crc32(buf) {
 
 // ==================== Serverless Endpoints ====================
 app.get('/api/endpoints', asyncHandler(async (req, res) => {
-    const endpoints = await serverlessClient.getEndpoints();
-    res.json(endpoints);
+    const endpoints = await cloudProvider.getEndpoints();
+    endpointLimiter.rememberEndpoints(endpoints);
+    res.json(endpoints.map(ep => ({
+        ...ep,
+        projectId: projectManager.getEndpointProject(ep.id),
+        limits: endpointLimiter.describe(ep.id)
+    })));
 }));
 
 app.post('/api/endpoints', asyncHandler(async (req, res) => {
-    const input = sanitizer.sanitizeObject(req.body);
-    const endpoint = await serverlessClient.createEndpoint(input);
-    res.status(201).json(endpoint);
+    const { projectId: requestedProject, ...input } = sanitizer.sanitizeObject(req.body);
+    const projectId = projectManager.resolve(requestedProject);
+    costTracker.assertCanSpend({ projectId, userId: req.user.id });
+
+    const endpoint = await cloudProvider.createEndpoint(input);
+    endpointLimiter.rememberEndpoint(endpoint);
+    projectManager.tagEndpoint(endpoint.id, projectId, req.user.id);
+    res.status(201).json({ ...endpoint, projectId });
+}));
+
+app.put('/api/endpoints/:id/project', asyncHandler(async (req, res) => {
+    res.json(projectManager.tagEndpoint(req.params.id, req.body.projectId));
+}));
+
+app.get('/api/endpoints/:id/limits', asyncHandler(async (req, res) => {
+    res.json(endpointLimiter.describe(req.params.id));
+}));
+
+app.put('/api/endpoints/:id/limits', asyncHandler(async (req, res) => {
+    const { maxConcurrent, ratePerSecond } = req.body;
+    res.json(endpointLimiter.setLimits(req.params.id, { maxConcurrent, ratePerSecond }));
 }));
 
 app.delete('/api/endpoints/:id', asyncHandler(async (req, res) => {
-    await serverlessClient.deleteEndpoint(req.params.id);
+    await cloudProvider.deleteEndpoint(req.params.id);
+    database.removeEndpointProject(req.params.id);
+    endpointLimiter.forget(req.params.id);
     res.json({ success: true });
 }));
 
 app.get('/api/endpoints/:id/health', asyncHandler(async (req, res) => {
-    const health = await serverlessClient.getHealth(req.params.id);
+    const health = await cloudProvider.getHealth(req.params.id);
     res.json(health);
 }));
 
@@ -927,52 +980,42 @@ app.post('/api/endpoints/:id/generate', asyncHandler(async (req, res) => {
         seed: Math.floor(Math.random() * 1000000000)
     };
 
+    const projectId = projectManager.getEndpointProject(endpointId);
+    costTracker.assertCanSpend({ projectId, userId: req.user.id });
+
     try {
         // Submit job to serverless endpoint (sync mode)
-        const result = await serverlessClient.runJobSync(endpointId, input);
+        const startedAt = Date.now();
+        const result = await cloudProvider.runJobSync(endpointId, input);
 
         // Check if it's a sync response with output
         if (result.output) {
-            // Extract images from output
-            let images = [];
-
-            if (Array.isArray(result.output)) {
-                images = result.output.map(img => {
-                    if (typeof img === 'string') {
-                        // Check if it's base64 or URL
-                        if (img.startsWith('data:') || img.startsWith('http')) {
-                            return { url: img };
-                        }
-                        // Assume it's base64 without prefix
-                        return { url: `data:image/png;base64,${img}` };
-                    }
-                    return img;
-                });
-            } else if (result.output.images) {
-                images = result.output.images.map(img => {
-                    if (typeof img === 'string') {
-                        if (img.startsWith('data:') || img.startsWith('http')) {
-                            return { url: img };
-                        }
-                        return { url: `data:image/png;base64,${img}` };
-                    }
-                    return img;
-                });
-            } else if (result.output.image) {
-                const img = result.output.image;
-                if (typeof img === 'string') {
-                    if (img.startsWith('data:') || img.startsWith('http')) {
-                        images = [{ url: img }];
-                    } else {
-                        images = [{ url: `data:image/png;base64,${img}` }];
-                    }
-                }
+            // Priced like a queued job, so it counts against budgets and per-image costs
+            let costUsd = null;
+            try {
+                const job = { id: result.id, endpoint_id: endpointId, project_id: projectId, user_id: req.user.id };
+                costUsd = (await costTracker.logServerlessJobCost(job, result, Date.now() - startedAt))?.costUsd ?? null;
+            } catch (error) {
+                console.error(`Error costing sync job ${result.id}:`, error.message);
             }
 
+            // Extract images from output and keep local copies
+            const { images } = await assetStore.storeResults({ images: assetStore.extractImages(result.output) }, {
+                source: 'serverless',
+                endpointId,
+                jobId: result.id,
+                prompt,
+                negativePrompt: negative_prompt,
+                seed: input.seed,
+                params: input,
+                costUsd
+            });
+
             res.json({
                 status: 'completed',
                 images,
                 executionTime: result.executionTime,
+                costUsd,
                 jobId: result.id
             });
         } else {
@@ -997,6 +1040,12 @@ app.get('/api/jobs', asyncHandler(async (req, res) => {
     res.json(jobs);
 }));
 
+// Before /api/jobs/:id so "stats" is not taken for a job id
+app.get('/api/jobs/stats', asyncHandler(async (req, res) => {
+    const stats = queueManager.getStats();
+    res.json(stats);
+}));
+
 app.get('/api/jobs/:id', asyncHandler(async (req, res) => {
     const job = database.getJob(req.params.id);
     if (!job) {
@@ -1019,29 +1068,178 @@ app.post('/api/jobs', asyncHandler(async (req, res) => {
         return res.status(400).json({ errors: inputValidation.errors });
     }
 
-    const result = await queueManager.submitJob(endpointId, sanitizedInput, options);
+    const result = await queueManager.submitJob(endpointId, sanitizedInput, {
+        ...options,
+        projectId: req.body.projectId,
+        priority: req.body.priority ?? options?.priority,
+        stream: req.body.stream ?? options?.stream,
+        userId: req.user.id
+    });
     res.status(201).json(result);
 }));
 
+app.put('/api/jobs/:id/priority', asyncHandler(async (req, res) => {
+    res.json(queueManager.setPriority(req.params.id, req.body.priority));
+}));
+
+app.post('/api/jobs/:id/bump', asyncHandler(async (req, res) => {
+    res.json(queueManager.shiftPriority(req.params.id, +1));
+}));
+
+app.post('/api/jobs/:id/demote', asyncHandler(async (req, res) => {
+    res.json(queueManager.shiftPriority(req.params.id, -1));
+}));
+
 app.post('/api/jobs/:id/cancel', asyncHandler(async (req, res) => {
     const result = await queueManager.cancelJob(req.params.id);
     res.json(result);
 }));
 
-app.get('/api/jobs/stats', asyncHandler(async (req, res) => {
-    const stats = queueManager.getStats();
-    res.json(stats);
-}));
-
 // ==================== Dead Letter Queue ====================
 app.get('/api/dlq', asyncHandler(async (req, res) => {
-    const jobs = database.getDeadLetterJobs();
-    res.json(jobs);
+    res.json(deadLetterQueue.list({
+        status: req.query.status,
+        category: req.query.category,
+        endpointId: req.query.endpointId,
+        q: req.query.q,
+        limit: req.query.limit
+    }));
 }));
 
+// Before /api/dlq/:id so these are not taken for an entry id
+app.get('/api/dlq/stats', asyncHandler(async (req, res) => {
+    res.json(deadLetterQueue.getStats());
+}));
+
+app.get('/api/dlq/settings', asyncHandler(async (req, res) => {
+    res.json(deadLetterQueue.getRetention());
+}));
+
+app.put('/api/dlq/settings', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json(deadLetterQueue.setRetention(req.body));
+}));
+
+// Bulk actions on open entries: { ids } or { category, endpointId, q }
+app.post('/api/dlq/retry', asyncHandler(async (req, res) => {
+    res.json(await deadLetterQueue.retryMany(req.body, req.user.id));
+}));
+
+app.post('/api/dlq/discard', asyncHandler(async (req, res) => {
+    res.json(deadLetterQueue.discardMany(req.body, req.user.id));
+}));
+
+app.get('/api/dlq/:id', asyncHandler(async (req, res) => {
+    res.json(deadLetterQueue.get(req.params.id));
+}));
+
+// Optional { input } retries with an edited input
 app.post('/api/dlq/:id/retry', asyncHandler(async (req, res) => {
-    const result = await queueManager.retryDeadLetter(req.params.id);
-    res.json(result);
+    res.json(await deadLetterQueue.retry(req.params.id, req.body, req.user.id));
+}));
+
+app.post('/api/dlq/:id/discard', asyncHandler(async (req, res) => {
+    res.json(deadLetterQueue.discard(req.params.id, req.user.id));
+}));
+
+// ==================== Result Cache ====================
+app.get('/api/cache', asyncHandler(async (req, res) => {
+    res.json(resultCache.getStats());
+}));
+
+// Everything, or only the entries of ?endpointId=
+app.delete('/api/cache', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json(resultCache.invalidate({ endpointId: req.query.endpointId }));
+}));
+
+app.delete('/api/cache/:hash', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json(resultCache.invalidate({ inputHash: req.params.hash }));
+}));
+
+// ==================== Pipelines ====================
+app.get('/api/pipelines', asyncHandler(async (req, res) => {
+    res.json(pipelineRunner.listPipelines());
+}));
+
+app.post('/api/pipelines', asyncHandler(async (req, res) => {
+    res.status(201).json(pipelineRunner.createPipeline(req.body, req.user.id));
+}));
+
+app.get('/api/pipelines/runs', asyncHandler(async (req, res) => {
+    res.json(pipelineRunner.listRuns({
+        pipelineId: req.query.pipelineId || null,
+        status: req.query.status || null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    }));
+}));
+
+app.get('/api/pipelines/runs/:runId', asyncHandler(async (req, res) => {
+    res.json(pipelineRunner.getRun(req.params.runId));
+}));
+
+app.post('/api/pipelines/runs/:runId/cancel', asyncHandler(async (req, res) => {
+    res.json(await pipelineRunner.cancelRun(req.params.runId));
+}));
+
+app.post('/api/pipelines/runs/:runId/retry', asyncHandler(async (req, res) => {
+    res.json(pipelineRunner.retryRun(req.params.runId));
+}));
+
+app.get('/api/pipelines/:id', asyncHandler(async (req, res) => {
+    res.json(pipelineRunner.getPipeline(req.params.id));
+}));
+
+app.put('/api/pipelines/:id', asyncHandler(async (req, res) => {
+    res.json(pipelineRunner.updatePipeline(req.params.id, req.body));
+}));
+
+app.delete('/api/pipelines/:id', asyncHandler(async (req, res) => {
+    res.json(pipelineRunner.deletePipeline(req.params.id));
+}));
+
+app.post('/api/pipelines/:id/run', asyncHandler(async (req, res) => {
+    res.status(201).json(pipelineRunner.startRun(req.params.id, req.body, req.user.id));
+}));
+
+// ==================== Schedules ====================
+app.get('/api/schedules', asyncHandler(async (req, res) => {
+    res.json(scheduler.list({ status: req.query.status || null, projectId: req.query.projectId || null }));
+}));
+
+app.post('/api/schedules', asyncHandler(async (req, res) => {
+    res.status(201).json(scheduler.create(req.body, req.user.id));
+}));
+
+app.get('/api/schedules/preview', asyncHandler(async (req, res) => {
+    const count = Math.min(parseInt(req.query.count) || 5, 50);
+    res.json(scheduler.preview(req.query.cron, count));
+}));
+
+app.get('/api/schedules/runs', asyncHandler(async (req, res) => {
+    res.json(scheduler.getRuns(null, Math.min(parseInt(req.query.limit) || 50, 500)));
+}));
+
+app.get('/api/schedules/:id', asyncHandler(async (req, res) => {
+    res.json(scheduler.get(req.params.id));
+}));
+
+app.get('/api/schedules/:id/runs', asyncHandler(async (req, res) => {
+    res.json(scheduler.getRuns(req.params.id, Math.min(parseInt(req.query.limit) || 50, 500)));
+}));
+
+app.post('/api/schedules/:id/pause', asyncHandler(async (req, res) => {
+    res.json(scheduler.pause(req.params.id));
+}));
+
+app.post('/api/schedules/:id/resume', asyncHandler(async (req, res) => {
+    res.json(scheduler.resume(req.params.id));
+}));
+
+app.post('/api/schedules/:id/run', asyncHandler(async (req, res) => {
+    res.json(await scheduler.runNow(req.params.id));
+}));
+
+app.delete('/api/schedules/:id', asyncHandler(async (req, res) => {
+    res.json(scheduler.remove(req.params.id));
 }));
 
 // ==================== Costs ====================
@@ -1056,6 +1254,174 @@ app.get('/api/costs/history', asyncHandler(async (req, res) => {
     res.json(history);
 }));
 
+app.get('/api/costs/breakdown', asyncHandler(async (req, res) => {
+    const groupBy = req.query.by === 'user' ? 'user' : 'project';
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    res.json(costTracker.getBreakdown(groupBy, days));
+}));
+
+app.get('/api/costs/forecast', asyncHandler(async (req, res) => {
+    res.json(await spendForecast.forecast());
+}));
+
+// ==================== Billing ====================
+app.get('/api/billing', asyncHandler(async (req, res) => {
+    res.json(await billing.getStatus());
+}));
+
+app.get('/api/billing/intervals', asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json(database.getPodIntervals(req.query.podId || null, limit));
+}));
+
+app.get('/api/billing/checks', asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json(database.getBillingChecks(limit, req.query.discrepancies === 'true'));
+}));
+
+app.post('/api/billing/reconcile', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    const check = await billing.checkProviderSpend();
+    res.json({ check, status: await billing.getStatus() });
+}));
+
+app.post('/api/billing/checks/:id/acknowledge', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    if (!database.getBillingCheck(req.params.id)) {
+        return res.status(404).json({ error: 'Billing check not found' });
+    }
+    database.acknowledgeBillingCheck(req.params.id);
+    res.json(database.getBillingCheck(req.params.id));
+}));
+
+// ==================== Events ====================
+/**
+ * Stored events after a cursor, for clients that poll instead of streaming
+ */
+app.get('/api/events', asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || config.eventReplayLimit, config.eventReplayLimit);
+    const events = eventBus.replay(req.query.since || 0, req.query.topics, limit);
+    res.json({ events, cursor: events.length ? events[events.length - 1].id : parseInt(req.query.since) || 0 });
+}));
+
+/**
+ * Server-sent events: same stream as /ws for non-browser consumers.
+ * Resumes from ?since= or the Last-Event-ID header sent on reconnect.
+ */
+app.get('/api/events/stream', (req, res) => {
+    // Everything that can fail runs before the stream starts
+    let topics;
+    let missed = [];
+    try {
+        topics = eventBus.parseTopics(req.query.topics);
+        const since = req.query.since ?? req.headers['last-event-id'];
+        if (since !== undefined) missed = eventBus.replay(since, topics);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    // Send the headers now, not with the first event
+    res.flushHeaders();
+
+    const write = (message) => {
+        res.write(`id: ${message.id}\nevent: ${message.event}\ndata: ${JSON.stringify(message)}\n\n`);
+    };
+
+    missed.forEach(write);
+    const subscription = eventBus.subscribe(write, topics);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        subscription.close();
+    });
+});
+
+// ==================== Notifications ====================
+app.use('/api/notifications', auth.requireRole('admin'));
+
+app.get('/api/notifications/events', asyncHandler(async (req, res) => {
+    res.json({ channelTypes: CHANNEL_TYPES, events: Object.keys(NOTIFIABLE_EVENTS) });
+}));
+
+app.get('/api/notifications/channels', asyncHandler(async (req, res) => {
+    res.json(notifier.listChannels());
+}));
+
+app.post('/api/notifications/channels', asyncHandler(async (req, res) => {
+    const { name, type, config: channelConfig, enabled } = req.body;
+    res.json(notifier.createChannel({ name, type, config: channelConfig, enabled }));
+}));
+
+app.put('/api/notifications/channels/:id', asyncHandler(async (req, res) => {
+    const { name, config: channelConfig, enabled } = req.body;
+    res.json(notifier.updateChannel(req.params.id, { name, config: channelConfig, enabled }));
+}));
+
+app.delete('/api/notifications/channels/:id', asyncHandler(async (req, res) => {
+    res.json(notifier.deleteChannel(req.params.id));
+}));
+
+app.post('/api/notifications/channels/:id/test', asyncHandler(async (req, res) => {
+    res.json(await notifier.testChannel(req.params.id));
+}));
+
+app.get('/api/notifications/rules', asyncHandler(async (req, res) => {
+    res.json(notifier.listRules());
+}));
+
+app.post('/api/notifications/rules', asyncHandler(async (req, res) => {
+    const { channelId, event } = req.body;
+    res.json(notifier.createRule({ channelId, event }));
+}));
+
+app.put('/api/notifications/rules/:id', asyncHandler(async (req, res) => {
+    res.json(notifier.setRuleEnabled(req.params.id, !!req.body.enabled));
+}));
+
+app.delete('/api/notifications/rules/:id', asyncHandler(async (req, res) => {
+    res.json(notifier.deleteRule(req.params.id));
+}));
+
+app.get('/api/notifications/deliveries', asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json(notifier.listDeliveries(limit, req.query.status || null));
+}));
+
+app.post('/api/notifications/deliveries/:id/retry', asyncHandler(async (req, res) => {
+    res.json(await notifier.retryDelivery(req.params.id));
+}));
+
+// ==================== Projects ====================
+app.get('/api/projects', asyncHandler(async (req, res) => {
+    res.json(projectManager.list());
+}));
+
+app.get('/api/projects/:id', asyncHandler(async (req, res) => {
+    const project = projectManager.get(req.params.id);
+    const spending = costTracker.getBreakdown('project').entries.find(e => e.id === project.id);
+    res.json({ ...project, spending });
+}));
+
+app.post('/api/projects', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    const { name, description, budgetDaily, budgetMonthly } = req.body;
+    res.status(201).json(projectManager.create({ name, description, budgetDaily, budgetMonthly }));
+}));
+
+app.put('/api/projects/:id', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    const { name, description, budgetDaily, budgetMonthly } = req.body;
+    res.json(projectManager.update(req.params.id, { name, description, budgetDaily, budgetMonthly }));
+}));
+
+app.delete('/api/projects/:id', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json(projectManager.delete(req.params.id));
+}));
+
 // ==================== Auto-Shutdown ====================
 app.get('/api/auto-shutdown', asyncHandler(async (req, res) => {
     const status = autoShutdown.getStatus();
@@ -1070,7 +1436,7 @@ app.post('/api/auto-shutdown/toggle', asyncHandler(async (req, res) => {
 
 // ==================== Templates ====================
 app.get('/api/templates', asyncHandler(async (req, res) => {
-    const templates = await runpodClient.getTemplates();
+    const templates = await cloudProvider.getTemplates();
 
     // Add predefined community templates
     const communityTemplates = [
@@ -1164,7 +1530,7 @@ app.get('/api/benchmarks', asyncHandler(async (req, res) => {
 }));
 
 // ==================== Config ====================
-app.post('/api/config', asyncHandler(async (req, res) => {
+app.post('/api/config', auth.requireRole('admin'), asyncHandler(async (req, res) => {
     const { key, value } = req.body;
 
     // Only allow certain config keys
@@ -1172,6 +1538,15 @@ app.post('/api/config', asyncHandler(async (req, res) => {
     if (!allowedKeys.includes(key)) {
         return res.status(400).json({ error: 'Invalid config key' });
     }
+    // null goes back to the environment value
+    if (value !== null) {
+        if (key === 'autoShutdownMinutes' && !(Number.isInteger(value) && value >= 0 && value <= 10080)) {
+            return res.status(400).json({ error: 'autoShutdownMinutes must be an integer between 0 and 10080, or null' });
+        }
+        if (key !== 'autoShutdownMinutes' && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+            return res.status(400).json({ error: `${key} must be an amount of 0 or more, or null` });
+        }
+    }
 
     database.setConfig(key, value);
     res.json({ success: true });
@@ -1180,12 +1555,15 @@ app.post('/api/config', asyncHandler(async (req, res) => {
 // ==================== Error Handler ====================
 app.use((err, req, res, next) => {
     console.error('Error:', err.message);
-    res.status(500).json({ error: err.message });
+    // Services throw { status, message } for expected client errors, some with details
+    res.status(err.status || 500).json(err.details ? { error: err.message, details: err.details } : { error: err.message });
 });
 
 // ==================== Start Server ====================
 const PORT = config.port;
 
+await auth.ensureAdmin();
+
 app.listen(PORT, () => {
     console.log(`
 ╔═══════════════════════════════════════════════════════════╗
@@ -1200,6 +1578,39 @@ app.listen(PORT, () => {
 
     // Start auto-shutdown monitoring
     autoShutdown.start();
+
+    // Bill pods from their state transitions, back-filling any downtime
+    billing.start();
+
+    // Project spend and warn before budgets run out
+    spendForecast.start();
+
+    // Retry pending webhook / email notifications
+    notifier.start();
+
+    // Probe pod services and broadcast readiness transitions
+    podReadiness.start();
+
+    // Install model manifests on pods as their ComfyUI comes up
+    modelProvisioner.start();
+
+    // Continue batches interrupted by a restart
+    batchRunner.resumeInterrupted();
+
+    // Follow pipeline steps and continue runs interrupted by a restart
+    pipelineRunner.start();
+
+    // Fire due schedules (including runs missed while offline)
+    scheduler.start();
+
+    // Drop dead letter entries past their retention
+    deadLetterQueue.start();
+
+    // Drop expired cached results
+    resultCache.start();
+
+    // Watch spot pods for interruptions and recover them per their policy
+    spotManager.start();
 });
 
 export default app;
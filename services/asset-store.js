@@ -0,0 +1,240 @@
+import { v4 as uuidv4 } from 'uuid';
+import { mkdirSync, writeFileSync, readFileSync, existsSync, unlinkSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+
+/**
+ * Asset Store - local library of generated images and videos
+ *
+ * Downloads every output (ComfyUI /view URLs, A1111 base64 images, serverless
+ * responses) to disk before the pod that produced it goes away, and records it
+ * in the assets table with its generation metadata.
+ */
+
+const MIME_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm'
+};
+// Anything else (text/html, image/svg+xml...) could run script from our origin
+const FALLBACK_MIME = 'application/octet-stream';
+
+class AssetStore {
+    constructor() {
+        this.baseDir = config.assetsDir;
+        mkdirSync(this.baseDir, { recursive: true });
+    }
+
+    /**
+     * Public URL the frontend uses to display an asset
+     */
+    fileUrl(assetId) {
+        return `/api/assets/${assetId}/file`;
+    }
+
+    /**
+     * Absolute path of an asset's file on disk
+     */
+    filePath(asset) {
+        return join(this.baseDir, asset.storage_path);
+    }
+
+    /**
+     * Add the public URL to an asset row
+     */
+    toPublic(asset) {
+        return asset ? { ...asset, url: this.fileUrl(asset.id) } : null;
+    }
+
+    /**
+     * Normalize the many output shapes of serverless workers into [{ url }]
+     */
+    extractImages(output) {
+        if (!output) return [];
+
+        const normalize = (img) => {
+            if (typeof img === 'string') {
+                // Check if it's base64 or URL
+                if (img.startsWith('data:') || img.startsWith('http')) {
+                    return { url: img };
+                }
+                // Assume it's base64 without prefix
+                return { url: `data:image/png;base64,${img}` };
+            }
+            return img;
+        };
+
+        if (Array.isArray(output)) return output.map(normalize);
+        if (Array.isArray(output.images)) return output.images.map(normalize);
+        if (typeof output.image === 'string') return [normalize(output.image)];
+        return [];
+    }
+
+    /**
+     * Store all images and gifs of a generation result.
+     * Returns the same shape with URLs pointing at the local copies; outputs
+     * that could not be downloaded keep their original URL.
+     */
+    async storeResults(results, meta = {}) {
+        const entries = [
+            ...(results.images || []).map(item => ({ item, kind: 'image', list: 'images' })),
+            ...(results.gifs || []).map(item => ({ item, kind: 'video', list: 'gifs' }))
+        ];
+
+        // Split the cost of the generation evenly among its outputs
+        const totalCost = meta.costUsd ?? this._estimatePodCost(meta.podId, meta.durationMs);
+        const costUsd = totalCost != null && entries.length > 0 ? totalCost / entries.length : null;
+
+        const stored = { images: [], gifs: [] };
+        for (const { item, kind, list } of entries) {
+            try {
+                const asset = await this.storeFromUrl(item.url, { ...meta, costUsd, filename: item.filename }, kind);
+                stored[list].push({
+                    ...item,
+                    url: this.fileUrl(asset.id),
+                    originalUrl: item.url?.startsWith('data:') ? undefined : item.url,
+                    assetId: asset.id
+                });
+            } catch (error) {
+                console.warn(`[Assets] Could not store ${item.filename || 'output'}: ${error.message}`);
+                stored[list].push(item);
+            }
+        }
+
+        return { ...results, ...stored };
+    }
+
+    /**
+     * Download (or decode) a single output and record it
+     */
+    async storeFromUrl(url, meta = {}, kind = 'image') {
+        if (!url) throw new Error('Output has no URL');
+
+        let buffer;
+        let mimeType;
+
+        if (url.startsWith('data:')) {
+            const match = url.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+            if (!match) throw new Error('Invalid data URI');
+            mimeType = (match[1] || 'image/png').toLowerCase();
+            buffer = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+        } else {
+            const response = await fetch(url, { signal: AbortSignal.timeout(30000) });
+            if (!response.ok) {
+                throw new Error(`Download failed with status ${response.status}`);
+            }
+            mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase() || null;
+            buffer = Buffer.from(await response.arrayBuffer());
+        }
+
+        return this.storeBuffer(buffer, { ...meta, mimeType, originalUrl: url.startsWith('data:') ? null : url }, kind);
+    }
+
+    /**
+     * Write a buffer to disk and create its assets row
+     */
+    storeBuffer(buffer, meta = {}, kind = 'image') {
+        const id = uuidv4();
+        const mimeType = this.isMediaType(meta.mimeType)
+            ? meta.mimeType
+            : this._mimeFromName(meta.filename) || FALLBACK_MIME;
+        const ext = MIME_EXTENSIONS[mimeType] || '.bin';
+        const day = new Date().toISOString().split('T')[0];
+        const storagePath = join(day, `${id}${ext}`);
+        const fullPath = join(this.baseDir, storagePath);
+
+        mkdirSync(dirname(fullPath), { recursive: true });
+        writeFileSync(fullPath, buffer);
+
+        database.createAsset({
+            id,
+            kind: mimeType === 'image/gif' || mimeType.startsWith('video/') ? 'video' : kind,
+            source: meta.source,
+            filename: meta.filename || `${id}${ext}`,
+            storagePath,
+            mimeType,
+            sizeBytes: buffer.length,
+            originalUrl: meta.originalUrl,
+            prompt: meta.prompt,
+            negativePrompt: meta.negativePrompt,
+            seed: meta.seed,
+            workflowId: meta.workflowId,
+            podId: meta.podId,
+            endpointId: meta.endpointId,
+            jobId: meta.jobId,
+            batchId: meta.batchId,
+            costUsd: meta.costUsd,
+            params: meta.params
+        });
+
+        return database.getAsset(id);
+    }
+
+    /**
+     * Search the library
+     */
+    search(filters = {}) {
+        const { total, assets } = database.searchAssets(filters);
+        return { total, assets: assets.map(a => this.toPublic(a)) };
+    }
+
+    /**
+     * Get a single asset
+     */
+    get(assetId) {
+        return this.toPublic(database.getAsset(assetId));
+    }
+
+    /**
+     * Contents of an asset's file, e.g. to feed it to another generation
+     */
+    read(assetId) {
+        const asset = database.getAsset(assetId);
+        if (!asset) throw { status: 404, message: 'Asset not found' };
+        return { buffer: readFileSync(this.filePath(asset)), mimeType: asset.mime_type, filename: asset.filename };
+    }
+
+    /**
+     * Delete an asset and its file
+     */
+    delete(assetId) {
+        const asset = database.getAsset(assetId);
+        if (!asset) throw { status: 404, message: 'Asset not found' };
+
+        const fullPath = this.filePath(asset);
+        if (existsSync(fullPath)) {
+            unlinkSync(fullPath);
+        }
+        database.deleteAsset(assetId);
+        return { success: true };
+    }
+
+    /**
+     * Whether a type is one of the images / videos the library serves inline
+     */
+    isMediaType(mimeType) {
+        return Object.hasOwn(MIME_EXTENSIONS, mimeType || '');
+    }
+
+    _mimeFromName(filename) {
+        const ext = extname(filename || '').toLowerCase();
+        return Object.keys(MIME_EXTENSIONS).find(m => MIME_EXTENSIONS[m] === ext) || null;
+    }
+
+    /**
+     * Pod time spent on a generation, priced at the pod's hourly rate
+     */
+    _estimatePodCost(podId, durationMs) {
+        if (!podId || !durationMs) return null;
+        const pod = database.getTrackedPod(podId);
+        if (!pod?.cost_per_hour) return null;
+        return (pod.cost_per_hour / 3600) * (durationMs / 1000);
+    }
+}
+
+export const assetStore = new AssetStore();
+export default AssetStore;
@@ -0,0 +1,387 @@
+import { scrypt, randomBytes, createHash, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Authentication - local users, sessions and API tokens
+ *
+ * The UI logs in with a username/password and gets an HttpOnly session
+ * cookie; scripts send `Authorization: Bearer <token>` with a personal API
+ * token. Passwords are hashed with scrypt and tokens are only stored as
+ * SHA-256 hashes, so the database never holds a usable credential.
+ */
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const SESSION_COOKIE = 'orch_session';
+const TOKEN_PREFIX = 'gpo_';
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const LOGIN_FAILURE_PRUNE_MS = 60 * 1000;
+
+// Used when AUTH_ENABLED=false so the rest of the code can rely on req.user
+const LOCAL_USER = { id: 'local', username: 'local', role: 'admin' };
+
+class AuthService {
+    constructor() {
+        // "username|ip" -> { count, last } of recent failed logins
+        this.loginFailures = new Map();
+        this.lastFailurePrune = 0;
+    }
+
+    /**
+     * Create the initial admin when no users exist yet
+     */
+    async ensureAdmin() {
+        if (!config.authEnabled || database.countUsers() > 0) return;
+
+        const password = config.adminPassword || randomBytes(12).toString('base64url');
+        await this.createUser({ username: config.adminUsername, password, role: 'admin' });
+
+        console.log(`🔐 Created admin user "${config.adminUsername}"`);
+        if (!config.adminPassword) {
+            console.log(`🔐 Generated password: ${password} (change it after logging in)`);
+        }
+    }
+
+    // ==================== Passwords ====================
+
+    async hashPassword(password) {
+        const salt = randomBytes(16).toString('hex');
+        const hash = await scryptAsync(password, salt, 64);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, salt, hashHex] = (stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+        const expected = Buffer.from(hashHex, 'hex');
+        const actual = await scryptAsync(password, salt, expected.length);
+        return timingSafeEqual(expected, actual);
+    }
+
+    _hashToken(token) {
+        return createHash('sha256').update(token).digest('hex');
+    }
+
+    // ==================== Users ====================
+
+    /**
+     * Public view of a user row (never exposes the password hash)
+     */
+    toPublic(user) {
+        if (!user) return null;
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            disabled: !!user.disabled,
+            budget_daily: user.budget_daily ?? null,
+            budget_monthly: user.budget_monthly ?? null,
+            created_at: user.created_at,
+            last_login_at: user.last_login_at
+        };
+    }
+
+    listUsers() {
+        return database.getUsers().map(u => this.toPublic(u));
+    }
+
+    async createUser({ username, password, role = 'viewer' }) {
+        if (!USERNAME_PATTERN.test(username || '')) {
+            throw { status: 400, message: 'Username must be 3-32 characters (letters, numbers, . _ -)' };
+        }
+        this._validatePassword(password);
+        this._validateRole(role);
+        if (database.getUserByUsername(username)) {
+            throw { status: 409, message: `User "${username}" already exists` };
+        }
+
+        const id = uuidv4();
+        database.createUser({ id, username, passwordHash: await this.hashPassword(password), role });
+        return this.toPublic(database.getUser(id));
+    }
+
+    /**
+     * Change role, password, disabled flag or personal budget caps of a user
+     */
+    async updateUser(userId, { role, password, disabled, budgetDaily, budgetMonthly }) {
+        const user = database.getUser(userId);
+        if (!user) throw { status: 404, message: 'User not found' };
+
+        const updates = {};
+        if (role !== undefined) {
+            this._validateRole(role);
+            updates.role = role;
+        }
+        if (disabled !== undefined) {
+            updates.disabled = disabled ? 1 : 0;
+        }
+        if (password !== undefined) {
+            this._validatePassword(password);
+            updates.password_hash = await this.hashPassword(password);
+        }
+        // null removes the cap
+        if (budgetDaily !== undefined) {
+            updates.budget_daily = this._validateBudget(budgetDaily);
+        }
+        if (budgetMonthly !== undefined) {
+            updates.budget_monthly = this._validateBudget(budgetMonthly);
+        }
+
+        const losesAdmin = user.role === 'admin' && !user.disabled &&
+            ((updates.role && updates.role !== 'admin') || updates.disabled === 1);
+        if (losesAdmin) this._assertNotLastAdmin();
+
+        if (Object.keys(updates).length > 0) {
+            database.updateUser(userId, updates);
+        }
+        // Credentials or access changed: force a new login everywhere
+        if (updates.password_hash || updates.disabled === 1) {
+            database.deleteUserSessions(userId);
+        }
+
+        return this.toPublic(database.getUser(userId));
+    }
+
+    deleteUser(userId) {
+        const user = database.getUser(userId);
+        if (!user) throw { status: 404, message: 'User not found' };
+        if (user.role === 'admin' && !user.disabled) this._assertNotLastAdmin();
+
+        database.deleteUser(userId);
+        return { success: true };
+    }
+
+    /**
+     * Change the caller's own password after checking the current one
+     */
+    async changePassword(userId, currentPassword, newPassword) {
+        const user = database.getUser(userId);
+        if (!user || !(await this.verifyPassword(currentPassword || '', user.password_hash))) {
+            throw { status: 400, message: 'Current password is incorrect' };
+        }
+        return this.updateUser(userId, { password: newPassword });
+    }
+
+    _validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw { status: 400, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+        }
+    }
+
+    _validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw { status: 400, message: `Invalid role. Use one of: ${ROLES.join(', ')}` };
+        }
+    }
+
+    _validateBudget(value) {
+        if (value === null || value === '') return null;
+        const amount = parseFloat(value);
+        if (isNaN(amount) || amount < 0) {
+            throw { status: 400, message: 'Budget must be a positive amount in USD or null' };
+        }
+        return amount;
+    }
+
+    _assertNotLastAdmin() {
+        if (database.countUsers('admin') <= 1) {
+            throw { status: 400, message: 'Cannot remove the last active admin' };
+        }
+    }
+
+    // ==================== Sessions ====================
+
+    /**
+     * Check credentials and open a session. Returns { token, user, expiresAt }.
+     */
+    async login(username, password, clientIp) {
+        this._pruneLoginFailures();
+        const key = `${(username || '').toLowerCase()}|${clientIp}`;
+        const last = this.loginFailures.get(key);
+        const failures = last && Date.now() - last.last < LOGIN_LOCKOUT_MS ? last : null;
+        if (failures && failures.count >= MAX_LOGIN_FAILURES) {
+            throw { status: 429, message: 'Too many failed logins. Try again later.' };
+        }
+
+        const user = username ? database.getUserByUsername(username) : null;
+        const valid = user && !user.disabled && await this.verifyPassword(password || '', user.password_hash);
+        if (!valid) {
+            this.loginFailures.set(key, { count: (failures?.count || 0) + 1, last: Date.now() });
+            throw { status: 401, message: 'Invalid username or password' };
+        }
+        this.loginFailures.delete(key);
+
+        database.deleteExpiredSessions();
+        const token = randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + config.sessionTtlHours * 3600 * 1000);
+        database.createSession({
+            tokenHash: this._hashToken(token),
+            userId: user.id,
+            // SQLite datetime format so expiry can be compared in SQL
+            expiresAt: expiresAt.toISOString().replace('T', ' ').slice(0, 19)
+        });
+        database.touchUserLogin(user.id);
+
+        return { token, user: this.toPublic(user), expiresAt };
+    }
+
+    /**
+     * Forget failures older than the lockout, so the map only holds recent attempts
+     */
+    _pruneLoginFailures() {
+        const now = Date.now();
+        if (now - this.lastFailurePrune < LOGIN_FAILURE_PRUNE_MS) return;
+        this.lastFailurePrune = now;
+        for (const [key, failures] of this.loginFailures) {
+            if (now - failures.last >= LOGIN_LOCKOUT_MS) this.loginFailures.delete(key);
+        }
+    }
+
+    logout(sessionToken) {
+        if (sessionToken) {
+            database.deleteSession(this._hashToken(sessionToken));
+        }
+    }
+
+    /**
+     * Set-Cookie value for a session token (empty token clears the cookie)
+     */
+    sessionCookie(token, req) {
+        const maxAge = token ? config.sessionTtlHours * 3600 : 0;
+        const secure = req.secure ? '; Secure' : '';
+        return `${SESSION_COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+    }
+
+    // ==================== API tokens ====================
+
+    /**
+     * Create a personal API token. The plain token is only returned here.
+     */
+    createApiToken(userId, name) {
+        const token = TOKEN_PREFIX + randomBytes(24).toString('base64url');
+        const apiToken = {
+            id: uuidv4(),
+            name: (name || 'API token').slice(0, 100),
+            prefix: token.slice(0, TOKEN_PREFIX.length + 6)
+        };
+        database.createApiToken({ ...apiToken, userId, tokenHash: this._hashToken(token) });
+        return { ...apiToken, token };
+    }
+
+    listApiTokens(userId) {
+        return database.getApiTokens(userId);
+    }
+
+    revokeApiToken(userId, tokenId) {
+        const result = database.revokeApiToken(tokenId, userId);
+        if (result.changes === 0) throw { status: 404, message: 'Token not found' };
+        return { success: true };
+    }
+
+    // ==================== Request authentication ====================
+
+    /**
+     * Resolve the user behind a request (bearer token or session cookie).
+     * `?token=` is only read with allowQueryToken, for the streams a client
+     * cannot send headers to: it ends up in access logs and Referer headers.
+     */
+    authenticate(req, { allowQueryToken = false } = {}) {
+        if (!config.authEnabled) return LOCAL_USER;
+
+        const header = req.headers.authorization || '';
+        const bearer = header.startsWith('Bearer ')
+            ? header.slice(7).trim()
+            : allowQueryToken ? req.query?.token : null;
+        if (bearer) {
+            const apiToken = database.getApiTokenByHash(this._hashToken(bearer));
+            if (!apiToken) return null;
+            const user = database.getUser(apiToken.user_id);
+            if (!user || user.disabled) return null;
+            database.touchApiToken(apiToken.id);
+            return { ...this.toPublic(user), authMethod: 'token' };
+        }
+
+        const sessionToken = this.getSessionToken(req);
+        if (sessionToken) {
+            const session = database.getSession(this._hashToken(sessionToken));
+            if (!session) return null;
+            const user = database.getUser(session.user_id);
+            if (!user || user.disabled) return null;
+            return { ...this.toPublic(user), authMethod: 'session' };
+        }
+
+        return null;
+    }
+
+    getSessionToken(req) {
+        const cookies = (req.headers.cookie || '').split(';');
+        for (const cookie of cookies) {
+            const [name, ...rest] = cookie.trim().split('=');
+            if (name === SESSION_COOKIE) return decodeURIComponent(rest.join('='));
+        }
+        return null;
+    }
+
+    hasRole(user, role) {
+        return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+    }
+
+    /**
+     * Browser origins allowed to call the API: the server itself plus CORS_ORIGINS
+     */
+    isAllowedOrigin(origin, req) {
+        if (!origin) return true;
+        if (config.corsOrigins.includes(origin)) return true;
+        try {
+            return new URL(origin).host === req.headers.host;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // ==================== Express middleware ====================
+
+    /**
+     * Attach req.user; reject anonymous requests except the public paths.
+     * `queryTokenPaths` also accept the token as ?token=.
+     */
+    middleware(publicPaths = [], queryTokenPaths = []) {
+        return (req, res, next) => {
+            req.user = this.authenticate(req, { allowQueryToken: queryTokenPaths.includes(req.path) });
+            if (req.user || publicPaths.includes(req.path)) return next();
+            res.status(401).json({ error: 'Authentication required' });
+        };
+    }
+
+    /**
+     * Require at least the given role
+     */
+    requireRole(role) {
+        return (req, res, next) => {
+            if (this.hasRole(req.user, role)) return next();
+            res.status(403).json({ error: `This action requires the ${role} role` });
+        };
+    }
+
+    /**
+     * Default policy: viewers can read, operators can change things
+     */
+    requireRoleByMethod() {
+        return (req, res, next) => {
+            const role = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'viewer' : 'operator';
+            return this.requireRole(role)(req, res, next);
+        };
+    }
+}
+
+export const auth = new AuthService();
+export default AuthService;
@@ -1,6 +1,8 @@
 import { config } from '../config/env.js';
 import { database } from '../db/database.js';
-import { runpodClient } from './runpod-client.js';
+import { cloudProvider } from './cloud-provider.js';
+import { billing } from './billing.js';
+import { eventBus } from './event-bus.js';
 
 /**
  * Auto-shutdown service for idle resources
@@ -8,31 +10,10 @@ import { runpodClient } from './runpod-client.js';
 class AutoShutdown {
     constructor() {
         this.shutdownLogs = [];
-        this.wsClients = new Set();
         this.enabled = true;
         this.checkInterval = null;
     }
 
-    /**
-     * Register WebSocket client for notifications
-     */
-    registerClient(ws) {
-        this.wsClients.add(ws);
-        ws.on('close', () => this.wsClients.delete(ws));
-    }
-
-    /**
-     * Broadcast notification
-     */
-    broadcast(event, data) {
-        const message = JSON.stringify({ event, data, timestamp: Date.now() });
-        this.wsClients.forEach(ws => {
-            if (ws.readyState === 1) {
-                ws.send(message);
-            }
-        });
-    }
-
     /**
      * Start monitoring for idle pods
      */
@@ -109,11 +90,8 @@ class AutoShutdown {
                 // Skip pods without spending limits or not running
                 if (!pod.spending_limit || pod.status !== 'RUNNING') continue;
 
-                // Calculate time running in hours
-                const createdAt = new Date(pod.created_at || pod.lastActivity);
-                const hoursRunning = (Date.now() - createdAt.getTime()) / (1000 * 60 * 60);
-                const costPerHour = pod.cost_per_hour || 0;
-                const totalSpent = hoursRunning * costPerHour;
+                // Billed running time only (stopped periods cost nothing)
+                const totalSpent = billing.getPodSpend(pod.id);
 
                 // Update total spent in DB
                 database.updatePodSpending(pod.id, totalSpent);
@@ -138,12 +116,13 @@ class AutoShutdown {
 
             // First stop, then terminate
             try {
-                await runpodClient.stopPod(pod.id);
+                await cloudProvider.stopPod(pod.id);
             } catch (e) {
                 // Pod might already be stopped
             }
 
-            await runpodClient.terminatePod(pod.id);
+            await cloudProvider.terminatePod(pod.id);
+            billing.recordStop(pod.id, 'terminate');
 
             const log = {
                 podId: pod.id,
@@ -158,12 +137,9 @@ class AutoShutdown {
             this.shutdownLogs.push(log);
 
             // Update tracked pod status
-            database.trackPod({
-                id: pod.id,
-                status: 'TERMINATED'
-            });
+            database.setPodStatus(pod.id, 'TERMINATED');
 
-            this.broadcast('pod:spending-limit-exceeded', log);
+            eventBus.publish('pod:spending-limit-exceeded', log);
 
             console.log(`✅ Pod ${pod.name} terminated. Total spent: $${totalSpent.toFixed(2)}/$${pod.spending_limit}`);
 
@@ -190,7 +166,8 @@ class AutoShutdown {
         try {
             console.log(`Auto-stopping idle pod: ${pod.name} (${pod.id})`);
 
-            await runpodClient.stopPod(pod.id);
+            await cloudProvider.stopPod(pod.id);
+            billing.recordStop(pod.id, 'stop');
 
             const log = {
                 podId: pod.id,
@@ -198,7 +175,7 @@ class AutoShutdown {
                 gpuType: pod.gpu_type,
                 reason: 'inactivity',
                 timestamp: new Date().toISOString(),
-                idleMinutes: config.autoShutdownMinutes
+                idleMinutes: pod.idle_shutdown_minutes ?? config.autoShutdownMinutes
             };
 
             this.shutdownLogs.push(log);
@@ -212,7 +189,7 @@ class AutoShutdown {
                 status: 'STOPPED'
             });
 
-            this.broadcast('pod:auto-stopped', log);
+            eventBus.publish('pod:auto-stopped', log);
 
             return log;
 
@@ -0,0 +1,542 @@
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { eventBus } from './event-bus.js';
+import { podGenerator } from './pod-generator.js';
+import { podReadiness } from './pod-readiness.js';
+import { cloudProvider } from './cloud-provider.js';
+import { workflowEngine } from './workflow-engine.js';
+import { assetStore } from './asset-store.js';
+
+/**
+ * Batch Runner - persistent, resumable batch generation on pods
+ *
+ * Batches and their items live in SQLite, so progress survives restarts.
+ * A batch runs either on a single pod or on a pool of ready pods of the same
+ * engine. Every pod has its own worker pulling the next pending item, so faster
+ * pods naturally take more work; once the queue is empty an idle worker steals
+ * items that have been running too long on a slower pod and the first copy to
+ * finish wins. Pausing or cancelling takes effect after the items in progress.
+ * Pods that are still coming up (see pod-readiness.js) are waited for, up to
+ * READINESS_WAIT_MINUTES, before a batch gives up on them.
+ */
+
+// An idle pod steals an item once it has been running this many times longer
+// than the idle pod's own average generation time
+const STEAL_FACTOR = 1.5;
+// Pause between passes of a batch loop that moved no item
+const IDLE_PASS_DELAY_MS = 2000;
+
+class BatchRunner {
+    constructor() {
+        // Batch IDs with a processing loop currently in flight
+        this.running = new Set();
+    }
+
+    /**
+     * Create a batch for a single pod and start processing it
+     */
+    async createBatch(podId, prompts, options = {}) {
+        const { workflowId = 'image_sdxl_default', params = {} } = options;
+
+        // Fail fast if the pod is gone or stopped; one still coming up is waited for
+        const { state, engine } = await podReadiness.probe(podId);
+        if (state === 'stopped') throw { status: 400, message: 'Pod is not running' };
+
+        const batchId = uuidv4();
+        database.createBatch({
+            id: batchId,
+            mode: 'pod',
+            podId,
+            engine,
+            workflowId,
+            params,
+            prompts: prompts.map(p => p.trim()).filter(Boolean)
+        });
+
+        this.run(batchId);
+        return database.getBatch(batchId);
+    }
+
+    /**
+     * Create a batch fanned out across every ready pod of an engine
+     * (optionally restricted to a list of pod IDs) and start processing it
+     */
+    async createPoolBatch(prompts, options = {}) {
+        const { engine = 'comfyui', workflowId = 'image_sdxl_default', params = {}, podIds = null } = options;
+
+        const pods = await this.discoverPods(engine, podIds);
+        if (pods.length === 0 && (await this._startingPods(engine, podIds)).length === 0) {
+            throw { status: 400, message: `No ready or starting ${engine} pods available` };
+        }
+
+        const batchId = uuidv4();
+        database.createBatch({
+            id: batchId,
+            mode: 'pool',
+            podIds,
+            engine,
+            workflowId,
+            params,
+            prompts: prompts.map(p => p.trim()).filter(Boolean)
+        });
+
+        this.run(batchId);
+        return { ...database.getBatch(batchId), pods: pods.map(p => p.podId) };
+    }
+
+    /**
+     * Find running pods of an engine whose service is ready
+     */
+    async discoverPods(engine, podIds = null) {
+        const ready = [];
+        for (const pod of await this._runningPods(engine, podIds)) {
+            const readiness = podReadiness.get(pod.id);
+            if (readiness?.state === 'ready') {
+                ready.push({ podId: pod.id, name: pod.name, serviceUrl: readiness.service_url });
+            }
+        }
+        return ready;
+    }
+
+    async _runningPods(engine, podIds) {
+        const pods = await cloudProvider.getPods();
+        return pods
+            .filter(p => p.desiredStatus === 'RUNNING')
+            .filter(p => !podIds || podIds.includes(p.id))
+            .filter(p => podGenerator.getPodEngine(p.id) === engine);
+    }
+
+    /**
+     * Running pods of an engine that are not ready yet (or not probed yet)
+     */
+    async _startingPods(engine, podIds) {
+        const pods = await this._runningPods(engine, podIds);
+        return pods.filter(p => !podReadiness.isReady(p.id)).map(p => p.id);
+    }
+
+    /**
+     * Per-pod throughput of a batch
+     */
+    getPodStats(batchId) {
+        return database.getBatchPodStats(batchId).map(row => {
+            const activeMinutes = row.first_started_at && row.last_completed_at
+                ? (new Date(row.last_completed_at) - new Date(row.first_started_at)) / 60000
+                : 0;
+            return {
+                podId: row.pod_id,
+                completed: row.completed,
+                failed: row.failed,
+                running: row.running,
+                avgSeconds: row.avg_seconds != null ? Math.round(row.avg_seconds * 10) / 10 : null,
+                itemsPerMinute: activeMinutes > 0 ? Math.round((row.completed / activeMinutes) * 100) / 100 : null
+            };
+        });
+    }
+
+    /**
+     * Get a batch with all its items
+     */
+    getBatch(batchId) {
+        const batch = database.getBatch(batchId);
+        if (!batch) return null;
+        return { ...batch, podStats: this.getPodStats(batchId), items: database.getBatchItems(batchId) };
+    }
+
+    /**
+     * Pause a running batch (the item in progress is allowed to finish)
+     */
+    pause(batchId) {
+        const batch = this._requireBatch(batchId);
+        if (batch.status !== 'RUNNING') {
+            throw { status: 400, message: `Cannot pause a batch in status ${batch.status}` };
+        }
+        database.updateBatch(batchId, { status: 'PAUSED' });
+        eventBus.publish('batch:paused', { batchId, podId: batch.pod_id });
+        return database.getBatch(batchId);
+    }
+
+    /**
+     * Resume a paused batch
+     */
+    resume(batchId) {
+        const batch = this._requireBatch(batchId);
+        if (batch.status !== 'PAUSED') {
+            throw { status: 400, message: `Cannot resume a batch in status ${batch.status}` };
+        }
+        // With no loop in flight, RUNNING items were left by a crash or restart: generate them again
+        if (!this.running.has(batchId)) {
+            database.setBatchItemsStatus(batchId, 'RUNNING', 'PENDING');
+        }
+        database.updateBatch(batchId, { status: 'RUNNING', error: null });
+        this.run(batchId);
+        return database.getBatch(batchId);
+    }
+
+    /**
+     * Cancel a batch: pending items are marked CANCELLED
+     */
+    cancel(batchId) {
+        const batch = this._requireBatch(batchId);
+        if (batch.status === 'COMPLETED' || batch.status === 'CANCELLED') {
+            throw { status: 400, message: `Batch is already ${batch.status}` };
+        }
+        database.setBatchItemsStatus(batchId, 'PENDING', 'CANCELLED');
+        database.updateBatch(batchId, { status: 'CANCELLED', completed_at: new Date().toISOString() });
+        eventBus.publish('batch:cancelled', { batchId, podId: batch.pod_id });
+        return database.getBatch(batchId);
+    }
+
+    /**
+     * Re-run a single failed (or cancelled) item
+     */
+    retryItem(batchId, index) {
+        const batch = this._requireBatch(batchId);
+        const item = database.getBatchItem(batchId, index);
+        if (!item) throw { status: 404, message: 'Batch item not found' };
+        if (item.status !== 'FAILED' && item.status !== 'CANCELLED') {
+            throw { status: 400, message: `Only failed or cancelled items can be retried (item is ${item.status})` };
+        }
+
+        database.updateBatchItem(item.id, { status: 'PENDING', error: null, result: null });
+
+        // Finished batches are reopened; paused ones stay paused until resumed
+        if (batch.status === 'COMPLETED' || batch.status === 'CANCELLED') {
+            database.updateBatch(batchId, { status: 'RUNNING', completed_at: null });
+        }
+        if (batch.status !== 'PAUSED') {
+            this.run(batchId);
+        }
+        return database.getBatchItem(batchId, index);
+    }
+
+    /**
+     * Pick up batches that were RUNNING when the server stopped. Items caught
+     * mid-generation in PAUSED batches are put back too, for when they resume.
+     */
+    resumeInterrupted() {
+        for (const batch of database.getBatches(1000, 'PAUSED')) {
+            database.setBatchItemsStatus(batch.id, 'RUNNING', 'PENDING');
+        }
+
+        const batches = database.getBatches(1000, 'RUNNING');
+        for (const batch of batches) {
+            // Items caught mid-generation are simply generated again
+            database.setBatchItemsStatus(batch.id, 'RUNNING', 'PENDING');
+            console.log(`🔁 Resuming batch ${batch.id} (${batch.pending + batch.running} items left)`);
+            this.run(batch.id);
+        }
+        return batches.length;
+    }
+
+    /**
+     * Continue the batches of a pod that went away (a reclaimed spot pod) on
+     * its replacement, or on itself once it is back. Items it was generating,
+     * and those that failed on it since `since` (ms), are generated again.
+     * Batches paused by the user are left alone.
+     */
+    resumeOnPod(fromPodId, toPodId, since) {
+        const sinceIso = new Date(since).toISOString();
+        const batches = [...database.getBatches(1000, 'RUNNING'), ...database.getBatches(1000, 'PAUSED')];
+        const resumed = [];
+
+        for (const batch of batches) {
+            const uses = batch.mode === 'pod'
+                ? batch.pod_id === fromPodId
+                : !batch.pod_ids || batch.pod_ids.includes(fromPodId);
+            // Only batches paused because no pod could serve them (they carry the error)
+            if (!uses || (batch.status === 'PAUSED' && !batch.error)) continue;
+
+            const requeued = database.requeueBatchItemsOfPod(batch.id, fromPodId, sinceIso);
+            if (batch.mode === 'pool' && !batch.pod_ids && batch.status === 'RUNNING' && requeued === 0) continue;
+
+            const updates = { status: 'RUNNING', error: null };
+            if (batch.mode === 'pod') updates.pod_id = toPodId;
+            if (batch.mode === 'pool' && batch.pod_ids) {
+                updates.pod_ids = batch.pod_ids.map(id => id === fromPodId ? toPodId : id);
+            }
+            database.updateBatch(batch.id, updates);
+
+            console.log(`🔁 Resuming batch ${batch.id} on pod ${toPodId} (${requeued} items requeued)`);
+            eventBus.publish('batch:resumed', { batchId: batch.id, podId: toPodId, fromPodId, requeued });
+            this.run(batch.id);
+            resumed.push(batch.id);
+        }
+        return resumed;
+    }
+
+    /**
+     * Process a batch until it has no pending items or is no longer RUNNING
+     */
+    async run(batchId) {
+        if (this.running.has(batchId)) return;
+        this.running.add(batchId);
+
+        const context = {
+            checkpoints: new Map(),   // podId -> checkpoints, detected once per pod
+            durations: new Map(),     // podId -> generation times (ms) in this run
+            inFlight: new Map(),      // itemId -> number of copies being generated
+            finished: new Set(),      // itemIds already completed by some copy
+            unreachable: new Set(),   // pods that dropped out during this run
+            waitedFor: new Set(),     // pods already waited for to be ready
+            lastError: null
+        };
+
+        try {
+            while (true) {
+                const batch = database.getBatch(batchId);
+                if (!batch || batch.status !== 'RUNNING') break;
+
+                if (batch.pending === 0 && batch.running === 0) {
+                    this._finish(batch);
+                    break;
+                }
+
+                const podIds = (batch.mode === 'pool'
+                    ? (await this.discoverPods(batch.engine, batch.pod_ids)).map(p => p.podId)
+                    : [batch.pod_id].filter(id => podReadiness.isReady(id))
+                ).filter(id => !context.unreachable.has(id));
+
+                if (podIds.length === 0 && await this._waitForPods(batch, context)) continue;
+
+                if (podIds.length === 0) {
+                    // No pod can serve the batch: keep the items and wait for a manual resume
+                    const message = context.lastError || `No ready ${batch.engine} pods available`;
+                    database.updateBatch(batchId, { status: 'PAUSED', error: message });
+                    eventBus.publish('batch:error', { batchId, podId: batch.pod_id, error: message });
+                    break;
+                }
+
+                await Promise.all(podIds.map(podId => this._worker(batchId, podId, context)));
+
+                const after = database.getBatch(batchId);
+                if (after && ['completed', 'failed', 'pending', 'running', 'cancelled'].every(k => after[k] === batch[k])) {
+                    // Nothing moved: every worker of this loop has returned, so RUNNING
+                    // items have no one generating them. Requeue them and let the loop breathe.
+                    database.setBatchItemsStatus(batchId, 'RUNNING', 'PENDING');
+                    await new Promise(resolve => setTimeout(resolve, IDLE_PASS_DELAY_MS));
+                }
+            }
+        } catch (error) {
+            console.error(`Batch ${batchId} error:`, error.message);
+        } finally {
+            this.running.delete(batchId);
+        }
+    }
+
+    /**
+     * Wait for a pod of the batch that is still coming up. Resolves to whether
+     * one got ready.
+     */
+    async _waitForPods(batch, context) {
+        const waitFor = (batch.mode === 'pool'
+            ? await this._startingPods(batch.engine, batch.pod_ids)
+            : [batch.pod_id].filter(id => !podReadiness.isReady(id))
+        ).filter(id => !context.unreachable.has(id) && !context.waitedFor.has(id));
+        if (waitFor.length === 0) return false;
+
+        waitFor.forEach(id => context.waitedFor.add(id));
+        eventBus.publish('batch:waiting', { batchId: batch.id, podId: batch.pod_id, podIds: waitFor });
+        console.log(`⏳ Batch ${batch.id} waiting for pod(s) ${waitFor.join(', ')} to be ready`);
+
+        const ready = await podReadiness.waitForAny(waitFor, config.readinessWaitMinutes * 60000);
+        if (!ready) {
+            context.lastError = `No pod was ready after ${config.readinessWaitMinutes} minutes`;
+        }
+        return ready;
+    }
+
+    /**
+     * Pull items for one pod until the batch has nothing left for it
+     */
+    async _worker(batchId, podId, context) {
+        while (true) {
+            const batch = database.getBatch(batchId);
+            if (!batch || batch.status !== 'RUNNING') return;
+
+            let item = database.getNextBatchItem(batchId);
+            let stolen = false;
+
+            if (item) {
+                // Claiming is synchronous, so two workers never take the same item
+                database.updateBatchItem(item.id, {
+                    status: 'RUNNING',
+                    pod_id: podId,
+                    attempts: item.attempts + 1,
+                    started_at: new Date().toISOString()
+                });
+            } else {
+                item = this._findStraggler(batchId, podId, context);
+                if (!item) return;
+                stolen = true;
+            }
+
+            const ok = await this._processItem(batch, item, podId, context, stolen);
+            if (!ok) return;
+        }
+    }
+
+    /**
+     * A running item on another pod that this pod would likely finish sooner
+     */
+    _findStraggler(batchId, podId, context) {
+        const durations = context.durations.get(podId);
+        if (!durations || durations.length === 0) return null;
+
+        const avgMs = durations.reduce((a, b) => a + b, 0) / durations.length;
+        const now = Date.now();
+
+        return database.getRunningBatchItems(batchId).find(item =>
+            item.pod_id !== podId &&
+            (context.inFlight.get(item.id) || 0) < 2 &&
+            now - new Date(item.started_at).getTime() > avgMs * STEAL_FACTOR
+        ) || null;
+    }
+
+    /**
+     * Generate a single item on a pod. Returns false when the pod became unreachable.
+     */
+    async _processItem(batch, item, podId, context, stolen) {
+        const counts = database.getBatchCounts(batch.id);
+        eventBus.publish('batch:progress', {
+            batchId: batch.id,
+            podId,
+            current: Math.min(counts.completed + counts.failed + 1, batch.total),
+            total: batch.total,
+            prompt: item.prompt.substring(0, 80),
+            status: stolen ? 'stealing' : 'generating',
+            pods: this.getPodStats(batch.id)
+        });
+
+        let serviceUrl;
+        try {
+            ({ serviceUrl } = await podGenerator.resolvePodUrl(podId));
+        } catch (error) {
+            // Pod went away or stopped: hand the item back unless another pod has a copy
+            context.unreachable.add(podId);
+            context.lastError = error.message || 'Pod is not reachable';
+            if (!stolen && !context.inFlight.get(item.id)) {
+                database.updateBatchItem(item.id, { status: 'PENDING' });
+            }
+            return false;
+        }
+
+        context.inFlight.set(item.id, (context.inFlight.get(item.id) || 0) + 1);
+        const startTime = Date.now();
+
+        try {
+            const generated = await this._generate(batch, item, podId, serviceUrl, context);
+            const durationMs = Date.now() - startTime;
+
+            if (!context.durations.has(podId)) context.durations.set(podId, []);
+            context.durations.get(podId).push(durationMs);
+
+            // Another copy of this item already finished first: discard this one
+            if (context.finished.has(item.id)) return true;
+            context.finished.add(item.id);
+
+            const { seed, ...output } = generated;
+            const result = await assetStore.storeResults(output, {
+                source: batch.engine,
+                podId,
+                batchId: batch.id,
+                prompt: item.prompt,
+                negativePrompt: batch.params.negative_prompt,
+                seed,
+                workflowId: batch.engine === 'a1111' ? null : batch.workflow_id,
+                durationMs,
+                params: batch.params
+            });
+            database.updateBatchItem(item.id, {
+                status: 'COMPLETED',
+                pod_id: podId,
+                result,
+                error: null,
+                started_at: new Date(startTime).toISOString(),
+                completed_at: new Date().toISOString()
+            });
+        } catch (error) {
+            // Only fail the item if no other copy can still complete it
+            if (!context.finished.has(item.id) && context.inFlight.get(item.id) === 1) {
+                database.updateBatchItem(item.id, {
+                    status: 'FAILED',
+                    error: error.message,
+                    completed_at: new Date().toISOString()
+                });
+            }
+        } finally {
+            context.inFlight.set(item.id, context.inFlight.get(item.id) - 1);
+        }
+
+        database.updatePodActivity(podId);
+        return true;
+    }
+
+    /**
+     * Run one prompt through the pod's engine
+     */
+    async _generate(batch, item, podId, serviceUrl, context) {
+        const params = { ...batch.params, prompt: item.prompt };
+
+        if (batch.engine === 'a1111') {
+            const r = await podGenerator.generateViaA1111(serviceUrl, params);
+            return { images: r.images, gifs: [], seed: r.seed };
+        }
+
+        if (!context.checkpoints.has(podId)) {
+            context.checkpoints.set(podId, await podGenerator.getAvailableCheckpoints(serviceUrl));
+        }
+        const checkpoints = context.checkpoints.get(podId);
+
+        const wf = workflowEngine.getWorkflow(batch.workflow_id);
+        const isVideo = wf?.category === 'video' || wf?.hasVideo;
+
+        let workflow = workflowEngine.buildPrompt(batch.workflow_id, params);
+        if (checkpoints.length > 0) {
+            workflow = podGenerator.fixCheckpointInWorkflow(workflow, checkpoints);
+        }
+
+        const { completed, promptId, results } = await podGenerator.executeWorkflowOnPod(
+            serviceUrl, workflow, isVideo ? 300000 : 120000
+        );
+        if (!completed) {
+            throw new Error(`Timed out waiting for ComfyUI (prompt ${promptId})`);
+        }
+        return { images: results.images, gifs: results.gifs, promptId, seed: workflowEngine.getSeed(workflow) };
+    }
+
+    /**
+     * Mark a batch as completed and broadcast its results
+     */
+    _finish(batch) {
+        database.updateBatch(batch.id, { status: 'COMPLETED', completed_at: new Date().toISOString() });
+
+        const items = database.getBatchItems(batch.id);
+        eventBus.publish('batch:complete', {
+            batchId: batch.id,
+            podId: batch.pod_id,
+            total: batch.total,
+            completed: items.filter(i => i.status === 'COMPLETED').length,
+            failed: items.filter(i => i.status === 'FAILED').length,
+            pods: this.getPodStats(batch.id),
+            results: items.map(i => ({
+                index: i.item_index,
+                podId: i.pod_id,
+                prompt: i.prompt.substring(0, 80),
+                status: i.status === 'COMPLETED' ? 'completed' : 'error',
+                images: i.result?.images,
+                gifs: i.result?.gifs,
+                error: i.error
+            }))
+        });
+    }
+
+    _requireBatch(batchId) {
+        const batch = database.getBatch(batchId);
+        if (!batch) throw { status: 404, message: 'Batch not found' };
+        return batch;
+    }
+}
+
+export const batchRunner = new BatchRunner();
+export default BatchRunner;
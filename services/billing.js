@@ -0,0 +1,311 @@
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { cloudProvider } from './cloud-provider.js';
+import { eventBus } from './event-bus.js';
+
+/**
+ * Billing - pod cost accounting from recorded state transitions
+ *
+ * Every RUNNING period of a pod is an interval with the hourly price it had
+ * at the time. Intervals are opened/closed when the orchestrator starts,
+ * stops or terminates a pod, and a reconciliation loop compares them with
+ * what the provider reports: pods started elsewhere are picked up, pods that
+ * stopped behind our back are closed, and time that passed while the server
+ * was down is back-filled from the pod's uptime. Billed time is written to
+ * cost_log in slices that never cross midnight (UTC), so daily totals stay
+ * correct after a long outage.
+ *
+ * A periodic check compares recorded spend with the drop of the provider
+ * balance (getMyself) and flags discrepancies.
+ */
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// SQLite datetime format used by cost_log
+function toSqlTime(ms) {
+    return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+class Billing {
+    constructor() {
+        this.pollInterval = null;
+        this.lastProviderCheck = 0;
+        this.reconciling = false;
+    }
+
+    /**
+     * Back-fill anything missed while the server was down, then keep polling
+     */
+    start() {
+        if (this.pollInterval) return;
+
+        this.reconcile().catch(error => console.error('Billing reconcile error:', error.message));
+        this.pollInterval = setInterval(() => this.tick(), config.billingPollSeconds * 1000);
+    }
+
+    async tick() {
+        try {
+            await this.reconcile();
+            if (Date.now() - this.lastProviderCheck >= config.billingCheckMinutes * 60 * 1000) {
+                await this.checkProviderSpend();
+            }
+        } catch (error) {
+            console.error('Billing reconcile error:', error.message);
+        }
+    }
+
+    // ==================== State transitions ====================
+
+    /**
+     * A pod started running (created or resumed through the orchestrator)
+     */
+    recordStart(pod, { projectId, userId, at = Date.now(), source = 'api' } = {}) {
+        if (database.getOpenPodInterval(pod.id)) return;
+
+        const tracked = database.getTrackedPod(pod.id);
+        database.openPodInterval({
+            podId: pod.id,
+            podName: pod.name || tracked?.name,
+            gpuType: pod.machine?.gpuDisplayName || tracked?.gpu_type,
+            costPerHour: pod.costPerHr ?? tracked?.cost_per_hour,
+            projectId: projectId || tracked?.project_id,
+            userId: userId || tracked?.user_id,
+            startedAt: at,
+            source
+        });
+    }
+
+    /**
+     * A pod stopped or was terminated: bill up to `at` and close its interval
+     */
+    recordStop(podId, reason = 'stop', at = Date.now()) {
+        const interval = database.getOpenPodInterval(podId);
+        if (!interval) return;
+
+        this._bill(interval, at);
+        database.updatePodInterval(interval.id, { ended_at: Math.max(at, interval.started_at), end_reason: reason });
+    }
+
+    // ==================== Reconciliation ====================
+
+    /**
+     * Align open intervals with the provider's pod list and bill them up to now
+     */
+    async reconcile() {
+        if (this.reconciling) return;
+        this.reconciling = true;
+
+        try {
+            const pods = await cloudProvider.getPods();
+            const now = Date.now();
+            const open = new Map(database.getOpenPodIntervals().map(i => [i.pod_id, i]));
+
+            for (const pod of pods) {
+                const interval = open.get(pod.id);
+                open.delete(pod.id);
+                const running = pod.desiredStatus === 'RUNNING';
+                const uptime = pod.runtime?.uptimeInSeconds ?? pod.uptimeSeconds ?? null;
+
+                if (!running) {
+                    // Stopped outside the orchestrator: last time we saw it running is our best bound
+                    if (interval) this.recordStop(pod.id, 'observed-stop', interval.last_seen_at);
+                    continue;
+                }
+
+                if (!interval) {
+                    // Started elsewhere or while we were down: back-fill from its uptime
+                    const startedAt = uptime ? now - uptime * 1000 : now;
+                    this.recordStart(pod, { at: startedAt, source: uptime ? 'backfill' : 'observed' });
+                    this._observe(database.getOpenPodInterval(pod.id), now, uptime);
+                    continue;
+                }
+
+                if (this._restartedSince(interval, now, uptime)) {
+                    // Stopped and started again while we were not looking
+                    this.recordStop(pod.id, 'restarted', interval.last_seen_at);
+                    this.recordStart(pod, { at: now - uptime * 1000, source: 'backfill' });
+                    this._observe(database.getOpenPodInterval(pod.id), now, uptime);
+                    continue;
+                }
+
+                if (pod.costPerHr != null && Math.abs(pod.costPerHr - interval.cost_per_hour) > 1e-9) {
+                    // Price changed (e.g. spot): old rate up to now, new rate from now on
+                    this.recordStop(pod.id, 'rate-change', now);
+                    this.recordStart(pod, { at: now, source: 'rate-change' });
+                    this._observe(database.getOpenPodInterval(pod.id), now, uptime);
+                    continue;
+                }
+
+                this._observe(interval, now, uptime);
+            }
+
+            // Pods that no longer exist at the provider
+            for (const interval of open.values()) {
+                this.recordStop(interval.pod_id, 'gone', interval.last_seen_at);
+            }
+
+            for (const interval of database.getOpenPodIntervals()) {
+                this._bill(interval, now);
+            }
+        } finally {
+            this.reconciling = false;
+        }
+    }
+
+    /**
+     * Uptime went backwards, or the pod started after we last saw it running
+     */
+    _restartedSince(interval, now, uptime) {
+        if (uptime == null || interval.last_uptime == null) return false;
+        if (uptime < interval.last_uptime) return true;
+        const slackMs = config.billingPollSeconds * 1000;
+        return now - uptime * 1000 > interval.last_seen_at + slackMs;
+    }
+
+    _observe(interval, now, uptime) {
+        if (!interval) return;
+        const updates = { last_seen_at: now };
+        // Only remember uptime once the container reports it (booting pods have none)
+        if (uptime) updates.last_uptime = uptime;
+        database.updatePodInterval(interval.id, updates);
+    }
+
+    /**
+     * Write cost_log entries for the unbilled part of an interval, split at midnight
+     */
+    _bill(interval, until) {
+        let from = interval.billed_until ?? interval.started_at;
+        if (until <= from) return 0;
+
+        let total = 0;
+        while (from < until) {
+            const nextMidnight = (Math.floor(from / DAY_MS) + 1) * DAY_MS;
+            const to = Math.min(until, nextMidnight);
+            const seconds = (to - from) / 1000;
+            const costUsd = (interval.cost_per_hour / 3600) * seconds;
+
+            database.logCost({
+                resourceId: interval.pod_id,
+                resourceType: 'pod',
+                resourceName: interval.pod_name,
+                costUsd,
+                durationSeconds: Math.round(seconds),
+                gpuType: interval.gpu_type,
+                projectId: interval.project_id,
+                userId: interval.user_id,
+                // Slices are stamped with their end time; the last slice ending at
+                // midnight belongs to the previous day
+                loggedAt: toSqlTime(to === nextMidnight ? to - 1000 : to)
+            });
+            total += costUsd;
+            from = to;
+        }
+
+        database.updatePodInterval(interval.id, { billed_until: until });
+        return total;
+    }
+
+    /**
+     * Recorded spend of a pod, including time not yet written to cost_log
+     */
+    getPodSpend(podId) {
+        const interval = database.getOpenPodInterval(podId);
+        const unbilled = interval
+            ? (interval.cost_per_hour / 3600) * Math.max(0, Date.now() - interval.billed_until) / 1000
+            : 0;
+        return database.getResourceSpend(podId) + unbilled;
+    }
+
+    // ==================== Provider check ====================
+
+    /**
+     * Compare spend recorded since the last check with the provider balance drop
+     */
+    async checkProviderSpend() {
+        await this.reconcile();
+        const account = await cloudProvider.getMyself();
+        const now = Date.now();
+        this.lastProviderCheck = now;
+
+        const balance = account?.clientBalance;
+        if (typeof balance !== 'number') return null;
+
+        const previous = database.getConfig('billingBalanceSnapshot');
+        database.setConfig('billingBalanceSnapshot', { balance, at: now });
+        if (!previous) return null;
+
+        const windowStart = toSqlTime(previous.at);
+        const windowEnd = toSqlTime(now);
+        const providerSpend = previous.balance - balance;
+        const recordedSpend = database.getSpendBetween(windowStart, windowEnd);
+
+        if (providerSpend < 0) {
+            // Balance went up: a deposit hides the real spend of this window
+            return database.createBillingCheck({
+                windowStart,
+                windowEnd,
+                balanceStart: previous.balance,
+                balanceEnd: balance,
+                providerSpend: null,
+                recordedSpend,
+                difference: null,
+                discrepancy: false,
+                note: 'Balance increased (deposit); window skipped'
+            });
+        }
+
+        const difference = providerSpend - recordedSpend;
+        const tolerance = Math.max(config.billingDiscrepancyUsd, providerSpend * config.billingDiscrepancyPercent / 100);
+        const discrepancy = Math.abs(difference) > tolerance;
+
+        const check = database.createBillingCheck({
+            windowStart,
+            windowEnd,
+            balanceStart: previous.balance,
+            balanceEnd: balance,
+            providerSpend,
+            recordedSpend,
+            difference,
+            discrepancy,
+            note: discrepancy
+                ? (difference > 0 ? 'Provider charged more than recorded' : 'Recorded more than the provider charged')
+                : null
+        });
+
+        if (discrepancy) {
+            console.warn(`💸 Billing discrepancy: provider $${providerSpend.toFixed(4)} vs recorded $${recordedSpend.toFixed(4)}`);
+            eventBus.publish('billing:discrepancy', check);
+        }
+        return check;
+    }
+
+    /**
+     * Open intervals with their accrued cost and the provider's current burn rate
+     */
+    async getStatus() {
+        const now = Date.now();
+        const open = database.getOpenPodIntervals().map(i => ({
+            ...i,
+            runningSeconds: Math.round((now - i.started_at) / 1000),
+            accruedUsd: (i.cost_per_hour / 3600) * (now - i.started_at) / 1000
+        }));
+
+        let providerSpendPerHr = null;
+        try {
+            providerSpendPerHr = (await cloudProvider.getMyself())?.currentSpendPerHr ?? null;
+        } catch (error) {
+            // Status is still useful without the provider figure
+        }
+
+        return {
+            openIntervals: open,
+            recordedSpendPerHr: open.reduce((sum, i) => sum + i.cost_per_hour, 0),
+            providerSpendPerHr,
+            lastCheck: database.getBillingChecks(1)[0] || null,
+            openDiscrepancies: database.getBillingChecks(50, true).filter(c => !c.acknowledged).length
+        };
+    }
+}
+
+export const billing = new Billing();
+export default Billing;
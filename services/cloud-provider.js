@@ -0,0 +1,33 @@
+import { config } from '../config/env.js';
+import RunPodProvider from './providers/runpod-provider.js';
+import MockProvider from './providers/mock-provider.js';
+
+/**
+ * Cloud Provider selection
+ *
+ * Every service talks to the GPU cloud through this single provider object.
+ * All providers implement the same interface:
+ *
+ *   getMyself, getGpuTypes, getTemplates, getServiceUrl(podId, port)
+ *   getPods, getPod, createPod, createSpotPod, stopPod, resumePod, resumeSpotPod, terminatePod
+ *   getEndpoints, createEndpoint, deleteEndpoint, getHealth
+ *   runJob, runJobSync, getJobStatus, cancelJob, streamJob, retryJob, purgeQueue
+ *
+ * The provider is chosen with the CLOUD_PROVIDER environment variable.
+ */
+const PROVIDERS = {
+    runpod: RunPodProvider,
+    mock: MockProvider
+};
+
+function createProvider(name) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown cloud provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    console.log(`☁️  Cloud provider: ${name}`);
+    return new Provider();
+}
+
+export const cloudProvider = createProvider(config.cloudProvider);
+export default cloudProvider;
@@ -1,6 +1,11 @@
 import { config } from '../config/env.js';
 import { database } from '../db/database.js';
-import { runpodClient } from './runpod-client.js';
+import { cloudProvider } from './cloud-provider.js';
+
+// How long the GPU list of serverless endpoints is trusted when costing jobs,
+// and how soon to look again for an endpoint that was not listed
+const ENDPOINTS_REFRESH_MS = 10 * 60 * 1000;
+const UNKNOWN_ENDPOINT_RETRY_MS = 30 * 1000;
 
 /**
  * Cost Tracker for monitoring spending and enforcing budgets
@@ -8,6 +13,8 @@ import { runpodClient } from './runpod-client.js';
 class CostTracker {
     constructor() {
         this.gpuPrices = new Map();
+        this.endpoints = new Map();
+        this.endpointsFetchedAt = 0;
         this.startCostPolling();
     }
 
@@ -16,10 +23,11 @@ class CostTracker {
      */
     async loadGpuPrices() {
         try {
-            const gpuTypes = await runpodClient.getGpuTypes();
+            const gpuTypes = await cloudProvider.getGpuTypes();
             gpuTypes.forEach(gpu => {
                 this.gpuPrices.set(gpu.id, {
                     name: gpu.displayName,
+                    memoryInGb: gpu.memoryInGb,
                     securePrice: gpu.securePrice,
                     communityPrice: gpu.communityPrice
                 });
@@ -40,11 +48,83 @@ class CostTracker {
         return (hourlyRate / 3600) * estimatedSeconds;
     }
 
+    /**
+     * Estimated hourly price of one serverless worker for an endpoint's GPU
+     * list: GPU type ids, or pool ids like AMPERE_24 priced by their VRAM
+     */
+    estimateWorkerHourlyPrice(gpuIds) {
+        const ids = Array.isArray(gpuIds) ? gpuIds : String(gpuIds || '').split(',');
+        const prices = [];
+
+        for (const id of ids.map(i => i.trim()).filter(Boolean)) {
+            const gpu = this.gpuPrices.get(id);
+            if (gpu) {
+                prices.push(gpu.securePrice || gpu.communityPrice);
+                continue;
+            }
+            const vram = parseInt(id.match(/_(\d+)/)?.[1]);
+            if (!vram) continue;
+            for (const candidate of this.gpuPrices.values()) {
+                if (candidate.memoryInGb === vram) prices.push(candidate.securePrice || candidate.communityPrice);
+            }
+        }
+
+        const valid = prices.filter(p => p > 0);
+        return valid.length > 0 ? Math.min(...valid) : null;
+    }
+
+    /**
+     * Cost a finished serverless job and log it, so it counts toward budgets.
+     * RunPod bills the worker's execution time; when it is not reported the
+     * measured duration minus the time spent in the queue is used.
+     * Returns null when the endpoint's GPU price is unknown.
+     */
+    async logServerlessJobCost(job, status, durationMs) {
+        const executionMs = status.executionTime ?? (
+            status.status === 'COMPLETED' && durationMs ? Math.max(0, durationMs - (status.delayTime || 0)) : null
+        );
+        if (!executionMs) return null;
+
+        const endpoint = await this._getEndpoint(job.endpoint_id);
+        const price = this.estimateWorkerHourlyPrice(endpoint?.gpuIds);
+        if (!price) return null;
+        const gpuType = [].concat(endpoint.gpuIds).join(',');
+
+        const costUsd = this.logResourceCost({
+            id: job.id,
+            type: 'serverless',
+            name: endpoint.name || job.endpoint_id,
+            durationSeconds: executionMs / 1000,
+            gpuType,
+            costPerHour: price,
+            projectId: job.project_id,
+            userId: job.user_id
+        });
+        return { costUsd, executionMs, gpuType, costPerHour: price };
+    }
+
+    /**
+     * Name and GPU list of an endpoint, refreshed from the provider when unknown or stale
+     */
+    async _getEndpoint(endpointId) {
+        const maxAge = this.endpoints.has(endpointId) ? ENDPOINTS_REFRESH_MS : UNKNOWN_ENDPOINT_RETRY_MS;
+        if (Date.now() - this.endpointsFetchedAt > maxAge) {
+            try {
+                const endpoints = await cloudProvider.getEndpoints();
+                this.endpoints = new Map(endpoints.map(ep => [ep.id, { name: ep.name, gpuIds: ep.gpuIds }]));
+            } catch (error) {
+                console.error('Failed to load endpoints for job costs:', error.message);
+            }
+            this.endpointsFetchedAt = Date.now();
+        }
+        return this.endpoints.get(endpointId) || null;
+    }
+
     /**
      * Log cost for a completed resource usage
      */
     logResourceCost(resource) {
-        const { id, type, name, durationSeconds, gpuType, costPerHour } = resource;
+        const { id, type, name, durationSeconds, gpuType, costPerHour, projectId, userId } = resource;
 
         const costUsd = (costPerHour / 3600) * durationSeconds;
 
@@ -54,44 +134,64 @@ class CostTracker {
             resourceName: name,
             costUsd,
             durationSeconds,
-            gpuType
+            gpuType,
+            projectId,
+            userId
         });
 
         return costUsd;
     }
 
+    /**
+     * Global limits (values saved from the UI, 0 included, override the environment)
+     */
+    getGlobalLimits() {
+        const saved = (key, fallback) => {
+            const value = parseFloat(database.getConfig(key));
+            return Number.isFinite(value) ? value : fallback;
+        };
+        return {
+            daily: saved('budgetLimitDaily', config.budgetLimitDaily),
+            monthly: saved('budgetLimitMonthly', config.budgetLimitMonthly)
+        };
+    }
+
     /**
      * Get current spending status
      */
     getSpendingStatus() {
         const todaySpend = database.getTodaySpend();
         const monthSpend = database.getMonthSpend();
+        const limits = this.getGlobalLimits();
 
         return {
-            today: {
-                spent: todaySpend,
-                limit: config.budgetLimitDaily,
-                remaining: Math.max(0, config.budgetLimitDaily - todaySpend),
-                percentUsed: (todaySpend / config.budgetLimitDaily) * 100
-            },
-            month: {
-                spent: monthSpend,
-                limit: config.budgetLimitMonthly,
-                remaining: Math.max(0, config.budgetLimitMonthly - monthSpend),
-                percentUsed: (monthSpend / config.budgetLimitMonthly) * 100
-            },
+            today: this._usage(todaySpend, limits.daily),
+            month: this._usage(monthSpend, limits.monthly),
             alerts: this.getAlerts(todaySpend, monthSpend)
         };
     }
 
+    /**
+     * Spent / limit / remaining for one period (limit null = unlimited)
+     */
+    _usage(spent, limit) {
+        return {
+            spent,
+            limit: limit ?? null,
+            remaining: limit != null ? Math.max(0, limit - spent) : null,
+            percentUsed: limit ? (spent / limit) * 100 : null
+        };
+    }
+
     /**
      * Generate spending alerts
      */
     getAlerts(todaySpend, monthSpend) {
         const alerts = [];
+        const limits = this.getGlobalLimits();
 
-        const todayPercent = (todaySpend / config.budgetLimitDaily) * 100;
-        const monthPercent = (monthSpend / config.budgetLimitMonthly) * 100;
+        const todayPercent = (todaySpend / limits.daily) * 100;
+        const monthPercent = (monthSpend / limits.monthly) * 100;
 
         if (todayPercent >= 100) {
             alerts.push({ level: 'critical', message: 'Daily budget exceeded!' });
@@ -110,12 +210,96 @@ class CostTracker {
         return alerts;
     }
 
+    /**
+     * Check the global, project and user caps for new spending.
+     * Returns { allowed, reason }.
+     */
+    checkBudget({ projectId, userId, estimatedCost = 0 } = {}) {
+        const limits = this.getGlobalLimits();
+        const checks = [
+            { label: 'Daily budget', limit: limits.daily, spent: () => database.getTodaySpend() },
+            { label: 'Monthly budget', limit: limits.monthly, spent: () => database.getMonthSpend() }
+        ];
+
+        const project = projectId ? database.getProject(projectId) : null;
+        if (project) {
+            checks.push(
+                { label: `Project "${project.name}" daily budget`, limit: project.budget_daily, spent: () => database.getTodaySpend({ projectId }) },
+                { label: `Project "${project.name}" monthly budget`, limit: project.budget_monthly, spent: () => database.getMonthSpend({ projectId }) }
+            );
+        }
+
+        const user = userId ? database.getUser(userId) : null;
+        if (user) {
+            checks.push(
+                { label: `Daily budget of ${user.username}`, limit: user.budget_daily, spent: () => database.getTodaySpend({ userId }) },
+                { label: `Monthly budget of ${user.username}`, limit: user.budget_monthly, spent: () => database.getMonthSpend({ userId }) }
+            );
+        }
+
+        for (const check of checks) {
+            if (check.limit == null) continue;
+            const spent = check.spent();
+            if (spent >= check.limit || spent + estimatedCost > check.limit) {
+                return {
+                    allowed: false,
+                    reason: `${check.label} ($${check.limit}) exceeded. Current spend: $${spent.toFixed(2)}`
+                };
+            }
+        }
+        return { allowed: true, reason: null };
+    }
+
     /**
      * Check if budget allows new spending
      */
-    canSpend(estimatedCost = 0) {
-        const todaySpend = database.getTodaySpend();
-        return (todaySpend + estimatedCost) <= config.budgetLimitDaily;
+    canSpend(estimatedCost = 0, scope = {}) {
+        return this.checkBudget({ ...scope, estimatedCost }).allowed;
+    }
+
+    /**
+     * Throw a 403 when any applicable cap is exhausted
+     */
+    assertCanSpend(scope = {}) {
+        const { allowed, reason } = this.checkBudget(scope);
+        if (!allowed) throw { status: 403, message: reason };
+    }
+
+    /**
+     * Spend per project (with caps) or per user over the last N days
+     */
+    getBreakdown(groupBy = 'project', days = 30) {
+        const rows = new Map(database.getCostBreakdown(groupBy, days).map(r => [r.id, r]));
+        const empty = { today: 0, month: 0, total: 0, pods: 0, serverless: 0 };
+
+        if (groupBy === 'user') {
+            const users = database.getUsers();
+            const known = users.map(u => {
+                const row = rows.get(u.id) || empty;
+                rows.delete(u.id);
+                return this._breakdownEntry(u.id, u.username, row, u.budget_daily, u.budget_monthly);
+            });
+            // Spend not attributed to a user (auto-shutdown, old entries, auth disabled)
+            const rest = [...rows.values()].map(r => this._breakdownEntry(r.id, r.id || 'unattributed', r));
+            return { groupBy, days, entries: [...known, ...rest] };
+        }
+
+        const entries = database.getProjects().map(p => this._breakdownEntry(
+            p.id, p.name, rows.get(p.id) || empty, p.budget_daily, p.budget_monthly
+        ));
+        return { groupBy, days, entries };
+    }
+
+    _breakdownEntry(id, name, row, budgetDaily = null, budgetMonthly = null) {
+        return {
+            id,
+            name,
+            total: row.total,
+            pods: row.pods,
+            serverless: row.serverless,
+            today: this._usage(row.today, budgetDaily),
+            month: this._usage(row.month, budgetMonthly)
+        };
     }
 
     /**
@@ -135,47 +319,21 @@ class CostTracker {
     }
 
     /**
-     * Poll active pods and log their costs
+     * Keep GPU prices fresh (pod usage itself is billed by services/billing.js)
      */
     async startCostPolling() {
         // Load prices initially
         await this.loadGpuPrices();
 
-        // Refresh prices and log costs every 5 minutes
+        // Refresh prices every 5 minutes
         setInterval(async () => {
             try {
                 await this.loadGpuPrices();
-                await this.logActivePodsCost();
             } catch (error) {
                 console.error('Cost polling error:', error.message);
             }
         }, 5 * 60 * 1000);
     }
-
-    /**
-     * Log costs for currently active pods
-     */
-    async logActivePodsCost() {
-        try {
-            const pods = await runpodClient.getPods();
-
-            for (const pod of pods) {
-                if (pod.desiredStatus === 'RUNNING' && pod.runtime) {
-                    // Log 5 minutes of usage (polling interval)
-                    this.logResourceCost({
-                        id: pod.id,
-                        type: 'pod',
-                        name: pod.name,
-                        durationSeconds: 300, // 5 minutes
-                        gpuType: pod.machine?.gpuDisplayName,
-                        costPerHour: pod.costPerHr
-                    });
-                }
-            }
-        } catch (error) {
-            console.error('Failed to log pod costs:', error.message);
-        }
-    }
 }
 
 export const costTracker = new CostTracker();
@@ -0,0 +1,261 @@
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { sanitizer } from '../utils/sanitizer.js';
+import { eventBus } from './event-bus.js';
+import { queueManager, PRIORITIES } from './queue-manager.js';
+
+/**
+ * Dead Letter Queue - jobs that ended in failure, kept for review
+ *
+ * Every entry starts `open` and is closed by retrying it (optionally with an
+ * edited input) or discarding it. Errors are classified when the entry is
+ * added so failures can be handled in bulk (e.g. retry every provider outage
+ * once RunPod is back). Resolved entries are purged after DLQ_RETENTION_DAYS,
+ * open ones after DLQ_OPEN_RETENTION_DAYS when that is set.
+ */
+
+export const DLQ_STATUSES = ['open', 'retried', 'discarded'];
+export const ERROR_CATEGORIES = ['budget', 'validation', 'provider', 'worker', 'unknown'];
+
+const MAX_BULK = 500;
+const PURGE_INTERVAL_MS = 3600 * 1000;
+const RETENTION_KEY = 'dlqRetention';
+
+// Checked in order; the first match wins
+const CATEGORY_PATTERNS = [
+    ['budget', /budget|spend(ing)? limit|insufficient (funds|balance)|balance too low|payment required/i],
+    ['validation', /invalid|validation|required|must be|not allowed|malformed|bad request|does not exist|not found/i],
+    ['provider', /ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|fetch failed|socket hang up|network|bad gateway|service unavailable|gateway time-?out|too many requests|status 5\d\d|server restarted/i],
+    ['worker', /worker|out of memory|\bOOM\b|CUDA|timed out|exit code|killed|traceback|exception|segmentation fault/i]
+];
+
+class DeadLetterQueue {
+    constructor() {
+        this.purgeInterval = null;
+    }
+
+    /**
+     * Purge old entries now and then every hour
+     */
+    start() {
+        if (this.purgeInterval) return;
+        this.purge();
+        this.purgeInterval = setInterval(() => this.purge(), PURGE_INTERVAL_MS);
+    }
+
+    /**
+     * Dead-letter a failed job (a row of the jobs table).
+     * `source` is 'submit' when sending it to the provider failed and
+     * 'worker' when the provider reported the failure.
+     */
+    add(job, error, { status = null, source = 'submit' } = {}) {
+        const category = this.classify(error, { status, source });
+        const entry = {
+            id: `dlq_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            jobId: job.id,
+            endpointId: job.endpoint_id ?? job.endpointId,
+            job,
+            error,
+            attempts: job.attempts || 0,
+            category
+        };
+        database.addToDeadLetter(entry);
+        eventBus.publish('dlq:added', { id: entry.id, jobId: job.id, endpointId: entry.endpointId, category, error });
+        return entry;
+    }
+
+    /**
+     * Error category from the HTTP status, the message and where it failed
+     */
+    classify(message, { status = null, source = 'submit' } = {}) {
+        if (status === 402) return 'budget';
+        if (status === 400 || status === 404 || status === 422) return 'validation';
+        if (status >= 500 || status === 429) return 'provider';
+
+        const text = String(message || '');
+        for (const [category, pattern] of CATEGORY_PATTERNS) {
+            if (pattern.test(text)) return category;
+        }
+        // A failure reported by the provider happened in the worker
+        return source === 'worker' ? 'worker' : 'unknown';
+    }
+
+    // ==================== Console ====================
+
+    list(filter = {}) {
+        return database.getDeadLetterJobs(this._parseFilter(filter));
+    }
+
+    get(id) {
+        return this._require(id);
+    }
+
+    getStats() {
+        const rows = database.getDeadLetterStats();
+        const byStatus = Object.fromEntries(DLQ_STATUSES.map(s => [s, 0]));
+        const openByCategory = Object.fromEntries(ERROR_CATEGORIES.map(c => [c, 0]));
+        for (const row of rows) {
+            byStatus[row.status] = (byStatus[row.status] || 0) + row.count;
+            if (row.status === 'open') openByCategory[row.category] = (openByCategory[row.category] || 0) + row.count;
+        }
+        return { byStatus, openByCategory, retention: this.getRetention() };
+    }
+
+    /**
+     * Requeue the job as a new one, with the original input or an edited one
+     */
+    async retry(id, { input } = {}, userId = null) {
+        const entry = this._requireOpen(id);
+        const job = entry.job_data;
+
+        let retryInput = job.input;
+        if (input !== undefined) {
+            if (!input || typeof input !== 'object' || Array.isArray(input)) {
+                throw { status: 400, message: 'Input must be an object' };
+            }
+            retryInput = sanitizer.sanitizeObject(input);
+            const validation = sanitizer.validateJobInput(retryInput);
+            if (!validation.valid) throw { status: 400, message: validation.errors.join(', ') };
+        }
+
+        // Claim the entry first, so a second click or an overlapping bulk retry cannot queue it again
+        if (database.resolveDeadLetter(id, 'retried', userId).changes === 0) {
+            throw { status: 409, message: `Entry is already ${database.getDeadLetterJob(id)?.status || 'resolved'}` };
+        }
+
+        let result;
+        try {
+            result = await queueManager.submitJob(entry.endpoint_id || job.endpoint_id || job.endpointId, retryInput, {
+                skipDeduplication: true,
+                projectId: job.project_id,
+                userId: job.user_id,
+                priority: PRIORITIES[job.priority],
+                stream: Boolean(job.stream)
+            });
+        } catch (error) {
+            database.reopenDeadLetter(id);
+            throw error;
+        }
+
+        database.setDeadLetterRetriedJob(id, result.id);
+        eventBus.publish('dlq:retried', { id, jobId: result.id, originalJobId: entry.original_job_id, edited: input !== undefined });
+        return { ...database.getDeadLetterJob(id), job: result };
+    }
+
+    discard(id, userId = null) {
+        this._requireOpen(id);
+        database.resolveDeadLetter(id, 'discarded', userId);
+        eventBus.publish('dlq:discarded', { id });
+        return database.getDeadLetterJob(id);
+    }
+
+    /**
+     * Retry every open entry matching the filter (ids, category, endpointId, q)
+     */
+    async retryMany(filter = {}, userId = null) {
+        const entries = this._bulkTargets(filter);
+        const results = { retried: 0, failed: 0, jobIds: [], errors: [] };
+        for (const entry of entries) {
+            try {
+                const retried = await this.retry(entry.id, {}, userId);
+                results.retried++;
+                results.jobIds.push(retried.job.id);
+            } catch (error) {
+                results.failed++;
+                results.errors.push({ id: entry.id, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    discardMany(filter = {}, userId = null) {
+        const entries = this._bulkTargets(filter);
+        for (const entry of entries) database.resolveDeadLetter(entry.id, 'discarded', userId);
+        if (entries.length > 0) {
+            eventBus.publish('dlq:discarded', { ids: entries.map(e => e.id), count: entries.length });
+        }
+        return { discarded: entries.length };
+    }
+
+    // ==================== Retention ====================
+
+    getRetention() {
+        const saved = database.getConfig(RETENTION_KEY) || {};
+        return {
+            resolvedDays: saved.resolvedDays ?? config.dlqRetentionDays,
+            openDays: saved.openDays ?? config.dlqOpenRetentionDays
+        };
+    }
+
+    setRetention({ resolvedDays, openDays } = {}) {
+        const current = this.getRetention();
+        const next = {
+            resolvedDays: resolvedDays ?? current.resolvedDays,
+            openDays: openDays ?? current.openDays
+        };
+        if (!Number.isInteger(next.resolvedDays) || next.resolvedDays < 1 || next.resolvedDays > 3650) {
+            throw { status: 400, message: 'resolvedDays must be an integer between 1 and 3650' };
+        }
+        if (!Number.isInteger(next.openDays) || next.openDays < 0 || next.openDays > 3650) {
+            throw { status: 400, message: 'openDays must be an integer between 0 (keep) and 3650' };
+        }
+        database.setConfig(RETENTION_KEY, next);
+        return next;
+    }
+
+    purge() {
+        try {
+            const { resolvedDays, openDays } = this.getRetention();
+            const removed = database.purgeDeadLetters(resolvedDays, openDays);
+            if (removed > 0) console.log(`💀 Purged ${removed} old dead letter entries`);
+            return removed;
+        } catch (error) {
+            console.error('Dead letter purge error:', error.message);
+            return 0;
+        }
+    }
+
+    // ==================== Helpers ====================
+
+    _parseFilter(filter) {
+        if (filter.status && !DLQ_STATUSES.includes(filter.status)) {
+            throw { status: 400, message: `Invalid status. Use one of: ${DLQ_STATUSES.join(', ')}` };
+        }
+        if (filter.category && !ERROR_CATEGORIES.includes(filter.category)) {
+            throw { status: 400, message: `Invalid category. Use one of: ${ERROR_CATEGORIES.join(', ')}` };
+        }
+        if (filter.ids !== undefined && filter.ids !== null && !Array.isArray(filter.ids)) {
+            throw { status: 400, message: 'ids must be an array of entry IDs' };
+        }
+        return {
+            ids: filter.ids || null,
+            status: filter.status || null,
+            category: filter.category || null,
+            endpointId: filter.endpointId || null,
+            q: filter.q || null,
+            limit: Math.min(parseInt(filter.limit) || 100, MAX_BULK)
+        };
+    }
+
+    _bulkTargets(filter) {
+        const parsed = this._parseFilter({ ...filter, status: 'open', limit: MAX_BULK });
+        return database.getDeadLetterJobs(parsed);
+    }
+
+    _require(id) {
+        const entry = database.getDeadLetterJob(id);
+        if (!entry) throw { status: 404, message: 'Dead letter entry not found' };
+        return entry;
+    }
+
+    _requireOpen(id) {
+        const entry = this._require(id);
+        if (entry.status !== 'open') {
+            throw { status: 409, message: `Entry is already ${entry.status}` };
+        }
+        return entry;
+    }
+}
+
+export const deadLetterQueue = new DeadLetterQueue();
+export default DeadLetterQueue;
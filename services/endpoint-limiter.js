@@ -0,0 +1,264 @@
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { cloudProvider } from './cloud-provider.js';
+import { eventBus } from './event-bus.js';
+
+/**
+ * Endpoint Limiter - per-endpoint concurrency and submit rate
+ *
+ * Each endpoint gets its own number of in-flight jobs (by default its
+ * workersMax, so jobs do not pile up in a queue the endpoint cannot drain)
+ * and its own token bucket for submissions. Both can be overridden per
+ * endpoint. MAX_CONCURRENT_JOBS and RATE_LIMIT_PER_SECOND still cap the
+ * whole queue.
+ *
+ * Scheduling never waits on an endpoint: a job is only picked while its
+ * endpoint has both a free slot and a token, so a slow endpoint cannot hold
+ * up the others.
+ *
+ * When the provider answers 429 the endpoint is paused (Retry-After, or an
+ * exponential backoff) and its rate is halved; every accepted submission then
+ * wins back a tenth of the configured rate.
+ */
+
+const MIN_RATE = 0.1;
+const THROTTLE_BACKOFF_MS = 2000;
+const MAX_THROTTLE_BACKOFF_MS = 60000;
+const RECOVERY_STEP = 0.1;
+// How long the workersMax read from the provider is trusted
+const WORKERS_REFRESH_MS = 5 * 60 * 1000;
+// ...and how soon it is read again when an endpoint is missing from it
+const UNKNOWN_WORKERS_RETRY_MS = 15 * 1000;
+const MAX_CONCURRENT_LIMIT = 1000;
+const MAX_RATE_LIMIT = 100;
+
+class EndpointLimiter {
+    constructor() {
+        this.states = new Map();
+        this.workers = new Map();
+        this.workersFetchedAt = 0;
+        this.refreshing = false;
+    }
+
+    /**
+     * Configured limits of an endpoint and where they come from
+     */
+    getLimits(endpointId) {
+        const custom = database.getEndpointLimit(endpointId);
+        const workersMax = this.workers.get(endpointId);
+
+        let concurrencySource = 'default';
+        let maxConcurrent = config.maxConcurrentJobs;
+        if (custom?.max_concurrent) {
+            concurrencySource = 'custom';
+            maxConcurrent = custom.max_concurrent;
+        } else if (workersMax > 0) {
+            concurrencySource = 'workers';
+            maxConcurrent = workersMax;
+        }
+
+        return {
+            maxConcurrent,
+            ratePerSecond: custom?.rate_per_second || config.rateLimitPerSecond,
+            source: {
+                concurrency: concurrencySource,
+                rate: custom?.rate_per_second ? 'custom' : 'default'
+            }
+        };
+    }
+
+    /**
+     * Override the limits of an endpoint; null (or omitted) goes back to the default
+     */
+    setLimits(endpointId, { maxConcurrent = null, ratePerSecond = null } = {}) {
+        if (maxConcurrent !== null && (!Number.isInteger(maxConcurrent) || maxConcurrent < 1 || maxConcurrent > MAX_CONCURRENT_LIMIT)) {
+            throw { status: 400, message: `maxConcurrent must be an integer between 1 and ${MAX_CONCURRENT_LIMIT}, or null` };
+        }
+        if (ratePerSecond !== null && (typeof ratePerSecond !== 'number' || !(ratePerSecond >= MIN_RATE) || ratePerSecond > MAX_RATE_LIMIT)) {
+            throw { status: 400, message: `ratePerSecond must be between ${MIN_RATE} and ${MAX_RATE_LIMIT}, or null` };
+        }
+
+        if (maxConcurrent === null && ratePerSecond === null) {
+            database.deleteEndpointLimit(endpointId);
+        } else {
+            database.setEndpointLimit(endpointId, maxConcurrent, ratePerSecond);
+        }
+        // Start over from the new rate
+        this.states.delete(endpointId);
+
+        const status = this.describe(endpointId);
+        eventBus.publish('endpoint:limits', { endpointId, maxConcurrent: status.maxConcurrent, ratePerSecond: status.ratePerSecond });
+        return status;
+    }
+
+    forget(endpointId) {
+        database.deleteEndpointLimit(endpointId);
+        this.states.delete(endpointId);
+        this.workers.delete(endpointId);
+    }
+
+    /**
+     * Jobs each endpoint can take in a scheduling pass: its free slots, capped
+     * by the submission tokens it has now (0 while throttled)
+     */
+    freeSlots(endpointIds) {
+        this._refreshWorkersIfStale(endpointIds);
+        const inFlight = database.getActiveJobCounts('endpoint');
+        const now = Date.now();
+
+        const slots = {};
+        for (const endpointId of endpointIds) {
+            if (this._state(endpointId).throttledUntil > now) {
+                slots[endpointId] = 0;
+                continue;
+            }
+            // A new endpoint waits for its workersMax rather than run at the default
+            if (this.refreshing && !this.workers.has(endpointId) && this.getLimits(endpointId).source.concurrency === 'default') {
+                slots[endpointId] = 0;
+                continue;
+            }
+            const state = this._state(endpointId);
+            this._refill(state, now);
+            const free = Math.max(0, this.getLimits(endpointId).maxConcurrent - (inFlight[endpointId] || 0));
+            slots[endpointId] = Math.min(free, Math.floor(state.tokens));
+        }
+        return slots;
+    }
+
+    /**
+     * Take a submission token of the endpoint if it has one now; never waits
+     */
+    tryAcquire(endpointId) {
+        const state = this._state(endpointId);
+        const now = Date.now();
+        if (state.throttledUntil > now) return false;
+
+        this._refill(state, now);
+        if (state.tokens < 1) return false;
+        state.tokens--;
+        return true;
+    }
+
+    isThrottled(endpointId) {
+        return this._state(endpointId).throttledUntil > Date.now();
+    }
+
+    /**
+     * The provider answered 429: pause the endpoint and halve its rate
+     */
+    throttled(endpointId, retryAfterSeconds = null) {
+        const state = this._state(endpointId);
+        const backoff = retryAfterSeconds > 0
+            ? retryAfterSeconds * 1000
+            : Math.min(THROTTLE_BACKOFF_MS * Math.pow(2, state.throttles), MAX_THROTTLE_BACKOFF_MS);
+
+        state.throttles++;
+        state.rate = Math.max(MIN_RATE, state.rate / 2);
+        state.tokens = 0;
+        state.throttledUntil = Date.now() + backoff;
+        state.lastThrottledAt = new Date().toISOString();
+
+        console.warn(`🚦 Endpoint ${endpointId} rate limited by the provider: pausing ${Math.round(backoff / 1000)}s, rate now ${state.rate.toFixed(2)}/s`);
+        eventBus.publish('endpoint:throttled', { endpointId, rate: state.rate, retryInMs: backoff });
+    }
+
+    /**
+     * A submission was accepted: win back part of the configured rate
+     */
+    succeeded(endpointId) {
+        const state = this._state(endpointId);
+        if (state.rate >= state.configuredRate) return;
+        state.rate = Math.min(state.configuredRate, state.rate + state.configuredRate * RECOVERY_STEP);
+        if (state.rate >= state.configuredRate) state.throttles = 0;
+    }
+
+    /**
+     * Keep the workersMax of endpoints listed by the API, saving a provider call
+     */
+    rememberEndpoints(endpoints) {
+        this.workers = new Map(endpoints.map(ep => [ep.id, ep.workersMax]));
+        this.workersFetchedAt = Date.now();
+    }
+
+    /**
+     * Keep the workersMax of an endpoint just created here
+     */
+    rememberEndpoint(endpoint) {
+        if (endpoint?.id) this.workers.set(endpoint.id, endpoint.workersMax);
+    }
+
+    /**
+     * Limits, effective rate and load of one endpoint
+     */
+    describe(endpointId, inFlight = null, pending = null) {
+        const limits = this.getLimits(endpointId);
+        const state = this._state(endpointId);
+        const throttled = state.throttledUntil > Date.now();
+        return {
+            endpointId,
+            ...limits,
+            effectiveRate: Math.round(state.rate * 100) / 100,
+            inFlight: inFlight ?? (database.getActiveJobCounts('endpoint')[endpointId] || 0),
+            pending: pending ?? (database.getPendingCountsByEndpoint()[endpointId] || 0),
+            throttledUntil: throttled ? new Date(state.throttledUntil).toISOString() : null,
+            lastThrottledAt: state.lastThrottledAt
+        };
+    }
+
+    /**
+     * Every endpoint that has limits, load or a throttle history
+     */
+    getStats() {
+        const inFlight = database.getActiveJobCounts('endpoint');
+        const pending = database.getPendingCountsByEndpoint();
+        const ids = new Set([
+            ...this.workers.keys(),
+            ...this.states.keys(),
+            ...Object.keys(inFlight),
+            ...Object.keys(pending),
+            ...database.getEndpointLimits().map(l => l.endpoint_id)
+        ]);
+        return [...ids].filter(Boolean).map(id => this.describe(id, inFlight[id] || 0, pending[id] || 0));
+    }
+
+    _state(endpointId) {
+        let state = this.states.get(endpointId);
+        if (!state) {
+            const configuredRate = this.getLimits(endpointId).ratePerSecond;
+            state = {
+                configuredRate,
+                rate: configuredRate,
+                tokens: Math.max(1, configuredRate),
+                lastRefill: Date.now(),
+                throttledUntil: 0,
+                throttles: 0,
+                lastThrottledAt: null
+            };
+            this.states.set(endpointId, state);
+        }
+        return state;
+    }
+
+    _refill(state, now) {
+        const elapsed = (now - state.lastRefill) / 1000;
+        state.tokens = Math.min(Math.max(1, state.rate), state.tokens + elapsed * state.rate);
+        state.lastRefill = now;
+    }
+
+    _refreshWorkersIfStale(endpointIds = []) {
+        const maxAge = endpointIds.some(id => !this.workers.has(id)) ? UNKNOWN_WORKERS_RETRY_MS : WORKERS_REFRESH_MS;
+        if (this.refreshing || Date.now() - this.workersFetchedAt < maxAge) return;
+        this.refreshing = true;
+        cloudProvider.getEndpoints()
+            .then(endpoints => this.rememberEndpoints(endpoints))
+            .catch(error => {
+                // Keep the previous values; try again on the next refresh
+                this.workersFetchedAt = Date.now();
+                console.error('Endpoint limits refresh error:', error.message);
+            })
+            .finally(() => { this.refreshing = false; });
+    }
+}
+
+export const endpointLimiter = new EndpointLimiter();
+export default EndpointLimiter;
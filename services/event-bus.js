@@ -0,0 +1,160 @@
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { notifier } from './notifier.js';
+import { eventPayload } from '../utils/event-payload.js';
+
+/**
+ * Event Bus - single place where services publish orchestrator events
+ *
+ * Every event gets an increasing id (the cursor) and is stored for
+ * EVENT_RETENTION_HOURS, so a client that reconnects can ask for everything
+ * after the last id it saw. Subscribers (WebSocket and SSE connections)
+ * receive only the topics they asked for:
+ *
+ *   *              every event
+ *   pod:*          every event of a group
+ *   job:completed  one event
+ *   id:<id>        events about one resource (job, pod, batch, endpoint)
+ *
+ * Stored events leave out job outputs, stream chunks and very long strings
+ * (see utils/event-payload.js); ids and image references stay, so a client
+ * can fetch the job itself. Live subscribers get the full payload.
+ *
+ * Events are also handed to the notifier for webhook / email delivery.
+ */
+
+const RESOURCE_KEYS = ['id', 'jobId', 'podId', 'batchId', 'endpointId'];
+const TOPIC_PATTERN = /^(\*|[a-z-]+:(\*|[a-z-]+)|id:[\w.-]+)$/;
+const PURGE_INTERVAL_MS = 3600 * 1000;
+
+class EventBus {
+    constructor() {
+        this.subscribers = new Set();
+        this.lastPurge = 0;
+    }
+
+    /**
+     * Store an event, push it to matching subscribers and notification channels
+     */
+    publish(event, data = {}) {
+        const timestamp = Date.now();
+        let id = null;
+        try {
+            id = database.insertEvent(event, eventPayload.compact(data), timestamp);
+        } catch (error) {
+            // Live delivery still works without persistence
+            console.error('Event persistence error:', error.message);
+        }
+
+        const message = { id, event, data, timestamp };
+        for (const subscriber of this.subscribers) {
+            if (!this.matches(subscriber.topics, message)) continue;
+            try {
+                subscriber.send(message);
+            } catch (error) {
+                // A broken connection must not stop delivery to the others
+            }
+        }
+
+        notifier.notify(event, data);
+        this._purgeOld(timestamp);
+        return message;
+    }
+
+    /**
+     * Register a consumer. `send(message)` is called for every matching event.
+     */
+    subscribe(send, topics = ['*']) {
+        const subscriber = { send, topics: this.parseTopics(topics) };
+        this.subscribers.add(subscriber);
+        return {
+            get topics() {
+                return subscriber.topics;
+            },
+            setTopics: (value) => {
+                subscriber.topics = this.parseTopics(value);
+                return subscriber.topics;
+            },
+            close: () => this.subscribers.delete(subscriber)
+        };
+    }
+
+    /**
+     * Stored events after a cursor that match the topics (oldest first)
+     */
+    replay(since, topics = ['*'], limit = config.eventReplayLimit) {
+        const parsed = this.parseTopics(topics);
+        const events = [];
+        let cursor = this.parseCursor(since);
+
+        while (events.length < limit) {
+            const page = database.getEventsSince(cursor, 500);
+            if (page.length === 0) break;
+            for (const message of page) {
+                if (this.matches(parsed, message)) events.push(message);
+                if (events.length >= limit) break;
+            }
+            cursor = page[page.length - 1].id;
+        }
+        return events;
+    }
+
+    /**
+     * Event id to replay after; throws 400 if it is not one
+     */
+    parseCursor(value) {
+        if (value === undefined || value === null || value === '') return 0;
+        const cursor = Number(value);
+        if (!Number.isInteger(cursor) || cursor < 0) {
+            throw { status: 400, message: `Invalid cursor "${value}". Use the id of the last event received` };
+        }
+        return cursor;
+    }
+
+    /**
+     * Accept "a,b" or ['a', 'b']; throws 400 on an invalid topic
+     */
+    parseTopics(value) {
+        const topics = (Array.isArray(value) ? value : String(value || '*').split(','))
+            .map(t => String(t).trim())
+            .filter(Boolean);
+        if (topics.length === 0) return ['*'];
+
+        const invalid = topics.find(t => !TOPIC_PATTERN.test(t));
+        if (invalid) {
+            throw { status: 400, message: `Invalid topic "${invalid}". Use *, group:*, event:name or id:<resourceId>` };
+        }
+        return topics;
+    }
+
+    matches(topics, message) {
+        return topics.some(topic => {
+            if (topic === '*' || topic === message.event) return true;
+            if (topic.startsWith('id:')) {
+                const resourceId = topic.slice(3);
+                return RESOURCE_KEYS.some(key => message.data?.[key] === resourceId);
+            }
+            return topic.endsWith(':*') && message.event.startsWith(topic.slice(0, -1));
+        });
+    }
+
+    getStats() {
+        return {
+            subscribers: this.subscribers.size,
+            lastEventId: database.getLatestEventId()
+        };
+    }
+
+    _purgeOld(now) {
+        if (now - this.lastPurge < PURGE_INTERVAL_MS) return;
+        this.lastPurge = now;
+        try {
+            database.deleteEventsBefore(now - config.eventRetentionHours * 3600 * 1000);
+        } catch (error) {
+            console.error('Event purge error:', error.message);
+        }
+    }
+}
+
+export const eventBus = new EventBus();
+export default EventBus;
@@ -0,0 +1,190 @@
+import { config } from '../config/env.js';
+import { cloudProvider } from './cloud-provider.js';
+
+/**
+ * GPU Placement - picks the GPU for a pod from its requirements
+ *
+ * Requirements are a minimum VRAM, a maximum price per hour (for all the
+ * pod's GPUs), a cloud type and a list of preferred GPUs. Candidates are the
+ * preferred GPUs that meet them, in the given order, followed (unless
+ * allowOthers is false) by every other GPU that meets them: those with at
+ * least preferMinVram GB first, then the cheapest. Candidates are tried in
+ * that order until the provider deploys one; each failed attempt is reported
+ * with its reason. GPUs named by the caller (`named` requirements) are tried
+ * as given, even if the catalog does not list or price them.
+ */
+
+export const CLOUD_TYPES = ['ALL', 'COMMUNITY', 'SECURE'];
+
+const OUT_OF_STOCK_PATTERN = /no longer any instances available|no (gpu )?instances|not enough (free )?gpus|out of stock|no capacity/i;
+// Errors that would be the same on any GPU
+const FATAL_STATUSES = [401, 402, 403];
+const MAX_ATTEMPTS_LIMIT = 20;
+
+class GpuPlacement {
+    /**
+     * Validate placement requirements (from a request body or a query string)
+     */
+    parseRequirements(input = {}, gpuCount = 1) {
+        const number = (value) => value === undefined || value === null || value === '' ? null : Number(value);
+        const preferred = typeof input.preferredGpuIds === 'string'
+            ? input.preferredGpuIds.split(',')
+            : input.preferredGpuIds || [];
+
+        const requirements = {
+            minVram: number(input.minVram) ?? 0,
+            preferMinVram: number(input.preferMinVram),
+            maxPricePerHour: number(input.maxPricePerHour),
+            cloudType: input.cloudType || 'ALL',
+            preferredGpuIds: Array.isArray(preferred) ? preferred.map(id => String(id).trim()).filter(Boolean) : preferred,
+            allowOthers: input.allowOthers === undefined ? true : input.allowOthers !== false && input.allowOthers !== 'false',
+            maxAttempts: number(input.maxAttempts) ?? config.placementMaxAttempts,
+            gpuCount: gpuCount || 1
+        };
+
+        if (!(requirements.minVram >= 0)) {
+            throw { status: 400, message: 'minVram must be a number of GB' };
+        }
+        if (requirements.preferMinVram !== null && !(requirements.preferMinVram >= 0)) {
+            throw { status: 400, message: 'preferMinVram must be a number of GB' };
+        }
+        if (requirements.maxPricePerHour !== null && !(requirements.maxPricePerHour > 0)) {
+            throw { status: 400, message: 'maxPricePerHour must be a positive price, or null' };
+        }
+        if (!CLOUD_TYPES.includes(requirements.cloudType)) {
+            throw { status: 400, message: `Invalid cloudType. Use one of: ${CLOUD_TYPES.join(', ')}` };
+        }
+        if (!Array.isArray(requirements.preferredGpuIds)) {
+            throw { status: 400, message: 'preferredGpuIds must be a list of GPU type IDs' };
+        }
+        if (!requirements.allowOthers && requirements.preferredGpuIds.length === 0) {
+            throw { status: 400, message: 'preferredGpuIds is required when allowOthers is false' };
+        }
+        if (!Number.isInteger(requirements.maxAttempts) || requirements.maxAttempts < 1 || requirements.maxAttempts > MAX_ATTEMPTS_LIMIT) {
+            throw { status: 400, message: `maxAttempts must be an integer between 1 and ${MAX_ATTEMPTS_LIMIT}` };
+        }
+        return requirements;
+    }
+
+    /**
+     * Candidates in the order they would be tried, and the preferred GPUs left
+     * out with the reason
+     */
+    async getCandidates(requirements) {
+        let gpuTypes;
+        try {
+            gpuTypes = await cloudProvider.getGpuTypes();
+        } catch (error) {
+            // GPUs the caller named can be tried without the catalog
+            if (!requirements.named) throw error;
+            console.warn('GPU catalog unavailable, trying the named GPUs:', error.message);
+            gpuTypes = [];
+        }
+        return this.rank(requirements, gpuTypes);
+    }
+
+    rank(requirements, gpuTypes) {
+        const catalog = new Map(gpuTypes.map(gpu => [gpu.id, gpu]));
+        const candidates = [];
+        const skipped = [];
+
+        for (const id of requirements.preferredGpuIds) {
+            const gpu = catalog.get(id);
+            // Named GPUs are left for the provider to accept or refuse
+            const reason = requirements.named ? null : gpu ? this._unsuitable(gpu, requirements) : 'unknown GPU type';
+            if (reason) {
+                skipped.push({ gpuTypeId: id, reason });
+            } else if (!candidates.some(c => c.gpuTypeId === id)) {
+                candidates.push(this._candidate(gpu || { id }, requirements, true));
+            }
+        }
+
+        if (requirements.allowOthers) {
+            const preferVram = (gpu) => requirements.preferMinVram !== null && (gpu.memoryInGb || 0) >= requirements.preferMinVram ? 0 : 1;
+            const others = gpuTypes
+                .filter(gpu => !requirements.preferredGpuIds.includes(gpu.id) && !this._unsuitable(gpu, requirements))
+                .map(gpu => this._candidate(gpu, requirements, false))
+                .sort((a, b) =>
+                    preferVram(a) - preferVram(b) ||
+                    a.pricePerHour - b.pricePerHour ||
+                    (b.memoryInGb || 0) - (a.memoryInGb || 0));
+            candidates.push(...others);
+        }
+
+        return { candidates, skipped };
+    }
+
+    /**
+     * Try the candidates in order with `create(candidate)` (which deploys the
+     * pod) until one succeeds. Resolves to { result, placement }.
+     */
+    async place(requirements, create) {
+        const { candidates, skipped } = await this.getCandidates(requirements);
+        if (candidates.length === 0) {
+            throw { status: 400, message: 'No GPU type meets the requirements', details: { attempts: [], skipped } };
+        }
+
+        const attempts = [];
+        for (const candidate of candidates.slice(0, requirements.maxAttempts)) {
+            try {
+                const result = await create(candidate);
+                if (attempts.length > 0) {
+                    console.log(`🎯 Placed on ${candidate.gpuTypeId} after ${attempts.length} failed attempt(s)`);
+                }
+                return { result, placement: { ...candidate, attempts, skipped } };
+            } catch (error) {
+                const message = error.message || String(error);
+                attempts.push({
+                    gpuTypeId: candidate.gpuTypeId,
+                    cloudType: candidate.cloudType,
+                    reason: OUT_OF_STOCK_PATTERN.test(message) ? 'out-of-stock' : 'error',
+                    error: message
+                });
+                if (FATAL_STATUSES.includes(error.status)) throw error;
+            }
+        }
+
+        const tried = attempts.map(a => `${a.gpuTypeId} (${a.reason})`).join(', ');
+        throw { status: 503, message: `No GPU could be deployed. Tried: ${tried}`, details: { attempts, skipped } };
+    }
+
+    // Why a GPU does not meet the requirements, or null
+    _unsuitable(gpu, requirements) {
+        if (this._price(gpu, requirements.cloudType) === null) {
+            return requirements.cloudType === 'ALL' ? 'not offered' : `not offered in ${requirements.cloudType} cloud`;
+        }
+        if ((gpu.memoryInGb || 0) < requirements.minVram) {
+            return `${gpu.memoryInGb || 0} GB VRAM, needs ${requirements.minVram} GB`;
+        }
+        const price = this._price(gpu, requirements.cloudType) * requirements.gpuCount;
+        if (requirements.maxPricePerHour !== null && price > requirements.maxPricePerHour) {
+            return `$${price.toFixed(3)}/hr, over the $${requirements.maxPricePerHour}/hr maximum`;
+        }
+        return null;
+    }
+
+    // Hourly price of one GPU in a cloud type (the cheapest for ALL), or null if not offered there
+    _price(gpu, cloudType) {
+        const secure = gpu.secureCloud !== false && gpu.securePrice ? gpu.securePrice : null;
+        const community = gpu.communityCloud !== false && gpu.communityPrice ? gpu.communityPrice : null;
+        if (cloudType === 'SECURE') return secure;
+        if (cloudType === 'COMMUNITY') return community;
+        if (secure === null) return community;
+        return community === null ? secure : Math.min(secure, community);
+    }
+
+    _candidate(gpu, requirements, preferred) {
+        const price = this._price(gpu, requirements.cloudType);
+        return {
+            gpuTypeId: gpu.id,
+            displayName: gpu.displayName || gpu.id,
+            memoryInGb: gpu.memoryInGb || 0,
+            cloudType: requirements.cloudType,
+            pricePerHour: price === null ? null : Math.round(price * requirements.gpuCount * 1000) / 1000,
+            preferred
+        };
+    }
+}
+
+export const gpuPlacement = new GpuPlacement();
+export default GpuPlacement;
@@ -0,0 +1,677 @@
+import { v4 as uuidv4 } from 'uuid';
+import WebSocket from 'ws';
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { cloudProvider } from './cloud-provider.js';
+import { podGenerator, ENGINE_PORTS } from './pod-generator.js';
+import { podReadiness } from './pod-readiness.js';
+import { workflowEngine } from './workflow-engine.js';
+import { eventBus } from './event-bus.js';
+
+/**
+ * Model Provisioner - installs the models a workflow or launch profile needs
+ * on ComfyUI pods
+ *
+ * A model manifest lists checkpoints, LoRAs, VAEs and ControlNets, each with
+ * the URL it is downloaded from and its folder under COMFYUI_MODELS_DIR (the
+ * type's usual folder unless given). A manifest can belong to a workflow
+ * (installed when that workflow finds no checkpoints on a pod) and be named by
+ * a launch profile or pod request (installed on the new pod).
+ *
+ * Once the pod's ComfyUI answers (see pod-readiness.js), a download script is
+ * written to the pod with the Jupyter contents API and started from a Jupyter
+ * terminal, so the files go straight to the pod. The script logs each model as
+ * it starts and ends; that log and the size of the partial file are the
+ * progress (`provision:progress`). Models ComfyUI already lists are skipped,
+ * and at the end each model is looked up in ComfyUI's object_info for its
+ * loader node.
+ */
+
+// Loader node (and its input) that lists each type of model in object_info
+export const MODEL_TYPES = {
+    checkpoint: { folder: 'checkpoints', node: 'CheckpointLoaderSimple', input: 'ckpt_name' },
+    lora: { folder: 'loras', node: 'LoraLoader', input: 'lora_name' },
+    vae: { folder: 'vae', node: 'VAELoader', input: 'vae_name' },
+    controlnet: { folder: 'controlnet', node: 'ControlNetLoader', input: 'control_net_name' }
+};
+
+export const PROVISION_STATUSES = ['pending', 'installing', 'verifying', 'completed', 'failed'];
+
+const ACTIVE_STATUSES = ['pending', 'installing', 'verifying'];
+const JUPYTER_PORT = 8888;
+// Scripts and logs on the pod
+const PROVISION_DIR = '/workspace/.model-provisioning';
+const POLL_MS = 5000;
+// A script that has not logged anything by then did not start
+const START_TIMEOUT_MS = 60000;
+const MAX_MODELS = 50;
+const PATH_PATTERN = /^[\w.\- ]+(\/[\w.\- ]+)*$/;
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class ModelProvisioner {
+    constructor() {
+        this.subscription = null;
+        // Provision IDs being installed
+        this.running = new Set();
+    }
+
+    /**
+     * Install pending manifests as pods come up, and continue the ones a
+     * restart interrupted (a download still running on the pod is followed,
+     * not started twice)
+     */
+    start() {
+        if (this.subscription) return;
+        this.subscription = eventBus.subscribe((message) => this._onReadiness(message), ['pod:readiness']);
+        for (const provision of database.getModelProvisions({ statuses: ACTIVE_STATUSES, limit: 1000 })) {
+            this._runWhenUp(provision);
+        }
+    }
+
+    // ==================== Manifests ====================
+
+    listManifests() {
+        return database.getModelManifests();
+    }
+
+    getManifest(id) {
+        const manifest = database.getModelManifest(id);
+        if (!manifest) throw { status: 404, message: 'Model manifest not found' };
+        return manifest;
+    }
+
+    createManifest({ name, description, workflowId, models }) {
+        const manifest = {
+            id: uuidv4(),
+            name: this._validateName(name),
+            description: description || null,
+            workflowId: this._validateWorkflow(workflowId),
+            models: this.validateModels(models)
+        };
+
+        database.createModelManifest(manifest);
+        eventBus.publish('manifest:created', { id: manifest.id, name: manifest.name });
+        return database.getModelManifest(manifest.id);
+    }
+
+    /**
+     * Change a manifest; fields not given keep their value
+     */
+    updateManifest(id, { name, description, workflowId, models }) {
+        const manifest = this.getManifest(id);
+        const updates = {};
+
+        if (name !== undefined) updates.name = this._validateName(name, id);
+        if (description !== undefined) updates.description = description || null;
+        if (workflowId !== undefined) updates.workflow_id = this._validateWorkflow(workflowId, id);
+        if (models !== undefined) updates.models = this.validateModels(models);
+
+        if (Object.keys(updates).length > 0) database.updateModelManifest(id, updates);
+        eventBus.publish('manifest:updated', { id, name: updates.name || manifest.name });
+        return database.getModelManifest(id);
+    }
+
+    deleteManifest(id) {
+        const manifest = this.getManifest(id);
+        database.deleteModelManifest(id);
+        eventBus.publish('manifest:deleted', { id, name: manifest.name });
+        return { success: true };
+    }
+
+    /**
+     * Validate the model list of a manifest
+     */
+    validateModels(models) {
+        if (!Array.isArray(models) || models.length === 0 || models.length > MAX_MODELS) {
+            throw { status: 400, message: `models must be a list of 1 to ${MAX_MODELS} models` };
+        }
+
+        const seen = new Set();
+        return models.map((model, i) => {
+            const where = `models[${i}]`;
+            if (!model || typeof model !== 'object') {
+                throw { status: 400, message: `${where} must be an object with type, name and url` };
+            }
+            const type = MODEL_TYPES[model.type];
+            if (!type) {
+                throw { status: 400, message: `${where}.type must be one of: ${Object.keys(MODEL_TYPES).join(', ')}` };
+            }
+            const name = String(model.name || '').trim();
+            if (!this._isSafePath(name)) {
+                throw { status: 400, message: `${where}.name must be a file name, optionally under subfolders (a/b.safetensors)` };
+            }
+            const folder = model.folder ? String(model.folder).trim().replace(/^\/+|\/+$/g, '') : type.folder;
+            if (!this._isSafePath(folder)) {
+                throw { status: 400, message: `${where}.folder must be a folder under the ComfyUI models folder` };
+            }
+            if (!URL_PATTERN.test(model.url || '')) {
+                throw { status: 400, message: `${where}.url must be an http(s) URL` };
+            }
+            if (model.sha256 && !/^[a-f0-9]{64}$/i.test(model.sha256)) {
+                throw { status: 400, message: `${where}.sha256 must be a hex SHA-256 digest` };
+            }
+            if (model.sizeBytes != null && !(Number.isInteger(model.sizeBytes) && model.sizeBytes > 0)) {
+                throw { status: 400, message: `${where}.sizeBytes must be a positive integer` };
+            }
+            if (seen.has(`${folder}/${name}`)) {
+                throw { status: 400, message: `${where} repeats ${folder}/${name}` };
+            }
+            seen.add(`${folder}/${name}`);
+
+            return {
+                type: model.type,
+                name,
+                folder,
+                url: model.url,
+                sha256: model.sha256 ? model.sha256.toLowerCase() : null,
+                sizeBytes: model.sizeBytes ?? null
+            };
+        });
+    }
+
+    // ==================== Provisions ====================
+
+    list(podId = null) {
+        return database.getModelProvisions({ podId });
+    }
+
+    get(id) {
+        const provision = database.getModelProvision(id);
+        if (!provision) throw { status: 404, message: 'Model provision not found' };
+        return provision;
+    }
+
+    /**
+     * Latest provision of a pod, summarized for the pod list (or null)
+     */
+    latestFor(podId) {
+        const [provision] = database.getModelProvisions({ podId, limit: 1 });
+        return provision ? this.summarize(provision) : null;
+    }
+
+    summarize(provision) {
+        return {
+            id: provision.id,
+            podId: provision.pod_id,
+            manifestId: provision.manifest_id,
+            name: provision.manifest_name,
+            status: provision.status,
+            error: provision.error,
+            ...this._progress(provision.models)
+        };
+    }
+
+    /**
+     * Install a manifest on a ComfyUI pod as soon as its service answers. An
+     * unfinished provision of the same manifest on the pod is returned instead.
+     */
+    schedule(podId, manifestId) {
+        const manifest = this.getManifest(manifestId);
+        if (podGenerator.getPodEngine(podId) !== 'comfyui') {
+            throw { status: 400, message: 'Model manifests can only be installed on ComfyUI pods' };
+        }
+
+        const existing = database.getModelProvisions({ podId, statuses: ACTIVE_STATUSES })
+            .find(p => p.manifest_id === manifestId);
+        if (existing) return existing;
+
+        const id = uuidv4();
+        database.createModelProvision({
+            id,
+            podId,
+            manifestId,
+            manifestName: manifest.name,
+            models: manifest.models.map(model => ({
+                ...model,
+                path: `${config.comfyModelsDir}/${model.folder}/${model.name}`,
+                status: 'pending',
+                bytes: 0,
+                verified: null,
+                error: null
+            }))
+        });
+        eventBus.publish('provision:scheduled', { id, podId, name: manifest.name, total: manifest.models.length });
+
+        const provision = database.getModelProvision(id);
+        this._runWhenUp(provision);
+        return provision;
+    }
+
+    /**
+     * For a pod without checkpoints: the provision of the workflow's manifest
+     * (under way or new), or null if no manifest of the workflow brings one
+     */
+    provisionForWorkflow(podId, workflowId) {
+        const manifest = database.getModelManifestByWorkflow(workflowId);
+        if (!manifest || !manifest.models.some(m => m.type === 'checkpoint')) return null;
+        return this.schedule(podId, manifest.id);
+    }
+
+    /**
+     * Try a failed provision again; installed models are kept
+     */
+    retry(id) {
+        const provision = this.get(id);
+        if (provision.status !== 'failed') {
+            throw { status: 400, message: `Only failed provisions can be retried (this one is ${provision.status})` };
+        }
+        const models = provision.models.map(model => model.status === 'installed' && model.verified !== false
+            ? model
+            : { ...model, status: 'pending', verified: null, error: null });
+
+        database.updateModelProvision(id, { status: 'pending', models, error: null, completed_at: null });
+        this._runWhenUp(database.getModelProvision(id));
+        return database.getModelProvision(id);
+    }
+
+    _onReadiness(message) {
+        const { podId, state } = message.data || {};
+        if (state !== 'service-up' && state !== 'ready') return;
+        for (const provision of database.getModelProvisions({ podId, statuses: ACTIVE_STATUSES })) {
+            this._run(provision.id);
+        }
+    }
+
+    _runWhenUp(provision) {
+        const state = podReadiness.get(provision.pod_id)?.state;
+        if (state === 'service-up' || state === 'ready') return this._run(provision.id);
+
+        // Probe now instead of waiting for the next poll; a pod that is up
+        // comes back through _onReadiness
+        podReadiness.probe(provision.pod_id).catch(error => {
+            if (error.status === 404) this._finish(provision.id, 'failed', 'Pod not found');
+            else console.error(`Readiness probe of pod ${provision.pod_id} failed:`, error.message);
+        });
+    }
+
+    async _run(id) {
+        if (this.running.has(id)) return;
+        this.running.add(id);
+        try {
+            await this._install(id);
+        } catch (error) {
+            console.error(`Model provision ${id} failed:`, error.message);
+            this._finish(id, 'failed', error.message || String(error));
+        } finally {
+            this.running.delete(id);
+        }
+    }
+
+    async _install(id) {
+        const provision = database.getModelProvision(id);
+        if (!provision || !ACTIVE_STATUSES.includes(provision.status)) return;
+
+        const podId = provision.pod_id;
+        const comfyUrl = cloudProvider.getServiceUrl(podId, ENGINE_PORTS.comfyui);
+        const models = provision.models;
+        const attempt = provision.attempts + 1;
+
+        database.updateModelProvision(id, {
+            status: 'installing',
+            attempts: attempt,
+            started_at: provision.started_at || new Date().toISOString()
+        });
+        console.log(`📦 Installing manifest "${provision.manifest_name}" on pod ${podId} (attempt ${attempt})`);
+        eventBus.publish('provision:started', { id, podId, name: provision.manifest_name, total: models.length });
+
+        // Models ComfyUI already lists are not downloaded again
+        const listed = await this._listedModels(comfyUrl, models);
+        for (const model of models) {
+            if (model.status !== 'installed' && listed(model)) {
+                Object.assign(model, { status: 'installed', verified: true, error: null });
+            }
+        }
+
+        if (models.some(m => m.status !== 'installed')) {
+            await this._download(provision, models, attempt);
+        }
+
+        database.updateModelProvision(id, { status: 'verifying', models });
+        const verify = await this._listedModels(comfyUrl, models);
+        for (const model of models.filter(m => m.status === 'installed')) {
+            // Only the type's own folder is listed by its loader node
+            model.verified = model.folder === MODEL_TYPES[model.type].folder ? verify(model) : null;
+            if (model.verified === false) model.error = `ComfyUI does not list it in ${MODEL_TYPES[model.type].node}`;
+        }
+        database.updateModelProvision(id, { models });
+
+        const failed = models.filter(m => m.status !== 'installed' || m.verified === false);
+        if (failed.length > 0) {
+            this._finish(id, 'failed', `${failed.length} of ${models.length} model(s) not installed: ${failed.map(m => m.name).join(', ')}`);
+        } else {
+            this._finish(id, 'completed');
+        }
+    }
+
+    /**
+     * Write the download script to the pod, start it and follow its log
+     * until it ends
+     */
+    async _download(provision, models, attempt) {
+        const { id, pod_id: podId } = provision;
+        const jupyterUrl = cloudProvider.getServiceUrl(podId, JUPYTER_PORT);
+        const logPath = `${PROVISION_DIR}/${id}.log`;
+        const scriptPath = `${PROVISION_DIR}/${id}.${attempt}.sh`;
+
+        await this._save(jupyterUrl, PROVISION_DIR, { type: 'directory' });
+        await this._save(jupyterUrl, scriptPath, {
+            type: 'file',
+            format: 'text',
+            content: this._script(provision, models, logPath, attempt)
+        });
+        await this._runInTerminal(jupyterUrl, `setsid nohup bash ${shellQuote(scriptPath)} > /dev/null 2>&1 &`);
+
+        const startedAt = Date.now();
+        const deadline = startedAt + config.provisionTimeoutMinutes * 60000;
+        let lastProgress = null;
+
+        while (true) {
+            await sleep(POLL_MS);
+
+            const log = await this._readText(jupyterUrl, logPath);
+            const { started, ended } = this._applyLog(models, log || '', attempt);
+            if (!started && Date.now() - startedAt > START_TIMEOUT_MS) {
+                throw new Error('The download script did not start on the pod');
+            }
+
+            const current = models.find(m => m.status === 'downloading');
+            if (current) {
+                current.bytes = (await this._fileSize(jupyterUrl, `${current.path}.part`)) ?? current.bytes;
+            }
+            database.updateModelProvision(id, { models });
+
+            const progress = this._progress(models);
+            if (JSON.stringify(progress) !== lastProgress) {
+                lastProgress = JSON.stringify(progress);
+                eventBus.publish('provision:progress', { id, podId, name: provision.manifest_name, ...progress });
+            }
+
+            if (ended) return;
+            if (podReadiness.get(podId)?.state === 'stopped') {
+                throw new Error('The pod stopped while its models were being installed');
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Models not installed after ${config.provisionTimeoutMinutes} minutes`);
+            }
+        }
+    }
+
+    /**
+     * Bash script that downloads the models not installed yet. It logs
+     * `begin <attempt>`, `start <i>`, `done <i> <bytes>`, `fail <i> <reason>`
+     * and `end`; a lock keeps a second copy from downloading the same files.
+     */
+    _script(provision, models, logPath, attempt) {
+        const downloads = models
+            .map((model, index) => ({ model, index }))
+            .filter(({ model }) => model.status !== 'installed')
+            .map(({ model, index }) =>
+                `download ${index} ${shellQuote(model.url)} ${shellQuote(model.path)} ${shellQuote(model.sha256 || '')}`);
+
+        return `#!/bin/bash
+# Models of provision ${provision.id} (attempt ${attempt})
+LOG=${shellQuote(logPath)}
+exec 9>"$LOG.lock"
+# An earlier attempt still downloading is left to finish
+flock -n 9 || exit 0
+echo "begin ${attempt}" >> "$LOG"
+
+fetch() {
+    if command -v curl > /dev/null; then
+        curl -fsSL --retry 3 -C - -o "$2" "$1"
+    else
+        wget -q -c -O "$2" "$1"
+    fi
+}
+
+download() {
+    local index="$1" url="$2" dest="$3" sha256="$4"
+    mkdir -p "$(dirname "$dest")"
+    if [ -s "$dest" ]; then
+        echo "done $index $(stat -c %s "$dest")" >> "$LOG"
+        return
+    fi
+    echo "start $index" >> "$LOG"
+    fetch "$url" "$dest.part"
+    local status=$?
+    if [ "$status" = 0 ] && [ -n "$sha256" ] && ! echo "$sha256  $dest.part" | sha256sum -c --status; then
+        rm -f "$dest.part"
+        status=checksum
+    fi
+    if [ "$status" = 0 ]; then
+        mv "$dest.part" "$dest"
+        echo "done $index $(stat -c %s "$dest")" >> "$LOG"
+    else
+        echo "fail $index $status" >> "$LOG"
+    fi
+}
+
+${downloads.join('\n')}
+echo "end" >> "$LOG"
+`;
+    }
+
+    /**
+     * Apply the log of the latest script run to the models. A finished run
+     * of an earlier attempt means this attempt's script has not started yet;
+     * an unfinished one is still downloading and is followed.
+     */
+    _applyLog(models, log, attempt) {
+        const lines = log.split('\n').map(line => line.trim().split(/\s+/));
+        const begin = lines.map(([word]) => word).lastIndexOf('begin');
+        if (begin === -1) return { started: false, ended: false };
+
+        const run = lines.slice(begin + 1);
+        const ended = run.some(([word]) => word === 'end');
+        if (parseInt(lines[begin][1]) < attempt && ended) return { started: false, ended: false };
+
+        for (const [word, index, detail] of run) {
+            const model = models[parseInt(index)];
+            if (!model) continue;
+            if (word === 'start' && model.status !== 'installed') {
+                Object.assign(model, { status: 'downloading', error: null });
+            } else if (word === 'done') {
+                Object.assign(model, { status: 'installed', bytes: parseInt(detail) || model.bytes, error: null });
+            } else if (word === 'fail') {
+                const error = detail === 'checksum'
+                    ? 'SHA-256 does not match'
+                    : detail === '22' ? 'Download refused by the server (HTTP error)' : `Download failed (exit ${detail})`;
+                Object.assign(model, { status: 'failed', error });
+            }
+        }
+        // Whatever the run did not get to (its script was killed) failed
+        if (ended) {
+            for (const model of models.filter(m => m.status === 'downloading' || m.status === 'pending')) {
+                Object.assign(model, { status: 'failed', error: model.error || 'Not downloaded' });
+            }
+        }
+        return { started: true, ended };
+    }
+
+    _progress(models) {
+        const current = models.find(m => m.status === 'downloading');
+        const sizes = models.map(m => m.status === 'installed' ? m.bytes || m.sizeBytes : m.sizeBytes);
+        return {
+            total: models.length,
+            installed: models.filter(m => m.status === 'installed').length,
+            failed: models.filter(m => m.status === 'failed').length,
+            bytes: models.reduce((sum, m) => sum + (m.bytes || 0), 0),
+            totalBytes: sizes.every(Boolean) ? sizes.reduce((a, b) => a + b, 0) : null,
+            current: current ? { name: current.name, bytes: current.bytes, sizeBytes: current.sizeBytes } : null
+        };
+    }
+
+    _finish(id, status, error = null) {
+        database.updateModelProvision(id, { status, error, completed_at: new Date().toISOString() });
+        const provision = database.getModelProvision(id);
+        const event = { id, podId: provision.pod_id, name: provision.manifest_name, ...this._progress(provision.models) };
+
+        if (status === 'completed') {
+            console.log(`📦 Manifest "${provision.manifest_name}" installed on pod ${provision.pod_id}`);
+            eventBus.publish('provision:completed', event);
+        } else {
+            eventBus.publish('provision:failed', { ...event, error });
+        }
+    }
+
+    // ==================== ComfyUI ====================
+
+    /**
+     * Checks whether ComfyUI's loader nodes list a model (by its name in the
+     * type's folder); a node that cannot be queried lists nothing
+     */
+    async _listedModels(comfyUrl, models) {
+        const lists = new Map();
+        for (const type of new Set(models.map(m => m.type))) {
+            const { node, input } = MODEL_TYPES[type];
+            try {
+                const response = await fetch(`${comfyUrl}/object_info/${node}`, { signal: AbortSignal.timeout(15000) });
+                const data = response.ok ? await response.json() : null;
+                const names = data?.[node]?.input?.required?.[input]?.[0] || [];
+                lists.set(type, new Set(names.map(name => String(name).replace(/\\/g, '/'))));
+            } catch (error) {
+                console.warn(`Could not list ${type} models on ${comfyUrl}:`, error.message);
+                lists.set(type, new Set());
+            }
+        }
+        return (model) => lists.get(model.type)?.has(model.name) || false;
+    }
+
+    // ==================== Jupyter ====================
+
+    _headers(extra = {}) {
+        return config.jupyterToken ? { ...extra, Authorization: `token ${config.jupyterToken}` } : extra;
+    }
+
+    // Contents API paths are relative to Jupyter's root, which is / on RunPod pods
+    _contentsUrl(jupyterUrl, path) {
+        return `${jupyterUrl}/api/contents${path.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    async _save(jupyterUrl, path, model) {
+        const response = await fetch(this._contentsUrl(jupyterUrl, path), {
+            method: 'PUT',
+            headers: this._headers({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(model),
+            signal: AbortSignal.timeout(15000)
+        });
+        if (!response.ok) {
+            throw new Error(`Jupyter could not write ${path} (HTTP ${response.status})`);
+        }
+    }
+
+    async _readText(jupyterUrl, path) {
+        try {
+            const response = await fetch(`${this._contentsUrl(jupyterUrl, path)}?type=file&format=text&content=1&_=${Date.now()}`, {
+                headers: this._headers(),
+                signal: AbortSignal.timeout(15000)
+            });
+            if (!response.ok) return null;
+            return (await response.json()).content;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async _fileSize(jupyterUrl, path) {
+        try {
+            const response = await fetch(`${this._contentsUrl(jupyterUrl, path)}?content=0&_=${Date.now()}`, {
+                headers: this._headers(),
+                signal: AbortSignal.timeout(15000)
+            });
+            if (!response.ok) return null;
+            return (await response.json()).size ?? null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Type a command into a new Jupyter terminal, then close the terminal
+     * (the command must detach itself to keep running)
+     */
+    async _runInTerminal(jupyterUrl, command) {
+        const response = await fetch(`${jupyterUrl}/api/terminals`, {
+            method: 'POST',
+            headers: this._headers(),
+            signal: AbortSignal.timeout(15000)
+        });
+        if (!response.ok) {
+            throw new Error(`Jupyter could not open a terminal (HTTP ${response.status})`);
+        }
+        const { name } = await response.json();
+
+        const token = config.jupyterToken ? `?token=${encodeURIComponent(config.jupyterToken)}` : '';
+        await new Promise((resolve, reject) => {
+            const socket = new WebSocket(`${jupyterUrl.replace(/^http/, 'ws')}/terminals/websocket/${name}${token}`);
+            const timer = setTimeout(() => {
+                socket.terminate();
+                reject(new Error('The Jupyter terminal did not answer'));
+            }, 15000);
+
+            socket.on('open', () => {
+                socket.send(JSON.stringify(['stdin', `${command}\r`]));
+                // Give the shell a moment to read the line before hanging up
+                setTimeout(() => {
+                    clearTimeout(timer);
+                    socket.close();
+                    resolve();
+                }, 1000);
+            });
+            socket.on('error', (error) => {
+                clearTimeout(timer);
+                reject(new Error(`Jupyter terminal error: ${error.message}`));
+            });
+        });
+
+        await fetch(`${jupyterUrl}/api/terminals/${name}`, {
+            method: 'DELETE',
+            headers: this._headers(),
+            signal: AbortSignal.timeout(15000)
+        }).catch(() => { /* The terminal goes away with the pod anyway */ });
+    }
+
+    // ==================== Helpers ====================
+
+    _validateName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (trimmed.length < 2 || trimmed.length > 50) {
+            throw { status: 400, message: 'Manifest name must be between 2 and 50 characters' };
+        }
+        if (/[\u0000-\u001f\u007f]/.test(trimmed)) {
+            throw { status: 400, message: 'Manifest name cannot contain control characters' };
+        }
+        const existing = database.getModelManifestByName(trimmed);
+        if (existing && existing.id !== exceptId) {
+            throw { status: 409, message: `Model manifest "${trimmed}" already exists` };
+        }
+        return trimmed;
+    }
+
+    _validateWorkflow(workflowId, exceptId = null) {
+        if (!workflowId) return null;
+        if (!workflowEngine.getWorkflow(workflowId)) {
+            throw { status: 400, message: `Unknown workflow "${workflowId}"` };
+        }
+        const existing = database.getModelManifestByWorkflow(workflowId);
+        if (existing && existing.id !== exceptId) {
+            throw { status: 409, message: `Workflow "${workflowId}" already has the manifest "${existing.name}"` };
+        }
+        return workflowId;
+    }
+
+    _isSafePath(path) {
+        return PATH_PATTERN.test(path) && !path.split('/').some(part => part.trim() === '.' || part.trim() === '..');
+    }
+}
+
+export const modelProvisioner = new ModelProvisioner();
+export default ModelProvisioner;
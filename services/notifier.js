@@ -0,0 +1,426 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { smtpClient } from '../utils/smtp-client.js';
+import { eventPayload } from '../utils/event-payload.js';
+
+/**
+ * Notifier - outbound notifications for orchestrator events
+ *
+ * Events broadcast to the dashboard are also matched against routing rules
+ * and delivered to channels: generic HTTP webhooks (optionally signed with
+ * HMAC-SHA256), Slack / Discord incoming webhooks and email over SMTP.
+ * Every delivery is logged; failures are retried with exponential backoff
+ * until NOTIFY_MAX_ATTEMPTS is reached. Deliveries carry the event without
+ * job outputs (see utils/event-payload.js).
+ */
+
+export const CHANNEL_TYPES = ['webhook', 'slack', 'discord', 'email'];
+
+// Events worth notifying about, with a one-line summary for chat/email.
+// Wildcard rules only match these; noisy events (job:running, batch:progress...)
+// can still be routed with an exact rule.
+export const NOTIFIABLE_EVENTS = {
+    'job:failed': (d) => `Job ${d.id} failed${d.deadLettered ? ' and was moved to the dead letter queue' : ''}: ${d.error || 'unknown error'}`,
+    'job:completed': (d) => `Job ${d.id} completed${d.duration ? ` in ${(d.duration / 1000).toFixed(1)}s` : ''}`,
+    'batch:complete': (d) => `Batch ${d.batchId} finished: ${d.completed}/${d.total} completed, ${d.failed} failed`,
+    'batch:error': (d) => `Batch ${d.batchId} error: ${d.error}`,
+    'pod:auto-stopped': (d) => `Pod ${d.podName} was stopped after ${d.idleMinutes} minutes of inactivity`,
+    'pod:spending-limit-exceeded': (d) => `Pod ${d.podName} was terminated: spent $${d.totalSpent} of its $${d.spendingLimit} limit`,
+    'pod:auto-stop-failed': (d) => `Could not auto-stop pod ${d.podName || d.podId}: ${d.error}`,
+    'pod:terminate-failed': (d) => `Could not terminate pod ${d.podName || d.podId}: ${d.error}`,
+    'pod:interrupted': (d) => `Spot pod ${d.name} was interrupted at $${d.bidPerGpu}/GPU/hr (policy: ${d.policy})`,
+    'pod:replaced': (d) => `Spot pod ${d.name} was replaced by on-demand pod ${d.newPodId}`,
+    'pod:spot-lost': (d) => `Spot pod ${d.name} could not be recovered (policy: ${d.policy})`,
+    'pod:ready': (d) => `Pod ${d.name} is ready: ${d.message}`,
+    'provision:completed': (d) => `Models of manifest "${d.name}" installed on pod ${d.podId} (${d.installed}/${d.total})`,
+    'provision:failed': (d) => `Models of manifest "${d.name}" not installed on pod ${d.podId}: ${d.error}`,
+    'billing:discrepancy': (d) => `Billing discrepancy: provider charged $${d.provider_spend?.toFixed(4)}, recorded $${d.recorded_spend?.toFixed(4)}`,
+    'budget:forecast-warning': (d) => `${d.name}: ${d.period} budget of $${d.limit} is projected to run out at ${d.exhaustsAt}`,
+    'pipeline:completed': (d) => `Pipeline "${d.name}" completed with ${d.images?.length || 0} image(s) and ${d.gifs?.length || 0} video(s)`,
+    'pipeline:failed': (d) => `Pipeline "${d.name}" failed: ${d.error}`,
+    'schedule:failed': (d) => `Schedule "${d.name}" could not ${d.skipped ? 'run on time and was skipped' : 'start'}: ${d.error}`
+};
+
+const TEST_EVENT = 'notification:test';
+const RETRY_POLL_MS = 5000;
+const PURGE_INTERVAL_MS = 3600 * 1000;
+
+class Notifier {
+    constructor() {
+        this.retryInterval = null;
+        this.inFlight = new Set();
+        this.lastPurge = 0;
+    }
+
+    /**
+     * Start retrying pending deliveries (including those left over from a restart)
+     */
+    start() {
+        if (this.retryInterval) return;
+        this.retryInterval = setInterval(() => this.processDue(), RETRY_POLL_MS);
+    }
+
+    // ==================== Routing ====================
+
+    /**
+     * Queue a delivery on every channel with a rule matching the event
+     */
+    notify(event, data) {
+        try {
+            const channelIds = new Set(
+                database.getNotificationRules()
+                    .filter(r => r.enabled && this._matches(r.event, event))
+                    .map(r => r.channel_id)
+            );
+
+            for (const channelId of channelIds) {
+                const channel = database.getNotificationChannel(channelId);
+                if (!channel?.enabled) continue;
+                this._enqueue(channel, event, data);
+            }
+        } catch (error) {
+            // Notifications must never break the code that emitted the event
+            console.error('Notification routing error:', error.message);
+        }
+    }
+
+    _matches(pattern, event) {
+        if (pattern === event) return true;
+        if (!(event in NOTIFIABLE_EVENTS)) return false;
+        if (pattern === '*') return true;
+        return pattern.endsWith(':*') && event.startsWith(pattern.slice(0, -1));
+    }
+
+    _enqueue(channel, event, data) {
+        const id = uuidv4();
+        database.createNotificationDelivery({
+            id,
+            channelId: channel.id,
+            event,
+            // Outputs and stream chunks are left out: they are kept through retries
+            payload: { event, data: eventPayload.compact(data), timestamp: new Date().toISOString() },
+            nextAttemptAt: Date.now()
+        });
+        // First attempt right away, retries come from processDue()
+        this.attempt(id);
+        return id;
+    }
+
+    // ==================== Delivery ====================
+
+    async processDue() {
+        const now = Date.now();
+        if (now - this.lastPurge >= PURGE_INTERVAL_MS) {
+            this.lastPurge = now;
+            database.deleteOldNotificationDeliveries(config.notifyLogRetentionDays);
+        }
+
+        for (const id of database.getDueNotificationDeliveries(now)) {
+            await this.attempt(id);
+        }
+    }
+
+    /**
+     * Try to send one delivery; on failure schedule the next attempt or give up
+     */
+    async attempt(deliveryId) {
+        if (this.inFlight.has(deliveryId)) return;
+        this.inFlight.add(deliveryId);
+
+        try {
+            const delivery = database.getNotificationDelivery(deliveryId);
+            if (!delivery || delivery.status !== 'pending') return;
+
+            const attempts = delivery.attempts + 1;
+            const channel = database.getNotificationChannel(delivery.channel_id);
+
+            try {
+                if (!channel) throw { permanent: true, message: 'Channel was deleted' };
+                const result = await this._send(channel, delivery);
+                database.updateNotificationDelivery(deliveryId, { attempts });
+                database.markNotificationDelivered(deliveryId, result.status);
+            } catch (error) {
+                const giveUp = error.permanent || attempts >= config.notifyMaxAttempts;
+                const delayMs = config.notifyRetryBaseSeconds * 1000 * Math.pow(2, attempts - 1);
+                database.updateNotificationDelivery(deliveryId, {
+                    attempts,
+                    status: giveUp ? 'failed' : 'pending',
+                    next_attempt_at: giveUp ? null : Date.now() + delayMs,
+                    last_error: String(error.message || error).slice(0, 500),
+                    response_status: error.status ?? null
+                });
+                if (giveUp) {
+                    console.warn(`🔕 Notification ${delivery.event} to ${channel?.name || delivery.channel_id} failed: ${error.message}`);
+                }
+            }
+        } finally {
+            this.inFlight.delete(deliveryId);
+        }
+    }
+
+    async _send(channel, delivery) {
+        const summary = this.summarize(delivery.event, delivery.payload.data);
+
+        switch (channel.type) {
+            case 'webhook': {
+                const body = JSON.stringify({ id: delivery.id, ...delivery.payload, summary });
+                const headers = {
+                    'X-Orchestrator-Event': delivery.event,
+                    'X-Orchestrator-Delivery': delivery.id
+                };
+                if (channel.config.secret) {
+                    const timestamp = Math.floor(Date.now() / 1000).toString();
+                    headers['X-Orchestrator-Timestamp'] = timestamp;
+                    headers['X-Orchestrator-Signature'] = 'sha256=' + crypto
+                        .createHmac('sha256', channel.config.secret)
+                        .update(`${timestamp}.${body}`)
+                        .digest('hex');
+                }
+                return this._post(channel.config.url, body, headers);
+            }
+            case 'slack':
+                return this._post(channel.config.url, JSON.stringify({ text: this._chatText(summary) }));
+            case 'discord':
+                return this._post(channel.config.url, JSON.stringify({ content: this._chatText(summary).slice(0, 2000) }));
+            case 'email': {
+                if (!config.smtpHost) throw { permanent: true, message: 'SMTP_HOST is not configured' };
+                const result = await smtpClient.sendMail({
+                    host: config.smtpHost,
+                    port: config.smtpPort,
+                    secure: config.smtpSecure,
+                    user: config.smtpUser,
+                    password: config.smtpPassword,
+                    timeoutMs: config.notifyTimeoutSeconds * 1000
+                }, {
+                    from: config.smtpFrom,
+                    to: channel.config.to,
+                    subject: `[GPU Orchestrator] ${summary}`.slice(0, 200),
+                    text: [
+                        summary,
+                        '',
+                        `Event: ${delivery.event}`,
+                        `Time: ${delivery.payload.timestamp}`,
+                        config.publicUrl ? `Panel: ${config.publicUrl}` : null,
+                        '',
+                        this._truncate(JSON.stringify(delivery.payload.data, null, 2), 4000)
+                    ].filter(line => line !== null).join('\n')
+                });
+                return { status: null, response: result.response };
+            }
+            default:
+                throw { permanent: true, message: `Unknown channel type "${channel.type}"` };
+        }
+    }
+
+    async _post(url, body, headers = {}) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'User-Agent': 'gpu-orchestrator', ...headers },
+                body,
+                signal: AbortSignal.timeout(config.notifyTimeoutSeconds * 1000)
+            });
+        } catch (error) {
+            throw { message: error.name === 'TimeoutError' ? 'Request timed out' : error.cause?.message || error.message };
+        }
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            throw {
+                status: response.status,
+                // Client errors will not fix themselves, except timeouts and rate limits
+                permanent: response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status),
+                message: `HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`
+            };
+        }
+        return { status: response.status };
+    }
+
+    // Job outputs can carry base64 images; keep emails readable
+    _truncate(text = '', max) {
+        return text.length > max ? `${text.slice(0, max)}\n… (${text.length - max} more characters)` : text;
+    }
+
+    _chatText(summary) {
+        return config.publicUrl ? `${summary}\n${config.publicUrl}` : summary;
+    }
+
+    summarize(eventName, data = {}) {
+        if (eventName === TEST_EVENT) return 'Test notification from GPU Orchestrator';
+        const format = NOTIFIABLE_EVENTS[eventName];
+        try {
+            return format ? format(data) : `${eventName}`;
+        } catch (error) {
+            return eventName;
+        }
+    }
+
+    // ==================== Channels ====================
+
+    /**
+     * Channel as returned by the API (webhook secrets are never sent back)
+     */
+    toPublic(channel) {
+        if (!channel) return null;
+        const { secret, ...rest } = channel.config || {};
+        return { ...channel, enabled: !!channel.enabled, config: { ...rest, hasSecret: !!secret } };
+    }
+
+    listChannels() {
+        return database.getNotificationChannels().map(c => this.toPublic(c));
+    }
+
+    getChannel(channelId) {
+        const channel = database.getNotificationChannel(channelId);
+        if (!channel) throw { status: 404, message: 'Notification channel not found' };
+        return channel;
+    }
+
+    createChannel({ name, type, config: channelConfig = {}, enabled = true }) {
+        if (!CHANNEL_TYPES.includes(type)) {
+            throw { status: 400, message: `Invalid channel type. Use one of: ${CHANNEL_TYPES.join(', ')}` };
+        }
+        const id = uuidv4();
+        database.createNotificationChannel({
+            id,
+            name: this._validateName(name),
+            type,
+            config: this._validateConfig(type, channelConfig),
+            enabled
+        });
+        return this.toPublic(database.getNotificationChannel(id));
+    }
+
+    updateChannel(channelId, { name, config: channelConfig, enabled }) {
+        const channel = this.getChannel(channelId);
+        const updates = {};
+        if (name !== undefined) updates.name = this._validateName(name);
+        if (enabled !== undefined) updates.enabled = enabled ? 1 : 0;
+        if (channelConfig !== undefined) {
+            // Omitted secret keeps the current one, '' removes it
+            const merged = { ...channelConfig };
+            if (merged.secret === undefined && channel.config.secret) merged.secret = channel.config.secret;
+            updates.config = this._validateConfig(channel.type, merged);
+        }
+
+        if (Object.keys(updates).length > 0) {
+            database.updateNotificationChannel(channelId, updates);
+        }
+        return this.toPublic(database.getNotificationChannel(channelId));
+    }
+
+    deleteChannel(channelId) {
+        this.getChannel(channelId);
+        database.deleteNotificationChannel(channelId);
+        return { success: true };
+    }
+
+    /**
+     * Send a test notification now and return the resulting delivery
+     */
+    async testChannel(channelId) {
+        const channel = this.getChannel(channelId);
+        const id = uuidv4();
+        database.createNotificationDelivery({
+            id,
+            channelId: channel.id,
+            event: TEST_EVENT,
+            payload: { event: TEST_EVENT, data: { channel: channel.name }, timestamp: new Date().toISOString() },
+            nextAttemptAt: Date.now()
+        });
+        await this.attempt(id);
+        return database.getNotificationDelivery(id);
+    }
+
+    _validateName(name) {
+        const trimmed = (name || '').trim();
+        if (trimmed.length < 2 || trimmed.length > 50) {
+            throw { status: 400, message: 'Channel name must be between 2 and 50 characters' };
+        }
+        return trimmed;
+    }
+
+    _validateConfig(type, channelConfig) {
+        if (type === 'email') {
+            const to = [].concat(channelConfig.to || [])
+                .flatMap(v => String(v).split(','))
+                .map(v => v.trim())
+                .filter(Boolean);
+            if (to.length === 0 || to.some(address => !/^[^\s@<>]+@[^\s@<>]+$/.test(address))) {
+                throw { status: 400, message: 'Email channels need one or more valid recipient addresses' };
+            }
+            return { to };
+        }
+
+        let url;
+        try {
+            url = new URL(channelConfig.url);
+        } catch (e) {
+            throw { status: 400, message: 'A valid webhook URL is required' };
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw { status: 400, message: 'Webhook URL must use http or https' };
+        }
+
+        const result = { url: url.toString() };
+        if (type === 'webhook' && channelConfig.secret) result.secret = String(channelConfig.secret);
+        return result;
+    }
+
+    // ==================== Rules ====================
+
+    listRules() {
+        return database.getNotificationRules().map(r => ({ ...r, enabled: !!r.enabled }));
+    }
+
+    createRule({ channelId, event }) {
+        this.getChannel(channelId);
+        const pattern = (event || '').trim();
+        if (!/^(\*|[a-z-]+:(\*|[a-z-]+))$/.test(pattern)) {
+            throw { status: 400, message: 'Event must be an event name (job:failed), a group (pod:*) or *' };
+        }
+        const duplicate = database.getNotificationRules().find(r => r.channel_id === channelId && r.event === pattern);
+        if (duplicate) throw { status: 409, message: 'This rule already exists' };
+
+        const id = uuidv4();
+        database.createNotificationRule({ id, channelId, event: pattern });
+        return this.listRules().find(r => r.id === id);
+    }
+
+    setRuleEnabled(ruleId, enabled) {
+        const result = database.setNotificationRuleEnabled(ruleId, enabled);
+        if (result.changes === 0) throw { status: 404, message: 'Rule not found' };
+        return this.listRules().find(r => r.id === ruleId);
+    }
+
+    deleteRule(ruleId) {
+        const result = database.deleteNotificationRule(ruleId);
+        if (result.changes === 0) throw { status: 404, message: 'Rule not found' };
+        return { success: true };
+    }
+
+    // ==================== Delivery log ====================
+
+    listDeliveries(limit = 100, status = null) {
+        return database.getNotificationDeliveries(limit, status);
+    }
+
+    /**
+     * Send a failed delivery again with a fresh attempt budget
+     */
+    async retryDelivery(deliveryId) {
+        const delivery = database.getNotificationDelivery(deliveryId);
+        if (!delivery) throw { status: 404, message: 'Delivery not found' };
+        if (delivery.status !== 'failed') throw { status: 400, message: 'Only failed deliveries can be retried' };
+
+        database.updateNotificationDelivery(deliveryId, { status: 'pending', attempts: 0, next_attempt_at: Date.now() });
+        await this.attempt(deliveryId);
+        return database.getNotificationDelivery(deliveryId);
+    }
+}
+
+export const notifier = new Notifier();
+export default Notifier;
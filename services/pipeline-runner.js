@@ -0,0 +1,704 @@
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { sanitizer } from '../utils/sanitizer.js';
+import { eventBus } from './event-bus.js';
+import { queueManager } from './queue-manager.js';
+import { podGenerator } from './pod-generator.js';
+import { workflowEngine } from './workflow-engine.js';
+import { assetStore } from './asset-store.js';
+import { projectManager } from './project-manager.js';
+
+/**
+ * Pipeline Runner - multi-step generations (job DAGs)
+ *
+ * A pipeline is a list of steps. A `workflow` step builds a ComfyUI workflow
+ * with workflowEngine.buildPrompt and runs it on a pod (podId) or on a
+ * serverless ComfyUI endpoint (endpointId, sent through the job queue); a
+ * `job` step submits its input to an endpoint through the job queue. Any
+ * string in a step can reference the run input or earlier outputs:
+ *
+ *   {{input.prompt}}           value given when starting the run
+ *   {{steps.base.seed}}        seed used by step "base"
+ *   {{steps.base.image}}       first image (or video) of "base"
+ *   {{steps.base.images}}      all its images
+ *   {{steps.base.output.x}}    field of a serverless job's raw output
+ *
+ * Referenced images are uploaded to the pod (LoadImage) or sent base64-encoded
+ * to endpoints. A step starts once every step it references or lists in
+ * `needs` has completed, so independent branches run in parallel. Runs and
+ * their steps live in SQLite and are picked up again after a restart.
+ */
+
+export const STEP_TYPES = ['workflow', 'job'];
+const MAX_STEPS = 20;
+const MAX_STEP_RETRIES = 5;
+const STEP_ID_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+const REFERENCE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+const WHOLE_REFERENCE_PATTERN = /^\{\{\s*([^}]+?)\s*\}\}$/;
+const JOB_EVENTS = ['job:completed', 'job:failed', 'job:cancelled'];
+// Wait before retrying a failed step (multiplied by the attempt number)
+const RETRY_DELAY_MS = 5000;
+
+class PipelineRunner {
+    constructor() {
+        this.subscription = null;
+    }
+
+    /**
+     * Follow the jobs submitted by job steps and continue interrupted runs
+     */
+    start() {
+        if (this.subscription) return;
+        this.subscription = eventBus.subscribe((message) => this._onJobEvent(message), JOB_EVENTS);
+        this.resumeInterrupted();
+    }
+
+    // ==================== Definitions ====================
+
+    listPipelines() {
+        return database.getPipelines();
+    }
+
+    getPipeline(id) {
+        return this._requirePipeline(id);
+    }
+
+    createPipeline({ name, description, steps }, userId = null) {
+        const id = uuidv4();
+        database.createPipeline({
+            id,
+            name: this._validateName(name),
+            description: description || null,
+            steps: this.validateSteps(steps),
+            userId
+        });
+        return database.getPipeline(id);
+    }
+
+    updatePipeline(id, { name, description, steps }) {
+        this._requirePipeline(id);
+
+        const updates = {};
+        if (name !== undefined) updates.name = this._validateName(name);
+        if (description !== undefined) updates.description = description || null;
+        if (steps !== undefined) updates.steps = this.validateSteps(steps);
+
+        if (Object.keys(updates).length > 0) {
+            database.updatePipeline(id, updates);
+        }
+        return database.getPipeline(id);
+    }
+
+    deletePipeline(id) {
+        this._requirePipeline(id);
+        database.deletePipeline(id);
+        return { success: true };
+    }
+
+    /**
+     * Check and normalize a step list; every step gets the full list of steps it waits for
+     */
+    validateSteps(steps) {
+        if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+            throw { status: 400, message: `A pipeline needs between 1 and ${MAX_STEPS} steps` };
+        }
+
+        const ids = new Set();
+        const normalized = steps.map((step, index) => {
+            if (!step || typeof step !== 'object') {
+                throw { status: 400, message: `Step ${index + 1} must be an object` };
+            }
+            const id = step.id ?? `step${index + 1}`;
+            if (!STEP_ID_PATTERN.test(id)) {
+                throw { status: 400, message: `Invalid step id "${id}" (letters, numbers, - and _)` };
+            }
+            if (ids.has(id)) {
+                throw { status: 400, message: `Duplicate step id "${id}"` };
+            }
+            ids.add(id);
+            return this._validateStep(id, step);
+        });
+
+        normalized.forEach((step, index) => {
+            const explicit = steps[index].needs ?? [];
+            if (!Array.isArray(explicit)) {
+                throw { status: 400, message: `needs of step "${step.id}" must be an array of step ids` };
+            }
+            step.needs = [...new Set([...explicit, ...this._referencedSteps(step)])];
+            const unknown = step.needs.find(id => !ids.has(id) || id === step.id);
+            if (unknown) {
+                throw { status: 400, message: `Step "${step.id}" cannot depend on "${unknown}"` };
+            }
+        });
+
+        this._assertAcyclic(normalized);
+        return normalized;
+    }
+
+    _validateStep(id, step) {
+        if (!STEP_TYPES.includes(step.type)) {
+            throw { status: 400, message: `Step "${id}": type must be one of ${STEP_TYPES.join(', ')}` };
+        }
+
+        const retries = step.retries ?? config.pipelineStepRetries;
+        if (!Number.isInteger(retries) || retries < 0 || retries > MAX_STEP_RETRIES) {
+            throw { status: 400, message: `Step "${id}": retries must be between 0 and ${MAX_STEP_RETRIES}` };
+        }
+        if (step.endpointId && !this._hasReference(step.endpointId)) {
+            const validation = sanitizer.validateEndpointId(step.endpointId);
+            if (!validation.valid) {
+                throw { status: 400, message: `Step "${id}": ${validation.errors.join(', ')}` };
+            }
+        }
+
+        const base = { id, type: step.type, retries, needs: [] };
+
+        if (step.type === 'workflow') {
+            if (!workflowEngine.getWorkflow(step.workflowId)) {
+                throw { status: 400, message: `Step "${id}": unknown workflow "${step.workflowId}"` };
+            }
+            if (Boolean(step.podId) === Boolean(step.endpointId)) {
+                throw { status: 400, message: `Step "${id}" runs either on a pod (podId) or on an endpoint (endpointId)` };
+            }
+            if (step.params !== undefined && (typeof step.params !== 'object' || Array.isArray(step.params))) {
+                throw { status: 400, message: `Step "${id}": params must be an object` };
+            }
+            return {
+                ...base,
+                workflowId: step.workflowId,
+                podId: step.podId || undefined,
+                endpointId: step.endpointId || undefined,
+                params: step.params || {}
+            };
+        }
+
+        if (!step.endpointId) {
+            throw { status: 400, message: `Step "${id}": endpointId is required` };
+        }
+        if (!step.input || typeof step.input !== 'object' || Array.isArray(step.input)) {
+            throw { status: 400, message: `Step "${id}": input must be an object` };
+        }
+        return { ...base, endpointId: step.endpointId, input: sanitizer.sanitizeObject(step.input) };
+    }
+
+    /**
+     * Step ids a step refers to through {{steps.<id>...}}
+     */
+    _referencedSteps(step) {
+        const referenced = new Set();
+        const visit = (value) => {
+            if (typeof value === 'string') {
+                for (const [, path] of value.matchAll(REFERENCE_PATTERN)) {
+                    const [root, stepId] = path.split(/[.[]/);
+                    if (root === 'steps' && stepId) {
+                        referenced.add(stepId);
+                    } else if (root !== 'input') {
+                        throw { status: 400, message: `Step "${step.id}": invalid reference {{${path}}} (use input.* or steps.<id>.*)` };
+                    }
+                }
+            } else if (value && typeof value === 'object') {
+                Object.values(value).forEach(visit);
+            }
+        };
+        visit({ podId: step.podId, endpointId: step.endpointId, params: step.params, input: step.input });
+        return referenced;
+    }
+
+    _assertAcyclic(steps) {
+        const remaining = new Map(steps.map(s => [s.id, new Set(s.needs)]));
+        while (remaining.size > 0) {
+            const ready = [...remaining].filter(([, needs]) => needs.size === 0).map(([id]) => id);
+            if (ready.length === 0) {
+                throw { status: 400, message: `Steps depend on each other in a loop: ${[...remaining.keys()].join(', ')}` };
+            }
+            for (const id of ready) {
+                remaining.delete(id);
+                remaining.forEach(needs => needs.delete(id));
+            }
+        }
+    }
+
+    // ==================== Runs ====================
+
+    /**
+     * Start a run of a pipeline with the given input values
+     */
+    startRun(pipelineId, { input = {}, projectId } = {}, userId = null) {
+        const pipeline = this._requirePipeline(pipelineId);
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw { status: 400, message: 'Run input must be an object' };
+        }
+
+        const runId = uuidv4();
+        database.createPipelineRun({
+            id: runId,
+            pipelineId,
+            name: pipeline.name,
+            input: sanitizer.sanitizeObject(input),
+            projectId: projectId ? projectManager.resolve(projectId) : null,
+            userId,
+            steps: pipeline.steps
+        });
+
+        eventBus.publish('pipeline:started', { id: runId, pipelineId, name: pipeline.name });
+        this.advance(runId);
+        return this.getRun(runId);
+    }
+
+    getRun(runId) {
+        const run = this._requireRun(runId);
+        return { ...run, steps: database.getPipelineSteps(runId) };
+    }
+
+    listRuns(filter = {}) {
+        return database.getPipelineRuns(filter);
+    }
+
+    /**
+     * Stop a run: pending steps are cancelled, so are the jobs of running ones
+     */
+    async cancelRun(runId) {
+        const run = this._requireRun(runId);
+        if (run.status !== 'RUNNING') {
+            throw { status: 409, message: `Cannot cancel a run in status ${run.status}` };
+        }
+
+        database.updatePipelineRun(runId, { status: 'CANCELLED', completed_at: new Date().toISOString() });
+        for (const step of database.getPipelineSteps(runId)) {
+            if (step.status !== 'PENDING' && step.status !== 'RUNNING') continue;
+            database.updatePipelineStep(step.id, { status: 'CANCELLED', completed_at: new Date().toISOString() });
+            if (step.status === 'RUNNING' && step.job_id) {
+                await queueManager.cancelJob(step.job_id).catch(() => {});
+            }
+        }
+
+        eventBus.publish('pipeline:cancelled', { id: runId, name: run.name });
+        return this.getRun(runId);
+    }
+
+    /**
+     * Re-run the failed and cancelled steps of a finished run, keeping completed ones
+     */
+    retryRun(runId) {
+        const run = this._requireRun(runId);
+        if (run.status !== 'FAILED' && run.status !== 'CANCELLED') {
+            throw { status: 409, message: `Only failed or cancelled runs can be retried (run is ${run.status})` };
+        }
+
+        for (const step of database.getPipelineSteps(runId)) {
+            if (step.status === 'FAILED' || step.status === 'CANCELLED') {
+                database.updatePipelineStep(step.id, { status: 'PENDING', attempts: 0, job_id: null, error: null, retry_at: null });
+            }
+        }
+        database.updatePipelineRun(runId, { status: 'RUNNING', error: null, completed_at: null });
+
+        eventBus.publish('pipeline:started', { id: runId, pipelineId: run.pipeline_id, name: run.name, retry: true });
+        this.advance(runId);
+        return this.getRun(runId);
+    }
+
+    /**
+     * Continue runs that were RUNNING when the server stopped
+     */
+    resumeInterrupted() {
+        const runs = database.getPipelineRuns({ status: 'RUNNING', limit: 1000 });
+        for (const run of runs) {
+            for (const step of database.getPipelineSteps(run.id)) {
+                if (step.status === 'PENDING' && step.retry_at > Date.now()) {
+                    // Its retry backoff was only a timer in the old process: arm it again
+                    setTimeout(() => this.advance(run.id), step.retry_at - Date.now());
+                    continue;
+                }
+                if (step.status !== 'RUNNING') continue;
+                if (step.job_id) {
+                    // The job may have finished while nobody was listening
+                    this._syncJobStep(step);
+                } else {
+                    // Generations on pods were lost with the process: run them again
+                    database.updatePipelineStep(step.id, { status: 'PENDING' });
+                }
+            }
+            console.log(`🔁 Resuming pipeline run ${run.id} (${run.name})`);
+            this.advance(run.id);
+        }
+        return runs.length;
+    }
+
+    // ==================== Execution ====================
+
+    /**
+     * Start every step whose dependencies are done, or finish the run
+     */
+    advance(runId) {
+        try {
+            this._advance(runId);
+        } catch (error) {
+            console.error(`Pipeline run ${runId} error:`, error.message);
+        }
+    }
+
+    _advance(runId) {
+        const run = database.getPipelineRun(runId);
+        if (!run || run.status !== 'RUNNING') return;
+
+        const steps = database.getPipelineSteps(runId);
+        const failed = steps.find(s => s.status === 'FAILED');
+        if (failed) return this._fail(run, steps, failed);
+        if (steps.every(s => s.status === 'COMPLETED')) return this._complete(run, steps);
+
+        const done = new Set(steps.filter(s => s.status === 'COMPLETED').map(s => s.step_id));
+        const ready = steps.filter(s =>
+            s.status === 'PENDING' &&
+            !(s.retry_at > Date.now()) &&
+            s.definition.needs.every(id => done.has(id))
+        );
+
+        for (const step of ready) {
+            // Claimed before anything async, so a later pass never starts it twice
+            database.updatePipelineStep(step.id, {
+                status: 'RUNNING',
+                attempts: step.attempts + 1,
+                error: null,
+                started_at: new Date().toISOString()
+            });
+            this._launch(run, { ...step, attempts: step.attempts + 1 }, steps);
+        }
+    }
+
+    /**
+     * Resolve a step's references and start it. Pod steps finish here,
+     * job steps when their job completes.
+     */
+    async _launch(run, step, steps) {
+        eventBus.publish('pipeline:step', { id: run.id, stepId: step.step_id, status: 'RUNNING', attempt: step.attempts });
+
+        try {
+            const definition = this._resolve(step.definition, this._context(run, steps));
+
+            if (definition.type === 'job') {
+                const input = await this._replaceImages(definition.input, (ref) => this._readBase64(ref));
+                return this._submitJob(run, step, definition.endpointId, input);
+            }
+
+            if (definition.endpointId) {
+                // Serverless ComfyUI workers take the workflow plus the images it loads
+                const images = [];
+                const params = await this._replaceImages(definition.params, (ref) => {
+                    const name = `pipeline_${step.step_id}_${images.length}.png`;
+                    images.push({ name, image: this._readBase64(ref) });
+                    return name;
+                });
+                const workflow = workflowEngine.buildPrompt(definition.workflowId, params);
+                return this._submitJob(run, step, definition.endpointId, { workflow, images });
+            }
+
+            const output = await this._runOnPod(definition);
+            this._stepCompleted(run.id, step, output);
+        } catch (error) {
+            this._stepFailed(run.id, step, error.message || String(error));
+        }
+    }
+
+    async _submitJob(run, step, endpointId, input) {
+        const job = await queueManager.submitJob(endpointId, input, {
+            // Every run generates again, even with the same input
+            skipDeduplication: true,
+            projectId: run.project_id,
+            userId: run.user_id
+        });
+        database.updatePipelineStep(step.id, { job_id: job.id });
+        eventBus.publish('pipeline:step', { id: run.id, stepId: step.step_id, status: 'QUEUED', jobId: job.id });
+    }
+
+    /**
+     * Run a workflow step on a pod and keep its outputs in the asset library
+     */
+    async _runOnPod(definition) {
+        const { podId, workflowId } = definition;
+        const { serviceUrl, engine } = await podGenerator.resolvePodUrl(podId);
+        const startTime = Date.now();
+
+        let params;
+        let generated;
+        if (engine === 'a1111') {
+            params = definition.params;
+            const r = await podGenerator.generateViaA1111(serviceUrl, params);
+            generated = { images: r.images, gifs: [], seed: r.seed };
+        } else {
+            params = await this._replaceImages(definition.params, (ref) => {
+                const { buffer, filename, mimeType } = assetStore.read(this._requireAssetId(ref));
+                return podGenerator.uploadImage(serviceUrl, buffer, filename, mimeType);
+            });
+
+            let workflow = workflowEngine.buildPrompt(workflowId, params);
+            const checkpoints = await podGenerator.getAvailableCheckpoints(serviceUrl);
+            if (checkpoints.length > 0) {
+                workflow = podGenerator.fixCheckpointInWorkflow(workflow, checkpoints);
+            }
+
+            const wf = workflowEngine.getWorkflow(workflowId);
+            const isVideo = wf?.category === 'video' || wf?.hasVideo;
+            const { completed, promptId, results } = await podGenerator.executeWorkflowOnPod(
+                serviceUrl, workflow, isVideo ? 300000 : 120000
+            );
+            if (!completed) {
+                throw new Error(`Timed out waiting for ComfyUI (prompt ${promptId})`);
+            }
+            generated = { images: results.images, gifs: results.gifs, seed: workflowEngine.getSeed(workflow) };
+        }
+
+        const { seed, ...output } = generated;
+        const stored = await assetStore.storeResults(output, {
+            source: engine,
+            podId,
+            prompt: params.prompt,
+            negativePrompt: params.negative_prompt,
+            seed,
+            workflowId: engine === 'a1111' ? null : workflowId,
+            durationMs: Date.now() - startTime,
+            params
+        });
+        database.updatePodActivity(podId);
+
+        return this._stepOutput(stored.images, stored.gifs, seed);
+    }
+
+    _onJobEvent(message) {
+        const row = message.data?.id && database.getPipelineStepByJob(message.data.id);
+        if (!row) return;
+        const step = database.getPipelineSteps(row.run_id).find(s => s.id === row.id);
+        if (step) this._syncJobStep(step);
+    }
+
+    /**
+     * Complete or fail a job step from the state of its job
+     */
+    _syncJobStep(step) {
+        const job = database.getJob(step.job_id);
+        if (!job) {
+            return this._stepFailed(step.run_id, step, 'Job no longer exists');
+        }
+
+        if (job.status === 'COMPLETED') {
+            const assets = database.searchAssets({ jobId: job.id, limit: 100 }).assets.reverse();
+            const toRef = (a) => ({ url: assetStore.fileUrl(a.id), assetId: a.id, filename: a.filename });
+            const seed = workflowEngine.getSeed(job.input?.workflow) ?? job.input?.seed ?? job.output?.seed;
+            this._stepCompleted(step.run_id, step, this._stepOutput(
+                assets.filter(a => a.kind === 'image').map(toRef),
+                assets.filter(a => a.kind === 'video').map(toRef),
+                seed,
+                this._withoutImages(job.output)
+            ));
+        } else if (job.status === 'FAILED') {
+            this._stepFailed(step.run_id, step, job.error || 'Job failed');
+        } else if (job.status === 'CANCELLED') {
+            // Someone cancelled it on purpose: do not start it again
+            this._stepFailed(step.run_id, step, 'Job was cancelled', false);
+        }
+    }
+
+    _stepCompleted(runId, step, output) {
+        const current = this._currentStep(runId, step.id);
+        if (current?.status !== 'RUNNING') return;
+
+        database.updatePipelineStep(step.id, {
+            status: 'COMPLETED',
+            output,
+            error: null,
+            completed_at: new Date().toISOString()
+        });
+        eventBus.publish('pipeline:step', {
+            id: runId,
+            stepId: step.step_id,
+            status: 'COMPLETED',
+            images: output.images.length,
+            gifs: output.gifs.length
+        });
+        this.advance(runId);
+    }
+
+    _stepFailed(runId, step, error, retry = true) {
+        const current = this._currentStep(runId, step.id);
+        if (current?.status !== 'RUNNING') return;
+
+        const runActive = database.getPipelineRun(runId)?.status === 'RUNNING';
+        if (retry && runActive && current.attempts <= current.definition.retries) {
+            const delay = RETRY_DELAY_MS * current.attempts;
+            database.updatePipelineStep(step.id, { status: 'PENDING', error, job_id: null, retry_at: Date.now() + delay });
+            eventBus.publish('pipeline:step', { id: runId, stepId: step.step_id, status: 'RETRY', attempt: current.attempts, error });
+            setTimeout(() => this.advance(runId), delay);
+            return;
+        }
+
+        database.updatePipelineStep(step.id, { status: 'FAILED', error, completed_at: new Date().toISOString() });
+        eventBus.publish('pipeline:step', { id: runId, stepId: step.step_id, status: 'FAILED', error });
+        this.advance(runId);
+    }
+
+    _fail(run, steps, failedStep) {
+        for (const step of steps) {
+            if (step.status === 'PENDING') {
+                database.updatePipelineStep(step.id, { status: 'CANCELLED' });
+            }
+        }
+        // Steps already running finish on their own; their outputs are kept for a retry
+        const error = `Step "${failedStep.step_id}" failed: ${failedStep.error}`;
+        database.updatePipelineRun(run.id, { status: 'FAILED', error, completed_at: new Date().toISOString() });
+        console.error(`🔗 Pipeline "${run.name}" failed: ${error}`);
+        eventBus.publish('pipeline:failed', { id: run.id, name: run.name, stepId: failedStep.step_id, error });
+    }
+
+    /**
+     * Combined result: outputs of the final steps (those nothing depends on) plus every step's output
+     */
+    _complete(run, steps) {
+        const needed = new Set(steps.flatMap(s => s.definition.needs));
+        const finalSteps = steps.filter(s => !needed.has(s.step_id));
+        const result = {
+            finalSteps: finalSteps.map(s => s.step_id),
+            images: finalSteps.flatMap(s => s.output?.images || []),
+            gifs: finalSteps.flatMap(s => s.output?.gifs || []),
+            steps: Object.fromEntries(steps.map(s => [s.step_id, s.output]))
+        };
+
+        database.updatePipelineRun(run.id, { status: 'COMPLETED', result, completed_at: new Date().toISOString() });
+        console.log(`🔗 Pipeline "${run.name}" completed (${result.images.length} images, ${result.gifs.length} videos)`);
+        eventBus.publish('pipeline:completed', {
+            id: run.id,
+            pipelineId: run.pipeline_id,
+            name: run.name,
+            images: result.images,
+            gifs: result.gifs
+        });
+    }
+
+    // ==================== References ====================
+
+    _context(run, steps) {
+        return {
+            input: run.input,
+            steps: Object.fromEntries(steps.filter(s => s.status === 'COMPLETED').map(s => [s.step_id, s.output]))
+        };
+    }
+
+    /**
+     * Replace {{...}} references. A string that is a single reference takes the
+     * value as is (numbers stay numbers, images stay image references).
+     */
+    _resolve(value, context) {
+        if (typeof value === 'string') {
+            const whole = WHOLE_REFERENCE_PATTERN.exec(value);
+            if (whole) return this._lookup(context, whole[1]);
+            return value.replace(REFERENCE_PATTERN, (_, path) => {
+                const resolved = this._lookup(context, path);
+                if (resolved && typeof resolved === 'object') return resolved.url ?? JSON.stringify(resolved);
+                return resolved ?? '';
+            });
+        }
+        if (Array.isArray(value)) return value.map(v => this._resolve(v, context));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this._resolve(v, context)]));
+        }
+        return value;
+    }
+
+    /**
+     * Value at a path like "steps.base.images[0].url"; missing values are null
+     * (e.g. an optional seed left out of the run input)
+     */
+    _lookup(context, path) {
+        const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+        let value = context;
+        for (const key of keys) {
+            if (value === null || value === undefined) return null;
+            value = value[key];
+        }
+        return value ?? null;
+    }
+
+    async _replaceImages(value, replace) {
+        if (this._isImageRef(value)) return replace(value);
+        if (Array.isArray(value)) {
+            const replaced = [];
+            for (const item of value) replaced.push(await this._replaceImages(item, replace));
+            return replaced;
+        }
+        if (value && typeof value === 'object') {
+            const replaced = {};
+            for (const [key, item] of Object.entries(value)) replaced[key] = await this._replaceImages(item, replace);
+            return replaced;
+        }
+        return value;
+    }
+
+    _isImageRef(value) {
+        return Boolean(value) && typeof value === 'object' && 'assetId' in value && 'url' in value;
+    }
+
+    _readBase64(ref) {
+        return assetStore.read(this._requireAssetId(ref)).buffer.toString('base64');
+    }
+
+    _requireAssetId(ref) {
+        if (!ref.assetId) {
+            throw new Error(`Output ${ref.filename || ref.url} was not stored locally and cannot be passed on`);
+        }
+        return ref.assetId;
+    }
+
+    _stepOutput(images = [], gifs = [], seed = null, output = undefined) {
+        const toRef = (item) => ({ url: item.url, assetId: item.assetId ?? null, filename: item.filename ?? null });
+        const imageRefs = images.map(toRef);
+        const gifRefs = gifs.map(toRef);
+        return {
+            images: imageRefs,
+            gifs: gifRefs,
+            image: imageRefs[0] || gifRefs[0] || null,
+            seed: seed ?? null,
+            output
+        };
+    }
+
+    /**
+     * Raw job output without the (already stored) image payloads
+     */
+    _withoutImages(output) {
+        if (!output || typeof output !== 'object' || Array.isArray(output)) return null;
+        const { images, image, ...rest } = output;
+        return rest;
+    }
+
+    // ==================== Helpers ====================
+
+    _validateName(name) {
+        const trimmed = (name || '').trim();
+        if (trimmed.length < 1 || trimmed.length > 100) {
+            throw { status: 400, message: 'Pipeline name must be between 1 and 100 characters' };
+        }
+        return trimmed;
+    }
+
+    _hasReference(value) {
+        return typeof value === 'string' && value.includes('{{');
+    }
+
+    _currentStep(runId, stepRowId) {
+        return database.getPipelineSteps(runId).find(s => s.id === stepRowId);
+    }
+
+    _requirePipeline(id) {
+        const pipeline = database.getPipeline(id);
+        if (!pipeline) throw { status: 404, message: 'Pipeline not found' };
+        return pipeline;
+    }
+
+    _requireRun(runId) {
+        const run = database.getPipelineRun(runId);
+        if (!run) throw { status: 404, message: 'Pipeline run not found' };
+        return run;
+    }
+}
+
+export const pipelineRunner = new PipelineRunner();
+export default PipelineRunner;
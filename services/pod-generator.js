@@ -0,0 +1,264 @@
+import { database } from '../db/database.js';
+import { cloudProvider } from './cloud-provider.js';
+
+// Port of each engine's HTTP service inside the pod
+export const ENGINE_PORTS = { a1111: 3000, comfyui: 8188, musicGen: 7860 };
+
+/**
+ * Pod Generator - talks to the generation services running inside pods
+ * (ComfyUI and Automatic1111) through the provider's proxy URLs.
+ */
+class PodGenerator {
+    /**
+     * Determine which engine a pod is running (a1111 or comfyui)
+     */
+    getPodEngine(podId) {
+        const trackedPods = database.getTrackedPods();
+        const trackedPod = trackedPods.find(p => p.id === podId);
+        if (trackedPod?.task_type === 'imageGenA1111') return 'a1111';
+        if (trackedPod?.task_type === 'musicGen') return 'musicGen';
+        return 'comfyui';
+    }
+
+    /**
+     * Resolve the base URL for a pod's generation service (FAST — no health check)
+     */
+    async resolvePodUrl(podId) {
+        const pod = await cloudProvider.getPod(podId);
+        if (!pod) throw { status: 404, message: 'Pod not found' };
+        if (pod.desiredStatus !== 'RUNNING') throw { status: 400, message: 'Pod is not running' };
+
+        if (!pod.runtime || (!pod.runtime.ports && pod.runtime.uptimeInSeconds === 0)) {
+            throw {
+                status: 400,
+                message: 'Pod is still initializing. The GPU is being assigned and the container is starting. This typically takes 2-5 minutes. Please wait and try again.'
+            };
+        }
+
+        const engine = this.getPodEngine(podId);
+        const targetPort = ENGINE_PORTS[engine] || ENGINE_PORTS.comfyui;
+
+        // Always use the provider's proxy URL (direct IPs are internal and unreachable from local)
+        const serviceUrl = cloudProvider.getServiceUrl(podId, targetPort);
+
+        console.log(`[${engine}] URL for pod ${podId}: ${serviceUrl}`);
+        return { pod, serviceUrl, engine };
+    }
+
+    /**
+     * Query available checkpoints from ComfyUI
+     */
+    async getAvailableCheckpoints(comfyUrl) {
+        try {
+            const response = await fetch(`${comfyUrl}/object_info/CheckpointLoaderSimple`, {
+                signal: AbortSignal.timeout(10000)
+            });
+            if (response.ok) {
+                const data = await response.json();
+                const ckpts = data?.CheckpointLoaderSimple?.input?.required?.ckpt_name?.[0] || [];
+                console.log(`Available checkpoints on pod: ${JSON.stringify(ckpts)}`);
+                return ckpts;
+            }
+        } catch (e) {
+            console.warn('Could not query checkpoints:', e.message);
+        }
+        return [];
+    }
+
+    /**
+     * Fix checkpoint name in a workflow to match what's installed
+     */
+    fixCheckpointInWorkflow(workflow, availableCheckpoints) {
+        if (!availableCheckpoints || availableCheckpoints.length === 0) return workflow;
+
+        for (const [nodeId, node] of Object.entries(workflow)) {
+            if (node.class_type === 'CheckpointLoaderSimple') {
+                const requestedCkpt = node.inputs?.ckpt_name;
+                if (requestedCkpt && !availableCheckpoints.includes(requestedCkpt)) {
+                    // Try exact substring match first (e.g. 'turbo', 'sdxl', etc.)
+                    const keywords = requestedCkpt.toLowerCase().replace(/[._-]/g, ' ').split(' ').filter(w => w.length > 3);
+                    let bestMatch = availableCheckpoints.find(c => keywords.some(k => c.toLowerCase().includes(k)));
+
+                    // Fallback: try common model type keywords
+                    if (!bestMatch) {
+                        bestMatch = availableCheckpoints.find(c =>
+                            c.toLowerCase().includes('turbo') ||
+                            c.toLowerCase().includes('sdxl') ||
+                            c.toLowerCase().includes('sd_xl') ||
+                            c.toLowerCase().includes('stable')
+                        );
+                    }
+
+                    const fallback = bestMatch || availableCheckpoints[0];
+                    console.log(`Checkpoint fix: "${requestedCkpt}" → "${fallback}" (available: ${availableCheckpoints.join(', ')})`);
+                    node.inputs.ckpt_name = fallback;
+                }
+            }
+        }
+        return workflow;
+    }
+
+    /**
+     * Upload an input image to ComfyUI; returns the name LoadImage nodes refer to
+     */
+    async uploadImage(comfyUrl, buffer, filename, mimeType = 'image/png') {
+        const form = new FormData();
+        form.append('image', new Blob([buffer], { type: mimeType }), filename);
+        form.append('overwrite', 'true');
+
+        const response = await fetch(`${comfyUrl}/upload/image`, {
+            method: 'POST',
+            body: form,
+            signal: AbortSignal.timeout(60000)
+        });
+        if (!response.ok) {
+            throw new Error(`ComfyUI rejected the image upload (HTTP ${response.status})`);
+        }
+        const { name, subfolder } = await response.json();
+        return subfolder ? `${subfolder}/${name}` : name;
+    }
+
+    /**
+     * Send a workflow to ComfyUI and poll for results
+     */
+    async executeWorkflowOnPod(comfyUrl, workflow, timeoutMs = 180000) {
+        console.log(`Sending workflow to ComfyUI at: ${comfyUrl}/prompt`);
+        console.log(`Workflow nodes: ${Object.keys(workflow).length}, classes: ${[...new Set(Object.values(workflow).map(n => n.class_type))].join(', ')}`);
+
+        let queueResponse;
+        try {
+            queueResponse = await fetch(`${comfyUrl}/prompt`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ prompt: workflow }),
+                signal: AbortSignal.timeout(30000)
+            });
+        } catch (fetchErr) {
+            console.error(`[ComfyUI] Connection failed to ${comfyUrl}:`, fetchErr.message);
+            throw new Error(
+                `No se pudo conectar a ComfyUI en ${comfyUrl}. ` +
+                `Esto puede pasar porque: (1) ComfyUI aún no ha terminado de cargar — espera 2-3 minutos, ` +
+                `(2) El servicio no está corriendo en el pod — revisa los logs en RunPod. ` +
+                `Error: ${fetchErr.message}`
+            );
+        }
+
+        if (!queueResponse.ok) {
+            let errDetail = '';
+            try {
+                const errJson = await queueResponse.json();
+                console.error('ComfyUI error response:', JSON.stringify(errJson, null, 2));
+                // ComfyUI returns structured errors with node_errors
+                if (errJson.error) {
+                    errDetail = errJson.error.message || JSON.stringify(errJson.error);
+                }
+                if (errJson.node_errors) {
+                    const nodeErrs = Object.values(errJson.node_errors)
+                        .map(ne => ne.errors?.map(e => e.message).join(', ') || JSON.stringify(ne))
+                        .join('; ');
+                    errDetail += (errDetail ? ' | ' : '') + 'Node errors: ' + nodeErrs;
+                }
+            } catch {
+                errDetail = await queueResponse.text().catch(() => `HTTP ${queueResponse.status}`);
+            }
+            throw new Error(`ComfyUI rejected the workflow: ${errDetail || 'Unknown error (HTTP ' + queueResponse.status + ')'}`);
+        }
+
+        const queueResult = await queueResponse.json();
+        const promptId = queueResult.prompt_id;
+
+        // Poll for completion
+        let completed = false;
+        let results = { images: [], gifs: [] };
+        const startTime = Date.now();
+
+        while (!completed && (Date.now() - startTime) < timeoutMs) {
+            await new Promise(r => setTimeout(r, 2000));
+
+            const historyResponse = await fetch(`${comfyUrl}/history/${promptId}`);
+            if (historyResponse.ok) {
+                const history = await historyResponse.json();
+                if (history[promptId] && history[promptId].outputs) {
+                    completed = true;
+                    for (const nodeId in history[promptId].outputs) {
+                        const output = history[promptId].outputs[nodeId];
+                        if (output.images) {
+                            for (const img of output.images) {
+                                results.images.push({
+                                    url: `${comfyUrl}/view?filename=${img.filename}&subfolder=${img.subfolder || ''}&type=${img.type || 'output'}`,
+                                    filename: img.filename
+                                });
+                            }
+                        }
+                        if (output.gifs) {
+                            for (const gif of output.gifs) {
+                                results.gifs.push({
+                                    url: `${comfyUrl}/view?filename=${gif.filename}&subfolder=${gif.subfolder || ''}&type=${gif.type || 'output'}`,
+                                    filename: gif.filename
+                                });
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        return { completed, promptId, results };
+    }
+
+    /**
+     * Automatic1111 generation helper
+     */
+    async generateViaA1111(serviceUrl, params) {
+        const payload = {
+            prompt: params.prompt || '',
+            negative_prompt: params.negative_prompt || '',
+            width: params.width || 512,
+            height: params.height || 512,
+            steps: params.steps || 20,
+            cfg_scale: params.cfg_scale || 7,
+            sampler_name: params.sampler || 'DPM++ 2M',
+            seed: params.seed || -1,
+            batch_size: params.batch_size || 1,
+            save_images: true
+        };
+
+        console.log(`[A1111] Sending txt2img to ${serviceUrl}/sdapi/v1/txt2img`);
+        console.log(`[A1111] Payload: prompt="${payload.prompt.substring(0, 80)}" ${payload.width}x${payload.height} steps=${payload.steps}`);
+
+        const response = await fetch(`${serviceUrl}/sdapi/v1/txt2img`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(180000) // 3 min timeout
+        });
+
+        if (!response.ok) {
+            let errDetail = `HTTP ${response.status}`;
+            try { errDetail = (await response.json()).detail || errDetail; } catch { }
+            throw new Error(`Automatic1111 rejected the request: ${errDetail}`);
+        }
+
+        const result = await response.json();
+
+        if (!result.images || result.images.length === 0) {
+            throw new Error('Automatic1111 returned no images');
+        }
+
+        // Convert base64 images to data URIs the frontend can display directly
+        const images = result.images.map((b64, i) => ({
+            url: `data:image/png;base64,${b64}`,
+            filename: `a1111_${Date.now()}_${i}.png`
+        }));
+
+        // A1111 reports the seed actually used inside the JSON "info" string
+        let seed = payload.seed;
+        try { seed = JSON.parse(result.info).seed ?? seed; } catch { }
+
+        console.log(`[A1111] Generated ${images.length} image(s) successfully`);
+        return { status: 'completed', images, gifs: [], seed };
+    }
+}
+
+export const podGenerator = new PodGenerator();
+export default PodGenerator;
@@ -0,0 +1,333 @@
+import { v4 as uuidv4 } from 'uuid';
+import { database } from '../db/database.js';
+import { sanitizer } from '../utils/sanitizer.js';
+import { cloudProvider } from './cloud-provider.js';
+import { costTracker } from './cost-tracker.js';
+import { billing } from './billing.js';
+import { projectManager } from './project-manager.js';
+import { spotManager } from './spot-manager.js';
+import { gpuPlacement, CLOUD_TYPES } from './gpu-placement.js';
+import { modelProvisioner } from './model-provisioner.js';
+import { eventBus } from './event-bus.js';
+
+/**
+ * Pod Launcher - creates pods from a request or from a saved launch profile
+ *
+ * A launch profile is a named set of pod settings (image or template, GPU
+ * preferences, disks, ports, env, task type, spending limit, idle shutdown,
+ * spot bid, model manifest) so the team launches the same pod every time.
+ *
+ * The GPU is placed by services/gpu-placement.js: a request either names a
+ * GPU (or, for a profile, a list tried in order) or gives `placement`
+ * requirements and lets the server pick one.
+ *
+ * A ComfyUI pod launched with a `manifestId` gets that manifest's models
+ * installed once its service is up (see model-provisioner.js).
+ */
+
+// Ports and env each generation engine needs
+export const TASK_TYPES = {
+    imageGen: {
+        // ComfyUI
+        port: 8188,
+        ports: '8188/http,8888/http,3000/http,22/tcp',
+        env: [{ key: 'CLI_ARGS', value: '--listen 0.0.0.0 --port 8188' }]
+    },
+    imageGenA1111: {
+        // Automatic1111 WebUI — uses port 3000, proven approach from companion project
+        port: 3000,
+        ports: '3000/http,8888/http,22/tcp',
+        env: [{ key: 'COMMANDLINE_ARGS', value: '--api --listen 0.0.0.0 --port 3000 --xformers --no-half-vae' }]
+    },
+    musicGen: {
+        port: 7860,
+        ports: '7860/http,22/tcp',
+        env: []
+    }
+};
+
+const PORTS_PATTERN = /^\d{1,5}\/(http|tcp)(,\d{1,5}\/(http|tcp))*$/;
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_PROFILE_GPUS = 10;
+
+class PodLauncher {
+    /**
+     * Provider options for a pod request: the task type's ports and env, with
+     * the request's own ports and env on top
+     */
+    buildPodOptions(input) {
+        const task = TASK_TYPES[input.taskType] || TASK_TYPES.imageGen;
+        const podOptions = {
+            name: input.name,
+            gpuTypeId: input.gpuTypeId,
+            gpuCount: input.gpuCount || 1,
+            volumeInGb: input.volumeInGb || 0,
+            containerDiskInGb: input.containerDiskInGb || null,
+            cloudType: input.cloudType || 'ALL',
+            ports: input.ports || task.ports,
+            env: this._mergeEnv(task.env, input.env)
+        };
+
+        // Use templateId if provided (for Music Gen), otherwise use imageName
+        if (input.templateId) {
+            podOptions.templateId = input.templateId;
+        } else if (input.imageName) {
+            podOptions.imageName = input.imageName;
+        }
+        return podOptions;
+    }
+
+    /**
+     * Create, track and start billing a pod (input already validated).
+     * The response carries the placement (the GPU used and the failed
+     * attempts) and the model provision, if a manifest was given.
+     */
+    async launch(input, userId = null) {
+        // Check global, project and user budgets
+        const projectId = projectManager.resolve(input.projectId);
+        costTracker.assertCanSpend({ projectId, userId });
+
+        // A missing manifest must not cost a pod
+        if (input.manifestId) this._validateManifest(input.manifestId, input.taskType);
+
+        // Spot (interruptable) pods bid for the GPU and may be reclaimed
+        const spot = input.spot ? spotManager.parseOptions(input.spot, input.gpuCount) : null;
+        const task = TASK_TYPES[input.taskType] || TASK_TYPES.imageGen;
+        const requirements = this._requirements(input);
+
+        const { result: pod, placement } = await gpuPlacement.place(requirements, (candidate) => {
+            const podOptions = this.buildPodOptions({ ...input, gpuTypeId: candidate.gpuTypeId, cloudType: candidate.cloudType });
+            return spot ? spotManager.launch(podOptions, spot) : cloudProvider.createPod(podOptions);
+        });
+
+        // Track pod with task type info, spending limit and idle shutdown
+        database.trackPod({
+            id: pod.id,
+            name: pod.name,
+            gpuType: pod.machine?.gpuDisplayName,
+            costPerHour: pod.costPerHr,
+            status: 'RUNNING',
+            taskType: input.taskType || 'imageGen',
+            port: input.port || task.port,
+            spendingLimit: input.spendingLimit || null,
+            idleShutdownMinutes: input.autoShutdownMinutes ?? null,
+            totalSpent: 0,
+            projectId,
+            userId,
+            createdAt: new Date().toISOString()
+        });
+        billing.recordStart(pod, { projectId, userId });
+
+        const provision = input.manifestId ? modelProvisioner.schedule(pod.id, input.manifestId) : null;
+
+        return {
+            ...pod,
+            projectId,
+            spot: spot ? database.getSpotPod(pod.id) : null,
+            placement,
+            provision: provision ? modelProvisioner.summarize(provision) : null
+        };
+    }
+
+    /**
+     * Placement requirements of a request: its own, or exactly the GPUs it
+     * names (tried even if the catalog does not list them)
+     */
+    _requirements(input) {
+        if (input.placement) {
+            return gpuPlacement.parseRequirements({ cloudType: input.cloudType, ...input.placement }, input.gpuCount);
+        }
+        const gpuTypeIds = input.gpuTypeIds?.length ? input.gpuTypeIds : [input.gpuTypeId];
+        const requirements = gpuPlacement.parseRequirements({
+            cloudType: input.cloudType,
+            preferredGpuIds: gpuTypeIds,
+            allowOthers: false,
+            maxAttempts: gpuTypeIds.length
+        }, input.gpuCount);
+        return { ...requirements, named: true };
+    }
+
+    // ==================== Launch profiles ====================
+
+    listProfiles() {
+        return database.getLaunchProfiles();
+    }
+
+    getProfile(id) {
+        const profile = database.getLaunchProfile(id);
+        if (!profile) throw { status: 404, message: 'Launch profile not found' };
+        return profile;
+    }
+
+    createProfile({ name, description, projectId, ...settings }, userId = null) {
+        const profile = {
+            id: uuidv4(),
+            name: this._validateName(name),
+            description: description || null,
+            settings: this._validateSettings(settings),
+            projectId: projectId ? projectManager.resolve(projectId) : null,
+            userId
+        };
+
+        database.createLaunchProfile(profile);
+        eventBus.publish('profile:created', { id: profile.id, name: profile.name });
+        return database.getLaunchProfile(profile.id);
+    }
+
+    /**
+     * Change a profile; settings not given keep their value, null clears them
+     */
+    updateProfile(id, { name, description, projectId, ...settings }) {
+        const profile = this.getProfile(id);
+        const updates = {};
+
+        if (name !== undefined) updates.name = this._validateName(name, id);
+        if (description !== undefined) updates.description = description || null;
+        if (projectId !== undefined) updates.project_id = projectId ? projectManager.resolve(projectId) : null;
+        if (Object.keys(settings).length > 0) {
+            updates.settings = this._validateSettings({ ...profile.settings, ...settings });
+        }
+
+        if (Object.keys(updates).length > 0) database.updateLaunchProfile(id, updates);
+        eventBus.publish('profile:updated', { id, name: updates.name || profile.name });
+        return database.getLaunchProfile(id);
+    }
+
+    deleteProfile(id) {
+        const profile = this.getProfile(id);
+        database.deleteLaunchProfile(id);
+        eventBus.publish('profile:deleted', { id, name: profile.name });
+        return { success: true };
+    }
+
+    /**
+     * Launch a pod from a profile. `overrides` may give the pod name, a
+     * single GPU, the project and the spending limit.
+     */
+    async launchProfile(id, overrides = {}, userId = null) {
+        const profile = this.getProfile(id);
+        const settings = profile.settings;
+
+        const input = {
+            ...settings,
+            name: overrides.name || this._podName(profile.name),
+            gpuTypeId: overrides.gpuTypeId || settings.gpuTypeIds[0],
+            gpuTypeIds: overrides.gpuTypeId ? [overrides.gpuTypeId] : settings.gpuTypeIds,
+            projectId: overrides.projectId || profile.project_id,
+            spendingLimit: overrides.spendingLimit !== undefined ? overrides.spendingLimit : settings.spendingLimit
+        };
+
+        const validation = sanitizer.validatePodInput(input);
+        if (!validation.valid) throw { status: 400, message: validation.errors.join(', ') };
+
+        const pod = await this.launch(input, userId);
+        eventBus.publish('profile:launched', { id, name: profile.name, podId: pod.id, gpuTypeId: pod.machine?.gpuDisplayName });
+        return { ...pod, profileId: id };
+    }
+
+    // ==================== Helpers ====================
+
+    _validateName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (trimmed.length < 2 || trimmed.length > 50) {
+            throw { status: 400, message: 'Profile name must be between 2 and 50 characters' };
+        }
+        const existing = database.getLaunchProfileByName(trimmed);
+        if (existing && existing.id !== exceptId) {
+            throw { status: 409, message: `Launch profile "${trimmed}" already exists` };
+        }
+        return trimmed;
+    }
+
+    _validateSettings(input) {
+        const settings = {
+            taskType: input.taskType || 'imageGen',
+            imageName: input.imageName || null,
+            templateId: input.templateId || null,
+            gpuTypeIds: input.gpuTypeIds,
+            gpuCount: input.gpuCount ?? 1,
+            cloudType: input.cloudType || 'ALL',
+            volumeInGb: input.volumeInGb ?? 0,
+            containerDiskInGb: input.containerDiskInGb || null,
+            ports: input.ports || null,
+            env: this._mergeEnv([], input.env),
+            spendingLimit: input.spendingLimit || null,
+            autoShutdownMinutes: input.autoShutdownMinutes ?? null,
+            spot: input.spot || null,
+            manifestId: input.manifestId || null
+        };
+
+        if (!TASK_TYPES[settings.taskType]) {
+            throw { status: 400, message: `Invalid taskType. Use one of: ${Object.keys(TASK_TYPES).join(', ')}` };
+        }
+        if (!settings.imageName && !settings.templateId) {
+            throw { status: 400, message: 'Image name or template ID is required' };
+        }
+        if (!Array.isArray(settings.gpuTypeIds) || settings.gpuTypeIds.length === 0 || settings.gpuTypeIds.length > MAX_PROFILE_GPUS ||
+            !settings.gpuTypeIds.every(g => typeof g === 'string' && g.trim())) {
+            throw { status: 400, message: `gpuTypeIds must be a list of 1 to ${MAX_PROFILE_GPUS} GPU type IDs, in order of preference` };
+        }
+        if (!Number.isInteger(settings.gpuCount) || settings.gpuCount < 1 || settings.gpuCount > 8) {
+            throw { status: 400, message: 'GPU count must be between 1 and 8' };
+        }
+        if (!CLOUD_TYPES.includes(settings.cloudType)) {
+            throw { status: 400, message: `Invalid cloudType. Use one of: ${CLOUD_TYPES.join(', ')}` };
+        }
+        if (!Number.isInteger(settings.volumeInGb) || settings.volumeInGb < 0 || settings.volumeInGb > 1000) {
+            throw { status: 400, message: 'Volume size must be between 0 and 1000 GB' };
+        }
+        if (settings.containerDiskInGb !== null &&
+            (!Number.isInteger(settings.containerDiskInGb) || settings.containerDiskInGb < 0 || settings.containerDiskInGb > 500)) {
+            throw { status: 400, message: 'Container disk must be between 0 and 500 GB' };
+        }
+        if (settings.ports !== null && !PORTS_PATTERN.test(settings.ports)) {
+            throw { status: 400, message: 'ports must look like "8188/http,22/tcp"' };
+        }
+        if (settings.spendingLimit !== null && !(settings.spendingLimit > 0)) {
+            throw { status: 400, message: 'spendingLimit must be a positive amount, or null' };
+        }
+        if (settings.autoShutdownMinutes !== null &&
+            (!Number.isInteger(settings.autoShutdownMinutes) || settings.autoShutdownMinutes < 0 || settings.autoShutdownMinutes > 10080)) {
+            throw { status: 400, message: 'autoShutdownMinutes must be an integer between 0 (never) and 10080, or null (default)' };
+        }
+        if (settings.spot) spotManager.parseOptions(settings.spot, settings.gpuCount);
+        if (settings.manifestId) this._validateManifest(settings.manifestId, settings.taskType);
+
+        return settings;
+    }
+
+    // Model manifests are installed on ComfyUI pods only
+    _validateManifest(manifestId, taskType) {
+        modelProvisioner.getManifest(manifestId);
+        if ((taskType || 'imageGen') !== 'imageGen') {
+            throw { status: 400, message: 'A model manifest needs the imageGen (ComfyUI) task type' };
+        }
+    }
+
+    /**
+     * Env as a list of { key, value }: `extra` (a list or a { KEY: value } map) over `base`
+     */
+    _mergeEnv(base, extra) {
+        const list = Array.isArray(extra)
+            ? extra
+            : Object.entries(extra || {}).map(([key, value]) => ({ key, value }));
+        const merged = new Map(base.map(e => [e.key, e.value]));
+
+        for (const entry of list) {
+            if (!entry || !ENV_KEY_PATTERN.test(entry.key || '')) {
+                throw { status: 400, message: `Invalid env variable name "${entry?.key ?? ''}"` };
+            }
+            merged.set(entry.key, String(entry.value ?? ''));
+        }
+        return [...merged].map(([key, value]) => ({ key, value }));
+    }
+
+    // Pod names only allow letters, numbers, hyphens and underscores
+    _podName(profileName) {
+        const base = profileName.toLowerCase().replace(/[^a-z0-9-_]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'pod';
+        return `${base}-${Date.now().toString(36)}`;
+    }
+}
+
+export const podLauncher = new PodLauncher();
+export default PodLauncher;
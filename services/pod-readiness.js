@@ -0,0 +1,286 @@
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { cloudProvider } from './cloud-provider.js';
+import { podGenerator, ENGINE_PORTS } from './pod-generator.js';
+import { eventBus } from './event-bus.js';
+
+/**
+ * Pod Readiness - where each pod is on its way to serving requests
+ *
+ * Every READINESS_POLL_SECONDS each tracked pod, and each running pod the
+ * provider lists (also those created outside the dashboard), is placed in one of:
+ *   - provisioning: the provider is still assigning a GPU (no runtime yet)
+ *   - starting: the container runs but its service does not answer
+ *   - service-up: the service answers but has no models loaded
+ *   - ready: the service answers and lists at least one model
+ *   - stopped: the pod is not running (or no longer exists)
+ * by probing the engine's own API: ComfyUI /system_stats and its checkpoint
+ * list, A1111 /sdapi/v1/sd-models, Gradio /config (which has no model list, so
+ * answering counts as ready). States are persisted, so a restart does not
+ * announce pods that were already ready, and every transition is published as
+ * `pod:readiness` (plus `pod:ready` when a pod gets there). Callers can wait
+ * for a pod with waitUntilReady() instead of guessing from its uptime.
+ */
+
+export const READINESS_STATES = ['provisioning', 'starting', 'service-up', 'ready', 'stopped'];
+
+const PROBE_TIMEOUT_MS = 8000;
+
+// How each engine is probed: `service` answers once it is up, `models` lists what is loaded
+const PROBES = {
+    comfyui: {
+        name: 'ComfyUI',
+        service: '/system_stats',
+        models: '/object_info/CheckpointLoaderSimple',
+        countModels: (data) => data?.CheckpointLoaderSimple?.input?.required?.ckpt_name?.[0]?.length || 0
+    },
+    a1111: {
+        name: 'Automatic1111',
+        service: '/sdapi/v1/sd-models',
+        models: '/sdapi/v1/sd-models',
+        countModels: (data) => Array.isArray(data) ? data.length : 0
+    },
+    musicGen: {
+        name: 'Gradio',
+        service: '/config',
+        models: null
+    }
+};
+
+class PodReadiness {
+    constructor() {
+        this.pollInterval = null;
+        this.checking = false;
+        // podId -> probe in flight, so a pod is never probed twice at once
+        this.probing = new Map();
+        // podId -> callbacks of waitUntilReady()
+        this.waiters = new Map();
+    }
+
+    start() {
+        if (this.pollInterval) return;
+        this.check();
+        this.pollInterval = setInterval(() => this.check(), config.readinessPollSeconds * 1000);
+    }
+
+    /**
+     * Probe every tracked pod and every running pod the provider lists
+     */
+    async check() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            const pods = new Map((await cloudProvider.getPods()).map(pod => [pod.id, pod]));
+            database.deleteStalePodReadiness([...pods.keys()]);
+
+            // Tracked pods, plus running (or already known) pods created outside the dashboard
+            const podIds = new Set(database.getTrackedPods().map(pod => pod.id));
+            for (const pod of pods.values()) {
+                if (pod.desiredStatus === 'RUNNING' || database.getPodReadiness(pod.id)) podIds.add(pod.id);
+            }
+            for (const podId of podIds) {
+                await this._probeOnce(podId, pods.get(podId) || null);
+            }
+        } catch (error) {
+            console.error('Readiness check error:', error.message);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Probe one pod now; resolves to its readiness
+     */
+    async probe(podId) {
+        const pod = await cloudProvider.getPod(podId);
+        if (!pod) throw { status: 404, message: 'Pod not found' };
+        return this._probeOnce(podId, pod);
+    }
+
+    /**
+     * Record a state without probing, for callers that know the pod changed
+     * (a spot pod reclaimed or resumed) before the next poll can see it. A
+     * probe already in flight is let finish first so it cannot overwrite it.
+     */
+    async reset(podId, state, message) {
+        await this.probing.get(podId)?.catch(() => null);
+        return this._record(podId, null, { state, engine: podGenerator.getPodEngine(podId), message });
+    }
+
+    get(podId) {
+        return database.getPodReadiness(podId) || null;
+    }
+
+    list() {
+        return database.getAllPodReadiness();
+    }
+
+    isReady(podId) {
+        return this.get(podId)?.state === 'ready';
+    }
+
+    /**
+     * Resolves to the pod's readiness once it is ready; rejects when it stops
+     * or after `timeoutMs`
+     */
+    waitUntilReady(podId, timeoutMs = config.readinessWaitMinutes * 60000) {
+        const current = this.get(podId);
+        if (current?.state === 'ready') return Promise.resolve(current);
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this._removeWaiter(podId, waiter);
+                const state = this.get(podId)?.state || 'unknown';
+                reject({ status: 504, message: `Pod ${podId} was not ready after ${Math.round(timeoutMs / 1000)}s (state: ${state})` });
+            }, timeoutMs);
+            waiter.timer.unref?.();
+
+            if (!this.waiters.has(podId)) this.waiters.set(podId, new Set());
+            this.waiters.get(podId).add(waiter);
+
+            // Do not wait for the next poll to notice a pod that is already up
+            this.probe(podId).catch(error => {
+                if (error.status === 404) this._settleWaiters(podId, null, error);
+            });
+        });
+    }
+
+    /**
+     * Whether any of the pods gets ready within `timeoutMs`
+     */
+    async waitForAny(podIds, timeoutMs = config.readinessWaitMinutes * 60000) {
+        if (podIds.length === 0) return false;
+        try {
+            await Promise.any(podIds.map(podId => this.waitUntilReady(podId, timeoutMs)));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    _probeOnce(podId, pod) {
+        if (this.probing.has(podId)) return this.probing.get(podId);
+
+        const probing = this._evaluate(podId, pod)
+            .then(result => this._record(podId, pod, result))
+            .finally(() => this.probing.delete(podId));
+        this.probing.set(podId, probing);
+        return probing;
+    }
+
+    /**
+     * Work out the state of a pod from the provider and its service
+     */
+    async _evaluate(podId, pod) {
+        const engine = podGenerator.getPodEngine(podId);
+        if (!pod) return { state: 'stopped', engine, message: 'Pod no longer exists' };
+        if (pod.desiredStatus !== 'RUNNING') return { state: 'stopped', engine, message: `Pod is ${pod.desiredStatus}` };
+        if (!pod.runtime || (!pod.runtime.ports && pod.runtime.uptimeInSeconds === 0)) {
+            return { state: 'provisioning', engine, message: 'Waiting for the provider to assign a GPU' };
+        }
+
+        const probe = PROBES[engine] || PROBES.comfyui;
+        const serviceUrl = cloudProvider.getServiceUrl(podId, ENGINE_PORTS[engine] || ENGINE_PORTS.comfyui);
+        const base = { engine, serviceUrl };
+
+        const service = await this._fetchJson(`${serviceUrl}${probe.service}`);
+        if (service === null) {
+            return { ...base, state: 'starting', message: `${probe.name} is not answering yet` };
+        }
+        if (!probe.models) {
+            return { ...base, state: 'ready', message: `${probe.name} is up` };
+        }
+
+        // Once ready, only the service is checked: listing models can be slow through the proxy
+        const previous = this.get(podId);
+        if (previous?.state === 'ready' && probe.models !== probe.service) {
+            return { ...base, state: 'ready', models: previous.models, message: previous.message };
+        }
+
+        const data = probe.models === probe.service ? service : await this._fetchJson(`${serviceUrl}${probe.models}`);
+        const models = data === null ? 0 : probe.countModels(data);
+        return models > 0
+            ? { ...base, state: 'ready', models, message: `${probe.name} has ${models} model(s)` }
+            : { ...base, state: 'service-up', models, message: `${probe.name} is up but has no models yet` };
+    }
+
+    async _fetchJson(url) {
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Persist the result and announce it if the state changed
+     */
+    _record(podId, pod, result) {
+        const previous = this.get(podId);
+        const now = Date.now();
+        const changed = previous?.state !== result.state;
+
+        database.setPodReadiness({
+            podId,
+            state: result.state,
+            engine: result.engine,
+            models: result.models ?? null,
+            message: result.message,
+            serviceUrl: result.serviceUrl || null,
+            changedAt: changed ? now : previous.changed_at,
+            readyAt: result.state === 'ready' ? (changed ? now : previous.ready_at) : null,
+            checkedAt: now
+        });
+        const readiness = this.get(podId);
+
+        if (changed) {
+            const name = pod?.name || database.getTrackedPod(podId)?.name || podId;
+            const event = {
+                podId,
+                name,
+                state: result.state,
+                previous: previous?.state || null,
+                engine: result.engine,
+                models: readiness.models,
+                message: result.message
+            };
+            console.log(`🩺 Pod ${name} (${podId}): ${event.previous || 'new'} → ${result.state}`);
+            eventBus.publish('pod:readiness', event);
+            if (result.state === 'ready') {
+                eventBus.publish('pod:ready', { ...event, serviceUrl: readiness.service_url });
+            }
+        }
+
+        if (result.state === 'ready') {
+            this._settleWaiters(podId, readiness);
+        } else if (result.state === 'stopped') {
+            this._settleWaiters(podId, null, { status: 400, message: `Pod ${podId} stopped before it was ready` });
+        }
+        return readiness;
+    }
+
+    _settleWaiters(podId, readiness, error = null) {
+        const waiters = this.waiters.get(podId);
+        if (!waiters) return;
+        this.waiters.delete(podId);
+        for (const waiter of waiters) {
+            clearTimeout(waiter.timer);
+            if (error) waiter.reject(error);
+            else waiter.resolve(readiness);
+        }
+    }
+
+    _removeWaiter(podId, waiter) {
+        const waiters = this.waiters.get(podId);
+        if (!waiters) return;
+        waiters.delete(waiter);
+        if (waiters.size === 0) this.waiters.delete(podId);
+    }
+}
+
+export const podReadiness = new PodReadiness();
+export default PodReadiness;
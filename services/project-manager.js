@@ -0,0 +1,124 @@
+import { v4 as uuidv4 } from 'uuid';
+import { database } from '../db/database.js';
+
+/**
+ * Project Manager - projects/teams that pods, endpoints and jobs belong to
+ *
+ * Every resource is tagged with a project so its spend can be attributed
+ * and capped independently. Untagged resources use the 'default' project.
+ */
+
+export const DEFAULT_PROJECT_ID = 'default';
+
+class ProjectManager {
+    list() {
+        return database.getProjects();
+    }
+
+    get(projectId) {
+        const project = database.getProject(projectId);
+        if (!project) throw { status: 404, message: 'Project not found' };
+        return project;
+    }
+
+    /**
+     * Validate a project id from a request, falling back to the default project
+     */
+    resolve(projectId) {
+        if (!projectId) return DEFAULT_PROJECT_ID;
+        if (!database.getProject(projectId)) {
+            throw { status: 400, message: `Unknown project "${projectId}"` };
+        }
+        return projectId;
+    }
+
+    create({ name, description, budgetDaily, budgetMonthly }) {
+        const trimmed = (name || '').trim();
+        if (trimmed.length < 2 || trimmed.length > 50) {
+            throw { status: 400, message: 'Project name must be between 2 and 50 characters' };
+        }
+        if (database.getProjectByName(trimmed)) {
+            throw { status: 409, message: `Project "${trimmed}" already exists` };
+        }
+
+        const id = uuidv4();
+        database.createProject({
+            id,
+            name: trimmed,
+            description,
+            budgetDaily: this._parseBudget(budgetDaily),
+            budgetMonthly: this._parseBudget(budgetMonthly)
+        });
+        return database.getProject(id);
+    }
+
+    update(projectId, { name, description, budgetDaily, budgetMonthly }) {
+        this.get(projectId);
+
+        const updates = {};
+        if (name !== undefined) {
+            const existing = database.getProjectByName(name.trim());
+            if (existing && existing.id !== projectId) {
+                throw { status: 409, message: `Project "${name}" already exists` };
+            }
+            updates.name = name.trim();
+        }
+        if (description !== undefined) updates.description = description;
+        // null removes the cap
+        if (budgetDaily !== undefined) updates.budget_daily = this._parseBudget(budgetDaily);
+        if (budgetMonthly !== undefined) updates.budget_monthly = this._parseBudget(budgetMonthly);
+
+        if (Object.keys(updates).length > 0) {
+            database.updateProject(projectId, updates);
+        }
+        return database.getProject(projectId);
+    }
+
+    /**
+     * Delete a project; its resources and spend history move to the default project
+     */
+    delete(projectId) {
+        if (projectId === DEFAULT_PROJECT_ID) {
+            throw { status: 400, message: 'The default project cannot be deleted' };
+        }
+        this.get(projectId);
+        database.deleteProject(projectId);
+        return { success: true };
+    }
+
+    /**
+     * Move a tracked pod to another project
+     */
+    tagPod(podId, projectId) {
+        if (!database.getTrackedPod(podId)) {
+            throw { status: 404, message: 'Pod is not tracked by the orchestrator' };
+        }
+        database.setPodProject(podId, this.resolve(projectId));
+        return database.getTrackedPod(podId);
+    }
+
+    tagEndpoint(endpointId, projectId, userId = null) {
+        database.setEndpointProject(endpointId, this.resolve(projectId), userId);
+        return database.getEndpointProject(endpointId);
+    }
+
+    getPodProject(podId) {
+        return database.getTrackedPod(podId)?.project_id || DEFAULT_PROJECT_ID;
+    }
+
+    getEndpointProject(endpointId) {
+        return database.getEndpointProject(endpointId)?.project_id || DEFAULT_PROJECT_ID;
+    }
+
+    _parseBudget(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const amount = parseFloat(value);
+        if (isNaN(amount) || amount < 0) {
+            throw { status: 400, message: 'Budget must be a positive amount in USD or null' };
+        }
+        return amount;
+    }
+}
+
+export const projectManager = new ProjectManager();
+export default ProjectManager;
@@ -0,0 +1,773 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../../config/env.js';
+
+/**
+ * Mock Provider - fully in-process simulated cloud provider
+ *
+ * Fakes pod lifecycles (boot delay, stop/resume, terminate), per-second billing
+ * against a virtual balance and serverless job execution, so the dashboard can
+ * run offline (CI, demos) without a RunPod API key. Pod services (ComfyUI,
+ * Automatic1111, Gradio, and the Jupyter contents and terminal APIs used to
+ * install models) are emulated by an Express router mounted on the orchestrator.
+ *
+ * All state is derived from timestamps on access, so no timers are needed
+ * (except to deliver job webhooks when a job finishes).
+ */
+
+// 1x1 transparent PNG / GIF returned as "generated" outputs
+const MOCK_PNG_B64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const MOCK_GIF_B64 = 'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+const MOCK_GPU_TYPES = [
+    { id: 'NVIDIA GeForce RTX 3080', displayName: 'RTX 3080', manufacturer: 'Nvidia', memoryInGb: 10, secureCloud: false, communityCloud: true, securePrice: null, communityPrice: 0.17 },
+    { id: 'NVIDIA RTX A4000', displayName: 'RTX A4000', manufacturer: 'Nvidia', memoryInGb: 16, secureCloud: true, communityCloud: true, securePrice: 0.32, communityPrice: 0.17 },
+    { id: 'NVIDIA GeForce RTX 3090', displayName: 'RTX 3090', manufacturer: 'Nvidia', memoryInGb: 24, secureCloud: true, communityCloud: true, securePrice: 0.43, communityPrice: 0.22 },
+    { id: 'NVIDIA GeForce RTX 4090', displayName: 'RTX 4090', manufacturer: 'Nvidia', memoryInGb: 24, secureCloud: true, communityCloud: true, securePrice: 0.69, communityPrice: 0.34 },
+    { id: 'NVIDIA L4', displayName: 'L4', manufacturer: 'Nvidia', memoryInGb: 24, secureCloud: true, communityCloud: false, securePrice: 0.43, communityPrice: null },
+    { id: 'NVIDIA A100 80GB PCIe', displayName: 'A100 PCIe', manufacturer: 'Nvidia', memoryInGb: 80, secureCloud: true, communityCloud: true, securePrice: 1.64, communityPrice: 1.19 }
+];
+
+const DEFAULT_CHECKPOINTS = ['sd_xl_base_1.0.safetensors'];
+
+// ComfyUI loader nodes and the models folder (and input) each one lists
+const LOADER_NODES = {
+    CheckpointLoaderSimple: { folder: 'checkpoints', input: 'ckpt_name' },
+    LoraLoader: { folder: 'loras', input: 'lora_name' },
+    VAELoader: { folder: 'vae', input: 'vae_name' },
+    ControlNetLoader: { folder: 'controlnet', input: 'control_net_name' }
+};
+
+// Arguments of a shell line, with single quotes removed
+function shellWords(line) {
+    return [...line.matchAll(/'((?:[^']|'\\'')*)'|(\S+)/g)]
+        .map(([, quoted, plain]) => quoted !== undefined ? quoted.replace(/'\\''/g, "'") : plain);
+}
+
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.balance = config.mockStartingBalance;
+        this.pods = new Map();
+        this.endpoints = new Map();
+        this.jobs = new Map();
+        // Recent submit times per endpoint, for MOCK_ENDPOINT_RATE_LIMIT
+        this.submissions = new Map();
+    }
+
+    /**
+     * Pod services are served by the orchestrator itself under /mock-pods
+     */
+    getServiceUrl(podId, port) {
+        return `http://localhost:${config.port}/mock-pods/${podId}/${port}`;
+    }
+
+    // ==================== Internal helpers ====================
+
+    _notFound(what) {
+        return new Error(`${what} does not exist`);
+    }
+
+    _gpu(gpuTypeId) {
+        return MOCK_GPU_TYPES.find(g => g.id === gpuTypeId) || null;
+    }
+
+    _hourlyPrice(gpuTypeId, cloudType = 'ALL') {
+        const gpu = this._gpu(gpuTypeId);
+        if (!gpu) return 0;
+        if (cloudType === 'SECURE') return gpu.securePrice || gpu.communityPrice || 0;
+        return gpu.communityPrice || gpu.securePrice || 0;
+    }
+
+    // Spot market: the lowest accepted bid is half the on-demand community price
+    _minimumBid(gpuTypeId) {
+        return Math.round(this._hourlyPrice(gpuTypeId) * 0.5 * 1000) / 1000;
+    }
+
+    _checkBid(gpuTypeId, bidPerGpu) {
+        const minimum = this._minimumBid(gpuTypeId);
+        if (!(bidPerGpu >= minimum)) {
+            const error = new Error(`Bid too low: the minimum bid for ${gpuTypeId} is $${minimum}/GPU/hr`);
+            error.status = 400;
+            throw error;
+        }
+    }
+
+    /**
+     * Charge running pods and finished jobs up to now against the balance
+     */
+    _settle() {
+        const now = Date.now();
+        this._interruptSpotPods(now);
+
+        for (const pod of this.pods.values()) {
+            if (pod.desiredStatus === 'RUNNING' && pod.lastStartedAt) {
+                const seconds = (now - pod.lastBilledAt) / 1000;
+                this.balance -= (pod.costPerHr / 3600) * seconds;
+                pod.lastBilledAt = now;
+            }
+        }
+
+        for (const job of this.jobs.values()) {
+            const state = this._jobState(job, now);
+            if (!job.billed && (state === 'COMPLETED' || state === 'FAILED')) {
+                const endpoint = this.endpoints.get(job.endpointId);
+                this.balance -= (this._hourlyPrice(endpoint?.gpuIds, 'SECURE') / 3600) * (job.executionMs / 1000);
+                job.billed = true;
+            }
+        }
+    }
+
+    /**
+     * Spot pods are outbid after MOCK_SPOT_INTERRUPT_SECONDS of running:
+     * billed up to that moment and left EXITED, like RunPod does
+     */
+    _interruptSpotPods(now) {
+        if (!config.mockSpotInterruptSeconds) return;
+        for (const pod of this.pods.values()) {
+            if (pod.podType !== 'INTERRUPTABLE' || pod.desiredStatus !== 'RUNNING' || !pod.lastStartedAt) continue;
+            const interruptedAt = pod.lastStartedAt + config.mockSpotInterruptSeconds * 1000;
+            if (now < interruptedAt) continue;
+
+            this.balance -= (pod.costPerHr / 3600) * Math.max(0, interruptedAt - pod.lastBilledAt) / 1000;
+            pod.desiredStatus = 'EXITED';
+            pod.lastStartedAt = null;
+            pod.lastBilledAt = interruptedAt;
+        }
+    }
+
+    _podUptimeSeconds(pod, now = Date.now()) {
+        if (pod.desiredStatus !== 'RUNNING' || !pod.lastStartedAt) return 0;
+        return Math.floor((now - pod.lastStartedAt) / 1000);
+    }
+
+    _isBooted(pod, now = Date.now()) {
+        return pod.desiredStatus === 'RUNNING' &&
+            (now - pod.lastStartedAt) >= config.mockBootSeconds * 1000;
+    }
+
+    /**
+     * Shape an internal pod record like a RunPod GraphQL pod
+     */
+    _toApiPod(pod) {
+        const now = Date.now();
+        const booted = this._isBooted(pod, now);
+        const uptime = this._podUptimeSeconds(pod, now);
+
+        return {
+            id: pod.id,
+            name: pod.name,
+            podType: pod.podType,
+            imageName: pod.imageName,
+            desiredStatus: pod.desiredStatus,
+            costPerHr: pod.costPerHr,
+            uptimeSeconds: uptime,
+            gpuCount: pod.gpuCount,
+            vcpuCount: 8 * pod.gpuCount,
+            memoryInGb: 32 * pod.gpuCount,
+            containerDiskInGb: pod.containerDiskInGb,
+            volumeInGb: pod.volumeInGb,
+            runtime: booted ? {
+                uptimeInSeconds: uptime,
+                ports: pod.ports.map(p => ({
+                    ip: '127.0.0.1',
+                    isIpPublic: false,
+                    privatePort: p.port,
+                    publicPort: p.port,
+                    type: p.type
+                })),
+                gpus: [{ id: `GPU-mock-${pod.id}`, gpuUtilPercent: pod.busyUntil > now ? 97 : 0, memoryUtilPercent: 40 }]
+            } : null,
+            machine: {
+                gpuDisplayName: this._gpu(pod.gpuTypeId)?.displayName || pod.gpuTypeId
+            }
+        };
+    }
+
+    _parsePorts(ports) {
+        return String(ports || '')
+            .split(',')
+            .map(p => p.trim())
+            .filter(Boolean)
+            .map(p => {
+                const [port, type = 'http'] = p.split('/');
+                return { port: parseInt(port), type };
+            });
+    }
+
+    _newPod(options, podType, costPerHr) {
+        const now = Date.now();
+        const pod = {
+            id: `mock${uuidv4().replace(/-/g, '').slice(0, 10)}`,
+            name: options.name,
+            podType,
+            imageName: options.imageName || `template:${options.templateId}`,
+            templateId: options.templateId || null,
+            gpuTypeId: options.gpuTypeId,
+            gpuCount: options.gpuCount || 1,
+            volumeInGb: options.volumeInGb ?? 20,
+            containerDiskInGb: options.containerDiskInGb || 20,
+            ports: this._parsePorts(options.ports || '8888/http,8188/http,3000/http'),
+            env: options.env || [],
+            desiredStatus: 'RUNNING',
+            costPerHr,
+            createdAt: now,
+            lastStartedAt: now,
+            lastBilledAt: now,
+            busyUntil: 0,
+            // Models folder -> file names ComfyUI lists
+            models: { checkpoints: [...DEFAULT_CHECKPOINTS] },
+            // Jupyter files: path -> { content, size }
+            files: new Map(),
+            prompts: new Map()
+        };
+        this.pods.set(pod.id, pod);
+        return pod;
+    }
+
+    _requirePod(podId) {
+        const pod = this.pods.get(podId);
+        if (!pod) throw this._notFound(`Pod ${podId}`);
+        return pod;
+    }
+
+    _jobState(job, now = Date.now()) {
+        if (job.cancelled) return 'CANCELLED';
+        const elapsed = now - job.createdAt;
+        if (elapsed < job.delayMs) return 'IN_QUEUE';
+        if (elapsed < job.delayMs + job.executionMs) return 'IN_PROGRESS';
+        return job.willFail ? 'FAILED' : 'COMPLETED';
+    }
+
+    /**
+     * Shape an internal job record like a RunPod serverless status response
+     */
+    _toApiJob(job) {
+        const status = this._jobState(job);
+        const result = { id: job.id, status };
+
+        if (status === 'COMPLETED' || status === 'FAILED') {
+            result.delayTime = job.delayMs;
+            result.executionTime = job.executionMs;
+        }
+        if (status === 'COMPLETED') {
+            const count = job.input?.batch_size || 1;
+            result.output = {
+                images: Array.from({ length: count }, () => MOCK_PNG_B64),
+                seed: job.input?.seed ?? job.seed
+            };
+        }
+        if (status === 'FAILED') {
+            result.error = 'Simulated worker failure';
+        }
+        return result;
+    }
+
+    /**
+     * POST the final status to the job's webhook when it finishes, like RunPod.
+     * Cancelled or retried jobs are skipped (a retry schedules its own call).
+     */
+    _scheduleWebhook(job) {
+        if (!job.webhook) return;
+        const finishesIn = job.createdAt + job.delayMs + job.executionMs - Date.now();
+        const timer = setTimeout(() => {
+            const status = this._jobState(job);
+            if (status !== 'COMPLETED' && status !== 'FAILED') return;
+            this._settle();
+            fetch(job.webhook, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this._toApiJob(job))
+            }).catch(error => console.error(`Mock webhook for ${job.id} failed:`, error.message));
+        }, Math.max(finishesIn, 0) + 50);
+        timer.unref?.();
+    }
+
+    /**
+     * Answer 429 like RunPod when an endpoint gets more than
+     * MOCK_ENDPOINT_RATE_LIMIT submissions within a second (0 = no limit)
+     */
+    _checkRateLimit(endpointId) {
+        if (!config.mockEndpointRateLimit) return;
+        const now = Date.now();
+        const recent = (this.submissions.get(endpointId) || []).filter(t => now - t < 1000);
+        if (recent.length >= config.mockEndpointRateLimit) {
+            this.submissions.set(endpointId, recent);
+            const error = new Error('Too many requests');
+            error.status = 429;
+            throw error;
+        }
+        recent.push(now);
+        this.submissions.set(endpointId, recent);
+    }
+
+    _requireJob(endpointId, jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.endpointId !== endpointId) {
+            const error = new Error(`Job ${jobId} not found`);
+            error.status = 404;
+            throw error;
+        }
+        return job;
+    }
+
+    // ==================== Account & GPUs ====================
+
+    async getMyself() {
+        this._settle();
+        const currentSpendPerHr = [...this.pods.values()]
+            .filter(p => p.desiredStatus === 'RUNNING')
+            .reduce((sum, p) => sum + p.costPerHr, 0);
+
+        return {
+            id: 'mock-user',
+            email: 'demo@localhost',
+            clientBalance: Math.round(this.balance * 10000) / 10000,
+            currentSpendPerHr
+        };
+    }
+
+    async getGpuTypes() {
+        return MOCK_GPU_TYPES.map(g => ({ ...g, minimumBidPrice: this._minimumBid(g.id) }));
+    }
+
+    async getTemplates() {
+        return [];
+    }
+
+    // ==================== Pods ====================
+
+    async getPods() {
+        this._settle();
+        return [...this.pods.values()].map(p => this._toApiPod(p));
+    }
+
+    async getPod(podId) {
+        this._settle();
+        const pod = this.pods.get(podId);
+        return pod ? this._toApiPod(pod) : null;
+    }
+
+    async createPod(options) {
+        if (!this._gpu(options.gpuTypeId)) {
+            throw new Error(`There are no longer any instances available with the requested specifications (${options.gpuTypeId})`);
+        }
+        const costPerHr = this._hourlyPrice(options.gpuTypeId, options.cloudType) * (options.gpuCount || 1);
+        const pod = this._newPod(options, 'RESERVED', costPerHr);
+        return this._toApiPod(pod);
+    }
+
+    async createSpotPod(options) {
+        if (!this._gpu(options.gpuTypeId)) {
+            throw new Error(`There are no longer any instances available with the requested specifications (${options.gpuTypeId})`);
+        }
+        this._checkBid(options.gpuTypeId, options.bidPerGpu);
+        const pod = this._newPod(options, 'INTERRUPTABLE', options.bidPerGpu * (options.gpuCount || 1));
+        return this._toApiPod(pod);
+    }
+
+    async stopPod(podId) {
+        this._settle();
+        const pod = this._requirePod(podId);
+        pod.desiredStatus = 'EXITED';
+        pod.lastStartedAt = null;
+        return { id: pod.id, desiredStatus: pod.desiredStatus };
+    }
+
+    async resumePod(podId, gpuCount = 1) {
+        this._settle();
+        const pod = this._requirePod(podId);
+        if (pod.desiredStatus !== 'RUNNING') {
+            const now = Date.now();
+            pod.gpuCount = gpuCount;
+            pod.desiredStatus = 'RUNNING';
+            pod.lastStartedAt = now;
+            pod.lastBilledAt = now;
+        }
+        return { id: pod.id, desiredStatus: pod.desiredStatus, costPerHr: pod.costPerHr };
+    }
+
+    async resumeSpotPod(podId, bidPerGpu, gpuCount = 1) {
+        this._settle();
+        const pod = this._requirePod(podId);
+        this._checkBid(pod.gpuTypeId, bidPerGpu);
+        if (pod.desiredStatus !== 'RUNNING') {
+            const now = Date.now();
+            pod.gpuCount = gpuCount;
+            pod.costPerHr = bidPerGpu * gpuCount;
+            pod.desiredStatus = 'RUNNING';
+            pod.lastStartedAt = now;
+            pod.lastBilledAt = now;
+        }
+        return { id: pod.id, desiredStatus: pod.desiredStatus, costPerHr: pod.costPerHr };
+    }
+
+    async terminatePod(podId) {
+        this._settle();
+        this._requirePod(podId);
+        this.pods.delete(podId);
+        return null;
+    }
+
+    // ==================== Serverless Endpoints ====================
+
+    async getEndpoints() {
+        return [...this.endpoints.values()].map(e => ({ ...e }));
+    }
+
+    async createEndpoint(options) {
+        const endpoint = {
+            id: `mockep${uuidv4().replace(/-/g, '').slice(0, 8)}`,
+            name: options.name,
+            templateId: options.templateId,
+            gpuIds: options.gpuIds,
+            networkVolumeId: null,
+            idleTimeout: options.idleTimeout ?? 5,
+            scalerType: options.scalerType || 'QUEUE_DELAY',
+            scalerValue: options.scalerValue ?? 4,
+            workersMin: options.workersMin ?? 0,
+            workersMax: options.workersMax ?? 3,
+            type: 'QUEUE'
+        };
+        this.endpoints.set(endpoint.id, endpoint);
+        return { ...endpoint };
+    }
+
+    async deleteEndpoint(endpointId) {
+        if (!this.endpoints.delete(endpointId)) throw this._notFound(`Endpoint ${endpointId}`);
+        return null;
+    }
+
+    async getHealth(endpointId) {
+        if (!this.endpoints.has(endpointId)) throw this._notFound(`Endpoint ${endpointId}`);
+        this._settle();
+
+        const counts = { completed: 0, failed: 0, inProgress: 0, inQueue: 0, retried: 0 };
+        for (const job of this.jobs.values()) {
+            if (job.endpointId !== endpointId) continue;
+            const state = this._jobState(job);
+            if (state === 'COMPLETED') counts.completed++;
+            else if (state === 'FAILED') counts.failed++;
+            else if (state === 'IN_PROGRESS') counts.inProgress++;
+            else if (state === 'IN_QUEUE') counts.inQueue++;
+        }
+
+        return {
+            jobs: counts,
+            workers: { idle: counts.inProgress > 0 ? 0 : 1, running: counts.inProgress }
+        };
+    }
+
+    // ==================== Serverless Jobs ====================
+
+    async runJob(endpointId, input, options = {}) {
+        if (!this.endpoints.has(endpointId)) throw this._notFound(`Endpoint ${endpointId}`);
+        this._checkRateLimit(endpointId);
+
+        const baseMs = config.mockJobSeconds * 1000;
+        const job = {
+            id: `mockjob-${uuidv4()}`,
+            endpointId,
+            input,
+            webhook: options.webhook || null,
+            createdAt: Date.now(),
+            delayMs: 250 + Math.floor(Math.random() * 750),
+            executionMs: Math.floor(baseMs * (0.75 + Math.random() * 0.5)),
+            willFail: Math.random() < config.mockJobFailureRate,
+            seed: Math.floor(Math.random() * 1000000000),
+            cancelled: false,
+            billed: false
+        };
+        this.jobs.set(job.id, job);
+        this._scheduleWebhook(job);
+
+        return { id: job.id, status: 'IN_QUEUE' };
+    }
+
+    async runJobSync(endpointId, input, options = {}) {
+        const { id } = await this.runJob(endpointId, input, options);
+        const job = this.jobs.get(id);
+        const remaining = job.createdAt + job.delayMs + job.executionMs - Date.now();
+        if (remaining > 0) {
+            await new Promise(resolve => setTimeout(resolve, remaining));
+        }
+        this._settle();
+        return this._toApiJob(job);
+    }
+
+    async getJobStatus(endpointId, jobId) {
+        const job = this._requireJob(endpointId, jobId);
+        this._settle();
+        return this._toApiJob(job);
+    }
+
+    async cancelJob(endpointId, jobId) {
+        const job = this._requireJob(endpointId, jobId);
+        const state = this._jobState(job);
+        if (state === 'IN_QUEUE' || state === 'IN_PROGRESS') {
+            job.cancelled = true;
+        }
+        return { id: job.id, status: this._jobState(job) };
+    }
+
+    /**
+     * Like RunPod, each call returns only the chunks produced since the last
+     * one: a progress chunk per quarter of the run (with a preview at half
+     * way) and the images at the end.
+     */
+    async streamJob(endpointId, jobId) {
+        const job = this._requireJob(endpointId, jobId);
+        const api = this._toApiJob(job);
+        const totalSteps = job.input?.num_inference_steps || job.input?.steps || 20;
+
+        const ran = Date.now() - job.createdAt - job.delayMs;
+        const reached = api.status === 'COMPLETED' ? 4 : Math.max(0, Math.min(3, Math.floor(ran / job.executionMs * 4)));
+        const chunks = [];
+        for (let quarter = (job.streamed || 0) + 1; quarter <= reached; quarter++) {
+            const output = { progress: quarter / 4, step: Math.round(totalSteps * quarter / 4), total_steps: totalSteps };
+            if (quarter === 2) output.preview = MOCK_PNG_B64;
+            if (quarter === 4) output.images = api.output.images;
+            chunks.push({ output });
+        }
+        job.streamed = Math.max(job.streamed || 0, reached);
+
+        return { status: api.status, stream: chunks };
+    }
+
+    async retryJob(endpointId, jobId) {
+        const job = this._requireJob(endpointId, jobId);
+        job.createdAt = Date.now();
+        job.cancelled = false;
+        job.billed = false;
+        job.willFail = Math.random() < config.mockJobFailureRate;
+        job.streamed = 0;
+        this._scheduleWebhook(job);
+        return { id: job.id, status: 'IN_QUEUE' };
+    }
+
+    async purgeQueue(endpointId) {
+        let removed = 0;
+        for (const job of this.jobs.values()) {
+            if (job.endpointId === endpointId && this._jobState(job) === 'IN_QUEUE') {
+                job.cancelled = true;
+                removed++;
+            }
+        }
+        return { removed, status: 'completed' };
+    }
+
+    // ==================== Emulated pod services ====================
+
+    /**
+     * Express router emulating the HTTP services running inside mock pods
+     * (ComfyUI, Automatic1111 and Gradio APIs). Mounted at /mock-pods by server.js;
+     * every port of a booted pod answers every route.
+     */
+    createServiceRouter() {
+        const router = express.Router();
+
+        router.use('/:podId/:port', (req, res, next) => {
+            const pod = this.pods.get(req.params.podId);
+            if (!pod || !this._isBooted(pod)) {
+                return res.status(502).send('Bad Gateway');
+            }
+            req.mockPod = pod;
+            next();
+        });
+
+        // ---- ComfyUI ----
+        router.get('/:podId/:port/system_stats', (req, res) => {
+            const gpu = this._gpu(req.mockPod.gpuTypeId);
+            res.json({
+                system: { os: 'posix', comfyui_version: 'mock', python_version: '3.11' },
+                devices: [{ name: gpu?.displayName || 'mock', type: 'cuda', vram_total: (gpu?.memoryInGb || 24) * 1024 ** 3 }]
+            });
+        });
+
+        router.get('/:podId/:port/object_info/:node', (req, res) => {
+            const loader = LOADER_NODES[req.params.node];
+            if (!loader) return res.json({});
+            res.json({
+                [req.params.node]: {
+                    input: { required: { [loader.input]: [[...(req.mockPod.models[loader.folder] || [])]] } }
+                }
+            });
+        });
+
+        router.post('/:podId/:port/prompt', (req, res) => {
+            const workflow = req.body?.prompt;
+            if (!workflow || typeof workflow !== 'object') {
+                return res.status(400).json({ error: { message: 'No prompt provided' } });
+            }
+            const promptId = uuidv4();
+            const isVideo = Object.values(workflow).some(n => n.class_type === 'VHS_VideoCombine');
+            const durationMs = config.mockJobSeconds * 1000 * (isVideo ? 2 : 1);
+            req.mockPod.prompts.set(promptId, { workflow, isVideo, doneAt: Date.now() + durationMs });
+            req.mockPod.busyUntil = Date.now() + durationMs;
+            res.json({ prompt_id: promptId, number: req.mockPod.prompts.size });
+        });
+
+        router.post('/:podId/:port/upload/image', (req, res) => {
+            // The multipart body is not needed, only drained
+            req.resume();
+            req.on('end', () => res.json({ name: `upload_${uuidv4().slice(0, 8)}.png`, subfolder: '', type: 'input' }));
+        });
+
+        router.get('/:podId/:port/history/:promptId', (req, res) => {
+            const entry = req.mockPod.prompts.get(req.params.promptId);
+            if (!entry || Date.now() < entry.doneAt) return res.json({});
+
+            const outputs = {};
+            for (const [nodeId, node] of Object.entries(entry.workflow)) {
+                const file = { filename: `mock_${req.params.promptId.slice(0, 8)}_${nodeId}`, subfolder: '', type: 'output' };
+                if (node.class_type === 'SaveImage') {
+                    outputs[nodeId] = { images: [{ ...file, filename: `${file.filename}.png` }] };
+                } else if (node.class_type === 'VHS_VideoCombine') {
+                    outputs[nodeId] = { gifs: [{ ...file, filename: `${file.filename}.gif`, format: 'image/gif' }] };
+                }
+            }
+            res.json({ [req.params.promptId]: { outputs, status: { completed: true } } });
+        });
+
+        router.get('/:podId/:port/view', (req, res) => {
+            const isGif = String(req.query.filename || '').endsWith('.gif');
+            res.type(isGif ? 'image/gif' : 'image/png');
+            res.send(Buffer.from(isGif ? MOCK_GIF_B64 : MOCK_PNG_B64, 'base64'));
+        });
+
+        // ---- Gradio (Music Gen) ----
+        router.get('/:podId/:port/config', (req, res) => {
+            res.json({ version: 'mock', mode: 'blocks', components: [] });
+        });
+
+        // ---- Automatic1111 ----
+        router.get('/:podId/:port/sdapi/v1/sd-models', (req, res) => {
+            res.json(req.mockPod.models.checkpoints.map(c => ({ title: c, model_name: c.replace(/\.\w+$/, '') })));
+        });
+
+        router.post('/:podId/:port/sdapi/v1/txt2img', (req, res) => {
+            const count = req.body?.batch_size || 1;
+            const seed = req.body?.seed > 0 ? req.body.seed : Math.floor(Math.random() * 1000000000);
+            setTimeout(() => {
+                res.json({
+                    images: Array.from({ length: count }, () => MOCK_PNG_B64),
+                    parameters: req.body,
+                    info: JSON.stringify({ seed, all_seeds: Array.from({ length: count }, (_, i) => seed + i) })
+                });
+            }, config.mockJobSeconds * 1000);
+        });
+
+        // ---- Jupyter ----
+        router.get('/:podId/:port/api/contents/*', (req, res) => {
+            const path = `/${req.params[0]}`;
+            const file = req.mockPod.files.get(path);
+            if (!file) return res.status(404).json({ message: `No such file or directory: ${path}` });
+            res.json({
+                name: path.split('/').pop(),
+                path,
+                type: 'file',
+                size: file.size,
+                format: req.query.content === '0' ? null : 'text',
+                content: req.query.content === '0' ? null : file.content
+            });
+        });
+
+        router.put('/:podId/:port/api/contents/*', (req, res) => {
+            const path = `/${req.params[0]}`;
+            if (req.body?.type === 'file') {
+                const content = String(req.body.content || '');
+                req.mockPod.files.set(path, { content, size: Buffer.byteLength(content) });
+            }
+            res.status(201).json({ name: path.split('/').pop(), path, type: req.body?.type || 'file' });
+        });
+
+        router.post('/:podId/:port/api/terminals', (req, res) => {
+            res.json({ name: String(Math.floor(Math.random() * 1000)) });
+        });
+
+        router.delete('/:podId/:port/api/terminals/:name', (req, res) => {
+            res.sendStatus(204);
+        });
+
+        // Only `bash <script>` is understood: model download scripts are simulated
+        router.ws('/:podId/:port/terminals/websocket/:name', (ws, req) => {
+            ws.on('message', (raw) => {
+                let message;
+                try {
+                    message = JSON.parse(raw);
+                } catch {
+                    return;
+                }
+                if (message[0] !== 'stdin') return;
+                const words = shellWords(String(message[1]));
+                const script = words[words.indexOf('bash') + 1];
+                if (words.includes('bash') && script) this._runMockScript(req.mockPod, script);
+            });
+        });
+
+        return router;
+    }
+
+    /**
+     * Simulate a model download script: each `download` line takes
+     * MOCK_JOB_SECONDS and fails if its URL contains "fail"
+     */
+    _runMockScript(pod, scriptPath) {
+        const script = pod.files.get(scriptPath)?.content;
+        if (!script || pod.scriptRunning) return;
+
+        const lines = script.split('\n');
+        const logPath = shellWords(lines.find(line => line.startsWith('LOG=')).slice(4))[0];
+        const attempt = (lines.find(line => line.startsWith('echo "begin')) || '').match(/begin (\d+)/)?.[1] || '1';
+        const downloads = lines.filter(line => line.startsWith('download ')).map(line => shellWords(line).slice(1));
+
+        const log = (line) => {
+            const file = pod.files.get(logPath) || { content: '', size: 0 };
+            const content = `${file.content}${line}\n`;
+            pod.files.set(logPath, { content, size: Buffer.byteLength(content) });
+        };
+
+        pod.scriptRunning = true;
+        log(`begin ${attempt}`);
+
+        const next = (i) => {
+            if (i >= downloads.length || !this.pods.has(pod.id) || !this._isBooted(pod)) {
+                log('end');
+                pod.scriptRunning = false;
+                return;
+            }
+            const [index, url, dest] = downloads[i];
+            if (pod.files.has(dest)) {
+                log(`done ${index} ${pod.files.get(dest).size}`);
+                return next(i + 1);
+            }
+
+            log(`start ${index}`);
+            const size = 2 * 1024 * 1024;
+            pod.files.set(`${dest}.part`, { content: '', size: size / 2 });
+            setTimeout(() => {
+                pod.files.delete(`${dest}.part`);
+                if (url.includes('fail')) {
+                    log(`fail ${index} 22`);
+                } else {
+                    pod.files.set(dest, { content: '', size });
+                    this._addMockModel(pod, dest);
+                    log(`done ${index} ${size}`);
+                }
+                next(i + 1);
+            }, config.mockJobSeconds * 1000);
+        };
+        next(0);
+    }
+
+    // List a downloaded file under its loader folder, as ComfyUI would
+    _addMockModel(pod, path) {
+        const relative = path.slice(config.comfyModelsDir.length + 1);
+        const folder = Object.values(LOADER_NODES).map(l => l.folder).find(f => relative.startsWith(`${f}/`))
+            || relative.split('/')[0];
+        const name = relative.slice(folder.length + 1);
+        pod.models[folder] = [...(pod.models[folder] || []), name];
+    }
+}
+
+export default MockProvider;
@@ -0,0 +1,121 @@
+import RunPodClient from '../runpod-client.js';
+import ServerlessClient from '../serverless-client.js';
+
+/**
+ * RunPod Provider - real cloud provider backed by the RunPod GraphQL/REST APIs
+ *
+ * Implements the provider interface used by the rest of the orchestrator by
+ * delegating pod calls to RunPodClient and serverless calls to ServerlessClient.
+ */
+class RunPodProvider {
+    constructor() {
+        this.name = 'runpod';
+        this.pods = new RunPodClient();
+        this.serverless = new ServerlessClient();
+    }
+
+    /**
+     * Public URL of a service port exposed by a pod (RunPod HTTP proxy)
+     */
+    getServiceUrl(podId, port) {
+        return `https://${podId}-${port}.proxy.runpod.net`;
+    }
+
+    // ==================== Account & GPUs ====================
+
+    async getMyself() {
+        return this.pods.getMyself();
+    }
+
+    async getGpuTypes() {
+        return this.pods.getGpuTypes();
+    }
+
+    async getTemplates() {
+        return this.pods.getTemplates();
+    }
+
+    // ==================== Pods ====================
+
+    async getPods() {
+        return this.pods.getPods();
+    }
+
+    async getPod(podId) {
+        return this.pods.getPod(podId);
+    }
+
+    async createPod(options) {
+        return this.pods.createPod(options);
+    }
+
+    async createSpotPod(options) {
+        return this.pods.createSpotPod(options);
+    }
+
+    async stopPod(podId) {
+        return this.pods.stopPod(podId);
+    }
+
+    async resumePod(podId, gpuCount = 1) {
+        return this.pods.resumePod(podId, gpuCount);
+    }
+
+    async resumeSpotPod(podId, bidPerGpu, gpuCount = 1) {
+        return this.pods.resumeSpotPod(podId, bidPerGpu, gpuCount);
+    }
+
+    async terminatePod(podId) {
+        return this.pods.terminatePod(podId);
+    }
+
+    // ==================== Serverless Endpoints ====================
+
+    async getEndpoints() {
+        return this.serverless.getEndpoints();
+    }
+
+    async createEndpoint(options) {
+        return this.serverless.createEndpoint(options);
+    }
+
+    async deleteEndpoint(endpointId) {
+        return this.serverless.deleteEndpoint(endpointId);
+    }
+
+    async getHealth(endpointId) {
+        return this.serverless.getHealth(endpointId);
+    }
+
+    // ==================== Serverless Jobs ====================
+
+    async runJob(endpointId, input, options = {}) {
+        return this.serverless.runJob(endpointId, input, options);
+    }
+
+    async runJobSync(endpointId, input, options = {}) {
+        return this.serverless.runJobSync(endpointId, input, options);
+    }
+
+    async getJobStatus(endpointId, jobId) {
+        return this.serverless.getJobStatus(endpointId, jobId);
+    }
+
+    async cancelJob(endpointId, jobId) {
+        return this.serverless.cancelJob(endpointId, jobId);
+    }
+
+    async streamJob(endpointId, jobId) {
+        return this.serverless.streamJob(endpointId, jobId);
+    }
+
+    async retryJob(endpointId, jobId) {
+        return this.serverless.retryJob(endpointId, jobId);
+    }
+
+    async purgeQueue(endpointId) {
+        return this.serverless.purgeQueue(endpointId);
+    }
+}
+
+export default RunPodProvider;
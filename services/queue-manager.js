@@ -2,61 +2,88 @@ import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
 import { config } from '../config/env.js';
 import { database } from '../db/database.js';
-import { serverlessClient } from './serverless-client.js';
+import { cloudProvider } from './cloud-provider.js';
+import { assetStore } from './asset-store.js';
+import { costTracker } from './cost-tracker.js';
+import { projectManager } from './project-manager.js';
+import { eventBus } from './event-bus.js';
+import { endpointLimiter } from './endpoint-limiter.js';
+import { deadLetterQueue } from './dead-letter.js';
+import { resultCache } from './result-cache.js';
 
 /**
  * Queue Manager with deduplication, rate limiting, and retry logic
+ *
+ * Free slots are filled by priority lane first (high, normal, low). Inside a
+ * lane, each slot goes to the submitter (or project, see FAIR_SHARE_BY) with
+ * the fewest jobs running, so one large submission cannot starve the rest.
+ * Jobs for an endpoint that is full or throttled wait without blocking jobs
+ * for other endpoints (see endpoint-limiter.js).
+ *
+ * Completion: when webhooks are on, every job is submitted with a signed
+ * callback URL (/api/hooks/serverless/:jobId?sig=...) and the provider reports
+ * the result there. Active jobs are then polled only every
+ * WEBHOOK_FALLBACK_POLL_SECONDS, in case a callback is lost.
+ *
+ * Streaming: jobs submitted with `stream` (for workers that yield partial
+ * results) read the provider's /stream endpoint while they run. Each chunk is
+ * kept on the job (partial_output, progress) and relayed as job:progress.
+ *
+ * Deduplication and cache: a job identical to one still in flight (same
+ * endpoint and canonical input) returns that job; one identical to a job that
+ * completed within RESULT_CACHE_TTL_HOURS completes at once with the stored
+ * output (see result-cache.js). skipDeduplication bypasses both, `cache: false`
+ * only the cache.
  */
+
+export const PRIORITIES = ['low', 'normal', 'high'];
+const DEFAULT_PRIORITY = 1;
+// Provider statuses that end a job
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'TIMED_OUT', 'CANCELLED'];
+const WEBHOOK_SECRET_KEY = 'serverlessWebhookSecret';
+// Partial outputs kept per streaming job, and the largest chunk stored as is
+const MAX_STREAM_CHUNKS = 50;
+const MAX_CHUNK_BYTES = 512 * 1024;
+
 class QueueManager {
     constructor() {
         this.isProcessing = false;
         this.activeJobs = new Map();
         this.rateLimitTokens = config.rateLimitPerSecond;
         this.lastTokenRefill = Date.now();
-        this.wsClients = new Set();
+        this.lastDecision = null;
+        this.webhookSecret = null;
+        this.webhookStats = { received: 0, rejected: 0, lastReceivedAt: null };
+        this.lastRecovery = null;
 
-        // Start the processing loop
-        this.startProcessingLoop();
+        // Pick up jobs left in flight by a previous run before taking new ones
         this.startTokenRefillLoop();
+        this.recoverJobs()
+            .catch(error => console.error('Job recovery error:', error.message))
+            .finally(() => this.startProcessingLoop());
     }
 
     /**
-     * Register a WebSocket client for real-time updates
-     */
-    registerClient(ws) {
-        this.wsClients.add(ws);
-        ws.on('close', () => this.wsClients.delete(ws));
-    }
-
-    /**
-     * Broadcast update to all connected clients
-     */
-    broadcast(event, data) {
-        const message = JSON.stringify({ event, data, timestamp: Date.now() });
-        this.wsClients.forEach(ws => {
-            if (ws.readyState === 1) { // OPEN
-                ws.send(message);
-            }
-        });
-    }
-
-    /**
-     * Generate hash for input deduplication
+     * Content hash of a job for deduplication and the result cache
      */
-    hashInput(input) {
-        const normalized = JSON.stringify(input, Object.keys(input).sort());
-        return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+    hashInput(input, endpointId = null) {
+        return resultCache.hashInput(endpointId, input);
     }
 
     /**
      * Submit a job to the queue
      */
     async submitJob(endpointId, input, options = {}) {
-        const { skipDeduplication = false } = options;
+        const { skipDeduplication = false, cache = true, userId = null, stream = false } = options;
+        const priority = this.parsePriority(options.priority);
+        // Jobs are charged to the endpoint's project unless another one is given
+        const projectId = options.projectId
+            ? projectManager.resolve(options.projectId)
+            : projectManager.getEndpointProject(endpointId);
 
-        const inputHash = this.hashInput(input);
+        const inputHash = this.hashInput(input, endpointId);
 
-        // Check for duplicates
+        // Check for duplicates still in flight, then for a stored result
         if (!skipDeduplication) {
             const existing = database.getJobByHash(inputHash);
             if (existing) {
@@ -66,14 +93,16 @@ class QueueManager {
                     message: 'Job with identical input already exists'
                 };
             }
-        }
 
-        // Check budget
-        const todaySpend = database.getTodaySpend();
-        if (todaySpend >= config.budgetLimitDaily) {
-            throw new Error(`Daily budget limit ($${config.budgetLimitDaily}) exceeded. Current spend: $${todaySpend.toFixed(2)}`);
+            const cached = cache !== false ? resultCache.lookup(inputHash) : null;
+            if (cached) {
+                return this._serveFromCache(cached, { endpointId, inputHash, input, projectId, userId, priority, stream });
+            }
         }
 
+        // Check global, project and user budgets
+        costTracker.assertCanSpend({ projectId, userId });
+
         // Create job record
         const jobId = uuidv4();
         const job = {
@@ -81,21 +110,192 @@ class QueueManager {
             endpointId,
             inputHash,
             input,
+            projectId,
+            userId,
+            priority,
+            stream: Boolean(stream),
             status: 'PENDING',
             attempts: 0,
             createdAt: new Date().toISOString()
         };
 
         database.createJob(job);
-        this.broadcast('job:created', { id: jobId, status: 'PENDING' });
+        eventBus.publish('job:created', { id: jobId, status: 'PENDING', projectId, priority: PRIORITIES[priority] });
 
         return {
             id: jobId,
             status: 'PENDING',
+            priority: PRIORITIES[priority],
             message: 'Job queued successfully'
         };
     }
 
+    /**
+     * Record a job that completes at once with a cached output
+     */
+    _serveFromCache(cached, job) {
+        const jobId = uuidv4();
+        const now = new Date().toISOString();
+        const costSavedUsd = cached.cost_usd ?? null;
+
+        database.createJob({ ...job, id: jobId, stream: Boolean(job.stream) });
+        database.updateJob(jobId, {
+            status: 'COMPLETED',
+            output: cached.output,
+            cached_from: cached.source_job_id,
+            cost_usd: 0,
+            cost_saved_usd: costSavedUsd,
+            duration_ms: 0,
+            started_at: now,
+            completed_at: now,
+            ...(job.stream ? { progress: 100 } : {})
+        });
+        resultCache.recordHit(job.inputHash);
+
+        eventBus.publish('job:completed', {
+            id: jobId,
+            output: cached.output,
+            duration: 0,
+            via: 'cache',
+            cachedFrom: cached.source_job_id,
+            costSavedUsd
+        });
+
+        return {
+            id: jobId,
+            status: 'COMPLETED',
+            priority: PRIORITIES[job.priority],
+            output: cached.output,
+            cached: true,
+            cachedFrom: cached.source_job_id,
+            cachedAt: cached.created_at,
+            costSavedUsd,
+            message: 'Served from cache'
+        };
+    }
+
+    // ==================== Scheduling ====================
+
+    /**
+     * Priority name ('low' | 'normal' | 'high') to its stored level
+     */
+    parsePriority(priority) {
+        if (priority === undefined || priority === null || priority === '') return DEFAULT_PRIORITY;
+        const level = PRIORITIES.indexOf(priority);
+        if (level === -1) {
+            throw { status: 400, message: `Invalid priority. Use one of: ${PRIORITIES.join(', ')}` };
+        }
+        return level;
+    }
+
+    /**
+     * Pick the pending jobs that get the free slots
+     */
+    schedule(freeSlots) {
+        if (freeSlots <= 0) return [];
+        // No key can get more than freeSlots jobs, so that many per key is enough
+        const pending = database.getPendingJobsByShare(config.fairShareBy, freeSlots);
+        if (pending.length === 0) return [];
+
+        const active = database.getActiveJobCounts(config.fairShareBy);
+        const load = { ...active };
+        // `pending` is capped per key, so the waiting jobs are counted apart
+        const waiting = database.getPendingJobCounts(config.fairShareBy);
+        const endpointSlots = endpointLimiter.freeSlots([...new Set(pending.map(j => j.endpoint_id))]);
+        const endpointsFull = new Set();
+        // Drop queued jobs whose endpoint has no slot or submission token left in this pass
+        const head = (queue) => {
+            while (queue.length > 0 && !(endpointSlots[queue[0].endpoint_id] > 0)) {
+                endpointsFull.add(queue.shift().endpoint_id);
+            }
+            return queue[0];
+        };
+
+        // Lanes from high to low, each with a FIFO queue per share key
+        const lanes = new Map();
+        for (const job of pending) {
+            const key = job.share_key;
+            if (!lanes.has(job.priority)) lanes.set(job.priority, new Map());
+            const queues = lanes.get(job.priority);
+            if (!queues.has(key)) queues.set(key, []);
+            queues.get(key).push(job);
+        }
+
+        const picked = [];
+        for (const level of [...lanes.keys()].sort((a, b) => b - a)) {
+            const queues = lanes.get(level);
+            while (picked.length < freeSlots && queues.size > 0) {
+                // Least loaded share key first; ties go to whoever has waited longest
+                let chosen = null;
+                for (const [key, queue] of queues) {
+                    if (!head(queue)) {
+                        queues.delete(key);
+                        continue;
+                    }
+                    if (chosen === null ||
+                        (load[key] || 0) < (load[chosen] || 0) ||
+                        ((load[key] || 0) === (load[chosen] || 0) && queue[0].created_at < queues.get(chosen)[0].created_at)) {
+                        chosen = key;
+                    }
+                }
+                if (chosen === null) break;
+
+                const job = queues.get(chosen).shift();
+                if (queues.get(chosen).length === 0) queues.delete(chosen);
+                endpointSlots[job.endpoint_id]--;
+                picked.push({ job, shareKey: chosen, load: load[chosen] || 0 });
+                load[chosen] = (load[chosen] || 0) + 1;
+            }
+            if (picked.length >= freeSlots) break;
+        }
+
+        this.lastDecision = {
+            at: new Date().toISOString(),
+            freeSlots,
+            fairShareBy: config.fairShareBy,
+            active,
+            waiting,
+            endpointsFull: [...endpointsFull],
+            picked: picked.map(p => ({
+                id: p.job.id,
+                priority: PRIORITIES[p.job.priority] ?? p.job.priority,
+                shareKey: p.shareKey,
+                activeBefore: p.load
+            }))
+        };
+        return picked.map(p => p.job);
+    }
+
+    /**
+     * Change the lane of a job that has not started yet
+     */
+    setPriority(jobId, priority) {
+        const job = database.getJob(jobId);
+        if (!job) throw { status: 404, message: 'Job not found' };
+
+        const level = this.parsePriority(priority);
+        if (database.setJobPriority(jobId, level).changes === 0) {
+            throw { status: 409, message: `Only pending jobs can be reprioritized (job is ${job.status})` };
+        }
+
+        eventBus.publish('job:priority', { id: jobId, priority: PRIORITIES[level] });
+        return { id: jobId, priority: PRIORITIES[level] };
+    }
+
+    /**
+     * Move a pending job one lane up (+1) or down (-1)
+     */
+    shiftPriority(jobId, direction) {
+        const job = database.getJob(jobId);
+        if (!job) throw { status: 404, message: 'Job not found' };
+
+        const level = (job.priority ?? DEFAULT_PRIORITY) + direction;
+        if (level < 0 || level >= PRIORITIES.length) {
+            throw { status: 400, message: `Job is already in the ${direction > 0 ? 'highest' : 'lowest'} lane` };
+        }
+        return this.setPriority(jobId, PRIORITIES[level]);
+    }
+
     /**
      * Token bucket rate limiting
      */
@@ -136,6 +336,10 @@ class QueueManager {
     async processJob(job) {
         const startTime = Date.now();
 
+        // schedule() only picks jobs whose endpoint has a token; if another
+        // pass took it meanwhile, the job simply stays PENDING for the next one
+        if (!endpointLimiter.tryAcquire(job.endpoint_id)) return null;
+
         try {
             // Update status to RUNNING
             database.updateJob(job.id, {
@@ -143,31 +347,43 @@ class QueueManager {
                 started_at: new Date().toISOString(),
                 attempts: job.attempts + 1
             });
-            this.broadcast('job:running', { id: job.id });
+            eventBus.publish('job:running', { id: job.id });
 
-            // Wait for rate limit token
+            // The endpoint's token is taken; wait for the global one
             await this.acquireRateLimitToken();
 
             // Send job to RunPod
-            const result = await serverlessClient.runJob(job.endpoint_id, job.input);
+            const webhook = this.webhookUrl(job.id);
+            const result = await cloudProvider.runJob(job.endpoint_id, job.input, webhook ? { webhook } : {});
+            endpointLimiter.succeeded(job.endpoint_id);
 
             // Update with RunPod job ID
             database.updateJob(job.id, {
                 runpod_job_id: result.id,
                 status: 'IN_QUEUE'
             });
-            this.broadcast('job:queued', { id: job.id, runpodJobId: result.id });
+            eventBus.publish('job:queued', { id: job.id, runpodJobId: result.id });
 
             // Track this job for status polling
             this.activeJobs.set(job.id, {
                 runpodJobId: result.id,
                 endpointId: job.endpoint_id,
-                startTime
+                startTime,
+                lastPolledAt: Date.now(),
+                stream: Boolean(job.stream)
             });
 
             return result;
 
         } catch (error) {
+            // Rate limited by the provider: slow the endpoint down, the job did nothing wrong
+            if (error.status === 429) {
+                endpointLimiter.throttled(job.endpoint_id, error.retryAfter);
+                database.updateJob(job.id, { status: 'PENDING', attempts: job.attempts || 0 });
+                eventBus.publish('job:retry', { id: job.id, attempt: job.attempts || 0, throttled: true });
+                throw error;
+            }
+
             const attempts = (job.attempts || 0) + 1;
 
             if (attempts >= config.maxRetryAttempts) {
@@ -177,8 +393,8 @@ class QueueManager {
                     error: error.message,
                     attempts
                 });
-                database.addToDeadLetter(job, error.message);
-                this.broadcast('job:failed', { id: job.id, error: error.message, deadLettered: true });
+                deadLetterQueue.add({ ...job, attempts }, error.message, { status: error.status });
+                eventBus.publish('job:failed', { id: job.id, error: error.message, deadLettered: true });
             } else {
                 // Schedule retry with backoff
                 const delay = this.getBackoffDelay(attempts);
@@ -187,7 +403,7 @@ class QueueManager {
                     error: error.message,
                     attempts
                 });
-                this.broadcast('job:retry', { id: job.id, attempt: attempts, retryIn: delay });
+                eventBus.publish('job:retry', { id: job.id, attempt: attempts, retryIn: delay });
             }
 
             throw error;
@@ -195,39 +411,316 @@ class QueueManager {
     }
 
     /**
-     * Poll status for active jobs
+     * Poll status for active jobs (with webhooks on, only the overdue ones)
      */
     async pollActiveJobs() {
+        const now = Date.now();
+        const interval = this.webhooksEnabled() ? config.webhookFallbackPollSeconds * 1000 : 0;
+
         for (const [jobId, info] of this.activeJobs.entries()) {
+            if (now - info.lastPolledAt < interval || endpointLimiter.isThrottled(info.endpointId)) continue;
+            info.lastPolledAt = now;
             try {
-                const status = await serverlessClient.getJobStatus(info.endpointId, info.runpodJobId);
-
-                if (status.status === 'COMPLETED') {
-                    const duration = Date.now() - info.startTime;
-                    database.updateJob(jobId, {
-                        status: 'COMPLETED',
-                        output: status.output,
-                        duration_ms: duration,
-                        completed_at: new Date().toISOString()
-                    });
-                    this.activeJobs.delete(jobId);
-                    this.broadcast('job:completed', { id: jobId, output: status.output, duration });
-
-                } else if (status.status === 'FAILED') {
-                    database.updateJob(jobId, {
-                        status: 'FAILED',
-                        error: status.error || 'Job failed',
-                        completed_at: new Date().toISOString()
+                const status = await cloudProvider.getJobStatus(info.endpointId, info.runpodJobId);
+                // For IN_PROGRESS, IN_QUEUE - keep polling
+                await this.applyJobStatus(jobId, status, 'poll');
+            } catch (error) {
+                if (error.status === 429) {
+                    endpointLimiter.throttled(info.endpointId, error.retryAfter);
+                } else {
+                    console.error(`Error polling job ${jobId}:`, error.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Record a final status reported by the provider (poll or webhook).
+     * Returns false when the job had already finished, so a late or repeated
+     * report is a no-op.
+     */
+    async applyJobStatus(jobId, status, via) {
+        if (!TERMINAL_STATUSES.includes(status.status)) return false;
+
+        const job = database.getJob(jobId);
+        const info = this.activeJobs.get(jobId);
+        this.activeJobs.delete(jobId);
+        if (!job || ['COMPLETED', 'FAILED', 'CANCELLED'].includes(job.status)) return false;
+
+        const startTime = info?.startTime ?? Date.parse(job.started_at);
+        const duration = Date.now() - startTime;
+
+        if (status.status === 'COMPLETED') {
+            database.updateJob(jobId, {
+                status: 'COMPLETED',
+                output: status.output,
+                duration_ms: duration,
+                completed_at: new Date().toISOString(),
+                ...(job.stream ? { progress: 100 } : {})
+            });
+            const outputImages = assetStore.extractImages(status.output);
+            const costUsd = await this._recordJobCost(job, status, duration, { image_count: outputImages.length });
+            resultCache.store({ ...job, cost_usd: costUsd }, status, duration);
+
+            // Keep local copies of any images in the output, each with its share of the cost
+            const { images } = await assetStore.storeResults({ images: outputImages }, {
+                source: 'serverless',
+                endpointId: job.endpoint_id,
+                jobId,
+                prompt: job.input?.prompt,
+                negativePrompt: job.input?.negative_prompt,
+                seed: job.input?.seed ?? status.output?.seed,
+                params: job.input,
+                costUsd
+            });
+
+            eventBus.publish('job:completed', {
+                id: jobId,
+                output: status.output,
+                duration,
+                via,
+                costUsd,
+                assets: images.filter(i => i.assetId).map(i => i.assetId)
+            });
+
+        } else if (status.status === 'CANCELLED') {
+            database.updateJob(jobId, { status: 'CANCELLED', completed_at: new Date().toISOString() });
+            await this._recordJobCost(job, status, duration);
+            eventBus.publish('job:cancelled', { id: jobId, via });
+
+        } else {
+            const error = status.error || (status.status === 'TIMED_OUT' ? 'Job timed out' : 'Job failed');
+            database.updateJob(jobId, {
+                status: 'FAILED',
+                error,
+                completed_at: new Date().toISOString()
+            });
+            // The worker's time is billed even when the job fails
+            await this._recordJobCost(job, status, duration);
+            deadLetterQueue.add(job, error, { source: 'worker' });
+            eventBus.publish('job:failed', { id: jobId, error, via, deadLettered: true });
+        }
+        return true;
+    }
+
+    /**
+     * Cost the job from the provider's execution time and log it (see cost-tracker.js).
+     * Called after the final status is saved, so a repeated report cannot bill twice.
+     */
+    async _recordJobCost(job, status, duration, extra = {}) {
+        let cost = null;
+        try {
+            cost = await costTracker.logServerlessJobCost(job, status, duration);
+        } catch (error) {
+            console.error(`Error costing job ${job.id}:`, error.message);
+        }
+        database.updateJob(job.id, {
+            ...extra,
+            cost_usd: cost?.costUsd ?? null,
+            gpu_used: cost?.gpuType ?? null
+        });
+        return cost?.costUsd ?? null;
+    }
+
+    // ==================== Streaming ====================
+
+    /**
+     * Read new partial outputs of running streaming jobs
+     */
+    async pollStreams() {
+        for (const [jobId, info] of this.activeJobs.entries()) {
+            if (!info.stream || endpointLimiter.isThrottled(info.endpointId)) continue;
+            try {
+                const { status, stream = [] } = await cloudProvider.streamJob(info.endpointId, info.runpodJobId);
+                if (stream.length > 0) this.recordStreamChunks(jobId, stream.map(chunk => chunk.output ?? chunk));
+                // The final output comes from the status call: make it on the next pass
+                if (TERMINAL_STATUSES.includes(status)) info.lastPolledAt = 0;
+            } catch (error) {
+                if (error.status === 429) {
+                    endpointLimiter.throttled(info.endpointId, error.retryAfter);
+                } else {
+                    console.error(`Error streaming job ${jobId}:`, error.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Append partial outputs to the job and relay them to subscribers
+     */
+    recordStreamChunks(jobId, outputs) {
+        const job = database.getJob(jobId);
+        if (!job || ['COMPLETED', 'FAILED', 'CANCELLED'].includes(job.status)) return;
+
+        const chunks = outputs.map(output => {
+            const size = Buffer.byteLength(JSON.stringify(output ?? null));
+            return size > MAX_CHUNK_BYTES ? { truncated: true, bytes: size } : output;
+        });
+        const progress = outputs.reduce((latest, output) => this._chunkProgress(output) ?? latest, job.progress);
+
+        const partial = job.partial_output || { received: 0, chunks: [] };
+        const partialOutput = {
+            received: partial.received + chunks.length,
+            chunks: [...partial.chunks, ...chunks].slice(-MAX_STREAM_CHUNKS),
+            updatedAt: new Date().toISOString()
+        };
+        database.updateJob(jobId, { partial_output: partialOutput, progress });
+        eventBus.publish('job:progress', { id: jobId, progress, chunks, received: partialOutput.received });
+    }
+
+    /**
+     * Progress in percent from a chunk: { progress: 0.4 | 40 }, { percent } or { step, total_steps }
+     */
+    _chunkProgress(output) {
+        if (!output || typeof output !== 'object') return null;
+        const value = output.progress ?? output.percent;
+        if (typeof value === 'number') {
+            return Math.min(100, Math.max(0, value <= 1 && output.percent === undefined ? value * 100 : value));
+        }
+        if (output.step && output.total_steps) {
+            return Math.min(100, (output.step / output.total_steps) * 100);
+        }
+        return null;
+    }
+
+    // ==================== Recovery ====================
+
+    /**
+     * Rebuild active tracking from the jobs table after a restart:
+     * - jobs with a provider id are tracked again and their remote status is
+     *   checked right away (finished ones are recorded now)
+     * - jobs left RUNNING without a provider id never reached it and go back to
+     *   the queue, unless they are out of attempts
+     * - jobs the provider no longer knows are failed with the reason
+     */
+    async recoverJobs() {
+        const summary = { tracked: 0, finished: 0, requeued: 0, failed: 0, at: new Date().toISOString() };
+        const jobs = database.getActiveJobs();
+
+        for (const job of jobs) {
+            if (!job.runpod_job_id) {
+                if (job.attempts >= config.maxRetryAttempts) {
+                    this._failRecovered(job, 'Server restarted before the job reached the provider (no attempts left)');
+                    summary.failed++;
+                } else {
+                    database.updateJob(job.id, {
+                        status: 'PENDING',
+                        error: 'Server restarted before the job reached the provider; requeued'
                     });
-                    this.activeJobs.delete(jobId);
-                    this.broadcast('job:failed', { id: jobId, error: status.error });
+                    eventBus.publish('job:retry', { id: job.id, attempt: job.attempts, recovered: true });
+                    summary.requeued++;
                 }
-                // For IN_PROGRESS, IN_QUEUE - keep polling
+                continue;
+            }
 
+            this.activeJobs.set(job.id, {
+                runpodJobId: job.runpod_job_id,
+                endpointId: job.endpoint_id,
+                startTime: Date.parse(job.started_at) || Date.now(),
+                lastPolledAt: Date.now(),
+                stream: Boolean(job.stream)
+            });
+
+            try {
+                const status = await cloudProvider.getJobStatus(job.endpoint_id, job.runpod_job_id);
+                if (await this.applyJobStatus(job.id, status, 'recovery')) {
+                    summary.finished++;
+                } else {
+                    summary.tracked++;
+                }
             } catch (error) {
-                console.error(`Error polling job ${jobId}:`, error.message);
+                if (error.status === 404) {
+                    this.activeJobs.delete(job.id);
+                    this._failRecovered(job, `Lost across a server restart: the provider no longer knows job ${job.runpod_job_id}`);
+                    summary.failed++;
+                } else {
+                    // Provider unreachable for now: keep tracking, the poll loop retries
+                    console.error(`Error recovering job ${job.id}:`, error.message);
+                    summary.tracked++;
+                }
             }
         }
+
+        this.lastRecovery = summary;
+        if (jobs.length > 0) {
+            console.log(`♻️  Recovered jobs: ${summary.tracked} tracked, ${summary.finished} finished, ${summary.requeued} requeued, ${summary.failed} failed`);
+            eventBus.publish('queue:recovered', summary);
+        }
+        return summary;
+    }
+
+    _failRecovered(job, reason) {
+        database.updateJob(job.id, {
+            status: 'FAILED',
+            error: reason,
+            completed_at: new Date().toISOString()
+        });
+        deadLetterQueue.add(job, reason);
+        eventBus.publish('job:failed', { id: job.id, error: reason, via: 'recovery', deadLettered: true });
+    }
+
+    // ==================== Webhooks ====================
+
+    /**
+     * Callbacks need a URL the provider can reach: PUBLIC_URL, or the local
+     * server for the in-process mock provider
+     */
+    webhooksEnabled() {
+        return config.serverlessWebhooks && Boolean(this._webhookBaseUrl());
+    }
+
+    webhookUrl(jobId) {
+        if (!this.webhooksEnabled()) return null;
+        return `${this._webhookBaseUrl()}/api/hooks/serverless/${encodeURIComponent(jobId)}?sig=${this.signWebhook(jobId)}`;
+    }
+
+    signWebhook(jobId) {
+        return crypto.createHmac('sha256', this._getWebhookSecret()).update(String(jobId)).digest('hex');
+    }
+
+    /**
+     * Provider callback: check the signature, then record the final status
+     */
+    async handleWebhook(jobId, signature, body = {}) {
+        const expected = Buffer.from(this.signWebhook(jobId));
+        const given = Buffer.from(String(signature || ''));
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            this.webhookStats.rejected++;
+            throw { status: 401, message: 'Invalid webhook signature' };
+        }
+
+        const job = database.getJob(jobId);
+        if (!job) throw { status: 404, message: 'Job not found' };
+        // Not stored yet when the callback beats the submit response; the provider retries
+        if (!job.runpod_job_id) throw { status: 409, message: 'Job is not registered yet' };
+        if (body.id && body.id !== job.runpod_job_id) {
+            this.webhookStats.rejected++;
+            throw { status: 409, message: 'Callback is for a different provider job' };
+        }
+
+        this.webhookStats.received++;
+        this.webhookStats.lastReceivedAt = new Date().toISOString();
+        const applied = await this.applyJobStatus(jobId, body, 'webhook');
+        return { received: true, applied };
+    }
+
+    _webhookBaseUrl() {
+        if (config.publicUrl) return config.publicUrl.replace(/\/+$/, '');
+        return cloudProvider.name === 'mock' ? `http://localhost:${config.port}` : '';
+    }
+
+    /**
+     * SERVERLESS_WEBHOOK_SECRET, or a generated one kept in the database so
+     * callbacks for jobs submitted before a restart still verify
+     */
+    _getWebhookSecret() {
+        if (this.webhookSecret) return this.webhookSecret;
+        this.webhookSecret = config.serverlessWebhookSecret || database.getConfig(WEBHOOK_SECRET_KEY);
+        if (!this.webhookSecret) {
+            this.webhookSecret = crypto.randomBytes(32).toString('hex');
+            database.setConfig(WEBHOOK_SECRET_KEY, this.webhookSecret);
+        }
+        return this.webhookSecret;
     }
 
     /**
@@ -241,8 +734,8 @@ class QueueManager {
             this.isProcessing = true;
 
             try {
-                // Get pending jobs
-                const pendingJobs = database.getPendingJobs(config.maxConcurrentJobs - this.activeJobs.size);
+                // Fill free slots by priority lane and fair share
+                const pendingJobs = this.schedule(config.maxConcurrentJobs - this.activeJobs.size);
 
                 // Process jobs concurrently (up to limit)
                 await Promise.allSettled(
@@ -251,6 +744,7 @@ class QueueManager {
 
                 // Poll active jobs
                 await this.pollActiveJobs();
+                await this.pollStreams();
 
             } catch (error) {
                 console.error('Queue processing error:', error);
@@ -269,11 +763,29 @@ class QueueManager {
      */
     getStats() {
         const dbStats = database.getJobStats();
+        const pendingCounts = database.getPendingCountsByPriority();
         return {
             ...dbStats,
             activeJobs: this.activeJobs.size,
             rateLimitTokens: this.rateLimitTokens,
-            connectedClients: this.wsClients.size
+            connectedClients: eventBus.getStats().subscribers,
+            scheduling: {
+                maxConcurrentJobs: config.maxConcurrentJobs,
+                fairShareBy: config.fairShareBy,
+                pendingByPriority: Object.fromEntries(PRIORITIES.map((name, level) => [
+                    name,
+                    pendingCounts.find(r => r.priority === level)?.count || 0
+                ])),
+                lastDecision: this.lastDecision
+            },
+            endpoints: endpointLimiter.getStats(),
+            cache: resultCache.getStats(),
+            recovery: this.lastRecovery,
+            completion: {
+                mode: this.webhooksEnabled() ? 'webhook' : 'polling',
+                fallbackPollSeconds: this.webhooksEnabled() ? config.webhookFallbackPollSeconds : null,
+                webhooks: this.webhookStats
+            }
         };
     }
 
@@ -285,28 +797,15 @@ class QueueManager {
         if (!job) throw new Error('Job not found');
 
         if (job.runpod_job_id && this.activeJobs.has(jobId)) {
-            await serverlessClient.cancelJob(job.endpoint_id, job.runpod_job_id);
+            await cloudProvider.cancelJob(job.endpoint_id, job.runpod_job_id);
             this.activeJobs.delete(jobId);
         }
 
         database.updateJob(jobId, { status: 'CANCELLED' });
-        this.broadcast('job:cancelled', { id: jobId });
+        eventBus.publish('job:cancelled', { id: jobId });
 
         return { success: true };
     }
-
-    /**
-     * Retry a dead-lettered job
-     */
-    async retryDeadLetter(dlqId) {
-        const dlqJobs = database.getDeadLetterJobs();
-        const dlqJob = dlqJobs.find(j => j.id === dlqId);
-
-        if (!dlqJob) throw new Error('Dead letter job not found');
-
-        const jobData = dlqJob.job_data;
-        return this.submitJob(jobData.endpointId, jobData.input, { skipDeduplication: true });
-    }
 }
 
 export const queueManager = new QueueManager();
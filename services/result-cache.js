@@ -0,0 +1,111 @@
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { canonicalJson } from '../utils/canonical-json.js';
+
+/**
+ * Result Cache - completed outputs addressed by the content of the request
+ *
+ * The key is the hash of the endpoint and the canonical input (see
+ * utils/canonical-json.js, minus HASH_IGNORE_FIELDS). When a job completes its
+ * output is kept for RESULT_CACHE_TTL_HOURS, with what the job cost, and an
+ * identical request in that window is answered right away with that output
+ * instead of running again.
+ */
+
+const PURGE_INTERVAL_MS = 3600 * 1000;
+
+class ResultCache {
+    constructor() {
+        this.purgeInterval = null;
+    }
+
+    /**
+     * Drop expired entries now and then every hour
+     */
+    start() {
+        if (this.purgeInterval) return;
+        this.purge();
+        this.purgeInterval = setInterval(() => this.purge(), PURGE_INTERVAL_MS);
+    }
+
+    enabled() {
+        return config.resultCacheTtlHours > 0;
+    }
+
+    /**
+     * Content hash of a request; also used to deduplicate jobs in flight
+     */
+    hashInput(endpointId, input) {
+        const canonicalInput = canonicalJson.canonicalize(input, { ignore: config.hashIgnoreFields });
+        return canonicalJson.hash({ endpointId: endpointId ?? null, input: canonicalInput });
+    }
+
+    /**
+     * Unexpired entry for a hash, or null
+     */
+    lookup(inputHash) {
+        if (!this.enabled()) return null;
+        return database.getCachedResult(inputHash) || null;
+    }
+
+    recordHit(inputHash) {
+        database.recordCacheHit(inputHash);
+    }
+
+    /**
+     * Keep the output of a completed job (a row of the jobs table)
+     */
+    store(job, status, durationMs) {
+        if (!this.enabled() || job.cached_from || !job.input_hash) return;
+        try {
+            database.setCachedResult({
+                inputHash: job.input_hash,
+                endpointId: job.endpoint_id,
+                output: status.output,
+                sourceJobId: job.id,
+                costUsd: job.cost_usd,
+                durationMs,
+                expiresAt: Date.now() + config.resultCacheTtlHours * 3600 * 1000
+            });
+        } catch (error) {
+            console.error(`Result cache store error for job ${job.id}:`, error.message);
+        }
+    }
+
+    getStats() {
+        const stats = database.getResultCacheStats();
+        return {
+            enabled: this.enabled(),
+            ttlHours: config.resultCacheTtlHours,
+            ignoreFields: config.hashIgnoreFields,
+            entries: stats.entries,
+            hits: stats.hits,
+            servedJobs: stats.served,
+            savedUsd: Math.round(stats.saved_usd * 10000) / 10000
+        };
+    }
+
+    /**
+     * Forget one entry (by hash), the entries of an endpoint, or everything
+     */
+    invalidate({ inputHash = null, endpointId = null } = {}) {
+        const removed = inputHash
+            ? database.deleteCachedResult(inputHash)
+            : database.clearResultCache(endpointId);
+        return { removed };
+    }
+
+    purge() {
+        try {
+            const removed = database.purgeResultCache();
+            if (removed > 0) console.log(`🗃️  Purged ${removed} expired cached results`);
+            return removed;
+        } catch (error) {
+            console.error('Result cache purge error:', error.message);
+            return 0;
+        }
+    }
+}
+
+export const resultCache = new ResultCache();
+export default ResultCache;
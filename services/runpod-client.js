@@ -49,11 +49,17 @@ class RunPodClient {
           communityCloud
           securePrice
           communityPrice
+          lowestPrice(input: { gpuCount: 1 }) {
+            minimumBidPrice
+          }
         }
       }
     `;
     const data = await this.query(query);
-    return data.gpuTypes || [];
+    return (data.gpuTypes || []).map(({ lowestPrice, ...gpu }) => ({
+      ...gpu,
+      minimumBidPrice: lowestPrice?.minimumBidPrice ?? null
+    }));
   }
 
   /**
@@ -66,6 +72,7 @@ class RunPodClient {
           id
           email
           clientBalance
+          currentSpendPerHr
         }
       }
     `;
@@ -225,6 +232,7 @@ class RunPodClient {
     const {
       name,
       imageName,
+      templateId,
       gpuTypeId,
       gpuCount = 1,
       volumeInGb = 20,
@@ -232,6 +240,7 @@ class RunPodClient {
       volumeMountPath = '/workspace',
       ports = '8888/http',
       bidPerGpu,
+      cloudType,
       env = []
     } = options;
 
@@ -262,15 +271,37 @@ class RunPodClient {
       ports,
       bidPerGpu,
       env,
-      cloudType: 'ALL',
+      cloudType: cloudType || 'ALL',
       startSsh: true,
       supportPublicIp: true
     };
 
+    if (templateId) {
+      input.templateId = templateId;
+      delete input.imageName;
+    }
+
     const data = await this.query(mutation, { input });
     return data.podRentInterruptable;
   }
 
+  /**
+   * Resume a stopped or outbid spot pod with a new bid
+   */
+  async resumeSpotPod(podId, bidPerGpu, gpuCount = 1) {
+    const mutation = `
+      mutation podBidResume($input: PodBidResumeInput!) {
+        podBidResume(input: $input) {
+          id
+          desiredStatus
+          costPerHr
+        }
+      }
+    `;
+    const data = await this.query(mutation, { input: { podId, bidPerGpu, gpuCount } });
+    return data.podBidResume;
+  }
+
   /**
    * Stop a pod (keeps data, stops billing for GPU)
    */
@@ -0,0 +1,333 @@
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { cron } from '../utils/cron.js';
+import { sanitizer } from '../utils/sanitizer.js';
+import { eventBus } from './event-bus.js';
+import { queueManager } from './queue-manager.js';
+import { batchRunner } from './batch-runner.js';
+import { projectManager } from './project-manager.js';
+
+/**
+ * Scheduler - one-off and recurring (cron) work
+ *
+ * A schedule either submits jobs to the queue or starts a batch on a pod or a
+ * pool of pods. Schedules live in SQLite with the time of their next run; a
+ * periodic tick fires the due ones and records every firing in the run history.
+ * After downtime a missed run fires once on startup, unless it is more than
+ * SCHEDULE_MISFIRE_MINUTES late (then it is recorded as skipped).
+ */
+
+export const SCHEDULE_TYPES = ['job', 'pod-batch', 'pool-batch'];
+const MAX_JOB_INPUTS = 100;
+
+class Scheduler {
+    constructor() {
+        this.tickInterval = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Fire schedules that came due while the server was down, then keep checking
+     */
+    start() {
+        if (this.tickInterval) return;
+        this.tick();
+        this.tickInterval = setInterval(() => this.tick(), config.schedulerTickSeconds * 1000);
+    }
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            const now = Date.now();
+            for (const id of database.getDueSchedules(now)) {
+                const schedule = database.getSchedule(id);
+                if (schedule?.status === 'active') await this._fireDue(schedule, now);
+            }
+        } catch (error) {
+            console.error('Scheduler tick error:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    // ==================== Management ====================
+
+    list(filter = {}) {
+        return database.getSchedules(filter);
+    }
+
+    get(id) {
+        const schedule = this._require(id);
+        return { ...schedule, runs: database.getScheduleRuns(id, 20) };
+    }
+
+    create({ name, type, payload, cron: expression, runAt, projectId }, userId = null) {
+        const trimmed = (name || '').trim();
+        if (trimmed.length < 1 || trimmed.length > 100) {
+            throw { status: 400, message: 'Schedule name must be between 1 and 100 characters' };
+        }
+        if (!SCHEDULE_TYPES.includes(type)) {
+            throw { status: 400, message: `Invalid schedule type. Use one of: ${SCHEDULE_TYPES.join(', ')}` };
+        }
+        if (Boolean(expression) === (runAt !== undefined && runAt !== null && runAt !== '')) {
+            throw { status: 400, message: 'Provide either a cron expression or runAt' };
+        }
+
+        const timing = expression ? this._parseCron(expression) : { runAt: this._parseRunAt(runAt) };
+        const schedule = {
+            id: uuidv4(),
+            name: trimmed,
+            type,
+            payload: this._validatePayload(type, payload),
+            cron: timing.cron,
+            runAt: timing.runAt,
+            nextRunAt: timing.cron ? cron.nextRun(timing.cron).getTime() : timing.runAt,
+            projectId: projectId ? projectManager.resolve(projectId) : null,
+            userId
+        };
+
+        database.createSchedule(schedule);
+        eventBus.publish('schedule:created', { id: schedule.id, name: schedule.name, type, nextRunAt: schedule.nextRunAt });
+        return database.getSchedule(schedule.id);
+    }
+
+    pause(id) {
+        const schedule = this._require(id);
+        if (schedule.status !== 'active') {
+            throw { status: 409, message: `Cannot pause a schedule in status ${schedule.status}` };
+        }
+        database.updateSchedule(id, { status: 'paused' });
+        eventBus.publish('schedule:paused', { id, name: schedule.name });
+        return database.getSchedule(id);
+    }
+
+    resume(id) {
+        const schedule = this._require(id);
+        if (schedule.status !== 'paused') {
+            throw { status: 409, message: `Cannot resume a schedule in status ${schedule.status}` };
+        }
+        // Runs missed while paused are not made up; a past one-off time runs on the next tick
+        const nextRunAt = schedule.cron
+            ? cron.nextRun(schedule.cron).getTime()
+            : Math.max(schedule.run_at, Date.now());
+        database.updateSchedule(id, { status: 'active', next_run_at: nextRunAt });
+        eventBus.publish('schedule:resumed', { id, name: schedule.name, nextRunAt });
+        return database.getSchedule(id);
+    }
+
+    remove(id) {
+        const schedule = this._require(id);
+        database.deleteSchedule(id);
+        eventBus.publish('schedule:deleted', { id, name: schedule.name });
+        return { success: true };
+    }
+
+    /**
+     * Fire a schedule right away without moving its next run
+     */
+    async runNow(id) {
+        const schedule = this._require(id);
+        return this._execute(schedule, null);
+    }
+
+    getRuns(id = null, limit = 50) {
+        if (id) this._require(id);
+        return database.getScheduleRuns(id, limit);
+    }
+
+    /**
+     * Next run times of a cron expression, to check it before saving
+     */
+    preview(expression, count = 5) {
+        const { cron: parsed } = this._parseCron(expression);
+        return { cron: parsed, nextRuns: cron.nextRuns(parsed, count).map(d => d.toISOString()) };
+    }
+
+    // ==================== Execution ====================
+
+    async _fireDue(schedule, now) {
+        const scheduledFor = schedule.next_run_at;
+
+        // Move the schedule forward first so a slow run is never fired twice
+        const nextRunAt = schedule.cron ? cron.nextRun(schedule.cron, new Date(now))?.getTime() ?? null : null;
+        database.updateSchedule(schedule.id, {
+            next_run_at: nextRunAt,
+            status: nextRunAt ? 'active' : 'completed'
+        });
+
+        const lateMinutes = (now - scheduledFor) / 60000;
+        if (lateMinutes > config.scheduleMisfireMinutes) {
+            const error = `Missed by ${Math.round(lateMinutes)} minutes (server offline?)`;
+            this._recordRun(schedule, scheduledFor, 'skipped', null, error);
+            console.warn(`⏰ Schedule "${schedule.name}" skipped: ${error}`);
+            eventBus.publish('schedule:failed', { id: schedule.id, name: schedule.name, skipped: true, error });
+            return;
+        }
+
+        await this._execute(schedule, scheduledFor);
+    }
+
+    async _execute(schedule, scheduledFor) {
+        database.updateSchedule(schedule.id, { last_run_at: Date.now() });
+        try {
+            const result = await this._start(schedule);
+            const run = this._recordRun(schedule, scheduledFor, 'success', result);
+            console.log(`⏰ Schedule "${schedule.name}" fired (${schedule.type})`);
+            eventBus.publish('schedule:run', { id: schedule.id, name: schedule.name, runId: run.id, result });
+            return run;
+        } catch (error) {
+            const run = this._recordRun(schedule, scheduledFor, 'failed', null, error.message);
+            console.error(`⏰ Schedule "${schedule.name}" failed: ${error.message}`);
+            eventBus.publish('schedule:failed', { id: schedule.id, name: schedule.name, runId: run.id, error: error.message });
+            return run;
+        }
+    }
+
+    /**
+     * Submit the jobs or start the batch described by the payload
+     */
+    async _start(schedule) {
+        const { payload } = schedule;
+
+        if (schedule.type === 'job') {
+            const jobIds = [];
+            for (const input of payload.inputs) {
+                const job = await queueManager.submitJob(payload.endpointId, input, {
+                    // The same input every week is intended, not a duplicate
+                    skipDeduplication: true,
+                    projectId: schedule.project_id,
+                    userId: schedule.user_id,
+                    priority: payload.priority
+                });
+                jobIds.push(job.id);
+            }
+            return { jobIds };
+        }
+
+        const batch = schedule.type === 'pod-batch'
+            ? await batchRunner.createBatch(payload.podId, payload.prompts, {
+                workflowId: payload.workflowId,
+                params: payload.params
+            })
+            : await batchRunner.createPoolBatch(payload.prompts, {
+                engine: payload.engine,
+                workflowId: payload.workflowId,
+                params: payload.params,
+                podIds: payload.podIds
+            });
+        return { batchId: batch.id, total: batch.total };
+    }
+
+    _recordRun(schedule, scheduledFor, status, result, error = null) {
+        const run = {
+            id: uuidv4(),
+            scheduleId: schedule.id,
+            scheduledFor,
+            startedAt: Date.now(),
+            status,
+            result,
+            error
+        };
+        database.createScheduleRun(run);
+        return run;
+    }
+
+    // ==================== Validation ====================
+
+    _validatePayload(type, payload = {}) {
+        if (!payload || typeof payload !== 'object') {
+            throw { status: 400, message: 'A payload object is required' };
+        }
+
+        if (type === 'job') {
+            const endpointValidation = sanitizer.validateEndpointId(payload.endpointId);
+            if (!endpointValidation.valid) {
+                throw { status: 400, message: endpointValidation.errors.join(', ') };
+            }
+            const inputs = payload.inputs ?? (payload.input !== undefined ? [payload.input] : []);
+            if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > MAX_JOB_INPUTS) {
+                throw { status: 400, message: `A job schedule needs an input or 1-${MAX_JOB_INPUTS} inputs` };
+            }
+            const sanitized = inputs.map(input => {
+                if (!input || typeof input !== 'object') {
+                    throw { status: 400, message: 'Job input must be an object' };
+                }
+                const clean = sanitizer.sanitizeObject(input);
+                const validation = sanitizer.validateJobInput(clean);
+                if (!validation.valid) {
+                    throw { status: 400, message: validation.errors.join(', ') };
+                }
+                return clean;
+            });
+            queueManager.parsePriority(payload.priority);
+            return { endpointId: payload.endpointId, inputs: sanitized, priority: payload.priority || undefined };
+        }
+
+        const maxPrompts = type === 'pod-batch' ? 100 : 500;
+        const prompts = Array.isArray(payload.prompts)
+            ? payload.prompts.map(p => String(p).trim()).filter(Boolean)
+            : [];
+        if (prompts.length === 0) {
+            throw { status: 400, message: 'An array of prompts is required' };
+        }
+        if (prompts.length > maxPrompts) {
+            throw { status: 400, message: `Maximum ${maxPrompts} prompts per ${type === 'pod-batch' ? 'batch' : 'pool batch'}` };
+        }
+
+        const batch = {
+            prompts,
+            workflowId: payload.workflowId || 'image_sdxl_default',
+            params: payload.params || {}
+        };
+
+        if (type === 'pod-batch') {
+            if (!payload.podId) throw { status: 400, message: 'podId is required for a pod batch' };
+            return { ...batch, podId: payload.podId };
+        }
+
+        const engine = payload.engine || 'comfyui';
+        if (!['comfyui', 'a1111'].includes(engine)) {
+            throw { status: 400, message: 'Engine must be comfyui or a1111' };
+        }
+        const podIds = payload.podIds ?? null;
+        if (podIds !== null && !Array.isArray(podIds)) {
+            throw { status: 400, message: 'podIds must be an array of pod IDs' };
+        }
+        return { ...batch, engine, podIds };
+    }
+
+    _parseCron(expression) {
+        const normalized = String(expression).trim().replace(/\s+/g, ' ');
+        try {
+            cron.parse(normalized);
+        } catch (error) {
+            throw { status: 400, message: error.message };
+        }
+        if (!cron.nextRun(normalized)) {
+            throw { status: 400, message: `Cron expression "${normalized}" never matches` };
+        }
+        return { cron: normalized };
+    }
+
+    _parseRunAt(value) {
+        const time = typeof value === 'number' ? value : Date.parse(value);
+        if (!Number.isFinite(time)) {
+            throw { status: 400, message: 'runAt must be an ISO date or a timestamp in milliseconds' };
+        }
+        if (time < Date.now() - 60000) {
+            throw { status: 400, message: 'runAt is in the past' };
+        }
+        return time;
+    }
+
+    _require(id) {
+        const schedule = database.getSchedule(id);
+        if (!schedule) throw { status: 404, message: 'Schedule not found' };
+        return schedule;
+    }
+}
+
+export const scheduler = new Scheduler();
+export default Scheduler;
@@ -30,7 +30,11 @@ class ServerlessClient {
         const data = await response.json();
 
         if (!response.ok) {
-            throw new Error(data.error || `Request failed with status ${response.status}`);
+            const error = new Error(data.error || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            // Seconds to wait before retrying, on 429 responses
+            error.retryAfter = parseInt(response.headers.get('retry-after')) || null;
+            throw error;
         }
 
         return data;
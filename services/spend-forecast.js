@@ -0,0 +1,250 @@
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { cloudProvider } from './cloud-provider.js';
+import { costTracker } from './cost-tracker.js';
+import { eventBus } from './event-bus.js';
+import { projectManager } from './project-manager.js';
+
+/**
+ * Spend Forecast - projected end-of-day / end-of-month spend per budget
+ *
+ * The current burn rate comes from running pods (open billing intervals)
+ * and billed serverless workers; the historical rate comes from cost_log.
+ * Running resources are assumed to keep running until midnight (UTC), after
+ * which the month continues at the historical rate. A budget that is
+ * projected to run out before its period ends triggers a
+ * `budget:forecast-warning` event, once per budget and period.
+ */
+
+const HOUR_MS = 3600 * 1000;
+
+class SpendForecast {
+    constructor() {
+        this.checkInterval = null;
+        this.lastForecast = null;
+        this.warned = new Set();
+    }
+
+    start() {
+        if (this.checkInterval) return;
+
+        this.check();
+        this.checkInterval = setInterval(() => this.check(), config.forecastIntervalMinutes * 60 * 1000);
+    }
+
+    /**
+     * Recompute the forecast and warn about budgets at risk
+     */
+    async check() {
+        try {
+            const forecast = await this.forecast();
+            this.lastForecast = forecast;
+
+            for (const budget of forecast.budgets) {
+                for (const period of ['daily', 'monthly']) {
+                    const projection = budget[period];
+                    if (!projection) continue;
+
+                    const key = `${budget.scope}:${budget.id}:${period}:${projection.periodKey}`;
+                    if (projection.status !== 'at-risk') {
+                        this.warned.delete(key);
+                        continue;
+                    }
+                    if (this.warned.has(key)) continue;
+
+                    this.warned.add(key);
+                    console.warn(`📈 Budget forecast: ${budget.name} ${period} limit $${projection.limit} runs out at ${projection.exhaustsAt}`);
+                    eventBus.publish('budget:forecast-warning', {
+                        scope: budget.scope,
+                        id: budget.id,
+                        name: budget.name,
+                        period,
+                        limit: projection.limit,
+                        spent: projection.spent,
+                        projected: projection.projected,
+                        exhaustsAt: projection.exhaustsAt,
+                        burnRatePerHour: budget.burnRatePerHour
+                    });
+                }
+            }
+            return forecast;
+        } catch (error) {
+            console.error('Spend forecast error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Forecast for the global budget and every project/user with its own caps
+     */
+    async forecast() {
+        const now = Date.now();
+        const resources = await this._collectBurn();
+
+        const limits = costTracker.getGlobalLimits();
+        const budgets = [{ scope: 'global', id: null, name: 'Global', filter: {}, daily: limits.daily, monthly: limits.monthly }];
+
+        for (const project of database.getProjects()) {
+            if (project.budget_daily == null && project.budget_monthly == null) continue;
+            budgets.push({
+                scope: 'project',
+                id: project.id,
+                name: project.name,
+                filter: { projectId: project.id },
+                daily: project.budget_daily,
+                monthly: project.budget_monthly
+            });
+        }
+
+        for (const user of database.getUsers()) {
+            if (user.budget_daily == null && user.budget_monthly == null) continue;
+            budgets.push({
+                scope: 'user',
+                id: user.id,
+                name: user.username,
+                filter: { userId: user.id },
+                daily: user.budget_daily,
+                monthly: user.budget_monthly
+            });
+        }
+
+        return {
+            generatedAt: new Date(now).toISOString(),
+            burn: {
+                pods: resources.pods.reduce((sum, r) => sum + r.costPerHour, 0),
+                serverless: resources.workers.reduce((sum, r) => sum + r.costPerHour, 0),
+                resources
+            },
+            budgets: budgets.map(b => this._projectBudget(b, resources, now))
+        };
+    }
+
+    /**
+     * Hourly cost of everything currently billing: running pods and serverless workers
+     */
+    async _collectBurn() {
+        const pods = database.getOpenPodIntervals().map(i => ({
+            podId: i.pod_id,
+            name: i.pod_name,
+            projectId: i.project_id || 'default',
+            userId: i.user_id,
+            costPerHour: i.cost_per_hour || 0
+        }));
+
+        const workers = [];
+        let endpoints = [];
+        try {
+            endpoints = await cloudProvider.getEndpoints();
+        } catch (error) {
+            console.warn('Spend forecast: could not list endpoints:', error.message);
+        }
+
+        for (const endpoint of endpoints) {
+            try {
+                const health = await cloudProvider.getHealth(endpoint.id);
+                // Workers processing jobs plus the always-on minimum are billed
+                const billed = Math.max(health?.workers?.running || 0, endpoint.workersMin || 0);
+                const price = costTracker.estimateWorkerHourlyPrice(endpoint.gpuIds);
+                if (billed === 0 || !price) continue;
+
+                workers.push({
+                    endpointId: endpoint.id,
+                    name: endpoint.name,
+                    projectId: projectManager.getEndpointProject(endpoint.id),
+                    workers: billed,
+                    costPerHour: billed * price
+                });
+            } catch (error) {
+                // Endpoint without health info: nothing to add
+            }
+        }
+
+        return { pods, workers };
+    }
+
+    _projectBudget(budget, resources, now) {
+        const { projectId, userId } = budget.filter;
+        const matches = (r) => (!projectId || r.projectId === projectId) && (!userId || r.userId === userId);
+
+        // Serverless workers are not attributed to users
+        const burnRatePerHour =
+            resources.pods.filter(matches).reduce((sum, r) => sum + r.costPerHour, 0) +
+            (userId ? 0 : resources.workers.filter(matches).reduce((sum, r) => sum + r.costPerHour, 0));
+
+        const trendRatePerHour = this._trendRate(budget.filter, now);
+
+        const date = new Date(now);
+        const endOfDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+        const endOfMonth = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+        const hoursLeftToday = (endOfDay - now) / HOUR_MS;
+        const hoursAfterToday = (endOfMonth - endOfDay) / HOUR_MS;
+
+        const segments = [
+            { hours: hoursLeftToday, rate: burnRatePerHour },
+            { hours: hoursAfterToday, rate: trendRatePerHour }
+        ];
+
+        return {
+            scope: budget.scope,
+            id: budget.id,
+            name: budget.name,
+            burnRatePerHour,
+            trendRatePerHour,
+            daily: budget.daily == null ? null : this._projectPeriod(
+                database.getTodaySpend(budget.filter), budget.daily, segments.slice(0, 1), now,
+                date.toISOString().slice(0, 10)
+            ),
+            monthly: budget.monthly == null ? null : this._projectPeriod(
+                database.getMonthSpend(budget.filter), budget.monthly, segments, now,
+                date.toISOString().slice(0, 7)
+            )
+        };
+    }
+
+    /**
+     * Walk the rate segments of a period to find projected spend and exhaustion time
+     */
+    _projectPeriod(spent, limit, segments, now, periodKey) {
+        const projected = spent + segments.reduce((sum, s) => sum + s.hours * s.rate, 0);
+
+        let exhaustsAt = null;
+        if (spent < limit) {
+            let remaining = limit - spent;
+            let at = now;
+            for (const segment of segments) {
+                const segmentSpend = segment.hours * segment.rate;
+                if (segment.rate > 0 && segmentSpend >= remaining) {
+                    exhaustsAt = new Date(at + (remaining / segment.rate) * HOUR_MS).toISOString();
+                    break;
+                }
+                remaining -= segmentSpend;
+                at += segment.hours * HOUR_MS;
+            }
+        }
+
+        return {
+            periodKey,
+            limit,
+            spent,
+            projected,
+            percentProjected: limit ? (projected / limit) * 100 : null,
+            exhaustsAt,
+            status: spent >= limit ? 'exceeded' : exhaustsAt ? 'at-risk' : 'ok'
+        };
+    }
+
+    /**
+     * Average hourly spend over the trend window (only as far back as there is data)
+     */
+    _trendRate(filter, now) {
+        const { total, first_logged_at } = database.getSpendTrend(config.forecastTrendDays, filter);
+        if (!first_logged_at || total <= 0) return 0;
+
+        const firstMs = new Date(first_logged_at.replace(' ', 'T') + 'Z').getTime();
+        const hours = Math.max((now - firstMs) / HOUR_MS, 1);
+        return total / hours;
+    }
+}
+
+export const spendForecast = new SpendForecast();
+export default SpendForecast;
@@ -0,0 +1,418 @@
+import { config } from '../config/env.js';
+import { database } from '../db/database.js';
+import { cloudProvider } from './cloud-provider.js';
+import { costTracker } from './cost-tracker.js';
+import { billing } from './billing.js';
+import { batchRunner } from './batch-runner.js';
+import { podReadiness } from './pod-readiness.js';
+import { eventBus } from './event-bus.js';
+
+/**
+ * Spot Manager - interruptable pods and what happens when they are reclaimed
+ *
+ * A spot pod runs at the price we bid until someone outbids it; the provider
+ * then leaves it EXITED. Spot pods are polled every SPOT_POLL_SECONDS and one
+ * found stopped that we did not stop is an interruption. Its policy decides
+ * the recovery:
+ *   - rebid: bid again, SPOT_REBID_INCREASE_PERCENT higher each attempt (up
+ *     to maxBidPerGpu, or the on-demand price), at most SPOT_MAX_REBIDS times
+ *   - on-demand: replace it with an on-demand pod built from the same options
+ *   - rebid-then-on-demand: re-bid first, on-demand when re-bidding gave up
+ *   - none: leave it stopped
+ * Batches that were running on the pod continue on it (or on its
+ * replacement) once it is ready again.
+ */
+
+export const SPOT_POLICIES = ['rebid', 'on-demand', 'rebid-then-on-demand', 'none'];
+export const SPOT_STATUSES = ['running', 'interrupted', 'replaced', 'lost', 'stopped', 'terminated'];
+
+const ON_DEMAND_ATTEMPTS = 3;
+const EVENTS_PER_POD = 10;
+
+function roundUsd(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+class SpotManager {
+    constructor() {
+        this.pollInterval = null;
+        this.checking = false;
+    }
+
+    start() {
+        if (this.pollInterval) return;
+        this.check();
+        this.pollInterval = setInterval(() => this.check(), config.spotPollSeconds * 1000);
+    }
+
+    /**
+     * Validate the `spot` options of a pod request
+     */
+    parseOptions(spot, gpuCount = 1) {
+        if (!spot || typeof spot !== 'object' || Array.isArray(spot)) {
+            throw { status: 400, message: 'spot must be an object with bidPerGpu' };
+        }
+        const bidPerGpu = Number(spot.bidPerGpu);
+        if (!(bidPerGpu > 0)) {
+            throw { status: 400, message: 'spot.bidPerGpu must be a positive price ($/GPU/hr)' };
+        }
+        const maxBidPerGpu = spot.maxBidPerGpu == null || spot.maxBidPerGpu === '' ? null : Number(spot.maxBidPerGpu);
+        if (maxBidPerGpu !== null && !(maxBidPerGpu >= bidPerGpu)) {
+            throw { status: 400, message: 'spot.maxBidPerGpu must be at least spot.bidPerGpu' };
+        }
+        const policy = spot.policy || config.spotDefaultPolicy;
+        if (!SPOT_POLICIES.includes(policy)) {
+            throw { status: 400, message: `Invalid spot policy. Use one of: ${SPOT_POLICIES.join(', ')}` };
+        }
+        return { bidPerGpu, maxBidPerGpu, policy, gpuCount: gpuCount || 1 };
+    }
+
+    /**
+     * Rent a spot pod with the options an on-demand pod would get, and keep
+     * them to rebuild it on demand if the policy asks for it
+     */
+    async launch(podOptions, spot) {
+        const options = Object.fromEntries(
+            Object.entries({ ...podOptions, gpuCount: spot.gpuCount }).filter(([, value]) => value !== null && value !== undefined)
+        );
+        const pod = await cloudProvider.createSpotPod({ ...options, bidPerGpu: spot.bidPerGpu });
+
+        database.createSpotPod({
+            podId: pod.id,
+            name: pod.name || options.name,
+            gpuTypeId: options.gpuTypeId,
+            gpuCount: spot.gpuCount,
+            bidPerGpu: spot.bidPerGpu,
+            maxBidPerGpu: spot.maxBidPerGpu,
+            policy: spot.policy,
+            onDemandPrice: await this._onDemandPrice(options),
+            podOptions: options
+        });
+        database.addSpotEvent({ podId: pod.id, event: 'created', bidPerGpu: spot.bidPerGpu });
+        return pod;
+    }
+
+    isSpot(podId) {
+        return Boolean(database.getSpotPod(podId));
+    }
+
+    /**
+     * Start a stopped or outbid spot pod again, at its bid or a new one
+     */
+    async resume(podId, { bidPerGpu = null } = {}) {
+        const spot = this._require(podId);
+        const bid = bidPerGpu ?? spot.bid_per_gpu;
+        if (!(bid > 0)) throw { status: 400, message: 'bidPerGpu must be a positive price ($/GPU/hr)' };
+
+        const result = await cloudProvider.resumeSpotPod(podId, bid, spot.gpu_count);
+        database.updateSpotPod(podId, {
+            status: 'running',
+            bid_per_gpu: bid,
+            recovery_attempts: 0,
+            last_seen_running_at: Date.now()
+        });
+        database.addSpotEvent({ podId, event: 'resumed', bidPerGpu: bid });
+        return result;
+    }
+
+    /**
+     * The pod was stopped or terminated through the orchestrator: not an interruption
+     */
+    stopped(podId) {
+        const spot = database.getSpotPod(podId);
+        if (spot && ['running', 'interrupted'].includes(spot.status)) {
+            database.updateSpotPod(podId, { status: 'stopped', resume_pending: 0 });
+        }
+    }
+
+    forget(podId) {
+        const spot = database.getSpotPod(podId);
+        if (spot && spot.status !== 'replaced') {
+            database.updateSpotPod(podId, { status: 'terminated', resume_pending: 0 });
+        }
+    }
+
+    /**
+     * Change the policy or the maximum bid of a spot pod
+     */
+    update(podId, { policy, maxBidPerGpu } = {}) {
+        const spot = this._require(podId);
+        const updates = {};
+        if (policy !== undefined) {
+            if (!SPOT_POLICIES.includes(policy)) {
+                throw { status: 400, message: `Invalid spot policy. Use one of: ${SPOT_POLICIES.join(', ')}` };
+            }
+            updates.policy = policy;
+        }
+        if (maxBidPerGpu !== undefined) {
+            if (maxBidPerGpu !== null && !(maxBidPerGpu >= spot.bid_per_gpu)) {
+                throw { status: 400, message: `maxBidPerGpu must be at least the current bid ($${spot.bid_per_gpu}), or null` };
+            }
+            updates.max_bid_per_gpu = maxBidPerGpu;
+        }
+        if (Object.keys(updates).length > 0) database.updateSpotPod(podId, updates);
+        return database.getSpotPod(podId);
+    }
+
+    list(status = null) {
+        if (status && !SPOT_STATUSES.includes(status)) {
+            throw { status: 400, message: `Invalid status. Use one of: ${SPOT_STATUSES.join(', ')}` };
+        }
+        return database.getSpotPods(status ? [status] : null).map(spot => ({
+            ...spot,
+            events: database.getSpotEvents(spot.pod_id, EVENTS_PER_POD)
+        }));
+    }
+
+    /**
+     * What spot pods cost against the on-demand price of the same GPUs
+     */
+    getSavings() {
+        const now = Date.now();
+        const date = new Date(now);
+        const period = (since) => {
+            const row = database.getSpotSpend(since, now);
+            return {
+                spent: roundUsd(row.spent),
+                onDemand: roundUsd(row.on_demand),
+                saved: roundUsd(row.on_demand - row.spent),
+                hours: Math.round(row.hours * 100) / 100
+            };
+        };
+
+        const spots = database.getSpotPods();
+        return {
+            today: period(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())),
+            month: period(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+            total: period(0),
+            pods: spots.length,
+            running: spots.filter(s => s.status === 'running').length,
+            interruptions: spots.reduce((sum, s) => sum + s.interruptions, 0),
+            rebids: spots.reduce((sum, s) => sum + s.rebids, 0),
+            replaced: spots.filter(s => s.status === 'replaced').length
+        };
+    }
+
+    // ==================== Polling ====================
+
+    async check() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            const watched = database.getSpotPods(['running', 'interrupted']);
+            if (watched.length > 0) {
+                const pods = new Map((await cloudProvider.getPods()).map(pod => [pod.id, pod]));
+                for (const spot of watched) {
+                    try {
+                        if (spot.status === 'running') {
+                            await this._checkRunning(spot, pods.get(spot.pod_id));
+                        } else {
+                            await this._recover(spot);
+                        }
+                    } catch (error) {
+                        console.error(`Spot pod ${spot.pod_id} check error:`, error.message);
+                    }
+                }
+            }
+            await this._resumeBatches();
+        } catch (error) {
+            console.error('Spot check error:', error.message);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    async _checkRunning(spot, pod) {
+        if (pod?.desiredStatus === 'RUNNING') {
+            database.updateSpotPod(spot.pod_id, { last_seen_running_at: Date.now() });
+            return;
+        }
+
+        // Stopped or terminated through the orchestrator while we were polling
+        const current = database.getSpotPod(spot.pod_id);
+        if (current.status !== 'running') return;
+        if (!pod) {
+            database.updateSpotPod(spot.pod_id, { status: 'terminated' });
+            return;
+        }
+        if (database.getTrackedPod(spot.pod_id)?.status === 'STOPPED') {
+            database.updateSpotPod(spot.pod_id, { status: 'stopped' });
+            return;
+        }
+
+        await this._interrupted(current);
+    }
+
+    async _interrupted(spot) {
+        // Last time we saw it running is our best bound for when it was reclaimed
+        const at = spot.last_seen_running_at || Date.now();
+        billing.recordStop(spot.pod_id, 'interrupted', at);
+        database.setPodStatus(spot.pod_id, 'INTERRUPTED');
+        database.updateSpotPod(spot.pod_id, {
+            status: 'interrupted',
+            interruptions: spot.interruptions + 1,
+            recovery_attempts: 0,
+            interrupted_at: Date.now(),
+            // Still waiting to resume from an earlier interruption: keep the earlier bound
+            resume_from: spot.resume_pending ? spot.resume_from : at
+        });
+        database.addSpotEvent({ podId: spot.pod_id, event: 'interrupted', bidPerGpu: spot.bid_per_gpu });
+        // Its batches wait for a fresh `ready`, not the one recorded before it was reclaimed
+        await podReadiness.reset(spot.pod_id, 'stopped', 'Spot pod was interrupted');
+
+        console.warn(`⚡ Spot pod ${spot.name} (${spot.pod_id}) was interrupted at $${spot.bid_per_gpu}/GPU/hr (policy: ${spot.policy})`);
+        eventBus.publish('pod:interrupted', {
+            podId: spot.pod_id,
+            name: spot.name,
+            bidPerGpu: spot.bid_per_gpu,
+            policy: spot.policy
+        });
+
+        await this._recover(database.getSpotPod(spot.pod_id));
+    }
+
+    /**
+     * One recovery attempt for an interrupted pod; the next poll tries again
+     */
+    async _recover(spot) {
+        const canRebid = spot.policy === 'rebid' || spot.policy === 'rebid-then-on-demand';
+        const canFallBack = spot.policy === 'on-demand' || spot.policy === 'rebid-then-on-demand';
+        const rebidLimit = canRebid ? config.spotMaxRebids : 0;
+        const attempt = spot.recovery_attempts;
+
+        if (attempt < rebidLimit) {
+            const bid = this._nextBid(spot, attempt + 1);
+            try {
+                await this._rebid(spot, bid);
+            } catch (error) {
+                console.warn(`Spot pod ${spot.pod_id} re-bid at $${bid}/GPU/hr failed:`, error.message);
+                database.updateSpotPod(spot.pod_id, { recovery_attempts: attempt + 1 });
+                database.addSpotEvent({ podId: spot.pod_id, event: 'rebid-failed', bidPerGpu: bid, detail: error.message });
+            }
+            return;
+        }
+
+        if (canFallBack && attempt < rebidLimit + ON_DEMAND_ATTEMPTS) {
+            try {
+                await this._replaceOnDemand(spot);
+            } catch (error) {
+                console.warn(`Spot pod ${spot.pod_id} on-demand replacement failed:`, error.message);
+                database.updateSpotPod(spot.pod_id, { recovery_attempts: attempt + 1 });
+                database.addSpotEvent({ podId: spot.pod_id, event: 'on-demand-failed', detail: error.message });
+            }
+            return;
+        }
+
+        database.updateSpotPod(spot.pod_id, { status: 'lost', resume_pending: 0 });
+        database.addSpotEvent({ podId: spot.pod_id, event: 'lost', detail: `policy ${spot.policy}` });
+        eventBus.publish('pod:spot-lost', { podId: spot.pod_id, name: spot.name, policy: spot.policy });
+    }
+
+    /**
+     * Bid of the nth re-bid: raised each time, never above the maximum bid
+     * (or the on-demand price, when no maximum was given)
+     */
+    _nextBid(spot, n) {
+        const raised = spot.bid_per_gpu * Math.pow(1 + config.spotRebidIncreasePercent / 100, n);
+        const cap = spot.max_bid_per_gpu
+            ?? (spot.on_demand_price ? spot.on_demand_price / spot.gpu_count : Infinity);
+        return Math.round(Math.max(spot.bid_per_gpu, Math.min(raised, cap)) * 1000) / 1000;
+    }
+
+    async _rebid(spot, bid) {
+        const result = await cloudProvider.resumeSpotPod(spot.pod_id, bid, spot.gpu_count);
+
+        billing.recordStart({ ...result, id: spot.pod_id }, { source: 'rebid' });
+        database.setPodStatus(spot.pod_id, 'RUNNING');
+        database.updateSpotPod(spot.pod_id, {
+            status: 'running',
+            bid_per_gpu: bid,
+            rebids: spot.rebids + 1,
+            recovery_attempts: 0,
+            last_seen_running_at: Date.now(),
+            resume_pending: 1
+        });
+        database.addSpotEvent({ podId: spot.pod_id, event: 'rebid', bidPerGpu: bid });
+        await podReadiness.reset(spot.pod_id, 'provisioning', 'Spot pod resumed, waiting for its service');
+
+        console.log(`⚡ Spot pod ${spot.name} (${spot.pod_id}) is back at $${bid}/GPU/hr`);
+        eventBus.publish('pod:rebid', { podId: spot.pod_id, name: spot.name, bidPerGpu: bid });
+    }
+
+    /**
+     * Rebuild the pod on demand and let the spot pod go
+     */
+    async _replaceOnDemand(spot) {
+        const tracked = database.getTrackedPod(spot.pod_id);
+        const projectId = tracked?.project_id || null;
+        const userId = tracked?.user_id || null;
+        costTracker.assertCanSpend({ projectId, userId });
+
+        const pod = await cloudProvider.createPod(spot.pod_options);
+        database.trackPod({
+            id: pod.id,
+            name: pod.name,
+            gpuType: pod.machine?.gpuDisplayName,
+            costPerHour: pod.costPerHr,
+            status: 'RUNNING',
+            taskType: tracked?.task_type,
+            port: tracked?.port,
+            spendingLimit: tracked?.spending_limit,
+            idleShutdownMinutes: tracked?.idle_shutdown_minutes,
+            totalSpent: 0,
+            projectId,
+            userId,
+            createdAt: new Date().toISOString()
+        });
+        billing.recordStart(pod, { projectId, userId, source: 'spot-fallback' });
+
+        // An outbid pod still bills its disk: it is not coming back, so terminate it
+        try {
+            await cloudProvider.terminatePod(spot.pod_id);
+        } catch (error) {
+            console.error(`Failed to terminate replaced spot pod ${spot.pod_id}:`, error.message);
+        }
+        billing.recordStop(spot.pod_id, 'terminate');
+        database.removePod(spot.pod_id);
+
+        database.updateSpotPod(spot.pod_id, { status: 'replaced', replaced_by: pod.id, resume_pending: 1 });
+        database.addSpotEvent({ podId: spot.pod_id, event: 'replaced', newPodId: pod.id });
+
+        console.log(`⚡ Spot pod ${spot.name} (${spot.pod_id}) replaced by on-demand pod ${pod.id}`);
+        eventBus.publish('pod:replaced', { podId: spot.pod_id, newPodId: pod.id, name: spot.name });
+    }
+
+    /**
+     * Continue the batches of recovered pods once they are ready
+     */
+    async _resumeBatches() {
+        const pending = database.getSpotPods(['running', 'replaced']).filter(spot => spot.resume_pending);
+        for (const spot of pending) {
+            const target = spot.replaced_by || spot.pod_id;
+            if (!podReadiness.isReady(target)) continue; // Still coming up
+            database.updateSpotPod(spot.pod_id, { resume_pending: 0 });
+            batchRunner.resumeOnPod(spot.pod_id, target, spot.resume_from ?? spot.interrupted_at ?? Date.now());
+        }
+    }
+
+    async _onDemandPrice(options) {
+        if (costTracker.gpuPrices.size === 0) await costTracker.loadGpuPrices();
+        const gpu = costTracker.gpuPrices.get(options.gpuTypeId);
+        if (!gpu) return null;
+
+        const price = options.cloudType === 'SECURE'
+            ? gpu.securePrice
+            : gpu.communityPrice || gpu.securePrice;
+        return price ? price * (options.gpuCount || 1) : null;
+    }
+
+    _require(podId) {
+        const spot = database.getSpotPod(podId);
+        if (!spot) throw { status: 404, message: 'Spot pod not found' };
+        return spot;
+    }
+}
+
+export const spotManager = new SpotManager();
+export default SpotManager;
@@ -128,6 +128,17 @@ class WorkflowEngine {
                 });
             }
 
+            // Detect LoadImage for image inputs (e.g. a pose reference from a previous step)
+            if (classType === 'LoadImage') {
+                injectableNodes.push({
+                    nodeId,
+                    classType: 'LoadImage',
+                    title: node._meta?.title || 'Load Image',
+                    role: 'image',
+                    inputField: 'image'
+                });
+            }
+
             // Detect EmptyLatentImage for dimension injection
             if (classType === 'EmptyLatentImage') {
                 injectableNodes.push({
@@ -225,7 +236,8 @@ class WorkflowEngine {
             seed = null,
             batch_size = 1,
             frames = 16,
-            fps = 8
+            fps = 8,
+            image = null
         } = params;
 
         // Built-in SDXL workflow: return the hardcoded version
@@ -259,6 +271,10 @@ class WorkflowEngine {
                     node.inputs.sampler_name = sampler;
                     node.inputs.seed = seed || Math.floor(Math.random() * 999999999999);
                     break;
+                case 'image':
+                    // Keep the template's image unless one was uploaded for this run
+                    if (image) node.inputs[injectable.inputField] = image;
+                    break;
                 case 'dimensions':
                     node.inputs.width = width;
                     node.inputs.height = height;
@@ -283,6 +299,17 @@ class WorkflowEngine {
         return workflow;
     }
 
+    /**
+     * Find the sampler seed used by a built workflow (null if none)
+     */
+    getSeed(workflow) {
+        for (const node of Object.values(workflow || {})) {
+            const seed = node.inputs?.seed ?? node.inputs?.noise_seed;
+            if (typeof seed === 'number') return seed;
+        }
+        return null;
+    }
+
     /**
      * Built-in SDXL workflow (the one already in server.js)
      */
@@ -295,6 +322,7 @@ class WorkflowEngine {
             steps = 20,
             cfg_scale = 7,
             sampler = 'euler',
+            seed = null,
             batch_size = 1
         } = params;
 
@@ -310,7 +338,7 @@ class WorkflowEngine {
                     "positive": ["6", 0],
                     "sampler_name": sampler,
                     "scheduler": "normal",
-                    "seed": Math.floor(Math.random() * 1000000000),
+                    "seed": seed || Math.floor(Math.random() * 1000000000),
                     "steps": steps
                 }
             },
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+
+/**
+ * Canonical JSON for content hashing
+ *
+ * Two inputs that mean the same get the same text: object keys are sorted at
+ * every depth, array order is kept, and values JSON drops (undefined,
+ * functions) are dropped. Ignored fields are removed before hashing; a plain
+ * name ("seed") matches at any depth, a dotted path ("workflow.3.inputs.seed")
+ * only at that place.
+ */
+
+function matcher(ignore) {
+    const names = new Set();
+    const paths = new Set();
+    for (const field of ignore || []) {
+        (field.includes('.') ? paths : names).add(field);
+    }
+    return (key, path) => names.has(key) || paths.has(path);
+}
+
+function normalize(value, isIgnored, path) {
+    if (value && typeof value.toJSON === 'function') value = value.toJSON();
+
+    if (Array.isArray(value)) {
+        // As in JSON, holes and undefined items become null
+        return Array.from(value, (item, i) => {
+            const normalized = normalize(item, isIgnored, path ? `${path}.${i}` : String(i));
+            return normalized === undefined ? null : normalized;
+        });
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const key of Object.keys(value).sort()) {
+            const keyPath = path ? `${path}.${key}` : key;
+            if (isIgnored(key, keyPath)) continue;
+            const normalized = normalize(value[key], isIgnored, keyPath);
+            if (normalized !== undefined) result[key] = normalized;
+        }
+        return result;
+    }
+    if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+    if (typeof value === 'number' && !Number.isFinite(value)) return null;
+    return value;
+}
+
+/**
+ * Copy of a value with sorted keys and without the ignored fields
+ */
+function canonicalize(value, { ignore = [] } = {}) {
+    return normalize(value, matcher(ignore), '');
+}
+
+function stringify(value, options = {}) {
+    return JSON.stringify(canonicalize(value, options)) ?? 'null';
+}
+
+/**
+ * sha256 (hex) of the canonical form
+ */
+function hash(value, options = {}) {
+    return crypto.createHash('sha256').update(stringify(value, options)).digest('hex');
+}
+
+export const canonicalJson = {
+    canonicalize,
+    stringify,
+    hash
+};
+
+export default canonicalJson;
@@ -0,0 +1,172 @@
+/**
+ * Cron expression parsing (5 fields, server local time)
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12 or jan-dec)
+ *   │ │ │ │ ┌ day of week (0-7 or sun-sat, 0 and 7 are Sunday)
+ *   * * * * *
+ *
+ * Supports lists (1,15), ranges (1-5), steps (*\/15, 0-30/10) and the
+ * @hourly, @daily, @weekly, @monthly and @yearly shortcuts. As in classic
+ * cron, when both day fields are restricted a day matches if either does.
+ */
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Give up searching after this many years (e.g. "0 0 31 2 *" never matches)
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(token, field) {
+    const lower = token.toLowerCase();
+    if (field.names && field.names.includes(lower)) {
+        return field.names.indexOf(lower) + field.offset;
+    }
+    if (!/^\d+$/.test(token)) {
+        throw new Error(`Invalid ${field.name} value "${token}"`);
+    }
+    const value = parseInt(token, 10);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!(step > 0)) throw new Error(`Invalid step in ${field.name} "${part}"`);
+
+        let from, to;
+        if (range === '*') {
+            from = field.min;
+            to = field.max;
+        } else if (range.includes('-')) {
+            const [a, b] = range.split('-');
+            from = parseValue(a, field);
+            to = parseValue(b, field);
+            if (from > to) throw new Error(`Invalid range in ${field.name} "${range}"`);
+        } else {
+            from = parseValue(range, field);
+            to = stepText === undefined ? from : field.max;
+        }
+
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse an expression into sets of allowed values. Throws on invalid input.
+ */
+function parse(expression) {
+    const source = MACROS[(expression || '').trim().toLowerCase()] || (expression || '').trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    // 7 is also Sunday
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+}
+
+function dayMatches(cron, date) {
+    const dom = cron.days.has(date.getDate());
+    const dow = cron.weekdays.has(date.getDay());
+    if (cron.anyDay && cron.anyWeekday) return true;
+    if (cron.anyDay) return dow;
+    if (cron.anyWeekday) return dom;
+    return dom || dow;
+}
+
+/**
+ * First time strictly after `after` that matches the expression, or null
+ */
+function nextRun(expression, after = new Date()) {
+    const cron = typeof expression === 'string' ? parse(expression) : expression;
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    while (date < limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!dayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+    return null;
+}
+
+/**
+ * Next `count` run times, for previews
+ */
+function nextRuns(expression, count = 5, after = new Date()) {
+    const cron = parse(expression);
+    const runs = [];
+    let cursor = after;
+    while (runs.length < count) {
+        cursor = nextRun(cron, cursor);
+        if (!cursor) break;
+        runs.push(cursor);
+    }
+    return runs;
+}
+
+export const cron = {
+    parse,
+    nextRun,
+    nextRuns
+};
+
+export default cron;
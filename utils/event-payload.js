@@ -0,0 +1,34 @@
+/**
+ * Event payloads that are kept or sent on
+ *
+ * Job outputs and stream chunks can be megabytes of base64. The copies of an
+ * event that are stored (event log, notification deliveries) leave them out,
+ * as well as any other very long string, and keep the rest: ids to fetch the
+ * full job and the image / video references (asset URLs) of a result.
+ */
+
+const OMITTED_KEYS = new Set(['output', 'chunks']);
+const MAX_STRING_LENGTH = 4096;
+
+function omitted(value) {
+    return { omitted: true, bytes: Buffer.byteLength(JSON.stringify(value) ?? '') };
+}
+
+function compact(value) {
+    if (typeof value === 'string') return value.length > MAX_STRING_LENGTH ? omitted(value) : value;
+    if (Array.isArray(value)) return value.map(compact);
+    if (!value || typeof value !== 'object' || typeof value.toJSON === 'function') return value;
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        result[key] = OMITTED_KEYS.has(key) && item !== null ? omitted(item) : compact(item);
+    }
+    return result;
+}
+
+export const eventPayload = {
+    compact
+};
+
+export default eventPayload;
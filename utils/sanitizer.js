@@ -110,7 +110,8 @@ function validatePodInput(input) {
         errors.push('Image name or template ID is required');
     }
 
-    if (!input.gpuTypeId || typeof input.gpuTypeId !== 'string') {
+    // Or placement requirements, and the server picks the GPU
+    if (!input.placement && (!input.gpuTypeId || typeof input.gpuTypeId !== 'string')) {
         errors.push('GPU type is required');
     }
 
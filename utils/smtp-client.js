@@ -0,0 +1,210 @@
+import net from 'net';
+import tls from 'tls';
+import { hostname } from 'os';
+
+/**
+ * Minimal SMTP client for notification emails
+ *
+ * Supports plain connections with optional STARTTLS, implicit TLS (port 465)
+ * and AUTH PLAIN / LOGIN. Enough for a relay or a local test server; it
+ * sends one plain-text message per connection.
+ */
+
+/**
+ * Send a plain-text email
+ * @param {Object} server - { host, port, secure, user, password, timeoutMs }
+ * @param {Object} message - { from, to: string|string[], subject, text }
+ */
+async function sendMail(server, message) {
+    const recipients = [].concat(message.to || []).map(r => r.trim()).filter(Boolean);
+    if (!server.host) throw new Error('SMTP_HOST is not configured');
+    if (recipients.length === 0) throw new Error('No email recipients');
+
+    const session = await SmtpSession.connect(server);
+    try {
+        await session.expect(220);
+        let features = await session.ehlo();
+
+        if (!server.secure && features.includes('STARTTLS')) {
+            await session.command('STARTTLS', 220);
+            await session.upgrade(server.host);
+            features = await session.ehlo();
+        }
+
+        if (server.user) {
+            const auth = features.find(f => f.startsWith('AUTH')) || '';
+            if (auth.includes('PLAIN') || !auth.includes('LOGIN')) {
+                const credentials = Buffer.from(`\0${server.user}\0${server.password || ''}`).toString('base64');
+                await session.command(`AUTH PLAIN ${credentials}`, 235);
+            } else {
+                await session.command('AUTH LOGIN', 334);
+                await session.command(Buffer.from(server.user).toString('base64'), 334);
+                await session.command(Buffer.from(server.password || '').toString('base64'), 235);
+            }
+        }
+
+        await session.command(`MAIL FROM:<${extractAddress(message.from)}>`, 250);
+        for (const recipient of recipients) {
+            await session.command(`RCPT TO:<${extractAddress(recipient)}>`, [250, 251]);
+        }
+        await session.command('DATA', 354);
+        const reply = await session.command(buildMessage(message, recipients) + '\r\n.', 250);
+
+        await session.command('QUIT', 221).catch(() => {});
+        return { accepted: recipients, response: reply.text };
+    } finally {
+        session.close();
+    }
+}
+
+function extractAddress(value) {
+    const match = /<([^>]+)>/.exec(value || '');
+    return (match ? match[1] : value || '').trim();
+}
+
+function encodeHeader(value) {
+    // RFC 2047 for non-ASCII subjects
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function buildMessage(message, recipients) {
+    const headers = [
+        `From: ${message.from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${encodeHeader(message.subject || '')}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ];
+    const body = Buffer.from(message.text || '').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return headers.join('\r\n') + '\r\n\r\n' + body;
+}
+
+/**
+ * One SMTP connection: writes commands and reads (multi-line) replies
+ */
+class SmtpSession {
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.buffer = '';
+        this.lines = [];
+        this.waiter = null;
+        this.error = null;
+        this.attach(socket);
+    }
+
+    static connect({ host, port, secure, timeoutMs = 10000 }) {
+        return new Promise((resolve, reject) => {
+            const options = { host, port, servername: host };
+            const socket = secure ? tls.connect(options) : net.connect(options);
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error(`SMTP connection to ${host}:${port} timed out`));
+            }, timeoutMs);
+
+            socket.once(secure ? 'secureConnect' : 'connect', () => {
+                clearTimeout(timer);
+                resolve(new SmtpSession(socket, timeoutMs));
+            });
+            socket.once('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            this.buffer += chunk;
+            let index;
+            while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+                this.lines.push(this.buffer.slice(0, index));
+                this.buffer = this.buffer.slice(index + 2);
+            }
+            this.flush();
+        });
+        socket.on('error', (error) => {
+            this.error = error;
+            this.flush();
+        });
+        socket.on('close', () => {
+            this.error = this.error || new Error('SMTP connection closed');
+            this.flush();
+        });
+    }
+
+    upgrade(host) {
+        return new Promise((resolve, reject) => {
+            const plain = this.socket;
+            plain.removeAllListeners('data');
+            plain.removeAllListeners('close');
+            plain.removeAllListeners('error');
+
+            const secure = tls.connect({ socket: plain, servername: host }, () => resolve());
+            secure.once('error', reject);
+            this.attach(secure);
+        });
+    }
+
+    /**
+     * Resolve the waiting reader once a complete reply ("250 ..." after "250-...") arrived
+     */
+    flush() {
+        if (!this.waiter) return;
+        const last = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (last !== -1) {
+            const lines = this.lines.splice(0, last + 1);
+            const { resolve } = this.waiter;
+            this.waiter = null;
+            resolve({ code: parseInt(lines[last].slice(0, 3)), lines: lines.map(l => l.slice(4)), text: lines.join('\n') });
+        } else if (this.error) {
+            const { reject } = this.waiter;
+            this.waiter = null;
+            reject(this.error);
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiter = null;
+                reject(new Error('SMTP server did not answer in time'));
+            }, this.timeoutMs);
+            this.waiter = {
+                resolve: (reply) => { clearTimeout(timer); resolve(reply); },
+                reject: (error) => { clearTimeout(timer); reject(error); }
+            };
+            this.flush();
+        });
+    }
+
+    async expect(codes) {
+        const reply = await this.read();
+        if (![].concat(codes).includes(reply.code)) {
+            throw new Error(`SMTP error: ${reply.text}`);
+        }
+        return reply;
+    }
+
+    command(line, codes) {
+        this.socket.write(line + '\r\n');
+        return this.expect(codes);
+    }
+
+    async ehlo() {
+        const reply = await this.command(`EHLO ${hostname()}`, 250);
+        return reply.lines.slice(1).map(l => l.toUpperCase());
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+}
+
+export const smtpClient = { sendMail };
+
+export default smtpClient;